@@ -291,6 +291,105 @@ var __swNormalize = function(exports) {
     if (key.startsWith("\\") || key.startsWith("$")) return true;
     return HIDDEN_PATTERNS.some((re) => re.test(key));
   }
+  const LIST_HEADERS = ["list-id", "list-unsubscribe", "list-unsubscribe-post"];
+  const stringOf = (value) => {
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) return value.map(stringOf).filter(Boolean).join(", ");
+    if (value && typeof value === "object") {
+      const obj = value;
+      return stringOf(obj.text ?? obj.value ?? "");
+    }
+    return "";
+  };
+  function mailparserListHeader(name, value) {
+    const entries = (Array.isArray(value) ? value : [value]).filter(
+      (entry) => Boolean(entry) && typeof entry === "object"
+    );
+    if (!entries.length) return stringOf(value);
+    if (name === "id") {
+      const { id, name: label } = entries[0];
+      return id ? `${label ? `${stringOf(label)} ` : ""}<${stringOf(id)}>` : "";
+    }
+    if (name === "unsubscribe") {
+      const uris = [];
+      for (const entry of entries) {
+        if (entry.mail) uris.push(`<mailto:${stringOf(entry.mail).replace(/^mailto:/i, "")}>`);
+        if (entry.url) uris.push(`<${stringOf(entry.url)}>`);
+      }
+      return uris.join(", ");
+    }
+    return entries.flatMap((entry) => Object.values(entry).map(stringOf)).filter(Boolean).join(", ");
+  }
+  function readListHeaders(source) {
+    const headers = {};
+    if (!source) return headers;
+    const lines = source.headerLines || source.nodemailer?.headerLines;
+    if (Array.isArray(lines)) {
+      for (const entry of lines) {
+        const key = String(entry?.key || "").toLowerCase();
+        if (!LIST_HEADERS.includes(key) || headers[key] || typeof entry.line !== "string") continue;
+        headers[key] = entry.line.slice(entry.line.indexOf(":") + 1).trim();
+      }
+    }
+    const parsed = source.nodemailer?.headers || source.nodemailer?.Headers || source.headers || source.Headers;
+    if (typeof parsed === "string") {
+      for (const line of parsed.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+        const colon = line.indexOf(":");
+        const key = line.slice(0, colon).trim().toLowerCase();
+        if (colon > 0 && LIST_HEADERS.includes(key) && !headers[key]) {
+          headers[key] = line.slice(colon + 1).trim();
+        }
+      }
+    } else if (parsed && typeof parsed === "object") {
+      for (const [name, value] of Object.entries(parsed)) {
+        const key = name.toLowerCase();
+        if (key === "list" && value && typeof value === "object") {
+          for (const [sub, subValue] of Object.entries(value)) {
+            const listKey = `list-${sub.toLowerCase()}`;
+            if (LIST_HEADERS.includes(listKey) && !headers[listKey]) {
+              headers[listKey] = mailparserListHeader(sub.toLowerCase(), subValue);
+            }
+          }
+        } else if (LIST_HEADERS.includes(key) && !headers[key]) {
+          headers[key] = stringOf(value).trim();
+        }
+      }
+    }
+    return headers;
+  }
+  function parseListId(value) {
+    const text = String(value || "").trim();
+    const bracketed = text.match(/<([^<>]+)>/);
+    const id = (bracketed ? bracketed[1] : text).trim().toLowerCase();
+    if (!id || /\s/.test(id)) return null;
+    const name = bracketed ? text.slice(0, bracketed.index).trim().replace(/^"(.*)"$/, "$1") : "";
+    return { id, name };
+  }
+  function parseListUnsubscribe(value, post = "") {
+    let url = null;
+    let mailto = null;
+    for (const [, uri] of String(value || "").matchAll(/<\s*([^<>]+?)\s*>/g)) {
+      if (!url && /^https?:\/\//i.test(uri)) url = uri;
+      else if (!mailto && /^mailto:/i.test(uri)) mailto = uri;
+    }
+    if (!url && !mailto) return null;
+    const oneClick = Boolean(url && /^https:/i.test(url)) && /list-unsubscribe\s*=\s*one-click/i.test(post);
+    return { url, mailto, one_click: oneClick };
+  }
+  function listFieldsFromHeaders(headers) {
+    const fields = {};
+    const list = parseListId(headers["list-id"] || "");
+    if (list) {
+      fields.list_id = list.id;
+      if (list.name) fields.list_name = list.name;
+    }
+    const unsubscribe = parseListUnsubscribe(
+      headers["list-unsubscribe"] || "",
+      headers["list-unsubscribe-post"] || ""
+    );
+    if (unsubscribe) fields.list_unsubscribe = unsubscribe;
+    return fields;
+  }
   function decodeLabelBuffer(value) {
     if (!value || typeof value !== "object" || value.type !== "Buffer" || !Array.isArray(value.data)) {
       return null;
@@ -478,6 +577,9 @@ var __swNormalize = function(exports) {
         const fromArray = Array.isArray(raw.attachments) && raw.attachments.length > 0;
         return fromFlag || fromArray;
       })(),
+      // RFC822 size in bytes when the list endpoint reports it; size: search
+      // terms and mail rules compare against it.
+      size: Number(raw.size || raw.Size) || void 0,
       modseq: raw.modseq || raw.ModSeq || raw.modSeq || null,
       message_id: raw.MessageId || raw.message_id || raw["Message-ID"] || headerMessageId || apiId,
       root_id: raw.root_id || raw.rootId || null,
@@ -487,6 +589,7 @@ var __swNormalize = function(exports) {
       in_reply_to: inReplyToHeader || null,
       references: referencesHeader || null,
       labels,
+      ...listFieldsFromHeaders(readListHeaders(raw)),
       bodyIndexed: false,
       updatedAt: Date.now()
     };
@@ -667,9 +667,10 @@
 
     switch (type) {
       case 'toggleRead': {
+        // isUnread/flags are the pre-toggle state.
         const flags = payload.isUnread
-          ? (payload.flags || []).filter((f) => f !== '\\Seen')
-          : [...(payload.flags || []), '\\Seen'];
+          ? [...(payload.flags || []), '\\Seen']
+          : (payload.flags || []).filter((f) => f !== '\\Seen');
         const res = await fetchWithTimeout(`${base}${msgPath}`, {
           method: 'PUT',
           headers,
@@ -712,6 +713,44 @@
         });
         return res.ok;
       }
+      case 'forward': {
+        // Mirrors buildForwardEmail in mutation-queue.js.
+        const rawRes = await fetchWithTimeout(
+          `${base}${msgPath}?folder=${encodeURIComponent(payload.folder || '')}&raw=true`,
+          { method: 'GET', headers: { ...headers, Accept: 'message/rfc822' } },
+        );
+        if (!rawRes.ok) return false;
+        const raw = await rawRes.text();
+        if (!raw) return false;
+        const subject = payload.subject || '(No subject)';
+        const res = await fetchWithTimeout(`${base}/v1/emails`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({
+            from: payload.from,
+            to: [payload.to],
+            subject: /^fwd?:/i.test(subject) ? subject : `Fwd: ${subject}`,
+            text: payload.ruleName
+              ? `Forwarded automatically by the rule "${payload.ruleName}".`
+              : 'Forwarded automatically.',
+            attachments: [
+              { filename: 'forwarded.eml', contentType: 'message/rfc822', content: raw },
+            ],
+          }),
+        });
+        return res.ok;
+      }
+      case 'createFolder': {
+        // Mirrors mutation-queue.js: a client error means it already exists.
+        const res = await fetchWithTimeout(`${base}/v1/folders`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ path: payload.path }),
+        });
+        return (
+          res.ok || (res.status >= 400 && res.status < 500 && ![401, 403, 429].includes(res.status))
+        );
+      }
       default:
         return false;
     }
@@ -736,6 +775,11 @@
         if (mutation.status === 'completed') continue;
         if (mutation.status === 'failed' && mutation.retryCount >= MUTATION_MAX_RETRIES) continue;
         if (mutation.nextRetryAt && Date.now() < mutation.nextRetryAt) continue;
+        // Calendar writes check for conflicts against the calendar cache, and
+        // contact writes resolve temp ids against the contact cache. Only a
+        // tab can read those; leave them for the next open tab.
+        if (String(mutation.type).startsWith('calendarEvent')) continue;
+        if (String(mutation.type).startsWith('contact')) continue;
 
         mutation.status = 'processing';
         modified = true;
@@ -788,6 +832,160 @@
     await postToClients({ type: 'mutationQueueProcessed' });
   };
 
+  // ── Notification clicks and actions ──────────────────────────────────
+  // New-mail notifications carry Archive / Mark as read / Delete / Reply
+  // buttons (see src/utils/notification-actions.ts). With a tab open the
+  // tab carries the action out, so its local cache and views update too.
+  // Without one, Archive, Mark as read and Delete go straight into the
+  // mutation queue, shaped like queueMutation's records. The notification
+  // only names the account: its credentials and target folders come from the
+  // record storeNotificationActionAccount keeps in meta. Under App Lock that
+  // record is encrypted, so the action falls back to opening the app, as do
+  // Reply and a click on the notification itself.
+  const QUEUED_NOTIFICATION_ACTIONS = new Set(['archive', 'markRead', 'delete']);
+  const NOTIFICATION_ACTIONS_PREFIX = 'notification_actions_';
+
+  const readNotificationAccount = async (account) => {
+    const db = await openDb();
+    if (!db.objectStoreNames.contains(META_STORE)) return null;
+    const record = await new Promise((resolve, reject) => {
+      const tx = db.transaction(META_STORE, 'readonly');
+      const req = tx.objectStore(META_STORE).get(`${NOTIFICATION_ACTIONS_PREFIX}${account}`);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const value = record?.value;
+    return typeof value?.authHeader === 'string' && value.authHeader ? value : null;
+  };
+
+  const notificationMutation = (action, data, folders) => {
+    const base = {
+      messageId: data.id,
+      internalId: data.id,
+      subject: data.subject || '',
+      account: data.account,
+    };
+    if (action === 'markRead') {
+      // Pre-toggle state, as in mutation-queue.js; new mail has no flags yet.
+      return {
+        type: 'toggleRead',
+        payload: { ...base, isUnread: true, flags: [], folder: data.folder || 'INBOX' },
+      };
+    }
+    const targetFolder = action === 'archive' ? folders.archiveFolder : folders.trashFolder;
+    if (!targetFolder) return null;
+    return {
+      type: 'move',
+      payload: { ...base, targetFolder, sourceFolder: data.folder || 'INBOX' },
+    };
+  };
+
+  const queueNotificationMutation = async (action, data) => {
+    if (!data.id || !data.account) return false;
+    const stored = await readNotificationAccount(data.account);
+    if (!stored) return false;
+    const mutation = notificationMutation(action, data, stored);
+    if (!mutation) return false;
+    const key = `${MUTATION_QUEUE_PREFIX}${data.account}`;
+    const queues = await readAllMutationQueues();
+    const queue = queues.find((entry) => entry.key === key)?.queue || [];
+    queue.push({
+      id: `mut_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      ...mutation,
+      status: 'pending',
+      retryCount: 0,
+      createdAt: Date.now(),
+      apiBase: stored.apiBase || '',
+      authHeader: stored.authHeader,
+    });
+    await writeMutationQueue(key, queue);
+    if (self.registration.sync) {
+      await self.registration.sync.register('mutation-queue');
+    } else {
+      await processMutationsSW();
+    }
+    return true;
+  };
+
+  // Calendar reminders carry Snooze buttons (see src/utils/task-reminders.ts).
+  // With a tab open the tab reschedules the reminder. Without one the snooze
+  // joins the list task-reminders.ts keeps in meta, and shows once the app
+  // runs again.
+  const REMINDER_SNOOZE_MINUTES = { snooze5: 5, snooze10: 10, snooze60: 60 };
+  const REMINDER_SNOOZES_KEY = 'calendar_reminder_snoozes';
+
+  const storeReminderSnooze = async (minutes, data) => {
+    if (!data.uid) return;
+    const db = await openDb();
+    if (!db.objectStoreNames.contains(META_STORE)) return;
+    const key = data.reminderKey || data.uid;
+    const snooze = {
+      key,
+      uid: data.uid,
+      kind: data.kind || '',
+      title: data.title || 'Reminder',
+      body: data.body || '',
+      path: data.path || '',
+      until: Date.now() + minutes * 60 * 1000,
+    };
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(META_STORE, 'readwrite');
+      const store = tx.objectStore(META_STORE);
+      const req = store.get(REMINDER_SNOOZES_KEY);
+      req.onsuccess = () => {
+        const list = Array.isArray(req.result?.value) ? req.result.value : [];
+        store.put({
+          key: REMINDER_SNOOZES_KEY,
+          value: [...list.filter((entry) => entry?.key !== key), snooze],
+          updatedAt: Date.now(),
+        });
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  };
+
+  const handleNotificationClick = async (action, data) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((w) => w.focused) || windows[0];
+    if (REMINDER_SNOOZE_MINUTES[action]) {
+      if (client) {
+        client.postMessage({ type: 'notificationAction', action, data });
+        return;
+      }
+      try {
+        await storeReminderSnooze(REMINDER_SNOOZE_MINUTES[action], data);
+      } catch (err) {
+        LOG && console.warn('[SW sync] Failed to store reminder snooze', err);
+      }
+      return;
+    }
+    if (QUEUED_NOTIFICATION_ACTIONS.has(action)) {
+      if (client) {
+        client.postMessage({ type: 'notificationAction', action, data });
+        return;
+      }
+      try {
+        if (await queueNotificationMutation(action, data)) return;
+      } catch (err) {
+        LOG && console.warn('[SW sync] Failed to queue notification action', err);
+      }
+    }
+    if (client) {
+      await client.focus?.();
+      client.postMessage({ type: 'notificationAction', action, data });
+      return;
+    }
+    const path = typeof data.path === 'string' ? data.path : '';
+    await self.clients.openWindow(`/${path.startsWith('#') ? path : ''}`);
+  };
+
+  self.addEventListener('notificationclick', (event) => {
+    const data = event.notification?.data || {};
+    event.notification?.close();
+    event.waitUntil(handleNotificationClick(event.action || '', data));
+  });
+
   // Background Sync event — fired when connectivity returns
   self.addEventListener('sync', (event) => {
     if (event.tag === 'mutation-queue') {
@@ -139,6 +139,105 @@ fn toggle_window_visibility(app: tauri::AppHandle) -> Result<(), String> {
     Ok(())
 }
 
+// ── Calendar reminders ───────────────────────────────────────────────────────
+//
+// The frontend schedules event and task reminders (src/utils/task-reminders.ts),
+// but with the main window hidden in the tray the webview throttles or
+// suspends its timers. On desktop it hands the upcoming triggers to this
+// ticker instead, which shows them through the notification plugin whether
+// or not the window is visible and emits `calendar-reminder-fired` with the
+// trigger's key so the frontend can record it.
+
+#[cfg(desktop)]
+const MAX_REMINDERS: usize = 500;
+
+#[cfg(desktop)]
+const REMINDER_TICK: std::time::Duration = std::time::Duration::from_secs(15);
+
+#[cfg(desktop)]
+#[derive(Clone, serde::Deserialize)]
+struct NativeReminder {
+    key: String,
+    /// Trigger time in milliseconds since the Unix epoch.
+    at: u64,
+    title: String,
+    body: String,
+}
+
+#[cfg(desktop)]
+struct PendingReminders(Mutex<Vec<NativeReminder>>);
+
+#[cfg(desktop)]
+fn truncate_chars(value: &str, max: usize) -> String {
+    value.chars().take(max).collect()
+}
+
+/// Replaces the scheduled reminders with `reminders`.
+/// Input validation: at most 500 entries; keys of 1..=256 chars; title and
+/// body are truncated to 256 and 1024 chars.
+#[cfg(desktop)]
+#[tauri::command]
+fn set_reminders(
+    state: tauri::State<'_, PendingReminders>,
+    reminders: Vec<NativeReminder>,
+) -> Result<(), String> {
+    if reminders.len() > MAX_REMINDERS {
+        return Err(format!(
+            "At most {MAX_REMINDERS} reminders can be scheduled"
+        ));
+    }
+    let cleaned: Vec<NativeReminder> = reminders
+        .into_iter()
+        .filter(|r| !r.key.is_empty() && r.key.chars().count() <= 256)
+        .map(|r| NativeReminder {
+            title: truncate_chars(&r.title, 256),
+            body: truncate_chars(&r.body, 1024),
+            ..r
+        })
+        .collect();
+    let mut pending = state
+        .0
+        .lock()
+        .map_err(|_| "Reminder state is unavailable".to_string())?;
+    *pending = cleaned;
+    Ok(())
+}
+
+/// Checks for due reminders every REMINDER_TICK on a background thread.
+#[cfg(desktop)]
+fn start_reminder_ticker(app: tauri::AppHandle) {
+    use tauri_plugin_notification::NotificationExt;
+
+    std::thread::spawn(move || loop {
+        std::thread::sleep(REMINDER_TICK);
+        let now = std::time::SystemTime::now()
+            .duration_since(std::time::UNIX_EPOCH)
+            .map(|d| d.as_millis() as u64)
+            .unwrap_or(0);
+        let due: Vec<NativeReminder> = {
+            let state = app.state::<PendingReminders>();
+            let Ok(mut pending) = state.0.lock() else {
+                continue;
+            };
+            let (due, rest): (Vec<_>, Vec<_>) = pending.drain(..).partition(|r| r.at <= now);
+            *pending = rest;
+            due
+        };
+        for reminder in due {
+            if let Err(err) = app
+                .notification()
+                .builder()
+                .title(&reminder.title)
+                .body(&reminder.body)
+                .show()
+            {
+                log::warn!("Calendar reminder notification failed: {err}");
+            }
+            let _ = app.emit("calendar-reminder-fired", reminder.key);
+        }
+    });
+}
+
 /// Disables the native genie close/miniaturize animation on the named window.
 ///
 /// On macOS 26+, WebKit drives per-webview layout/scrolling sync
@@ -882,6 +981,8 @@ pub fn run() {
         .plugin(tauri_plugin_os::init())
         .plugin(tauri_plugin_dialog::init())
         .plugin(tauri_plugin_fs::init())
+        // WKD, calendar feeds and one-click unsubscribe; see external-fetch.ts.
+        .plugin(tauri_plugin_http::init())
         .invoke_handler(tauri::generate_handler![
             get_app_version,
             get_platform,
@@ -893,6 +994,8 @@ pub fn run() {
             diagnostics::clear_logs,
             #[cfg(desktop)]
             toggle_window_visibility,
+            #[cfg(desktop)]
+            set_reminders,
             #[cfg(target_os = "macos")]
             macos_disable_close_animation,
             #[cfg(desktop)]
@@ -945,6 +1048,9 @@ pub fn run() {
 
                 setup_tray(app)?;
 
+                app.manage(PendingReminders(Mutex::new(Vec::new())));
+                start_reminder_ticker(app.handle().clone());
+
                 // Register global shortcut: Cmd+Shift+M (macOS) / Ctrl+Shift+M (others)
                 use tauri_plugin_global_shortcut::{
                     Code, GlobalShortcutExt, Modifiers, Shortcut, ShortcutState,
@@ -6,6 +6,8 @@ declare global {
     readonly VITE_APP_VERSION: string;
     readonly VITE_BUILD_HASH: string;
     readonly VITE_PKG_VERSION: string;
+    readonly VITE_WKD_BASE_URL?: string;
+    readonly VITE_FREEBUSY_URL?: string;
   }
 
   interface Window {
@@ -82,13 +82,23 @@ import {
   processOutbox,
   getOutboxItem,
   deleteOutboxItem,
+  trackFollowUp,
 } from './utils/outbox-service';
 import { initMutationQueue, processMutationQueue } from './utils/mutation-queue';
+import { initMailRules } from './utils/mail-rules';
+import { initVacationResponder } from './utils/vacation-responder';
+import { initSnooze } from './utils/snooze';
+import { initFollowUps, scheduleFollowUpChecks } from './utils/follow-ups';
+import { initCalendarSubscriptions } from './utils/calendar-subscriptions';
+import { initNotificationActions } from './utils/notification-actions';
+import { isCalendarMutation, revertCalendarMutation } from './utils/calendar-cache';
+import { isContactMutation, revertContactMutation } from './utils/contact-cache';
 import { initNetworkStatus } from './utils/network-status';
 import { syncPendingDrafts, deleteDraft } from './utils/draft-service';
 import { setIndexToasts, searchStore } from './stores/searchStore';
 import { setDemoToasts } from './utils/demo-mode';
 import { setNotificationToasts } from './utils/notification-manager';
+import { setReminderToasts } from './utils/task-reminders';
 import { bindExternalLinkInterceptor } from './utils/external-links.js';
 import { bindEdgeSwipeBack } from './utils/mobile-edge-swipe';
 import { onBackButton } from './utils/tauri-bridge.js';
@@ -105,6 +115,7 @@ import { initPerfObservers } from './utils/perf-logger.ts';
 import { attemptRecovery } from './utils/db-recovery';
 import { parseMailto, mailtoToPrefill } from './utils/mailto';
 import { selectedFolder, folders } from './stores/folderStore';
+import { refreshOtherInboxes } from './utils/unified-mailbox';
 import {
   messageBody,
   selectedMessage,
@@ -422,8 +433,22 @@ globalThis.addEventListener('mutation-queue-failed', () => {
 // A specific mutation (delete/move/star/read/label) is confirmed permanently
 // failed — roll back its local IDB/store change so this client converges
 // back to server truth instead of staying silently out of sync with it.
+// Calendar event writes keep their local copy in the calendar cache instead.
 globalThis.addEventListener('mailbox-mutation-permanently-failed', (event) => {
-  mailboxStore.actions.revertFailedMutation(event.detail);
+  const mutation = (event as CustomEvent).detail;
+  if (isCalendarMutation(mutation?.type)) {
+    revertCalendarMutation(mutation)
+      .then((message) => toasts.show(message, 'warning'))
+      .catch((err) => console.warn('[main] calendar revert failed', err));
+    return;
+  }
+  if (isContactMutation(mutation?.type)) {
+    revertContactMutation(mutation)
+      .then((message: string) => toasts.show(message, 'warning'))
+      .catch((err: unknown) => console.warn('[main] contact revert failed', err));
+    return;
+  }
+  mailboxStore.actions.revertFailedMutation(mutation);
 });
 
 // Decides whether an auth failure is real or just the vault being locked.
@@ -453,6 +478,7 @@ mailboxActions.setToasts(toasts);
 setIndexToasts(toasts);
 setDemoToasts(toasts);
 setNotificationToasts(toasts);
+setReminderToasts(toasts);
 viewModel.toasts = toasts;
 viewModel.mailboxView.toasts = toasts;
 
@@ -546,7 +572,7 @@ let _calendarApp = null;
 let calendarApi: {
   reload?: () => void;
   prefillQuickEvent?: (email?: string) => void;
-  applyRemoteChange?: (detail: { type?: string; payload?: unknown }) => void;
+  applyRemoteChange?: (detail: { type?: string; payload?: unknown; cached?: boolean }) => void;
 } = {
   reload() {},
   prefillQuickEvent() {},
@@ -648,13 +674,14 @@ const _feCalendarChanged = () => {
 };
 
 const _feCalendarEventChanged = (event: Event) => {
-  // websocket-updater dispatches `{ type, payload }` for calendar event
-  // notifications. If the calendar component exposes applyRemoteChange,
+  // websocket-updater dispatches `{ type, payload, cached }` for calendar
+  // event notifications (`cached`: it already patched the offline cache). If the calendar component exposes applyRemoteChange,
   // hand the typed detail to it so it can merge a single change without
   // a full re-fetch (e.g. delete a known event from local state). Older
   // dispatches (no detail) and the create/update fallback still trigger
   // a full reload via the component's internal handling.
-  const detail = (event as CustomEvent<{ type?: string; payload?: unknown }>).detail;
+  const detail = (event as CustomEvent<{ type?: string; payload?: unknown; cached?: boolean }>)
+    .detail;
   if (detail && typeof detail === 'object' && calendarApi.applyRemoteChange) {
     calendarApi.applyRemoteChange(detail);
     return;
@@ -666,7 +693,9 @@ const _feContactsChanged = () => {
   contactsApi.reload?.();
 };
 
-const _feContactChanged = () => {
+const _feContactChanged = (event: Event) => {
+  // Patched in the contact cache already; the Contacts page rereads it.
+  if ((event as CustomEvent<{ cached?: boolean }>).detail?.cached) return;
   contactsApi.reload?.();
 };
 
@@ -786,8 +815,13 @@ function outboxDataToPrefill(data: Record<string, unknown>): Record<string, unkn
   };
 }
 
-async function reopenComposeFromOutbox(item: { emailData?: Record<string, unknown> }) {
-  const data = item?.emailData;
+async function reopenComposeFromOutbox(item: {
+  emailData?: Record<string, unknown>;
+  undoDraft?: Record<string, unknown>;
+}) {
+  // A PGP-protected item's emailData is ciphertext in `raw`; its cleartext
+  // fields ride along in undoDraft until the send starts.
+  const data = item?.undoDraft || item?.emailData;
   if (!data) return;
   const prefill = outboxDataToPrefill(data);
   try {
@@ -1436,6 +1470,17 @@ if (isTauriDesktop) {
         } catch (error) {
           console.warn('[main] Failed to refresh reply targets after send:', error);
         }
+
+        // Follow-up reminder chosen in the compose window (see follow-ups.ts).
+        const followUpAt = Number(result.sentCopyPayload.followUpAt) || 0;
+        if (followUpAt) {
+          try {
+            await trackFollowUp(result.sentCopyPayload, followUpAt);
+            await scheduleFollowUpChecks();
+          } catch (error) {
+            console.warn('[main] Failed to record follow-up reminder:', error);
+          }
+        }
       }
 
       // Surface the just-sent message in Sent promptly (don't wait for the
@@ -1548,6 +1593,12 @@ routeStore.subscribe((route) => {
       startOutboxProcessor();
       syncPendingDrafts();
       initMutationQueue();
+      initMailRules();
+      initVacationResponder();
+      initSnooze();
+      initFollowUps();
+      initNotificationActions();
+      initCalendarSubscriptions();
       globalThis.addEventListener('online', () => {
         processOutbox();
         syncPendingDrafts();
@@ -1679,6 +1730,12 @@ function initKeyboardShortcuts() {
 
   keyboardShortcuts.on('refresh-all', () => {
     viewModel.mailboxView.loadMessages();
+    // The other signed-in accounts' inboxes, under their own credentials.
+    void refreshOtherInboxes({ force: true })
+      .then((refreshed) => {
+        if (refreshed.length) viewModel.mailboxView.loadMessages();
+      })
+      .catch(() => {});
   });
 
   keyboardShortcuts.on('expand-thread', () => {
@@ -2578,6 +2635,12 @@ async function bootstrap() {
       startOutboxProcessor();
       syncPendingDrafts();
       initMutationQueue();
+      initMailRules();
+      initVacationResponder();
+      initSnooze();
+      initFollowUps();
+      initNotificationActions();
+      initCalendarSubscriptions();
 
       globalThis.addEventListener('online', () => {
         processOutbox(); // New outbox service
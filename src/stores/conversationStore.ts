@@ -2,7 +2,7 @@ import { writable, derived } from 'svelte/store';
 import type { Writable, Readable } from 'svelte/store';
 import { debouncedDerived } from '../utils/store-utils.ts';
 import { createConversationGrouper } from '../utils/conversation-grouper.js';
-import { filteredMessages } from './messageStore';
+import { filteredMessages, isResurfaced, pinnedResurfaced } from './messageStore';
 import { sortOrder } from './viewStore';
 import type { Conversation, Message } from '../types';
 
@@ -17,13 +17,26 @@ export const replyMessageIndex: Writable<Map<string, number>> = writable(new Map
 const groupConversations = createConversationGrouper();
 
 export const filteredConversations: Readable<Conversation[]> = debouncedDerived(
-  [filteredMessages, sortOrder, replyTargets, replyMessageIndex],
-  ([$msgs, $sortOrder, $replyTargets, $replyMessageIndex]: [
+  [filteredMessages, sortOrder, replyTargets, replyMessageIndex, pinnedResurfaced],
+  ([$msgs, $sortOrder, $replyTargets, $replyMessageIndex, $resurfaced]: [
     Message[],
     string,
     Set<string>,
     Map<string, number>,
-  ]) => groupConversations($msgs, $sortOrder, $replyTargets, $replyMessageIndex),
+    Message[],
+  ]) => {
+    const conversations = groupConversations(
+      $msgs,
+      $sortOrder,
+      $replyTargets,
+      $replyMessageIndex,
+    ) as Conversation[];
+    // Threads resurfaced by a follow-up reminder stay on top until opened.
+    const pinned = (conv: Conversation) =>
+      (conv.messages || []).some((m) => isResurfaced(m, $resurfaced));
+    if (!conversations.some(pinned)) return conversations;
+    return [...conversations.filter(pinned), ...conversations.filter((conv) => !pinned(conv))];
+  },
   [] as Conversation[],
   32,
 );
@@ -36,6 +36,7 @@ import {
   composeAbortSignals,
   sanitizeAttachments,
 } from './mail-service-helpers';
+import { accountRequestOptions, messageAccount } from '../utils/unified-mailbox';
 
 export interface MessageDetailCallbacks {
   onLoading?: (loading: boolean) => void;
@@ -809,7 +810,8 @@ export const mailService = {
       return;
     }
 
-    const account = Local.get('email') || 'default';
+    // Unified views list other signed-in accounts' mail; load it as its own.
+    const account = messageAccount(message);
     const folder = message.folder_path || message.folder;
     const messageId = getMessageApiId(message);
     if (!messageId) {
@@ -1072,6 +1074,7 @@ export const mailService = {
             method: 'GET',
             pathOverride: `/v1/messages/${encodeURIComponent(messageId)}?folder=${encodeURIComponent(folder || '')}&raw=true`,
             signal: compositeSignal,
+            ...accountRequestOptions(account),
           },
         );
         tracer.stage('network_end');
@@ -1535,92 +1538,66 @@ export const mailService = {
     if (!attachment) return;
 
     const filename = attachment.filename || attachment.name || 'attachment';
-    const contentType = attachment.contentType || 'application/octet-stream';
-
-    if (attachment.href) {
-      triggerDownload(attachment.href, filename);
-      return;
+    const source = await resolveAttachmentSource(attachment, message, filename);
+    if (!source) return;
+    if ('url' in source) {
+      triggerDownload(source.url, filename);
+    } else {
+      triggerDownloadBytes(source.bytes, filename, source.contentType);
     }
+  },
 
-    if (!message?.id) {
-      return;
+  /**
+   * Load an attachment as a Blob for the in-app previewer. Uses the same
+   * lookup order as downloadAttachment, so a cached blob is preferred and
+   * previews keep working offline. Returns null when the data is unavailable.
+   */
+  async loadAttachmentBlob(attachment: Attachment, message: Message): Promise<Blob | null> {
+    if (!attachment) return null;
+    const filename = attachment.filename || (attachment as { name?: string }).name || 'attachment';
+    const source = await resolveAttachmentSource(attachment, message, filename);
+    if (!source) return null;
+    if ('bytes' in source) {
+      return new Blob([source.bytes as Uint8Array<ArrayBuffer>], { type: source.contentType });
     }
-
-    const folder = message.folder_path || message.folder;
-    const messageId = getMessageApiId(message);
-    const account = Local.get('email') || 'default';
-
-    // Check attachment blob cache first (for offline access)
     try {
-      const cachedBlob = await getCachedAttachmentBlob(messageId, filename);
-      if (cachedBlob) {
-        triggerDownload(cachedBlob, filename);
-        return;
-      }
+      const res = await fetch(source.url);
+      return res.ok ? await res.blob() : null;
     } catch {
-      // Blob cache miss, continue
+      return null;
     }
+  },
 
-    // Check IndexedDB messageBodies cache
+  /**
+   * Attachment list of a message that may not be open, for bulk downloads:
+   * the cached body's list when there is one, otherwise the message detail
+   * from the API. Inline content from the API is turned into a data URL href
+   * (below LARGE_ATTACHMENT_BYTES) so loadAttachmentBlob does not refetch it.
+   */
+  async listAttachments(message: Message): Promise<Attachment[]> {
+    if (!message?.id) return [];
+    const messageId = getMessageApiId(message);
+    const account = messageAccount(message);
     try {
       const cached = (await db.messageBodies
         .where('[account+id]')
         .equals([account, messageId])
         .first()) as CachedBody | undefined;
-
-      if (cached?.attachments?.length) {
-        const cachedMatch = cached.attachments.find((a) => {
-          const att = a as Record<string, unknown>;
-          return (
-            (att.filename || att.name) === filename ||
-            (att.name || att.filename) === (attachment as Record<string, unknown>).name
-          );
-        }) as Record<string, unknown> | undefined;
-
-        if (cachedMatch) {
-          if (cachedMatch.url) {
-            triggerDownload(cachedMatch.url as string, filename);
-            return;
-          } else if (cachedMatch.content) {
-            const cachedContentType = (cachedMatch.contentType ||
-              cachedMatch.mimeType ||
-              contentType) as string;
-            const bytes = contentToBytes(cachedMatch.content);
-            const isLarge = (attachment.size || 0) > LARGE_ATTACHMENT_BYTES;
-            // For large attachments we skip the data-URL stage entirely
-            // (it would build a multi-hundred-MB base64 string and OOM
-            // the renderer). Smaller files keep the cache write so they
-            // stay available offline.
-            if (bytes && (isLarge || !bytes.byteLength)) {
-              triggerDownloadBytes(bytes, filename, cachedContentType);
-              return;
-            }
-            const dataUrl = bufferToDataUrl({
-              content: cachedMatch.content,
-              contentType: cachedContentType,
-            });
-            if (!isLarge) {
-              cacheAttachmentBlob(messageId, filename, dataUrl, attachment.size || 0).catch(
-                () => {},
-              );
-            }
-            triggerDownload(dataUrl, filename);
-            return;
-          }
-        }
-      }
+      if (cached?.attachments?.length) return cached.attachments;
     } catch {
       // Cache lookup failed, fall through to API call
     }
+    if (!message.has_attachment) return [];
 
-    // Fall back to API call if not found in cache
     try {
+      const folder = message.folder_path || message.folder;
       const detailRes = await Remote.request(
         'Message',
         {},
         {
           method: 'GET',
           pathOverride: `/v1/messages/${encodeURIComponent(messageId)}?folder=${encodeURIComponent(folder || '')}&raw=false`,
+          ...accountRequestOptions(account),
         },
       );
       const result = ((detailRes as { Result?: unknown })?.Result || detailRes) as Record<
@@ -1629,41 +1606,154 @@ export const mailService = {
       >;
       const serverAttachments = ((result?.nodemailer as Record<string, unknown>)?.attachments ||
         result?.attachments ||
-        []) as unknown[];
+        []) as Record<string, unknown>[];
+      return serverAttachments.map((att) => {
+        const contentType = (att.contentType ||
+          att.mimeType ||
+          'application/octet-stream') as string;
+        const size = (att.size as number) || 0;
+        const href =
+          (att.url as string) ||
+          (att.content && size <= LARGE_ATTACHMENT_BYTES
+            ? bufferToDataUrl({ content: att.content, contentType })
+            : undefined);
+        return {
+          name: (att.filename || att.name) as string,
+          filename: (att.filename || att.name) as string,
+          size,
+          contentType,
+          contentId: att.contentId as string | undefined,
+          disposition: att.disposition as Attachment['disposition'],
+          href,
+        } as Attachment;
+      });
+    } catch {
+      return [];
+    }
+  },
+};
 
-      const match = serverAttachments.find((att: unknown) => {
-        const a = att as Record<string, unknown>;
-        return (a.filename || a.name) === filename || (a.name || a.filename) === attachment.name;
-      }) as Record<string, unknown> | undefined;
+type AttachmentSource = { url: string } | { bytes: Uint8Array; contentType: string };
 
-      if (!match) {
-        return;
-      }
+// Locate an attachment's data: its own href, then the offline blob cache,
+// then the cached message body, then the API. Content that comes back inline
+// is returned as a data URL and written to the blob cache on the way, except
+// for large files, which stay as raw bytes (see LARGE_ATTACHMENT_BYTES).
+async function resolveAttachmentSource(
+  attachment: Attachment,
+  message: Message,
+  filename: string,
+): Promise<AttachmentSource | null> {
+  const contentType = attachment.contentType || 'application/octet-stream';
 
-      if (match.url) {
-        triggerDownload(match.url as string, filename);
-      } else if (match.content) {
-        const matchContentType = (match.contentType || match.mimeType || contentType) as string;
-        const bytes = contentToBytes(match.content);
-        const isLarge = (attachment.size || 0) > LARGE_ATTACHMENT_BYTES;
-        if (bytes && (isLarge || !bytes.byteLength)) {
-          triggerDownloadBytes(bytes, filename, matchContentType);
-          return;
-        }
-        const dataUrl = bufferToDataUrl({
-          content: match.content,
-          contentType: matchContentType,
-        });
-        if (!isLarge) {
-          cacheAttachmentBlob(messageId, filename, dataUrl, attachment.size || 0).catch(() => {});
+  if (attachment.href) {
+    return { url: attachment.href };
+  }
+
+  if (!message?.id) {
+    return null;
+  }
+
+  const folder = message.folder_path || message.folder;
+  const messageId = getMessageApiId(message);
+  const account = Local.get('email') || 'default';
+
+  const fromContent = (match: Record<string, unknown>): AttachmentSource | null => {
+    const matchContentType = (match.contentType || match.mimeType || contentType) as string;
+    const bytes = contentToBytes(match.content);
+    const isLarge = (attachment.size || 0) > LARGE_ATTACHMENT_BYTES;
+    // For large attachments we skip the data-URL stage entirely
+    // (it would build a multi-hundred-MB base64 string and OOM
+    // the renderer). Smaller files keep the cache write so they
+    // stay available offline.
+    if (bytes && (isLarge || !bytes.byteLength)) {
+      return { bytes, contentType: matchContentType };
+    }
+    const dataUrl = bufferToDataUrl({
+      content: match.content,
+      contentType: matchContentType,
+    });
+    if (!isLarge) {
+      cacheAttachmentBlob(messageId, filename, dataUrl, attachment.size || 0).catch(() => {});
+    }
+    return { url: dataUrl };
+  };
+
+  // Check attachment blob cache first (for offline access)
+  try {
+    const cachedBlob = await getCachedAttachmentBlob(messageId, filename);
+    if (cachedBlob) {
+      return { url: cachedBlob };
+    }
+  } catch {
+    // Blob cache miss, continue
+  }
+
+  // Check IndexedDB messageBodies cache
+  try {
+    const cached = (await db.messageBodies
+      .where('[account+id]')
+      .equals([account, messageId])
+      .first()) as CachedBody | undefined;
+
+    if (cached?.attachments?.length) {
+      const cachedMatch = cached.attachments.find((a) => {
+        const att = a as Record<string, unknown>;
+        return (
+          (att.filename || att.name) === filename ||
+          (att.name || att.filename) === (attachment as Record<string, unknown>).name
+        );
+      }) as Record<string, unknown> | undefined;
+
+      if (cachedMatch) {
+        if (cachedMatch.url) {
+          return { url: cachedMatch.url as string };
+        } else if (cachedMatch.content) {
+          return fromContent(cachedMatch);
         }
-        triggerDownload(dataUrl, filename);
       }
-    } catch {
-      // Failed to download attachment
     }
-  },
-};
+  } catch {
+    // Cache lookup failed, fall through to API call
+  }
+
+  // Fall back to API call if not found in cache
+  try {
+    const detailRes = await Remote.request(
+      'Message',
+      {},
+      {
+        method: 'GET',
+        pathOverride: `/v1/messages/${encodeURIComponent(messageId)}?folder=${encodeURIComponent(folder || '')}&raw=false`,
+      },
+    );
+    const result = ((detailRes as { Result?: unknown })?.Result || detailRes) as Record<
+      string,
+      unknown
+    >;
+    const serverAttachments = ((result?.nodemailer as Record<string, unknown>)?.attachments ||
+      result?.attachments ||
+      []) as unknown[];
+
+    const match = serverAttachments.find((att: unknown) => {
+      const a = att as Record<string, unknown>;
+      return (a.filename || a.name) === filename || (a.name || a.filename) === attachment.name;
+    }) as Record<string, unknown> | undefined;
+
+    if (!match) {
+      return null;
+    }
+
+    if (match.url) {
+      return { url: match.url as string };
+    } else if (match.content) {
+      return fromContent(match);
+    }
+  } catch {
+    // Failed to download attachment
+  }
+  return null;
+}
 
 async function cacheMessageContent(
   message: Message,
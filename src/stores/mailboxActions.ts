@@ -45,6 +45,7 @@ import {
   displayAddresses,
   extractAddressList,
 } from '../utils/address.ts';
+import { normalizeIdentities } from '../utils/identities';
 import { validateLabelName } from '../utils/label-validation.ts';
 import { resolveSearchBodyIndexing } from '../utils/search-body-indexing.js';
 import { LABEL_PALETTE, canonicalizeLabelKeyword } from '../utils/labels.js';
@@ -60,6 +61,7 @@ import { warn } from '../utils/logger.ts';
 import { resetTabs } from './tabStore';
 import { parseReferences } from '../utils/threading';
 import { isOnline } from '../utils/network-status';
+import { accountRequestOptions, messageAccount } from '../utils/unified-mailbox';
 
 /**
  * Additional mailbox actions that were in MailboxView
@@ -150,6 +152,12 @@ const getUserEmails = () => {
     if (acct?.email) emails.add(normalizeEmail(acct.email));
   });
 
+  // Send-as identities are ours too: replies and forwards go out from the one
+  // the message was addressed to, and reply-all leaves them all out.
+  normalizeIdentities(getEffectiveSettingValue('identities')).forEach((identity) => {
+    emails.add(identity.email);
+  });
+
   return emails;
 };
 
@@ -420,7 +428,8 @@ export const toggleRead = async (msg) => {
 
   // Invalidate in-memory folder cache so stale flags don't survive into
   // the next loadMessages() cycle triggered by a WebSocket sync refresh.
-  const account = Local.get('email') || 'default';
+  // In the unified views the message may be another signed-in account's.
+  const account = messageAccount(msg);
   mailboxStore.actions.invalidateFolderInMemCache?.(account, msg.folder);
 
   const apiId = getMessageApiId(msg);
@@ -450,6 +459,7 @@ export const toggleRead = async (msg) => {
     isUnread: isUnread,
     flags: msg.flags || [],
     folder: msg.folder,
+    ...accountRequestOptions(account),
   };
 
   if (!isOnline()) {
@@ -461,7 +471,11 @@ export const toggleRead = async (msg) => {
     await Remote.request(
       'MessageUpdate',
       { flags: newFlags, folder: msg.folder },
-      { method: 'PUT', pathOverride: `/v1/messages/${encodeURIComponent(apiId)}` },
+      {
+        method: 'PUT',
+        pathOverride: `/v1/messages/${encodeURIComponent(apiId)}`,
+        ...accountRequestOptions(account),
+      },
     );
   } catch (err) {
     warn('toggleRead failed, queuing for retry', err);
@@ -499,7 +513,7 @@ export const toggleStar = async (msg) => {
 
   // Invalidate in-memory folder cache so stale flags don't survive into
   // the next loadMessages() cycle triggered by a WebSocket sync refresh.
-  const account = Local.get('email') || 'default';
+  const account = messageAccount(msg);
   mailboxStore.actions.invalidateFolderInMemCache?.(account, msg.folder);
 
   const currentSelected = get(mailboxStore.state.selectedMessage);
@@ -539,6 +553,7 @@ export const toggleStar = async (msg) => {
     isStarred: isStarred,
     flags: msg.flags || [],
     folder: msg.folder,
+    ...accountRequestOptions(account),
   };
 
   if (!isOnline()) {
@@ -550,7 +565,11 @@ export const toggleStar = async (msg) => {
     await Remote.request(
       'MessageUpdate',
       { flags: Array.from(newFlags), folder: msg.folder },
-      { method: 'PUT', pathOverride: `/v1/messages/${encodeURIComponent(apiId)}` },
+      {
+        method: 'PUT',
+        pathOverride: `/v1/messages/${encodeURIComponent(apiId)}`,
+        ...accountRequestOptions(account),
+      },
     );
   } catch (err) {
     warn('toggleStar failed, queuing for retry', err);
@@ -926,7 +945,8 @@ export const replyTo = async (msg, options = {}) => {
   // that appeared in To/CC of the original message), NOT the sender's
   // address.  Using the sender's address causes the SMTP API to reject
   // with "From header must be equal to ..." when replying from a
-  // secondary account.
+  // secondary account. This also picks the send-as identity (see
+  // getUserEmails), which Compose then selects in its From picker.
   const selfEmails = getUserEmails();
   const toList = extractAddressList(msg, 'to');
   const ccList = extractAddressList(msg, 'cc');
@@ -952,6 +972,9 @@ export const replyTo = async (msg, options = {}) => {
     to: targets.to,
     cc: targets.cc,
     date: msg?.date || msg?.dateMs,
+    // Fill template placeholders such as {{first_name}} (utils/templates.ts).
+    originalFrom: msg?.from || '',
+    originalSubject: msg?.subject || '',
     html: '<p><br></p>', // Start with empty paragraph for cursor position
     bodyLoading: true, // Signal that body is loading
     inReplyTo,
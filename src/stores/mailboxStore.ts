@@ -67,6 +67,17 @@ import { warn } from '../utils/logger.ts';
 import { folderMessageCache } from './folder-message-cache';
 import { isOnline } from '../utils/network-status';
 import { getAuthHeader } from '../utils/auth';
+import {
+  accountRequestOptions,
+  isOtherAccountMessage,
+  isUnifiedFolder,
+  loadUnifiedMessages,
+  messageAccount,
+  refreshOtherInboxes,
+  signedInAccounts,
+  specialFolderForAccount,
+  unifiedViewOf,
+} from '../utils/unified-mailbox';
 import { noteLightweightListResponse, lightweightListSupported } from '../utils/api-capabilities';
 import {
   isValidDexieKeyFallback,
@@ -91,6 +102,7 @@ import {
   createPendingFlagTracker,
   createPendingInsertTracker,
 } from './optimistic-trackers';
+import type { Message } from '../types';
 
 // Folders that are always protected from rename/delete
 const ALWAYS_PROTECTED = new Set(['INBOX', 'OUTBOX']);
@@ -109,6 +121,8 @@ const folderLoadState = new Map();
 // full newest head.
 const MAX_LIVE_MESSAGES = 1000;
 
+type BulkResult = { success: number; failed: number; blocked?: boolean };
+
 // Optimistic-update trackers (pending deletes + flag mutations) live in
 // optimistic-trackers.ts so their reconciliation logic can be unit-tested.
 // Instantiated once here, then rebound to the original function names so every
@@ -303,14 +317,28 @@ const createMailboxStore = () => {
     searching.set(true);
     try {
       const folder = get(selectedFolder);
+      const view = unifiedViewOf(folder);
       const results =
-        (await searchStore.actions.search(searchQuery, {
-          folder,
-          crossFolder: false,
-          limit: 200,
-          // Force indexed search across the folder, not just the visible page
-          candidates: [],
-        })) || [];
+        (await searchStore.actions.search(
+          searchQuery,
+          view
+            ? {
+                // A unified view searches every signed-in account's index;
+                // the list keeps the hits that belong in the view.
+                accounts: signedInAccounts(),
+                folder: view === 'inbox' ? 'INBOX' : null,
+                crossFolder: view !== 'inbox',
+                limit: 200,
+                candidates: [],
+              }
+            : {
+                folder,
+                crossFolder: false,
+                limit: 200,
+                // Force indexed search across the folder, not just the visible page
+                candidates: [],
+              },
+        )) || [];
 
       if (generation !== searchMessagesGeneration) return;
 
@@ -694,6 +722,59 @@ const createMailboxStore = () => {
     return mapped;
   };
 
+  // A cached row as the message list shows it.
+  const toListMessage = (msg: Message & { Subject?: string; normalizedSubject?: string }) => {
+    const decodedSubject = decodeMimeHeader(msg.subject || msg.Subject || '(No subject)');
+    return {
+      ...msg,
+      subject: decodedSubject,
+      normalizedSubject:
+        msg.normalizedSubject || normalizeSubjectMemoized(decodedSubject || msg.subject || ''),
+      is_starred:
+        msg.is_starred ?? (Array.isArray(msg.flags) ? msg.flags.includes('\\Flagged') : false),
+    };
+  };
+
+  // Unified views read every signed-in account's cached mail (see
+  // unified-mailbox.ts) and never write it back. The other accounts' inboxes
+  // are fetched in the background, after which the view reloads.
+  const loadUnifiedView = async (
+    folder: string,
+    {
+      startIdx,
+      limit,
+      shouldAppend,
+      allowAutoSelect,
+    }: { startIdx: number; limit: number; shouldAppend: boolean; allowAutoSelect: boolean },
+  ) => {
+    const view = unifiedViewOf(folder);
+    if (!view) return;
+    error.set('');
+    try {
+      const result = await loadUnifiedMessages(view, { offset: startIdx, limit });
+      if (get(selectedFolder) !== folder) return;
+      const pageSlice = result.messages.map(toListMessage);
+      const nextMessages = shouldAppend
+        ? mergeMessagePages(get(messages), pageSlice, MAX_LIVE_MESSAGES)
+        : pageSlice;
+      messages.set(applyPendingFlagMutations(filterPendingDeletes(nextMessages)));
+      hasNextPage.set(result.hasNextPage);
+      if (allowAutoSelect && !get(selectedMessage)) {
+        selectedMessage.set(findFirstMessage(nextMessages, 'newest'));
+      }
+    } catch (err) {
+      error.set((err as Error)?.message || 'Failed to load messages');
+    } finally {
+      loading.set(false);
+    }
+    if (shouldAppend || isDemoMode()) return;
+    void refreshOtherInboxes()
+      .then((refreshed) => {
+        if (refreshed.length && get(selectedFolder) === folder) void loadMessages();
+      })
+      .catch(() => {});
+  };
+
   const loadMessages = async () => {
     const account = Local.get('email') || 'default';
     const folder = get(selectedFolder);
@@ -728,6 +809,12 @@ const createMailboxStore = () => {
       attachmentsOnly: get(hasAttachmentsOnly),
     });
 
+    if (isUnifiedFolder(folder)) {
+      tracer.end({ status: 'unified' });
+      await loadUnifiedView(folder, { startIdx, limit, shouldAppend, allowAutoSelect });
+      return;
+    }
+
     error.set('');
     refreshReplyTargets({ account }).catch(() => {});
 
@@ -776,19 +863,7 @@ const createMailboxStore = () => {
           const sorted = sortMessages(cached, currentSort);
           pageSlice = sorted.slice(startIdx, startIdx + limit);
         }
-        cachedPage = pageSlice.map((msg) => {
-          const decodedSubject = decodeMimeHeader(msg.subject || msg.Subject || '(No subject)');
-          return {
-            ...msg,
-            subject: decodedSubject,
-            normalizedSubject:
-              msg.normalizedSubject ||
-              normalizeSubjectMemoized(decodedSubject || msg.subject || ''),
-            is_starred:
-              msg.is_starred ??
-              (Array.isArray(msg.flags) ? msg.flags.includes('\\Flagged') : false),
-          };
-        });
+        cachedPage = pageSlice.map(toListMessage);
         tracer.stage('cache_read_end', { count: cachedPage.length });
         if (cachedPage.length) {
           const activeNow = Local.get('email') || 'default';
@@ -1375,6 +1450,11 @@ const createMailboxStore = () => {
     // accurate for shared-inbox scenarios where another client changes flags.
     updateFolderUnreadCounts();
 
+    // A unified view draws on every folder's mail, this account's included.
+    if (isUnifiedFolder(get(selectedFolder))) {
+      scheduleSyncRefresh(get(selectedFolder), account);
+      return;
+    }
     if (get(selectedFolder)?.toUpperCase() !== data.folder?.toUpperCase()) return;
     // Refresh the message list to catch deletions/moves
     // that may have happened on server or in another session
@@ -1547,9 +1627,32 @@ const createMailboxStore = () => {
     selectedMessage.set(msg || null);
   };
 
+  // The unified views list other signed-in accounts' messages too. Bulk
+  // actions take those one at a time, each under its own account.
+  const eachOtherAccountMessage = async (
+    list: Message[],
+    action: (msg: Message) => Promise<unknown>,
+  ) => {
+    let success = 0;
+    let failed = 0;
+    for (const msg of list) {
+      try {
+        const res = (await action(msg)) as { success?: boolean } | undefined;
+        if (res?.success === false) failed += 1;
+        else success += 1;
+      } catch (err) {
+        warn('[mailboxStore] action on another account failed', err);
+        failed += 1;
+      }
+    }
+    return { success, failed };
+  };
+
   const archiveMessage = async (msg) => {
     if (!msg?.id) return;
-    const target = getArchiveFolderPath();
+    const target = isOtherAccountMessage(msg)
+      ? await specialFolderForAccount(messageAccount(msg), 'archive')
+      : getArchiveFolderPath();
     if (!target) return;
     return moveMessage(msg, target, { stayInFolder: true, demoAction: 'Archive' });
   };
@@ -1557,7 +1660,9 @@ const createMailboxStore = () => {
   const deleteMessage = async (msg, { permanent = false } = {}) => {
     if (!msg?.id) return;
 
-    const trashPath = getTrashFolderPath();
+    const trashPath = isOtherAccountMessage(msg)
+      ? await specialFolderForAccount(messageAccount(msg), 'trash')
+      : getTrashFolderPath();
     const msgFolder = (msg.folder || '').toUpperCase();
     const trashUpper = (trashPath || '').toUpperCase();
     const isInTrash =
@@ -1590,7 +1695,7 @@ const createMailboxStore = () => {
       }
     }
 
-    const account = Local.get('email') || 'default';
+    const account = messageAccount(msg);
     const recordId = msg.id;
 
     const originalSelected = get(selectedMessage);
@@ -1635,6 +1740,7 @@ const createMailboxStore = () => {
       permanent,
       sourceFolder: msg.folder,
       snapshot: snapshot || null,
+      ...accountRequestOptions(account),
     };
 
     if (!isOnline()) {
@@ -1645,7 +1751,11 @@ const createMailboxStore = () => {
     try {
       let path = `/v1/messages/${encodeURIComponent(apiId)}`;
       if (permanent) path += '?permanent=1';
-      await Remote.request('MessageDelete', {}, { method: 'DELETE', pathOverride: path });
+      await Remote.request(
+        'MessageDelete',
+        {},
+        { method: 'DELETE', pathOverride: path, ...accountRequestOptions(account) },
+      );
     } catch (err) {
       // 404 means the message is already gone server-side — treat as success
       const is404 = err?.status === 404 || /not (found|exist)/i.test(err?.message || '');
@@ -1664,6 +1774,18 @@ const createMailboxStore = () => {
   const bulkDeleteMessages = async (messagesToDelete, { permanent = false } = {}) => {
     if (!messagesToDelete?.length) return { success: 0, failed: 0 };
 
+    const otherAccounts = messagesToDelete.filter(isOtherAccountMessage);
+    if (otherAccounts.length) {
+      const own: BulkResult = await bulkDeleteMessages(
+        messagesToDelete.filter((msg: Message) => !isOtherAccountMessage(msg)),
+        { permanent },
+      );
+      const others = await eachOtherAccountMessage(otherAccounts, (msg) =>
+        deleteMessage(msg, { permanent }),
+      );
+      return { success: own.success + others.success, failed: own.failed + others.failed };
+    }
+
     const trashPath = getTrashFolderPath();
     const trashUpper = (trashPath || '').toUpperCase();
     const isTrashFolder = (folder) => {
@@ -1863,7 +1985,7 @@ const createMailboxStore = () => {
       }
     }
 
-    const account = Local.get('email') || 'default';
+    const account = messageAccount(msg);
     const recordId = msg.id;
     const result = { success: false };
 
@@ -1943,6 +2065,7 @@ const createMailboxStore = () => {
       subject: msg.subject,
       targetFolder: target,
       sourceFolder: msg.folder,
+      ...accountRequestOptions(account),
     };
 
     if (!isOnline()) {
@@ -1955,7 +2078,11 @@ const createMailboxStore = () => {
       await Remote.request(
         'MessageUpdate',
         { folder: target },
-        { method: 'PUT', pathOverride: `/v1/messages/${encodeURIComponent(apiId)}` },
+        {
+          method: 'PUT',
+          pathOverride: `/v1/messages/${encodeURIComponent(apiId)}`,
+          ...accountRequestOptions(account),
+        },
       );
       result.success = true;
     } catch (err) {
@@ -1987,9 +2114,29 @@ const createMailboxStore = () => {
    * Bulk move messages - optimized for performance
    * Batches UI updates, API calls, DB writes, and search indexing
    */
-  const bulkMoveMessages = async (messagesToMove, target, { demoAction = 'Move' } = {}) => {
+  const bulkMoveMessages = async (
+    messagesToMove,
+    target,
+    { demoAction = 'Move' } = {},
+  ): Promise<BulkResult> => {
     if (!target || !messagesToMove?.length) return { success: 0, failed: 0 };
 
+    const otherAccounts = messagesToMove.filter(isOtherAccountMessage);
+    if (otherAccounts.length) {
+      const own: BulkResult = await bulkMoveMessages(
+        messagesToMove.filter((msg: Message) => !isOtherAccountMessage(msg)),
+        target,
+        { demoAction },
+      );
+      // Archive and Trash are each account's own.
+      const others = await eachOtherAccountMessage(otherAccounts, (msg) => {
+        if (target === getArchiveFolderPath()) return archiveMessage(msg);
+        if (target === getTrashFolderPath()) return deleteMessage(msg);
+        return moveMessage(msg, target, { stayInFolder: true, demoAction });
+      });
+      return { success: own.success + others.success, failed: own.failed + others.failed };
+    }
+
     const account = Local.get('email') || 'default';
     const sentPath = getSentFolderPath();
     const sentUpper = (sentPath || '').toUpperCase();
@@ -2543,6 +2690,8 @@ const createMailboxStore = () => {
   };
 
   const markFolderAsRead = async (folderPath) => {
+    // Unified views are not folders on any server.
+    if (isUnifiedFolder(folderPath)) return;
     const account = Local.get('email') || 'default';
 
     // Demo mode is IndexedDB-free (WebKitGTK stalls IndexedDB under tauri://,
@@ -2699,6 +2848,7 @@ const createMailboxStore = () => {
    * Used for Trash and Spam folders
    */
   const emptyFolder = async (folderPath: string) => {
+    if (isUnifiedFolder(folderPath)) return;
     if (!folderPath) return { success: false, count: 0, error: 'No folder specified' };
 
     const account = Local.get('email') || 'default';
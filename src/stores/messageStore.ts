@@ -4,6 +4,7 @@ import { deferredWritable } from '../utils/deferred-store';
 import { shallowArrayEqual } from '../utils/store-utils.ts';
 import { sortMessages } from '../utils/message-sort.ts';
 import { selectedFolder } from './folderStore';
+import { messageInFolderView } from '../utils/unified-mailbox';
 import {
   query,
   unreadOnly,
@@ -45,6 +46,17 @@ export function markMessageAnsweredInStore(messageId: string | null | undefined)
   );
 }
 
+/**
+ * Sent messages that got no reply in time (see follow-ups.ts). They stay in
+ * their Sent folder; INBOX lists them on top as local entries until opened.
+ */
+export const resurfacedMessages: Writable<Message[]> = writable([]);
+
+export function isResurfaced(m: Message | null | undefined, list: Message[]): boolean {
+  if (!m || !list.length) return false;
+  return list.some((r) => r.id === m.id && r.folder === m.folder);
+}
+
 export const selectedMessage: Writable<Message | null> = writable(null);
 export const searchResults: Writable<Message[]> = writable([]);
 export const searchActive: Writable<boolean> = writable(false);
@@ -56,6 +68,13 @@ export const messageBody: Writable<string> = writable('');
 export const attachments: Writable<Attachment[]> = writable([]);
 export const messageLoading: Writable<boolean> = writable(false);
 
+/** The resurfaced messages the list on screen pins: INBOX only, outside search. */
+export const pinnedResurfaced: Readable<Message[]> = derived(
+  [resurfacedMessages, selectedFolder, searchActive],
+  ([$resurfaced, $selectedFolder, $searchActive]) =>
+    !$searchActive && String($selectedFolder || '').toUpperCase() === 'INBOX' ? $resurfaced : [],
+);
+
 let lastFilteredMessages: Message[] = [];
 
 export const filteredMessages: Readable<Message[]> = derived(
@@ -70,6 +89,7 @@ export const filteredMessages: Readable<Message[]> = derived(
     starredOnly,
     searchActive,
     sortOrder,
+    pinnedResurfaced,
   ],
   ([
     $messages,
@@ -82,14 +102,15 @@ export const filteredMessages: Readable<Message[]> = derived(
     $starredOnly,
     $searchActive,
     $sortOrder,
+    $pinnedResurfaced,
   ]) => {
-    const selectedUpper = $selectedFolder?.toUpperCase();
+    // messageInFolderView also answers for the unified views' virtual folders.
     const base = $searchActive
       ? ($searchResults || []).filter(
-          (m) => !$selectedFolder || m.folder?.toUpperCase() === selectedUpper,
+          (m) => !$selectedFolder || messageInFolderView(m, $selectedFolder),
         )
-      : ($messages || []).filter((m) => m.folder?.toUpperCase() === selectedUpper);
-    let list = base;
+      : ($messages || []).filter((m) => messageInFolderView(m, $selectedFolder));
+    let list = [...$pinnedResurfaced.filter((r) => !isResurfaced(r, base)), ...base];
     if ($unreadOnly) list = list.filter((m) => m.is_unread);
     if ($hasAttachmentsOnly) list = list.filter((m) => m.has_attachment);
     if ($filterByLabel && $filterByLabel.length > 0) {
@@ -111,7 +132,13 @@ export const filteredMessages: Readable<Message[]> = derived(
           m.snippet?.toLowerCase().includes(q),
       );
     }
-    const sorted = sortMessages(list, $sortOrder) as Message[];
+    let sorted = sortMessages(list, $sortOrder) as Message[];
+    if (sorted.some((m) => isResurfaced(m, $pinnedResurfaced))) {
+      sorted = [
+        ...sorted.filter((m) => isResurfaced(m, $pinnedResurfaced)),
+        ...sorted.filter((m) => !isResurfaced(m, $pinnedResurfaced)),
+      ];
+    }
 
     if (shallowArrayEqual(sorted, lastFilteredMessages)) {
       return lastFilteredMessages;
@@ -15,6 +15,7 @@ import { isDemoMode } from '../utils/demo-mode';
 import type { Message, SearchStats, SearchResult } from '../types';
 import { warn } from '../utils/logger.ts';
 import { buildServerSearchParams, mergeResults } from './search-helpers';
+import { sortMessages } from '../utils/message-sort';
 
 export interface SearchHealth {
   healthy: boolean;
@@ -37,6 +38,8 @@ export interface SearchOptions {
   crossFolder?: boolean;
   limit?: number;
   candidates?: Message[];
+  /** Search these signed-in accounts together (the unified views). */
+  accounts?: string[];
 }
 
 export interface RebuildOptions {
@@ -384,15 +387,71 @@ const serverSearch = async (
   }
 };
 
-const search = async (
+/**
+ * Search the local indexes of several accounts at once. The worker runs each
+ * account's search and merges the hits newest first; without it, the cached
+ * rows are filtered here. Server search answers for the active account only,
+ * so it is left out.
+ */
+const searchAccounts = async (
   q: string,
-  { folder = null, crossFolder = false, limit = 200, candidates = [] }: SearchOptions = {},
+  accounts: string[],
+  { folder, crossFolder, limit }: { folder: string | null; crossFolder: boolean; limit: number },
+): Promise<SearchResult[]> => {
+  if (workerClient) {
+    try {
+      const res = await workerClient.search({
+        accounts,
+        query: q,
+        folder,
+        crossFolder,
+        limit,
+        includeBody: get(includeBody),
+      });
+      return res?.results || [];
+    } catch (err) {
+      warn('[searchStore] multi-account search failed in the worker', err);
+    }
+  }
+
+  const { text, filters, ast } = parseSearchQuery(q || '');
+  const needle = text.toLowerCase();
+  const perAccount = await Promise.all(
+    accounts.map((account) =>
+      crossFolder || !folder
+        ? db.messages.where('account').equals(account).toArray()
+        : db.messages.where('[account+folder]').equals([account, folder]).toArray(),
+    ),
+  );
+  const rows: Message[] = perAccount.flat();
+  const matched = rows.filter(
+    (msg) =>
+      !needle ||
+      [msg.subject, msg.from, msg.snippet].some((field) =>
+        String(field || '')
+          .toLowerCase()
+          .includes(needle),
+      ),
+  );
+  const filtered = applySearchFilters(matched, { ...filters, folder, ast });
+  return sortMessages(filtered, 'newest').slice(0, limit) as SearchResult[];
+};
+
+// The search itself, without the query/results stores. `onStats` receives
+// the worker's index stats when it answers.
+const runSearch = async (
+  q: string,
+  {
+    folder = null,
+    crossFolder = false,
+    limit = 200,
+    candidates = [],
+    accounts = [],
+  }: SearchOptions,
+  onStats?: (value: SearchStats) => void,
 ): Promise<SearchResult[]> => {
-  const generation = ++searchGeneration;
-  await ensureInitialized();
   const parsed = parseSearchQuery(q || '');
   const { text, filters, ast } = parsed;
-  query.set(q || '');
 
   const hasFilters =
     Boolean(text) ||
@@ -408,14 +467,19 @@ const search = async (
     filters.after ||
     ast;
 
-  if (!hasFilters) {
-    if (generation === searchGeneration) results.set([]);
-    return [];
-  }
+  if (!hasFilters) return [];
 
   const effectiveFolder = filters.folder || folder;
   const useCrossFolder = crossFolder || filters.scope === 'all' || effectiveFolder === 'all';
 
+  if (accounts.length > 1) {
+    return searchAccounts(q, accounts, {
+      folder: effectiveFolder,
+      crossFolder: useCrossFolder,
+      limit,
+    });
+  }
+
   // ── Run local and server search in parallel ───────────────────────
   // Local search provides instant results from the FlexSearch index.
   // Server search provides comprehensive results including message
@@ -441,7 +505,7 @@ const search = async (
         candidateIds,
         includeBody: get(includeBody),
       });
-      if (res?.stats) stats.set(res.stats);
+      if (res?.stats) onStats?.(res.stats);
       localHits = res?.results || [];
     } catch {
       workerSearchFailed = true;
@@ -507,9 +571,6 @@ const search = async (
   // Wait for server results (best-effort — already running in parallel)
   const serverHits = await serverPromise;
 
-  // A newer search has started — discard these results.
-  if (generation !== searchGeneration) return [];
-
   // Merge local + server results, then apply client-side filters
   const merged = mergeResults(localHits, serverHits);
 
@@ -541,8 +602,29 @@ const search = async (
     }
   }
 
-  results.set(filtered || []);
-  return filtered;
+  return filtered || [];
+};
+
+/** Run a search and publish it as the visible query and results. */
+const search = async (q: string, options: SearchOptions = {}): Promise<SearchResult[]> => {
+  const generation = ++searchGeneration;
+  await ensureInitialized();
+  query.set(q || '');
+  const hits = await runSearch(q, options, (value) => stats.set(value));
+  // A newer search has started — discard these results.
+  if (generation !== searchGeneration) return [];
+  results.set(hits);
+  return hits;
+};
+
+/**
+ * Run a search for a caller of its own (exports, background jobs) without
+ * touching the visible query and results, and without being superseded by
+ * the next search the user types.
+ */
+const findMessages = async (q: string, options: SearchOptions = {}): Promise<SearchResult[]> => {
+  await ensureInitialized();
+  return runSearch(q, options);
 };
 
 const rebuildFromCache = async (options: RebuildOptions = {}): Promise<{ count: number }> => {
@@ -704,6 +786,7 @@ export const searchStore = {
     indexMessages,
     removeFromIndex,
     search,
+    findMessages,
     rebuildFromCache,
     syncMissingMessages,
     saveSearch,
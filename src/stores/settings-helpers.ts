@@ -19,6 +19,16 @@ export interface RemoteSettings {
   aliases: {
     defaults: Record<string, unknown>;
   };
+  /** Client-side mail rules (see utils/mail-rules.ts); null when unset. */
+  mail_rules: unknown[] | null;
+  /** Out-of-office settings (see utils/vacation-responder.ts); null when unset. */
+  vacation_responder: Record<string, unknown> | null;
+  /** Send-as identities (see utils/identities.ts); null when unset. */
+  identities: unknown[] | null;
+  /** Message templates (see utils/templates.ts); null when unset. */
+  templates: unknown[] | null;
+  /** Which new mail notifies (see utils/notification-policy.ts); null when unset. */
+  notification_policy: Record<string, unknown> | null;
   [key: string]: unknown;
 }
 
@@ -43,6 +53,11 @@ export interface AccountResponse {
     };
     labels?: Label[];
     label_settings?: Record<string, LabelSettingValue>;
+    mail_rules?: unknown[] | null;
+    vacation_responder?: Record<string, unknown> | null;
+    identities?: unknown[] | null;
+    templates?: unknown[] | null;
+    notification_policy?: Record<string, unknown> | null;
   };
   label_settings?: Record<string, LabelSettingValue>;
   mail_archive_folder?: string | null;
@@ -64,6 +79,11 @@ export interface SettingsChanges {
   aliases?: {
     defaults?: Record<string, unknown>;
   };
+  mail_rules?: unknown[] | null;
+  vacation_responder?: Record<string, unknown> | null;
+  identities?: unknown[] | null;
+  templates?: unknown[] | null;
+  notification_policy?: Record<string, unknown> | null;
   [key: string]: unknown;
 }
 
@@ -82,6 +102,11 @@ export const DEFAULT_REMOTE_SETTINGS: RemoteSettings = {
   aliases: {
     defaults: {},
   },
+  mail_rules: null,
+  vacation_responder: null,
+  identities: null,
+  templates: null,
+  notification_policy: null,
 };
 
 const VALID_TASKS_SORT: TasksSortKey[] = ['due', 'title', 'created'];
@@ -161,6 +186,17 @@ export function extractSettingsFromAccount(response: AccountResponse = {}): Remo
     aliases: {
       defaults: aliases.defaults ?? DEFAULT_REMOTE_SETTINGS.aliases.defaults,
     },
+    mail_rules: Array.isArray(settings.mail_rules) ? settings.mail_rules : null,
+    vacation_responder:
+      settings.vacation_responder && typeof settings.vacation_responder === 'object'
+        ? settings.vacation_responder
+        : null,
+    identities: Array.isArray(settings.identities) ? settings.identities : null,
+    templates: Array.isArray(settings.templates) ? settings.templates : null,
+    notification_policy:
+      settings.notification_policy && typeof settings.notification_policy === 'object'
+        ? settings.notification_policy
+        : null,
   };
 }
 
@@ -204,6 +240,26 @@ export function buildAccountUpdatePayload(changes: SettingsChanges = {}): {
     };
   }
 
+  if (changes.mail_rules !== undefined) {
+    payload.settings.mail_rules = changes.mail_rules;
+  }
+
+  if (changes.vacation_responder !== undefined) {
+    payload.settings.vacation_responder = changes.vacation_responder;
+  }
+
+  if (changes.identities !== undefined) {
+    payload.settings.identities = changes.identities;
+  }
+
+  if (changes.templates !== undefined) {
+    payload.settings.templates = changes.templates;
+  }
+
+  if (changes.notification_policy !== undefined) {
+    payload.settings.notification_policy = changes.notification_policy;
+  }
+
   return Object.keys(payload.settings).length ? payload : {};
 }
 
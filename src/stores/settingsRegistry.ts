@@ -268,6 +268,80 @@ export const SETTINGS_REGISTRY: Record<string, SettingDefinition> = {
     accountScoped: true,
     localFallbackOnDefault: true,
   },
+  // Client-side filters run on incoming mail (see utils/mail-rules.ts). Saved
+  // with the account so every signed-in device applies the same rules; the
+  // local copy stands in until the server returns the field.
+  mail_rules: {
+    id: 'mail_rules',
+    label: 'Mail Rules',
+    scope: SETTING_SCOPES.ACCOUNT,
+    remotePath: ['mail_rules'],
+    localKey: (account) => `mail_rules_${account}`,
+    valueType: 'json',
+    defaultValue: [],
+    accountScoped: true,
+    localFallbackOnDefault: true,
+    localParse: (raw) => parseJson(raw, []),
+    localSerialize: (value) => serializeJson(Array.isArray(value) ? value : []),
+  },
+  // Out-of-office replies (see utils/vacation-responder.ts). Saved with the
+  // account so a server that can send them takes over; the local copy keeps
+  // the client-side fallback running until the server returns the field.
+  vacation_responder: {
+    id: 'vacation_responder',
+    label: 'Vacation Responder',
+    scope: SETTING_SCOPES.ACCOUNT,
+    remotePath: ['vacation_responder'],
+    localKey: (account) => `vacation_responder_${account}`,
+    valueType: 'json',
+    defaultValue: null,
+    accountScoped: true,
+    localFallbackOnDefault: true,
+    localParse: (raw) => parseJson(raw, null),
+    localSerialize: (value) => serializeJson(value ?? null),
+  },
+  identities: {
+    id: 'identities',
+    label: 'Identities',
+    scope: SETTING_SCOPES.ACCOUNT,
+    remotePath: ['identities'],
+    localKey: (account) => `identities_${account}`,
+    valueType: 'json',
+    defaultValue: null,
+    accountScoped: true,
+    localFallbackOnDefault: true,
+    localParse: (raw) => parseJson(raw, null),
+    localSerialize: (value) => serializeJson(value ?? null),
+  },
+  templates: {
+    id: 'templates',
+    label: 'Templates',
+    scope: SETTING_SCOPES.ACCOUNT,
+    remotePath: ['templates'],
+    localKey: (account) => `templates_${account}`,
+    valueType: 'json',
+    defaultValue: null,
+    accountScoped: true,
+    localFallbackOnDefault: true,
+    localParse: (raw) => parseJson(raw, null),
+    localSerialize: (value) => serializeJson(value ?? null),
+  },
+  // VIP senders, folder/label switches, To:-only mode and quiet hours for
+  // new mail notifications (see utils/notification-policy.ts). Saved with the
+  // account so every device notifies alike.
+  notification_policy: {
+    id: 'notification_policy',
+    label: 'Notification Rules',
+    scope: SETTING_SCOPES.ACCOUNT,
+    remotePath: ['notification_policy'],
+    localKey: (account) => `notification_policy_${account}`,
+    valueType: 'json',
+    defaultValue: null,
+    accountScoped: true,
+    localFallbackOnDefault: true,
+    localParse: (raw) => parseJson(raw, null),
+    localSerialize: (value) => serializeJson(value ?? null),
+  },
   font: {
     id: 'font',
     label: 'Font',
@@ -328,6 +402,16 @@ export const SETTINGS_REGISTRY: Record<string, SettingDefinition> = {
     localParse: (raw) => parseBoolean(raw, true),
     localSerialize: (value) => serializeBoolean(Boolean(value)),
   },
+  // Answer to messages asking for a read receipt: 'ask', 'always' or 'never'
+  // (see utils/read-receipts.ts).
+  read_receipt_policy: {
+    id: 'read_receipt_policy',
+    label: 'Read Receipts',
+    scope: SETTING_SCOPES.DEVICE,
+    localKey: 'read_receipt_policy',
+    valueType: 'string',
+    defaultValue: 'ask',
+  },
   view_plain_text: {
     id: 'view_plain_text',
     label: 'View Emails As Plain Text',
@@ -585,6 +585,12 @@ export function applySettings(response: RemoteSettings): RemoteSettings {
     mail: { ...DEFAULT_REMOTE_SETTINGS.mail, ...response.mail },
     labels: response.labels || DEFAULT_REMOTE_SETTINGS.labels,
     aliases: { ...DEFAULT_REMOTE_SETTINGS.aliases, ...response.aliases },
+    mail_rules: response.mail_rules ?? DEFAULT_REMOTE_SETTINGS.mail_rules,
+    vacation_responder: response.vacation_responder ?? DEFAULT_REMOTE_SETTINGS.vacation_responder,
+    identities: response.identities ?? DEFAULT_REMOTE_SETTINGS.identities,
+    templates: response.templates ?? DEFAULT_REMOTE_SETTINGS.templates,
+    notification_policy:
+      response.notification_policy ?? DEFAULT_REMOTE_SETTINGS.notification_policy,
   };
   remoteSettings.set(merged);
   return merged;
@@ -39,6 +39,7 @@ export function createToastHost(target) {
     if (!message) return null;
     let timeout = 5000;
     let resolvedAction = action;
+    let actions = null;
     if (typeof timeoutOrOptions === 'number') {
       timeout = timeoutOrOptions;
     } else if (timeoutOrOptions && typeof timeoutOrOptions === 'object') {
@@ -50,11 +51,15 @@ export function createToastHost(target) {
       if (!resolvedAction && timeoutOrOptions.action) {
         resolvedAction = timeoutOrOptions.action;
       }
+      // Several buttons, e.g. the snooze lengths of a calendar reminder.
+      if (Array.isArray(timeoutOrOptions.actions)) {
+        actions = timeoutOrOptions.actions;
+      }
     }
     // Always show a single toast at a time.
     dismiss();
     const id = (nextId += 1);
-    items.set([{ id, message, type, action: resolvedAction }]);
+    items.set([{ id, message, type, action: resolvedAction, ...(actions ? { actions } : {}) }]);
     // duration 0 = persistent (no auto-dismiss). 8s minimum so assertions that
     // take a few hundred ms (e.g. navigation + locator resolution) don't race
     // against the auto-dismiss.
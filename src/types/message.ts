@@ -23,6 +23,8 @@ export interface Message {
   is_flagged: boolean;
   is_answered?: boolean;
   has_attachment: boolean;
+  /** RFC822 size in bytes, when the server reports it. */
+  size?: number;
   modseq?: string | null;
   message_id: string;
   root_id?: string | null;
@@ -32,6 +34,11 @@ export interface Message {
   in_reply_to?: string | null;
   references?: string | null;
   labels: string[];
+  /** List-Id of a mailing-list message (list-headers.ts). */
+  list_id?: string;
+  list_name?: string;
+  /** How to leave the list, from List-Unsubscribe and List-Unsubscribe-Post. */
+  list_unsubscribe?: { url: string | null; mailto: string | null; one_click: boolean };
   bodyIndexed: boolean;
   updatedAt: number;
   /** PGP-encrypted message that was successfully decrypted at least once. */
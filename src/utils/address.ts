@@ -57,7 +57,7 @@ export interface MessageWithHeaders {
   [key: string]: unknown;
 }
 
-type AddressInput = string | AddressObject | AddressObject[] | null | undefined;
+export type AddressInput = string | AddressObject | AddressObject[] | null | undefined;
 
 /**
  * Split a comma-separated address string into individual addresses,
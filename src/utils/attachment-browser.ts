@@ -0,0 +1,207 @@
+/**
+ * Attachment-only browsing: every attachment in a folder as one flat list,
+ * filtered by kind, size and sender.
+ *
+ * The list is built from the local cache only (message rows joined with
+ * their cached bodies, which hold the attachment metadata), so it works
+ * offline and costs no requests. Messages flagged has_attachment whose body
+ * has never been fetched are counted so the view can say the list may be
+ * incomplete.
+ *
+ * Size filters take the same expressions as the size: search operator
+ * (parseSize and matchesSize in search-query.js).
+ */
+
+import { db } from './db.js';
+import { matchesSize, parseSize } from './search-query.js';
+import { getMessageApiId } from './sync-helpers';
+import { isDownloadableAttachment } from './attachment-zip';
+import type { Attachment, Message } from '../types';
+
+export type AttachmentCategory =
+  | 'image'
+  | 'pdf'
+  | 'document'
+  | 'spreadsheet'
+  | 'presentation'
+  | 'archive'
+  | 'calendar'
+  | 'email'
+  | 'other';
+
+/** Categories in the order the filter offers them. */
+export const ATTACHMENT_CATEGORIES: AttachmentCategory[] = [
+  'image',
+  'pdf',
+  'document',
+  'spreadsheet',
+  'presentation',
+  'archive',
+  'calendar',
+  'email',
+  'other',
+];
+
+export interface FolderAttachment {
+  attachment: Attachment;
+  message: Message;
+  name: string;
+  size: number;
+  contentType: string;
+  category: AttachmentCategory;
+  from: string;
+  date: number;
+}
+
+export interface AttachmentFilters {
+  category?: AttachmentCategory | '';
+  /** Size expression such as ">1mb" or "<=200kb". */
+  size?: string;
+  /** Substring of the sender's name or address. */
+  sender?: string;
+  /** Substring of the file name or the message subject. */
+  query?: string;
+}
+
+type NamedAttachment = Attachment & { name?: string; type?: string };
+
+const EXTENSION_CATEGORIES: Record<string, AttachmentCategory> = {
+  pdf: 'pdf',
+  doc: 'document',
+  docx: 'document',
+  odt: 'document',
+  rtf: 'document',
+  txt: 'document',
+  md: 'document',
+  pages: 'document',
+  xls: 'spreadsheet',
+  xlsx: 'spreadsheet',
+  ods: 'spreadsheet',
+  csv: 'spreadsheet',
+  tsv: 'spreadsheet',
+  numbers: 'spreadsheet',
+  ppt: 'presentation',
+  pptx: 'presentation',
+  odp: 'presentation',
+  key: 'presentation',
+  zip: 'archive',
+  rar: 'archive',
+  '7z': 'archive',
+  tar: 'archive',
+  gz: 'archive',
+  tgz: 'archive',
+  bz2: 'archive',
+  xz: 'archive',
+  ics: 'calendar',
+  vcs: 'calendar',
+  eml: 'email',
+  msg: 'email',
+};
+
+const TYPE_CATEGORIES: Record<string, AttachmentCategory> = {
+  'application/pdf': 'pdf',
+  'application/msword': 'document',
+  'application/rtf': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.oasis.opendocument.text': 'document',
+  'text/plain': 'document',
+  'application/vnd.ms-excel': 'spreadsheet',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'spreadsheet',
+  'application/vnd.oasis.opendocument.spreadsheet': 'spreadsheet',
+  'text/csv': 'spreadsheet',
+  'application/vnd.ms-powerpoint': 'presentation',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'presentation',
+  'application/vnd.oasis.opendocument.presentation': 'presentation',
+  'application/zip': 'archive',
+  'application/x-zip-compressed': 'archive',
+  'application/x-7z-compressed': 'archive',
+  'application/x-rar-compressed': 'archive',
+  'application/gzip': 'archive',
+  'application/x-tar': 'archive',
+  'text/calendar': 'calendar',
+  'application/ics': 'calendar',
+  'message/rfc822': 'email',
+};
+
+const attachmentName = (att: NamedAttachment): string => att?.name || att?.filename || '';
+
+const attachmentType = (att: NamedAttachment): string =>
+  (att?.contentType || att?.mimeType || att?.type || '').toLowerCase().split(';')[0].trim();
+
+/** Coarse kind of an attachment, from its extension or else its content type. */
+export function attachmentCategory(att: NamedAttachment): AttachmentCategory {
+  const name = attachmentName(att).toLowerCase();
+  const ext = name.includes('.') ? name.split('.').pop() || '' : '';
+  if (EXTENSION_CATEGORIES[ext]) return EXTENSION_CATEGORIES[ext];
+  const type = attachmentType(att);
+  if (type.startsWith('image/')) return 'image';
+  if (/^(jpe?g|png|gif|webp|bmp|heic|heif|svg|tiff?|avif)$/.test(ext)) return 'image';
+  return TYPE_CATEGORIES[type] || 'other';
+}
+
+/**
+ * Every downloadable attachment in a folder, newest message first, and how
+ * many messages with attachments have no cached body to list them from.
+ */
+export async function listFolderAttachments(
+  account: string,
+  folder: string,
+): Promise<{ items: FolderAttachment[]; uncached: number }> {
+  const [messages, bodies] = await Promise.all([
+    db.messages.where('[account+folder]').equals([account, folder]).toArray(),
+    db.messageBodies.where('[account+folder]').equals([account, folder]).toArray(),
+  ]);
+  const bodyById = new Map<string, { attachments?: Attachment[] }>();
+  for (const body of bodies as { id: string; attachments?: Attachment[] }[]) {
+    bodyById.set(String(body.id), body);
+  }
+
+  const items: FolderAttachment[] = [];
+  let uncached = 0;
+  for (const message of messages as Message[]) {
+    const body = bodyById.get(String(getMessageApiId(message)));
+    const attachments = body?.attachments || [];
+    if (!attachments.length) {
+      if (message.has_attachment && !body) uncached += 1;
+      continue;
+    }
+    for (const attachment of attachments as NamedAttachment[]) {
+      if (!isDownloadableAttachment(attachment)) continue;
+      items.push({
+        attachment,
+        message,
+        name: attachmentName(attachment) || 'attachment',
+        size: attachment.size || 0,
+        contentType: attachmentType(attachment),
+        category: attachmentCategory(attachment),
+        from: message.from || '',
+        date: message.date || 0,
+      });
+    }
+  }
+  items.sort((a, b) => b.date - a.date);
+  return { items, uncached };
+}
+
+/** Apply the browser's filters. An unparsable size expression is ignored. */
+export function filterFolderAttachments(
+  items: FolderAttachment[],
+  filters: AttachmentFilters = {},
+): FolderAttachment[] {
+  const size = filters.size?.trim() ? parseSize(filters.size.trim()) : null;
+  const sender = (filters.sender || '').trim().toLowerCase();
+  const query = (filters.query || '').trim().toLowerCase();
+  return items.filter((item) => {
+    if (filters.category && item.category !== filters.category) return false;
+    if (size && !matchesSize(item.size, size)) return false;
+    if (sender && !item.from.toLowerCase().includes(sender)) return false;
+    if (
+      query &&
+      !item.name.toLowerCase().includes(query) &&
+      !(item.message.subject || '').toLowerCase().includes(query)
+    ) {
+      return false;
+    }
+    return true;
+  });
+}
@@ -0,0 +1,304 @@
+/**
+ * In-app attachment previews.
+ *
+ * Decides which viewer an attachment gets and builds the static documents
+ * that the text, CSV, code and Office viewers render. Those documents go into
+ * an iframe with an empty sandbox and a CSP of default-src 'none', so nothing
+ * in a previewed file can run script or reach the network; everything in them
+ * is escaped here first anyway. Images and PDFs are shown from a blob URL by
+ * the browser's own decoders, .eml files are parsed with postal-mime and
+ * rendered through EmailIframe, and .ics files become a CalendarInviteCard.
+ */
+
+import { OFFICE_EXTENSIONS, type OfficePreview } from './office-preview';
+import { sanitizeHtml } from './sanitize.js';
+import { escapeHtml, grammarForExtension, highlightCode } from './syntax-highlight';
+
+export type PreviewKind = 'image' | 'pdf' | 'text' | 'csv' | 'code' | 'eml' | 'ics' | 'office';
+
+interface PreviewableAttachment {
+  name?: string;
+  filename?: string;
+  contentType?: string;
+  mimeType?: string;
+  type?: string;
+}
+
+// SVG is left out on purpose: it can carry script, and the reader has no
+// reason to open it as anything but a download.
+const IMAGE_TYPES = new Set([
+  'image/gif',
+  'image/png',
+  'image/jpeg',
+  'image/jpg',
+  'image/webp',
+  'image/bmp',
+  'image/apng',
+  'image/avif',
+]);
+
+const IMAGE_EXTENSIONS = new Set(['gif', 'png', 'jpeg', 'jpg', 'webp', 'bmp', 'apng', 'avif']);
+
+const TEXT_EXTENSIONS = new Set(['txt', 'text', 'log', 'md', 'markdown', 'rst', 'diff', 'patch']);
+
+const CODE_TYPES: Record<string, string> = {
+  'application/json': 'json',
+  'application/xml': 'markup',
+  'text/xml': 'markup',
+  'text/html': 'markup',
+  'text/css': 'css',
+  'text/javascript': 'clike',
+  'application/javascript': 'clike',
+  'application/x-sh': 'hash',
+  'application/sql': 'sql',
+};
+
+/** Text beyond this many characters is cut from the preview. */
+export const MAX_TEXT_PREVIEW_CHARS = 512 * 1024;
+/** CSV rows beyond this are cut from the preview. */
+export const MAX_CSV_ROWS = 1000;
+
+const extensionOf = (att: PreviewableAttachment): string => {
+  const name = (att?.name || att?.filename || '').toLowerCase();
+  return name.includes('.') ? name.split('.').pop() || '' : '';
+};
+
+const typeOf = (att: PreviewableAttachment): string =>
+  (att?.contentType || att?.mimeType || att?.type || '').toLowerCase().split(';')[0].trim();
+
+export const isPreviewableImage = (att: PreviewableAttachment): boolean =>
+  IMAGE_TYPES.has(typeOf(att)) || IMAGE_EXTENSIONS.has(extensionOf(att));
+
+/**
+ * Which viewer an attachment opens in, or null when it can only be
+ * downloaded. The extension wins over a generic application/octet-stream.
+ */
+export function previewKind(att: PreviewableAttachment): PreviewKind | null {
+  if (!att) return null;
+  const type = typeOf(att);
+  const ext = extensionOf(att);
+  if (isPreviewableImage(att)) return 'image';
+  if (type === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (type === 'message/rfc822' || ext === 'eml') return 'eml';
+  if (type === 'text/calendar' || type === 'application/ics' || ext === 'ics') return 'ics';
+  if (OFFICE_EXTENSIONS.has(ext)) return 'office';
+  if (
+    type === 'text/csv' ||
+    type === 'text/tab-separated-values' ||
+    ext === 'csv' ||
+    ext === 'tsv'
+  ) {
+    return 'csv';
+  }
+  if (grammarForExtension(ext) || CODE_TYPES[type]) return 'code';
+  if (TEXT_EXTENSIONS.has(ext) || type.startsWith('text/')) return 'text';
+  return null;
+}
+
+/** Highlighting grammar for a code attachment (see syntax-highlight.ts). */
+export function codeLanguage(att: PreviewableAttachment): string {
+  return grammarForExtension(extensionOf(att)) || CODE_TYPES[typeOf(att)] || 'clike';
+}
+
+/** Tab for tab-separated files; otherwise parseCsv detects the delimiter. */
+export function csvDelimiter(att: PreviewableAttachment): string | undefined {
+  return extensionOf(att) === 'tsv' || typeOf(att) === 'text/tab-separated-values'
+    ? '\t'
+    : undefined;
+}
+
+// ── CSV ─────────────────────────────────────────────────────────────
+
+/**
+ * Parse delimited text (RFC 4180 quoting). Without an explicit delimiter it is
+ * whichever of comma and semicolon appears more often in the first line, since
+ * spreadsheet exports in many locales use semicolons.
+ */
+export function parseCsv(
+  text: string,
+  { delimiter, maxRows = MAX_CSV_ROWS }: { delimiter?: string; maxRows?: number } = {},
+): { rows: string[][]; truncated: boolean } {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split('\n', 1)[0];
+  const sep = delimiter || (firstLine.split(';').length > firstLine.split(',').length ? ';' : ',');
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') quoted = true;
+    else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      if (rows.length >= maxRows) return { rows, truncated: i + 1 < source.length };
+    } else field += ch;
+    i++;
+  }
+  if (field || row.length) endRow();
+  return { rows, truncated: false };
+}
+
+// ── Documents ───────────────────────────────────────────────────────
+
+const table = (rows: string[][], header: boolean) => {
+  const width = Math.max(0, ...rows.map((r) => r.length));
+  const cells = (r: string[], tag: string) =>
+    Array.from({ length: width }, (_, i) => `<${tag}>${escapeHtml(r[i] || '')}</${tag}>`).join('');
+  const [first, ...rest] = rows;
+  const head = header && first ? `<thead><tr>${cells(first, 'th')}</tr></thead>` : '';
+  const body = (header ? rest : rows).map((r) => `<tr>${cells(r, 'td')}</tr>`).join('');
+  return `<table>${head}<tbody>${body}</tbody></table>`;
+};
+
+const notice = (text: string) => `<p class="notice">${escapeHtml(text)}</p>`;
+
+/** Body markup for a text, code or CSV preview. */
+export function renderTextPreview(
+  text: string,
+  kind: 'text' | 'code' | 'csv',
+  { language = 'clike', delimiter }: { language?: string; delimiter?: string } = {},
+): string {
+  const cut = text.length > MAX_TEXT_PREVIEW_CHARS;
+  const shown = cut ? text.slice(0, MAX_TEXT_PREVIEW_CHARS) : text;
+  const cutNotice = cut ? notice('Preview truncated. Download the file to see all of it.') : '';
+
+  if (kind === 'csv') {
+    const { rows, truncated } = parseCsv(shown, { delimiter });
+    const more = truncated && !cut ? notice(`Showing the first ${rows.length} rows.`) : '';
+    return `${table(rows, true)}${more}${cutNotice}`;
+  }
+  const body = kind === 'code' ? highlightCode(shown, language) : escapeHtml(shown);
+  return `<pre class="${kind}">${body}</pre>${cutNotice}`;
+}
+
+/** Body markup for an Office document preview. */
+export function renderOfficePreview(preview: OfficePreview): string {
+  if (preview.kind === 'document') {
+    return `<article>${preview.paragraphs.map((p) => `<p>${escapeHtml(p) || '&nbsp;'}</p>`).join('')}</article>`;
+  }
+  if (preview.kind === 'slides') {
+    return preview.slides
+      .map(
+        (slide, i) =>
+          `<section class="slide"><h2>Slide ${i + 1}</h2>${slide.map((p) => `<p>${escapeHtml(p)}</p>`).join('')}</section>`,
+      )
+      .join('');
+  }
+  return preview.sheets
+    .map(
+      (sheet) =>
+        `<section><h2>${escapeHtml(sheet.name)}</h2>${sheet.rows.length ? table(sheet.rows, false) : notice('Empty sheet')}</section>`,
+    )
+    .join('');
+}
+
+// ── Attached messages ───────────────────────────────────────────────
+
+export interface EmlPreview {
+  subject: string;
+  from: string;
+  to: string;
+  cc: string;
+  date: string;
+  /** Sanitized HTML body with remote images blocked, or '' for text-only mail. */
+  html: string;
+  text: string;
+  attachments: { filename: string; size: number }[];
+}
+
+type ParsedAddress = { name?: string; address?: string; group?: ParsedAddress[] };
+
+const formatAddresses = (list?: ParsedAddress | ParsedAddress[]): string =>
+  (Array.isArray(list) ? list : list ? [list] : [])
+    .flatMap((a) => (a.group ? a.group : [a]))
+    .map((a) => (a.name && a.address ? `${a.name} <${a.address}>` : a.address || a.name || ''))
+    .filter(Boolean)
+    .join(', ');
+
+/** Parse an attached message (.eml / message/rfc822) for the nested viewer. */
+export async function parseEmlPreview(data: ArrayBuffer): Promise<EmlPreview | null> {
+  try {
+    const { default: PostalMime } = await import('postal-mime');
+    const email = await new PostalMime().parse(data);
+    return {
+      subject: email.subject || '',
+      from: formatAddresses(email.from as ParsedAddress),
+      to: formatAddresses(email.to as ParsedAddress[]),
+      cc: formatAddresses(email.cc as ParsedAddress[]),
+      date: email.date || '',
+      html: email.html ? sanitizeHtml(email.html, { blockRemoteImages: true }).html : '',
+      text: email.text || '',
+      attachments: (email.attachments || []).map((att) => ({
+        filename: att.filename || 'attachment',
+        size: typeof att.content === 'string' ? att.content.length : att.content?.byteLength || 0,
+      })),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wrap preview markup in a standalone document for a sandboxed iframe. The
+ * CSP allows inline styles and nothing else.
+ */
+export function buildPreviewDocument(body: string, isDarkMode = false): string {
+  return `<!DOCTYPE html>
+<html class="${isDarkMode ? 'dark' : 'light'}">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline';">
+  <style>
+    :root { color-scheme: light; --fg: #1f2937; --muted: #6b7280; --line: #e5e7eb; --head: #f3f4f6;
+      --kw: #7c3aed; --str: #047857; --num: #b45309; --com: #6b7280; }
+    .dark { color-scheme: dark; --fg: #e5e7eb; --muted: #9ca3af; --line: #374151; --head: #1f2937;
+      --kw: #c4b5fd; --str: #6ee7b7; --num: #fcd34d; --com: #9ca3af; }
+    html, body { margin: 0; background: transparent; color: var(--fg);
+      font: 14px/1.5 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+    body { padding: 12px 16px; }
+    pre { margin: 0; white-space: pre-wrap; word-break: break-word; tab-size: 4;
+      font: 13px/1.5 ui-monospace, 'JetBrains Mono Variable', Menlo, Consolas, monospace; }
+    pre.text { font-family: inherit; font-size: 14px; }
+    table { border-collapse: collapse; font-size: 13px; }
+    th, td { border: 1px solid var(--line); padding: 4px 8px; text-align: left; vertical-align: top;
+      white-space: pre-wrap; }
+    th { background: var(--head); position: sticky; top: 0; }
+    h2 { font-size: 13px; color: var(--muted); margin: 16px 0 8px; }
+    section:first-child h2 { margin-top: 0; }
+    .slide { border: 1px solid var(--line); border-radius: 6px; padding: 8px 16px; margin-bottom: 12px; }
+    .slide h2 { margin-top: 8px; }
+    article p { margin: 0 0 8px; }
+    .notice { color: var(--muted); font-size: 12px; margin-top: 12px; }
+    .tok-keyword { color: var(--kw); }
+    .tok-string { color: var(--str); }
+    .tok-number { color: var(--num); }
+    .tok-comment { color: var(--com); font-style: italic; }
+  </style>
+</head>
+<body>${body}</body>
+</html>`;
+}
@@ -0,0 +1,111 @@
+/**
+ * "Download all attachments": packs the attachments of a message, a
+ * conversation or a multi-selection into one ZIP and saves it through
+ * download.ts (native save dialog on desktop, blob link on the web).
+ *
+ * Each file is loaded through mailService.loadAttachmentBlob, so cached blobs
+ * and cached bodies are used before the network, same as a single download.
+ */
+
+import { mailService } from '../stores/mailService';
+import { downloadFile } from './download';
+import { createZip, uniqueZipName, type ZipFile } from './zip-builder';
+import type { Attachment, Message } from '../types';
+
+export interface AttachmentRef {
+  attachment: Attachment;
+  message: Message;
+}
+
+type ListedAttachment = {
+  name?: string;
+  filename?: string;
+  size?: number;
+  contentId?: string;
+  contentType?: string;
+  mimeType?: string;
+  type?: string;
+  disposition?: string;
+};
+
+/**
+ * Whether an attachment is listed for download at all. Only purely inline
+ * decorations (e.g. signature logos) are left out: they must have a CID, be an
+ * image, AND have inline disposition explicitly set. Everything else,
+ * including images without a disposition, is a file the user can take.
+ */
+export function isDownloadableAttachment(att: ListedAttachment): boolean {
+  if (!att) return false;
+  if (!att.contentId) return true;
+  const type = (att.contentType || att.mimeType || att.type || '').toLowerCase();
+  if (!type.startsWith('image/')) return true;
+  return (att.disposition || '').toLowerCase() !== 'inline';
+}
+
+/**
+ * Identity of a file across the messages of a thread. Forwarded and quoted
+ * messages often carry the same file as the one they quote.
+ */
+export const attachmentKey = (att: ListedAttachment): string =>
+  att.contentId || `${att.name || att.filename}:${att.size || ''}`;
+
+/** Archive name for a download: the subject (or other label) as a file name. */
+export function zipArchiveName(label?: string): string {
+  const base = uniqueZipName(String(label || '').slice(0, 80), new Set())
+    .replace(/\.zip$/i, '')
+    .trim();
+  return `${base && base !== 'attachment' ? base : 'attachments'}.zip`;
+}
+
+/**
+ * Attachment refs for messages that may not be open, in message order with
+ * repeats of the same file dropped.
+ */
+export async function collectAttachments(messages: Message[]): Promise<AttachmentRef[]> {
+  const refs: AttachmentRef[] = [];
+  const seen = new Set<string>();
+  for (const message of messages || []) {
+    const list = await mailService.listAttachments(message);
+    for (const attachment of list) {
+      if (!isDownloadableAttachment(attachment as ListedAttachment)) continue;
+      const key = attachmentKey(attachment as ListedAttachment);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      refs.push({ attachment, message });
+    }
+  }
+  return refs;
+}
+
+/**
+ * Load every referenced attachment and save them as one ZIP. Files that
+ * cannot be loaded are skipped and counted; nothing is saved when none load.
+ */
+export async function downloadAttachmentsZip(
+  refs: AttachmentRef[],
+  archiveName: string,
+): Promise<{ added: number; failed: number }> {
+  const files: ZipFile[] = [];
+  const taken = new Set<string>();
+  let failed = 0;
+  for (const { attachment, message } of refs) {
+    try {
+      const blob = await mailService.loadAttachmentBlob(attachment, message);
+      if (!blob) {
+        failed += 1;
+        continue;
+      }
+      const name = (attachment as ListedAttachment).name || attachment.filename || 'attachment';
+      const sent = message?.date ? new Date(message.date as string | number) : null;
+      files.push({
+        name: uniqueZipName(name, taken),
+        data: new Uint8Array(await blob.arrayBuffer()),
+        date: sent && !Number.isNaN(sent.getTime()) ? sent : undefined,
+      });
+    } catch {
+      failed += 1;
+    }
+  }
+  if (files.length) downloadFile(createZip(files), archiveName, 'application/zip');
+  return { added: files.length, failed };
+}
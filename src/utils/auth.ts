@@ -1,4 +1,4 @@
-import { Local } from './storage.js';
+import { Accounts, Local } from './storage.js';
 
 export interface AuthOptions {
   allowApiKey?: boolean;
@@ -54,3 +54,34 @@ export const getAuthHeader = ({
   if (required) throw new Error('Authorization required. Please sign in again.');
   return '';
 };
+
+/**
+ * Authorization header for a signed-in account, active or not. The active
+ * account reads the live credentials like getAuthHeader; any other account
+ * uses what Accounts stored for it at sign-in, so the unified views can act
+ * on its mail without switching to it.
+ */
+export const getAccountAuthHeader = (
+  account: string | null | undefined,
+  { allowApiKey = false, required = false }: AuthOptions = {},
+): string => {
+  if (!account || account === Local.get('email')) {
+    return getAuthHeader({ allowApiKey, required });
+  }
+  const stored = (
+    Accounts.getAll() as Array<{
+      email?: string;
+      aliasAuth?: string;
+      apiKey?: string;
+    }>
+  ).find((entry) => entry.email === account);
+  if (stored && isValidCredential(stored.aliasAuth, true)) {
+    return buildAliasAuthHeader(stored.aliasAuth, { required });
+  }
+  if (allowApiKey && stored && isValidCredential(stored.apiKey)) {
+    const header = buildApiKeyAuthHeader(stored.apiKey);
+    if (header) return header;
+  }
+  if (required) throw new Error(`Authorization required for ${account}. Please sign in again.`);
+  return '';
+};
@@ -0,0 +1,180 @@
+/**
+ * VALARM reading and writing for events and tasks.
+ *
+ * An item can carry several reminders: relative ones ("1 day before",
+ * "15 minutes before", TRIGGER:-P1D / TRIGGER:-PT15M) and absolute ones
+ * (TRIGGER;VALUE=DATE-TIME:20261020T090000Z). Calendar.svelte writes them
+ * through buildValarmLines, recurrence.ts does the same for single-instance
+ * overrides, and task-reminders.ts schedules whatever parseReminders finds,
+ * including alarms other CalDAV clients added.
+ */
+
+export interface Reminder {
+  /** Minutes before the anchor: DTSTART for events, DUE for tasks. */
+  minutes: number;
+  /** An absolute trigger, as an ISO instant. `minutes` is ignored when set. */
+  at?: string;
+}
+
+/** The preset chips in the event and task composers. */
+export const REMINDER_PRESETS: { minutes: number; label: string }[] = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 1440, label: '1 day' },
+];
+
+// More alarms than this on one item is a broken feed, not a user choice.
+const MAX_REMINDERS = 10;
+
+const pad = (n: number) => String(n).padStart(2, '0');
+
+const toIcalUtc = (date: Date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T${pad(
+    date.getUTCHours(),
+  )}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/** Drop unusable entries and duplicates; earliest trigger style first. */
+export function normalizeReminders(list: unknown): Reminder[] {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set<string>();
+  const result: Reminder[] = [];
+  for (const entry of list) {
+    if (!entry || typeof entry !== 'object') continue;
+    const { minutes, at } = entry as Record<string, unknown>;
+    let reminder: Reminder | null = null;
+    if (at) {
+      const date = new Date(String(at));
+      if (Number.isFinite(date.getTime())) reminder = { minutes: 0, at: date.toISOString() };
+    } else if (Number.isFinite(Number(minutes)) && Number(minutes) >= 0) {
+      reminder = { minutes: Math.round(Number(minutes)) };
+    }
+    if (!reminder) continue;
+    const key = reminder.at || `-${reminder.minutes}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(reminder);
+  }
+  return result
+    .sort((a, b) => {
+      if (a.at || b.at) return a.at && b.at ? a.at.localeCompare(b.at) : a.at ? 1 : -1;
+      return b.minutes - a.minutes;
+    })
+    .slice(0, MAX_REMINDERS);
+}
+
+// -PT15M, -P1D, -P1DT2H, -P1W, PT0M → minutes before; null for alarms after
+// the anchor, which the composer has no way to show.
+function durationMinutesBefore(value: string): number | null {
+  const match = value.match(
+    /^([-+]?)P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+  );
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const total =
+    Number(weeks || 0) * 10080 +
+    Number(days || 0) * 1440 +
+    Number(hours || 0) * 60 +
+    Number(minutes || 0) +
+    Math.floor(Number(seconds || 0) / 60);
+  if (sign !== '-' && total > 0) return null;
+  return total;
+}
+
+function parseIcalDateTime(value: string): string {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (!match) return '';
+  const [, y, mo, d, h, mi, s, utc] = match;
+  const parts = [Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)] as const;
+  // A floating time is the device's wall clock.
+  const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+  return Number.isFinite(date.getTime()) ? date.toISOString() : '';
+}
+
+/**
+ * Every VALARM trigger on the first VEVENT or VTODO of `ical`. Alarms that
+ * go off after the anchor, or that cannot be read, are left out.
+ */
+export function parseReminders(ical: unknown, kind: 'VTODO' | 'VEVENT' = 'VTODO'): Reminder[] {
+  if (typeof ical !== 'string' || !ical) return [];
+  const re = kind === 'VEVENT' ? /BEGIN:VEVENT[\s\S]*?END:VEVENT/ : /BEGIN:VTODO[\s\S]*?END:VTODO/;
+  const component = ical.match(re);
+  if (!component) return [];
+  const unfolded = component[0].replace(/\r?\n[ \t]/g, '');
+  const reminders: Reminder[] = [];
+  for (const alarm of unfolded.match(/BEGIN:VALARM[\s\S]*?END:VALARM/g) || []) {
+    const trigger = alarm.match(/^TRIGGER([^:\r\n]*):([^\r\n]+)$/im);
+    if (!trigger) continue;
+    const params = trigger[1].toUpperCase();
+    const value = trigger[2].trim().toUpperCase();
+    if (params.includes('VALUE=DATE-TIME') || /^\d{8}T\d{6}Z?$/.test(value)) {
+      const at = parseIcalDateTime(value);
+      if (at) reminders.push({ minutes: 0, at });
+      continue;
+    }
+    const minutes = durationMinutesBefore(value);
+    if (minutes !== null) reminders.push({ minutes });
+  }
+  return normalizeReminders(reminders);
+}
+
+/**
+ * VALARM blocks for `reminders`. `description` must already be escaped for
+ * iCalendar text. `relatedEnd` anchors relative triggers to DUE (tasks)
+ * instead of DTSTART, per RFC 5545 §3.8.6.3.
+ */
+export function buildValarmLines(
+  reminders: Reminder[] | undefined,
+  description: string,
+  { relatedEnd = false }: { relatedEnd?: boolean } = {},
+): string[] {
+  const lines: string[] = [];
+  for (const reminder of normalizeReminders(reminders)) {
+    const trigger = reminder.at
+      ? `TRIGGER;VALUE=DATE-TIME:${toIcalUtc(new Date(reminder.at))}`
+      : `TRIGGER${relatedEnd ? ';RELATED=END' : ''}:-PT${reminder.minutes}M`;
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${description}`,
+      trigger,
+      'END:VALARM',
+    );
+  }
+  return lines;
+}
+
+/**
+ * The reminders on a calendar item: `reminders` when the composer has just
+ * set them (ahead of the server copy), else the VALARMs in its ICS, else the
+ * legacy single `notify` minutes.
+ */
+export function itemReminders(
+  item: Record<string, unknown>,
+  kind: 'VTODO' | 'VEVENT' = 'VTODO',
+): Reminder[] {
+  if (Array.isArray(item.reminders)) return normalizeReminders(item.reminders);
+  const raw = item.raw as Record<string, unknown> | null | undefined;
+  const parsed = parseReminders(raw?.ical || item.ical, kind);
+  if (parsed.length) return parsed;
+  const minutes = Number(item.notify || item.reminder || 0);
+  return minutes > 0 ? [{ minutes }] : [];
+}
+
+/** "15 min before", "1 day before", or the date and time of an absolute one. */
+export function reminderLabel(reminder: Reminder): string {
+  if (reminder.at) {
+    return new Date(reminder.at).toLocaleString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  }
+  const { minutes } = reminder;
+  if (minutes === 0) return 'At start';
+  const preset = REMINDER_PRESETS.find((p) => p.minutes === minutes);
+  if (preset) return `${preset.label} before`;
+  if (minutes % 1440 === 0) return `${minutes / 1440} days before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hours before`;
+  return `${minutes} min before`;
+}
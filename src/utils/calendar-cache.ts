@@ -0,0 +1,763 @@
+/**
+ * Calendar cache: calendars and events in IndexedDB, so the calendar opens
+ * and edits offline the way the mailbox does.
+ *
+ * The calendars and calendarEvents tables (db-engine.ts) hold what the last
+ * fetch returned, each event as the mapped view Calendar.svelte renders plus
+ * the raw server record. Full fetches replace an account's or a calendar's
+ * rows; in between, the calendar* websocket events patch single rows
+ * (applyCalendarRealtimeChange), so reopening the calendar shows current data
+ * before the network answers.
+ *
+ * Writes made while offline go through mutation-queue.js as
+ * calendarEventCreate/Update/Delete. The row is marked pending and keeps the
+ * local version until the queue replays the write, so fetches and realtime
+ * patches in the meantime cannot undo it. Each row also keeps the version
+ * stamp (ETag, SEQUENCE or last-modified) of the server copy the local edit
+ * started from. Replay compares that against the server's current copy and,
+ * if someone else changed or deleted the event since, keeps theirs and fails
+ * the mutation instead of overwriting it (CalendarConflictError).
+ */
+
+import { db } from './db.js';
+import { warn } from './logger';
+import { Remote } from './remote.js';
+import { queueMutation } from './mutation-queue.js';
+import { parseAllDayFromIcal } from './ical-datetime';
+import { createSerialQueue } from './serial-queue';
+
+export const CALENDAR_MUTATION_TYPES = [
+  'calendarEventCreate',
+  'calendarEventUpdate',
+  'calendarEventDelete',
+] as const;
+
+export type CalendarMutationType = (typeof CALENDAR_MUTATION_TYPES)[number];
+
+export interface CalendarEventVersion {
+  etag?: string;
+  sequence?: number;
+  modified?: string;
+}
+
+export interface CachedCalendarRow {
+  account: string;
+  id: string;
+  calendar: Record<string, unknown>;
+  position: number;
+  updatedAt: number;
+}
+
+export interface CachedEventRow {
+  account: string;
+  /** Server id, or the temp- id of a create that has not reached it yet. */
+  id: string;
+  calendarId: string;
+  event: Record<string, unknown>;
+  /** Server version the row (and any pending edit) is based on. */
+  version: CalendarEventVersion;
+  /** Temp id the event had before its queued create went through. */
+  tempId?: string | null;
+  pending?: 'create' | 'update' | 'delete' | null;
+  /** Sequence number of the last queued write for this event. */
+  pendingSeq?: number;
+  /** Queued writes up to this sequence lost a conflict and are skipped. */
+  discardThrough?: number;
+  updatedAt: number;
+}
+
+interface CalendarMutation {
+  type: string;
+  payload: Record<string, unknown>;
+  lastError?: string;
+  lastErrorCode?: string;
+}
+
+/** Replay found the event changed or deleted on the server since the edit. */
+export class CalendarConflictError extends Error {
+  code = 'CALENDAR_CONFLICT';
+  // Retrying cannot help; mutation-queue.js fails the mutation at once.
+  permanent = true;
+
+  constructor(message: string) {
+    super(message);
+    this.name = 'CalendarConflictError';
+  }
+}
+
+export const isCalendarMutation = (type: unknown): type is CalendarMutationType =>
+  CALENDAR_MUTATION_TYPES.includes(type as CalendarMutationType);
+
+// ── Mapping ────────────────────────────────────────────────────────────────
+
+export const firstNonEmptyString = (...values: unknown[]) => {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) return value.trim();
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  }
+  return '';
+};
+
+// The user's IANA timezone (e.g. "America/New_York").
+export const getDefaultTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+// Parse time string and return as ISO string, preserving the intended time
+export const normalizeEventTime = (timeValue: unknown): string => {
+  if (!timeValue) return '';
+  const str = String(timeValue);
+
+  // If it's already an ISO string with Z (UTC), keep it as-is
+  if (str.endsWith('Z')) return str;
+
+  // If it has timezone offset like +00:00 or -08:00, parse and convert to ISO
+  if (/[+-]\d{2}:\d{2}$/.test(str)) {
+    const d = new Date(str);
+    if (!isNaN(d.getTime())) return d.toISOString();
+    return str;
+  }
+
+  // For any other format, just return as-is and let formatForScheduleX handle it
+  // This preserves the original time value from the API
+  return str;
+};
+
+/** Map one /v1/calendar-events record to the view the calendar renders. */
+export const mapCalendarEvent = (ev: unknown, defaultCalendarId = '') => {
+  const e = (ev || {}) as Record<string, unknown>;
+  const componentType = firstNonEmptyString(
+    e.componentType,
+    e.component_type,
+    'VEVENT',
+  ).toUpperCase();
+  const start = normalizeEventTime(
+    e.start || e.start_date || e.dtstart || e.start_time || e.due || e.end || e.dtend || e.end_time,
+  );
+  const end = normalizeEventTime(
+    e.end || e.end_date || e.dtend || e.end_time || e.due || e.start || e.dtstart || e.start_time,
+  );
+  // Detect all-day from the raw ICS (DTSTART;VALUE=DATE). The literal date
+  // strings let the renderer draw a date-only bar with no timezone day-shift,
+  // instead of a midnight→next-midnight block that spills into a second day.
+  const allDayInfo = parseAllDayFromIcal(e.ical as string);
+  return {
+    id: e.id || e.uid || e.event_id,
+    title: e.summary || e.title || e.name || (componentType === 'VTODO' ? 'Task' : 'Event'),
+    start,
+    end,
+    calendarId: e.calendar_id || e.calendarId || defaultCalendarId,
+    description: e.description || e.notes || '',
+    location: e.location || '',
+    url: e.url || '',
+    timezone: e.timezone || getDefaultTimezone(),
+    attendees: e.attendees || '',
+    notify: e.notify || e.reminder || 0,
+    componentType,
+    allDay: allDayInfo.allDay,
+    allDayStart: allDayInfo.startDate || '',
+    allDayEnd: allDayInfo.endDate || '',
+    status: firstNonEmptyString(e.status, e.task_status),
+    completedAt: firstNonEmptyString(e.completed, e.completed_at, e.completedAt),
+    percentComplete: Number(e.percent_complete || e.percentComplete || 0),
+    raw: ev,
+  } as Record<string, unknown>;
+};
+
+// ── Versions and conflicts ─────────────────────────────────────────────────
+
+const icalProperty = (ical: unknown, name: string) => {
+  if (typeof ical !== 'string') return '';
+  const match = ical.match(new RegExp(`^${name}(?:;[^:\\r\\n]*)?:([^\\r\\n]*)`, 'm'));
+  return match ? match[1].trim() : '';
+};
+
+/** Version stamp of a server event record; whichever of the three it has. */
+export function calendarEventVersion(raw: unknown): CalendarEventVersion {
+  const e = (raw || {}) as Record<string, unknown>;
+  const version: CalendarEventVersion = {};
+  const etag = firstNonEmptyString(e.etag, e.ETag, e.getetag);
+  if (etag) version.etag = etag;
+  const sequence = firstNonEmptyString(e.sequence, icalProperty(e.ical, 'SEQUENCE'));
+  if (sequence && Number.isFinite(Number(sequence))) version.sequence = Number(sequence);
+  const modified = firstNonEmptyString(
+    e.updated_at,
+    e.updatedAt,
+    e.last_modified,
+    icalProperty(e.ical, 'LAST-MODIFIED'),
+  );
+  if (modified) version.modified = modified;
+  return version;
+}
+
+/**
+ * Whether the server copy moved on from `base`. The strongest stamp both
+ * sides carry decides; with nothing to compare there is no evidence of a
+ * conflict, so the write goes through.
+ */
+export function isCalendarConflict(
+  base: CalendarEventVersion | null | undefined,
+  current: CalendarEventVersion,
+): boolean {
+  if (!base) return false;
+  if (base.etag && current.etag) return base.etag !== current.etag;
+  if (base.sequence !== undefined && current.sequence !== undefined) {
+    if (base.sequence !== current.sequence) return true;
+  }
+  if (base.modified && current.modified) return base.modified !== current.modified;
+  return false;
+}
+
+// ── Table access ───────────────────────────────────────────────────────────
+
+// Fetches, realtime patches, queued writes and replays all rewrite the same
+// rows; run them one at a time.
+const serialize = createSerialQueue();
+
+const eventRows = (account: string, calendarId?: string): Promise<CachedEventRow[]> =>
+  calendarId
+    ? db.calendarEvents.where('[account+calendarId]').equals([account, calendarId]).toArray()
+    : db.calendarEvents.where('account').equals(account).toArray();
+
+const viewId = (view: Record<string, unknown>) => String(view?.id || '');
+
+const viewCalendarId = (view: Record<string, unknown>, fallback = '') =>
+  String(view?.calendarId || view?.calendar_id || fallback);
+
+const notifyCalendarChanged = (detail: Record<string, unknown>) => {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent('webmail:calendar-events-changed', { detail }));
+};
+
+export async function readCachedCalendars(account: string): Promise<unknown[]> {
+  const rows: CachedCalendarRow[] = await db.calendars.where('account').equals(account).toArray();
+  return rows.sort((a, b) => a.position - b.position).map((row) => row.calendar);
+}
+
+export function writeCachedCalendars(
+  account: string,
+  list: Record<string, unknown>[],
+  getId: (cal: unknown) => unknown,
+): Promise<void> {
+  return serialize(async () => {
+    const now = Date.now();
+    const rows = list
+      .map((calendar, position) => ({
+        account,
+        id: String(getId(calendar) || ''),
+        calendar,
+        position,
+        updatedAt: now,
+      }))
+      .filter((row) => row.id);
+    const keep = new Set(rows.map((row) => row.id));
+    const stale = (await db.calendars.where('account').equals(account).toArray()).filter(
+      (row: CachedCalendarRow) => !keep.has(row.id),
+    );
+    await Promise.all(
+      stale.map((row: CachedCalendarRow) => db.calendars.delete([account, row.id])),
+    );
+    if (rows.length) await db.calendars.bulkPut(rows);
+  });
+}
+
+/** Drop a calendar and every event cached for it. */
+export function removeCachedCalendar(account: string, calendarId: string): Promise<void> {
+  return serialize(async () => {
+    await db.calendars.delete([account, calendarId]);
+    await db.calendarEvents.where('[account+calendarId]').equals([account, calendarId]).delete();
+  });
+}
+
+/** Cached event views, with queued deletes already left out. */
+export async function readCachedEvents(
+  account: string,
+  calendarId?: string,
+): Promise<Record<string, unknown>[]> {
+  const rows = await eventRows(account, calendarId);
+  return rows.filter((row) => row.pending !== 'delete').map((row) => row.event);
+}
+
+/**
+ * Store a full fetch of an account's events (or one calendar's) and return
+ * what to render: the fetched views with queued local writes laid over them.
+ * Rows the fetch no longer returns are dropped unless a write is queued.
+ */
+export function replaceCachedEvents(
+  account: string,
+  views: Record<string, unknown>[],
+  calendarId?: string,
+): Promise<Record<string, unknown>[]> {
+  return serialize(async () => {
+    const existing = new Map((await eventRows(account, calendarId)).map((row) => [row.id, row]));
+    const now = Date.now();
+    const result: Record<string, unknown>[] = [];
+    const puts: CachedEventRow[] = [];
+    const seen = new Set<string>();
+    for (const view of views) {
+      const id = viewId(view);
+      if (!id) continue;
+      seen.add(id);
+      const row = existing.get(id);
+      if (row?.pending) {
+        if (row.pending !== 'delete') result.push(row.event);
+        continue;
+      }
+      result.push(view);
+      puts.push({
+        account,
+        id,
+        calendarId: viewCalendarId(view, calendarId),
+        event: view,
+        version: calendarEventVersion(view.raw),
+        tempId: row?.tempId ?? null,
+        pending: null,
+        updatedAt: now,
+      });
+    }
+    const stale: string[] = [];
+    for (const row of existing.values()) {
+      if (seen.has(row.id)) continue;
+      if (row.pending === 'create' || row.pending === 'update') result.push(row.event);
+      else if (!row.pending) stale.push(row.id);
+    }
+    await Promise.all(stale.map((id) => db.calendarEvents.delete([account, id])));
+    if (puts.length) await db.calendarEvents.bulkPut(puts);
+    return result;
+  });
+}
+
+/**
+ * Persist the calendar's in-memory views of one calendar after a local
+ * change. Version stamps and pending markers on existing rows are kept.
+ */
+export function cacheEventViews(
+  account: string,
+  calendarId: string,
+  views: Record<string, unknown>[],
+): Promise<void> {
+  return serialize(async () => {
+    const existing = new Map((await eventRows(account, calendarId)).map((row) => [row.id, row]));
+    const now = Date.now();
+    const puts: CachedEventRow[] = [];
+    const seen = new Set<string>();
+    for (const view of views) {
+      const id = viewId(view);
+      if (!id) continue;
+      seen.add(id);
+      const row = existing.get(id);
+      puts.push({
+        ...(row || { version: calendarEventVersion(view.raw), pending: null }),
+        account,
+        id,
+        calendarId,
+        event: view,
+        updatedAt: now,
+      } as CachedEventRow);
+    }
+    const stale = [...existing.values()].filter((row) => !seen.has(row.id) && !row.pending);
+    await Promise.all(stale.map((row) => db.calendarEvents.delete([account, row.id])));
+    if (puts.length) await db.calendarEvents.bulkPut(puts);
+  });
+}
+
+/** Store one event view outside a full fetch, e.g. an invite added from mail. */
+export function putCachedEvent(account: string, view: Record<string, unknown>): Promise<void> {
+  return serialize(async () => {
+    const id = viewId(view);
+    if (!id) return;
+    const row = await db.calendarEvents.get([account, id]);
+    if (row?.pending) return;
+    await db.calendarEvents.put({
+      ...row,
+      account,
+      id,
+      calendarId: viewCalendarId(view, row?.calendarId),
+      event: view,
+      version: calendarEventVersion(view.raw),
+      pending: null,
+      updatedAt: Date.now(),
+    } as CachedEventRow);
+  });
+}
+
+export function removeCachedEvent(account: string, id: string): Promise<void> {
+  return serialize(() => db.calendarEvents.delete([account, id]));
+}
+
+/**
+ * Adopt the version stamp from the server's answer to a write sent
+ * directly, so a later offline edit is checked against it rather than
+ * against the copy this device just replaced.
+ */
+export function recordEventWrite(account: string, id: string, response: unknown): Promise<void> {
+  const server = ((response as { Result?: unknown })?.Result || response) as Record<
+    string,
+    unknown
+  > | null;
+  return serialize(async () => {
+    const row = await db.calendarEvents.get([account, id]);
+    if (!row || row.pending) return;
+    const version = server && typeof server === 'object' ? calendarEventVersion(server) : {};
+    await db.calendarEvents.update([account, id], { version, updatedAt: Date.now() });
+  });
+}
+
+// Queued writes address the event by the id it had when they were queued,
+// which for offline creates is a temp- id the server never saw.
+async function findEventRow(account: string, id: string): Promise<CachedEventRow | undefined> {
+  const direct = await db.calendarEvents.get([account, id]);
+  if (direct) return direct;
+  if (!id.startsWith('temp-')) return undefined;
+  const rows = await eventRows(account);
+  return rows.find((row) => row.tempId === id);
+}
+
+// ── Queued writes ──────────────────────────────────────────────────────────
+
+export interface QueuedEventWrite {
+  account: string;
+  eventId: string;
+  calendarId: string;
+  /** Full iCalendar body for creates and updates. */
+  ical?: string;
+  /** The local view after the write; omitted for deletes. */
+  view?: Record<string, unknown>;
+  title?: string;
+}
+
+/**
+ * Queue an event write for when the server is reachable and mark the row
+ * pending so fetches keep the local version until then.
+ */
+export async function queueCalendarEventWrite(
+  type: CalendarMutationType,
+  write: QueuedEventWrite,
+): Promise<void> {
+  const { account, eventId, calendarId, ical, view, title } = write;
+  const seq = await serialize(async () => {
+    const row = await findEventRow(account, eventId);
+    const next = (row?.pendingSeq || 0) + 1;
+    const pending =
+      type === 'calendarEventDelete'
+        ? 'delete'
+        : row?.pending === 'create' || type === 'calendarEventCreate'
+          ? 'create'
+          : 'update';
+    const id = row?.id || eventId;
+    await db.calendarEvents.put({
+      version: {},
+      tempId: null,
+      ...row,
+      account,
+      id,
+      calendarId: view ? calendarId : row?.calendarId || calendarId,
+      event: view ? { ...view, id } : row?.event || { id },
+      pending,
+      pendingSeq: next,
+      updatedAt: Date.now(),
+    } as CachedEventRow);
+    return next;
+  });
+  await queueMutation(type, { eventId, calendarId, ical, title, seq });
+}
+
+const getEventPath = (id: string) => `/v1/calendar-events/${encodeURIComponent(id)}`;
+
+const unwrap = (res: unknown) =>
+  ((res as { Result?: unknown })?.Result || res) as Record<string, unknown> | null;
+
+async function fetchServerEvent(id: string): Promise<Record<string, unknown> | null> {
+  try {
+    const res = await Remote.request('CalendarEvents', {}, { pathOverride: getEventPath(id) });
+    const event = unwrap(res);
+    return event && typeof event === 'object' ? event : null;
+  } catch (err) {
+    if ((err as { status?: number })?.status === 404) return null;
+    throw err;
+  }
+}
+
+const conflictMessage = (title: unknown, deleted: boolean) => {
+  const label = title ? `"${title}"` : 'An event';
+  return deleted
+    ? `${label} was deleted on another device, so your offline change was not saved.`
+    : `${label} was changed on another device, so your offline change was not saved.`;
+};
+
+/**
+ * Send one queued calendar write (mutation-queue.js calls this). Throws
+ * CalendarConflictError, after caching the server copy, when the event
+ * changed on the server since the edit was made.
+ */
+export async function replayCalendarEventWrite(
+  type: CalendarMutationType,
+  payload: Record<string, unknown>,
+): Promise<void> {
+  const account = String(payload.account || '');
+  const eventId = String(payload.eventId || '');
+  const calendarId = String(payload.calendarId || '');
+  const seq = Number(payload.seq || 0);
+  const row = await findEventRow(account, eventId);
+  if (row?.discardThrough && seq <= row.discardThrough) return;
+
+  // Only the last queued write for a row clears its pending marker.
+  const settle = (next: Partial<CachedEventRow> & { id: string }) =>
+    serialize(async () => {
+      const latest = await findEventRow(account, eventId);
+      const isLast = !latest?.pendingSeq || latest.pendingSeq <= seq;
+      if (latest && latest.id !== next.id) await db.calendarEvents.delete([account, latest.id]);
+      await db.calendarEvents.put({
+        ...latest,
+        ...next,
+        account,
+        calendarId: next.calendarId || latest?.calendarId || calendarId,
+        event: isLast ? next.event : { ...latest?.event, id: next.id },
+        pending: isLast ? null : latest?.pending === 'create' ? 'update' : latest?.pending,
+        updatedAt: Date.now(),
+      } as CachedEventRow);
+    });
+
+  if (type === 'calendarEventCreate') {
+    // A replay after the create already went through finds the real id.
+    if (row && row.id !== eventId) return;
+    const created = unwrap(
+      await Remote.request(
+        'CalendarEventCreate',
+        { calendar_id: calendarId, ical: payload.ical },
+        { method: 'POST' },
+      ),
+    );
+    const realId = firstNonEmptyString(created?.id, created?.uid, created?.event_id) || eventId;
+    await settle({
+      id: realId,
+      calendarId,
+      tempId: eventId,
+      event: created ? mapCalendarEvent(created, calendarId) : row?.event,
+      version: calendarEventVersion(created),
+    });
+    notifyCalendarChanged({ id: realId, tempId: eventId, action: 'created' });
+    return;
+  }
+
+  const id = row?.id || eventId;
+  if (id.startsWith('temp-')) {
+    // Its create never reached the server, so there is nothing to change.
+    throw new CalendarConflictError(conflictMessage(payload.title, true));
+  }
+
+  const current = await fetchServerEvent(id);
+  const isDelete = type === 'calendarEventDelete';
+  const serverWins = async (server: Record<string, unknown> | null) => {
+    await serialize(async () => {
+      const latest = await findEventRow(account, eventId);
+      if (!server) {
+        await db.calendarEvents.delete([account, id]);
+        return;
+      }
+      await db.calendarEvents.put({
+        ...latest,
+        account,
+        id,
+        calendarId: viewCalendarId(server, latest?.calendarId || calendarId),
+        event: mapCalendarEvent(server, latest?.calendarId || calendarId),
+        version: calendarEventVersion(server),
+        pending: null,
+        discardThrough: latest?.pendingSeq || seq,
+        updatedAt: Date.now(),
+      } as CachedEventRow);
+    });
+    notifyCalendarChanged({ id, action: server ? 'updated' : 'deleted' });
+    throw new CalendarConflictError(conflictMessage(payload.title, !server));
+  };
+
+  if (!current) {
+    if (isDelete) {
+      await serialize(() => db.calendarEvents.delete([account, id]));
+      return;
+    }
+    await serverWins(null);
+    return;
+  }
+  if (isCalendarConflict(row?.version, calendarEventVersion(current))) {
+    await serverWins(current);
+    return;
+  }
+
+  const etag = row?.version?.etag;
+  const options = {
+    method: isDelete ? 'DELETE' : 'PUT',
+    pathOverride: getEventPath(id),
+    ...(etag ? { headers: { 'If-Match': etag } } : {}),
+  };
+  let updated: Record<string, unknown> | null = null;
+  try {
+    if (isDelete) {
+      await Remote.request('CalendarEventDelete', { calendar_id: calendarId }, options);
+    } else {
+      updated = unwrap(
+        await Remote.request(
+          'CalendarEventUpdate',
+          { id, calendar_id: calendarId, ical: payload.ical },
+          options,
+        ),
+      );
+    }
+  } catch (err) {
+    const status = (err as { status?: number })?.status;
+    // Someone wrote between our check and our write.
+    if (status === 412) {
+      await serverWins(await fetchServerEvent(id));
+      return;
+    }
+    if (isDelete && status === 404) {
+      await serialize(() => db.calendarEvents.delete([account, id]));
+      return;
+    }
+    throw err;
+  }
+
+  if (isDelete) {
+    await serialize(async () => {
+      const latest = await findEventRow(account, eventId);
+      if (!latest?.pendingSeq || latest.pendingSeq <= seq) {
+        await db.calendarEvents.delete([account, id]);
+      }
+    });
+    return;
+  }
+  // Some servers answer a PUT without the record; then the stamp is unknown
+  // until the next fetch, which is no worse than having none at all.
+  const server = updated && typeof updated === 'object' && updated.ical ? updated : null;
+  await settle({
+    id,
+    event: server ? mapCalendarEvent(server, calendarId) : row?.event,
+    version: server ? calendarEventVersion(server) : {},
+  });
+}
+
+/**
+ * Undo the local side of a calendar mutation that will never land: put the
+ * server copy back (or drop an event that only ever existed here) and return
+ * the message to show.
+ */
+export async function revertCalendarMutation(mutation: CalendarMutation): Promise<string> {
+  const { payload } = mutation;
+  const account = String(payload?.account || '');
+  const eventId = String(payload?.eventId || '');
+  const message =
+    mutation.lastError || `Couldn't sync a change to "${payload?.title || 'an event'}".`;
+  // Conflicts already cached the server copy before failing.
+  if (mutation.lastErrorCode === 'CALENDAR_CONFLICT') return message;
+  const row = await findEventRow(account, eventId);
+  if (!row) return message;
+  let server: Record<string, unknown> | null = null;
+  if (!row.id.startsWith('temp-')) {
+    try {
+      server = await fetchServerEvent(row.id);
+    } catch (err) {
+      warn('[calendar-cache] revert fetch failed', err);
+      // Leave the local copy; the next full fetch replaces it.
+      await serialize(() =>
+        db.calendarEvents.update([account, row.id], { pending: null, updatedAt: Date.now() }),
+      );
+      notifyCalendarChanged({ id: row.id, action: 'updated' });
+      return message;
+    }
+  }
+  await serialize(async () => {
+    if (!server) {
+      await db.calendarEvents.delete([account, row.id]);
+      return;
+    }
+    await db.calendarEvents.put({
+      ...row,
+      event: mapCalendarEvent(server, row.calendarId),
+      version: calendarEventVersion(server),
+      pending: null,
+      discardThrough: row.pendingSeq,
+      updatedAt: Date.now(),
+    });
+  });
+  notifyCalendarChanged({ id: row.id, action: server ? 'updated' : 'deleted' });
+  return message;
+}
+
+// ── Realtime ───────────────────────────────────────────────────────────────
+
+/** Event id of a calendarEvent* websocket payload, whichever field carries it. */
+export function realtimeEventId(data: Record<string, unknown>): string {
+  const nested = (data?.event || data?.task) as Record<string, unknown> | undefined;
+  return firstNonEmptyString(
+    data?.eventId,
+    data?.event_id,
+    data?.calendarEventId,
+    data?.calendar_event_id,
+    data?.uid,
+    data?.id,
+    nested?.id,
+    nested?.uid,
+  );
+}
+
+/**
+ * Patch the cache from a calendar* websocket event. Returns false when it
+ * could not (nothing to go on, or the fetch failed), so the caller reloads.
+ */
+export async function applyCalendarRealtimeChange(
+  account: string,
+  type: string,
+  data: Record<string, unknown>,
+): Promise<boolean> {
+  try {
+    if (type === 'calendarDeleted') {
+      const calendarId = firstNonEmptyString(data?.calendarId, data?.calendar_id, data?.id);
+      if (!calendarId) return false;
+      await removeCachedCalendar(account, calendarId);
+      return true;
+    }
+    if (type === 'calendarCreated' || type === 'calendarUpdated') {
+      // Calendar order comes from the full list; leave those to a reload.
+      return false;
+    }
+
+    const id = realtimeEventId(data);
+    if (!id) return false;
+    const nested = (data?.event || data?.task) as Record<string, unknown> | undefined;
+    const server =
+      type === 'calendarEventDeleted'
+        ? null
+        : nested && typeof nested === 'object' && nested.ical
+          ? nested
+          : await fetchServerEvent(id);
+    await serialize(async () => {
+      const row = await db.calendarEvents.get([account, id]);
+      // A queued local write wins until it replays, and replay is what
+      // notices the server moved on.
+      if (row?.pending) return;
+      if (!server) {
+        await db.calendarEvents.delete([account, id]);
+        return;
+      }
+      const calendarId = viewCalendarId(server, row?.calendarId);
+      await db.calendarEvents.put({
+        ...row,
+        account,
+        id,
+        calendarId,
+        event: mapCalendarEvent(server, calendarId),
+        version: calendarEventVersion(server),
+        pending: null,
+        updatedAt: Date.now(),
+      } as CachedEventRow);
+    });
+    return true;
+  } catch (err) {
+    warn('[calendar-cache] realtime update failed', err);
+    return false;
+  }
+}
@@ -0,0 +1,521 @@
+/**
+ * Subscribed calendars: read-only ICS feeds (public holidays, a team on-call
+ * rota, a sports fixture list) shown next to the account's own calendars.
+ *
+ * A subscription is a URL, a name, a colour and a refresh interval, kept per
+ * account in the meta table. Feeds are fetched from their URL (webcal:// is
+ * read as https://) through externalFetch, since neither the CSP nor most
+ * feed hosts' CORS let the webview read them itself; a feed that cannot be
+ * read keeps its last copy and records the error. Nothing from a feed goes to the server: the parsed events sit in
+ * the meta table next to the subscription, one VCALENDAR per UID so
+ * recurrence.ts can tell a series' master from its overrides.
+ *
+ * initCalendarSubscriptions starts the background refresher with the other
+ * services in main.ts. It refetches each feed of the account on screen once
+ * its interval has passed, sending the last ETag and Last-Modified so an
+ * unchanged feed costs a 304, and announces new data with the
+ * `webmail:calendar-subscriptions-changed` window event. Calendar.svelte
+ * then reads the events for its window with readSubscribedEvents, which
+ * expands recurring ones with expandRecurringEvents.
+ */
+
+import ICAL from 'ical.js';
+import { db } from './db.js';
+import { warn } from './logger';
+import { activeAccount } from './account-scope';
+import { isOnline } from './network-status';
+import { externalFetch } from './external-fetch';
+import { mapCalendarEvent } from './calendar-cache';
+import { zonedWallClockToUTC } from './ical-datetime';
+import { expandRecurringEvents } from './recurrence';
+import { createKeyedSerialQueue } from './serial-queue';
+
+export interface CalendarSubscription {
+  id: string;
+  name: string;
+  /** Feed URL as http(s); webcal:// is rewritten on the way in. */
+  url: string;
+  color: string;
+  refreshMinutes: number;
+  /** Shown in the calendar; hidden feeds still refresh. */
+  visible: boolean;
+  /** Last successful fetch (304 included), ms since the epoch; 0 = never. */
+  fetchedAt: number;
+  etag: string;
+  lastModified: string;
+  /** Why the last fetch failed, or '' when it worked. */
+  error: string;
+}
+
+/** One event of a feed, in the shape mapCalendarEvent reads. */
+export interface FeedEventRecord {
+  id: string;
+  uid: string;
+  calendar_id: string;
+  summary: string;
+  description: string;
+  location: string;
+  url: string;
+  start: string;
+  end: string;
+  ical: string;
+  is_recurring: boolean;
+}
+
+export interface ParsedCalendarFeed {
+  /** X-WR-CALNAME, for naming a new subscription. */
+  name: string;
+  events: FeedEventRecord[];
+}
+
+/** Refresh intervals offered when subscribing, in minutes. */
+export const SUBSCRIPTION_REFRESH_OPTIONS = [
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Every day' },
+  { value: 10080, label: 'Every week' },
+];
+
+export const DEFAULT_SUBSCRIPTION_REFRESH_MINUTES = 360;
+const MIN_REFRESH_MINUTES = 15;
+const FEED_TIMEOUT_MS = 15_000;
+// How often the refresher looks for feeds that are due.
+const CHECK_INTERVAL_MS = 60_000;
+
+export const CALENDAR_SUBSCRIPTIONS_CHANGED = 'webmail:calendar-subscriptions-changed';
+
+const SUBSCRIPTIONS_KEY_PREFIX = 'calendar_subscriptions_';
+const FEED_KEY_PREFIX = 'calendar_subscription_events_';
+
+const subscriptionsKey = (account: string) => `${SUBSCRIPTIONS_KEY_PREFIX}${account}`;
+const feedKey = (account: string, id: string) => `${FEED_KEY_PREFIX}${account}_${id}`;
+
+/**
+ * The calendar id a subscription's events carry. schedule-x uses calendar
+ * ids as CSS names, so it stays to letters, digits and dashes.
+ */
+export const subscriptionCalendarId = (id: string) => `subscription-${id}`;
+
+export const isSubscriptionCalendarId = (calendarId: unknown) =>
+  typeof calendarId === 'string' && calendarId.startsWith('subscription-');
+
+/** The feed URL to fetch, or '' when `value` is not an http(s)/webcal URL. */
+export function normalizeFeedUrl(value: unknown): string {
+  const trimmed = String(value ?? '')
+    .trim()
+    .replace(/^webcals?:\/\//i, 'https://');
+  try {
+    const url = new URL(trimmed);
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : '';
+  } catch {
+    return '';
+  }
+}
+
+const normalizeRefreshMinutes = (value: unknown) => {
+  const minutes = Math.round(Number(value));
+  return Number.isFinite(minutes) && minutes > 0
+    ? Math.max(MIN_REFRESH_MINUTES, minutes)
+    : DEFAULT_SUBSCRIPTION_REFRESH_MINUTES;
+};
+
+const normalizeColor = (value: unknown) =>
+  typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value.trim())
+    ? value.trim().toLowerCase()
+    : '';
+
+/** Coerce a stored subscription; null when it has no usable id or URL. */
+export function normalizeCalendarSubscription(value: unknown): CalendarSubscription | null {
+  if (!value || typeof value !== 'object') return null;
+  const raw = value as Record<string, unknown>;
+  const id = String(raw.id ?? '').replace(/[^a-z0-9-]/gi, '');
+  const url = normalizeFeedUrl(raw.url);
+  if (!id || !url) return null;
+  return {
+    id,
+    name: String(raw.name ?? '').trim() || new URL(url).hostname,
+    url,
+    color: normalizeColor(raw.color),
+    refreshMinutes: normalizeRefreshMinutes(raw.refreshMinutes),
+    visible: raw.visible !== false,
+    fetchedAt: Number(raw.fetchedAt) || 0,
+    etag: typeof raw.etag === 'string' ? raw.etag : '',
+    lastModified: typeof raw.lastModified === 'string' ? raw.lastModified : '',
+    error: typeof raw.error === 'string' ? raw.error : '',
+  };
+}
+
+// ── Parsing ────────────────────────────────────────────────────────────────
+
+// Feed time zones resolve through the feed's own VTIMEZONEs. A TZID the feed
+// does not define is read as that IANA zone's wall clock; anything else that
+// ical.js cannot place stays in local time, as in recurrence.ts.
+const propertyIso = (comp: ICAL.Component, name: string): string => {
+  const prop = comp.getFirstProperty(name);
+  const time = prop?.getFirstValue() as ICAL.Time | null | undefined;
+  if (!time || typeof time.toJSDate !== 'function') return '';
+  const tzid = String(prop?.getParameter('tzid') || '');
+  if (tzid && !time.isDate && time.zone === ICAL.Timezone.localTimezone) {
+    const pad = (n: number) => String(n).padStart(2, '0');
+    const utc = zonedWallClockToUTC(
+      `${time.year}-${pad(time.month)}-${pad(time.day)}`,
+      `${pad(time.hour)}:${pad(time.minute)}`,
+      tzid,
+    );
+    if (utc) return utc.toISOString();
+  }
+  return time.toJSDate().toISOString();
+};
+
+// No DTEND: DURATION when the event has one, otherwise it ends as it starts.
+const endFromDuration = (event: ICAL.Event, start: string) => {
+  const seconds = event.component.hasProperty('duration') ? event.duration.toSeconds() : 0;
+  return new Date(Date.parse(start) + seconds * 1000).toISOString();
+};
+
+/**
+ * Parse an ICS feed into one record per UID. Each record's `ical` is a
+ * VCALENDAR with the feed's time zones, the series master and its
+ * RECURRENCE-ID overrides, the shape expandRecurringEvents expects. Tasks
+ * and other components are left out.
+ */
+export function parseCalendarFeed(ics: string, subscriptionId: string): ParsedCalendarFeed {
+  let root: ICAL.Component;
+  try {
+    root = new ICAL.Component(ICAL.parse(ics));
+  } catch {
+    throw new Error('Not a calendar feed');
+  }
+  if (root.name !== 'vcalendar') throw new Error('Not a calendar feed');
+
+  const timezones = root.getAllSubcomponents('vtimezone');
+  const byUid = new Map<string, ICAL.Component[]>();
+  for (const vevent of root.getAllSubcomponents('vevent')) {
+    const uid = String(vevent.getFirstPropertyValue('uid') || '').trim();
+    if (!uid) continue;
+    if (!byUid.has(uid)) byUid.set(uid, []);
+    byUid.get(uid)!.push(vevent);
+  }
+
+  const calendarId = subscriptionCalendarId(subscriptionId);
+  const events: FeedEventRecord[] = [];
+  for (const [uid, components] of byUid) {
+    // The master first: recurrence.ts takes the first non-override VEVENT.
+    const master = components.find((comp) => !comp.hasProperty('recurrence-id')) || components[0];
+    const blob = new ICAL.Component(['vcalendar', [], []]);
+    blob.addPropertyWithValue('version', '2.0');
+    blob.addPropertyWithValue('prodid', '-//Forward Email//Webmail Subscription//EN');
+    for (const vtimezone of timezones) blob.addSubcomponent(new ICAL.Component(vtimezone.toJSON()));
+    for (const comp of [master, ...components.filter((c) => c !== master)]) {
+      blob.addSubcomponent(new ICAL.Component(comp.toJSON()));
+    }
+    const event = new ICAL.Event(master);
+    const start = propertyIso(master, 'dtstart');
+    if (!start) continue;
+    events.push({
+      id: `${calendarId}:${uid}`,
+      uid,
+      calendar_id: calendarId,
+      summary: event.summary || '',
+      description: event.description || '',
+      location: event.location || '',
+      url: String(master.getFirstPropertyValue('url') || ''),
+      start,
+      end: propertyIso(master, 'dtend') || endFromDuration(event, start),
+      ical: blob.toString(),
+      is_recurring: master.hasProperty('rrule') || master.hasProperty('rdate'),
+    });
+  }
+
+  return { name: String(root.getFirstPropertyValue('x-wr-calname') || '').trim(), events };
+}
+
+// ── Storage ────────────────────────────────────────────────────────────────
+
+export async function readCalendarSubscriptions(account: string): Promise<CalendarSubscription[]> {
+  try {
+    const record = await db.meta.get(subscriptionsKey(account));
+    const list: unknown[] = Array.isArray(record?.value) ? record.value : [];
+    return list
+      .map(normalizeCalendarSubscription)
+      .filter((sub): sub is CalendarSubscription => Boolean(sub));
+  } catch {
+    return [];
+  }
+}
+
+async function writeCalendarSubscriptions(account: string, list: CalendarSubscription[]) {
+  await db.meta.put({ key: subscriptionsKey(account), value: list, updatedAt: Date.now() });
+}
+
+async function readFeedEvents(account: string, id: string): Promise<FeedEventRecord[]> {
+  try {
+    const record = await db.meta.get(feedKey(account, id));
+    return Array.isArray(record?.value) ? record.value : [];
+  } catch {
+    return [];
+  }
+}
+
+const announce = (account: string, id: string) => {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(
+    new CustomEvent(CALENDAR_SUBSCRIPTIONS_CHANGED, { detail: { account, id } }),
+  );
+};
+
+// Reads and writes of one account's list go one at a time, so a refresh
+// finishing during an edit cannot put back what the edit changed.
+const serialize = createKeyedSerialQueue();
+
+async function patchSubscription(
+  account: string,
+  id: string,
+  patch: Partial<CalendarSubscription>,
+): Promise<CalendarSubscription | null> {
+  return serialize(account, async () => {
+    const list = await readCalendarSubscriptions(account);
+    const index = list.findIndex((sub) => sub.id === id);
+    if (index === -1) return null;
+    const next = normalizeCalendarSubscription({ ...list[index], ...patch });
+    if (!next) return null;
+    list[index] = next;
+    await writeCalendarSubscriptions(account, list);
+    return next;
+  });
+}
+
+// ── Fetching ───────────────────────────────────────────────────────────────
+
+interface FeedResponse {
+  notModified: boolean;
+  text: string;
+  etag: string;
+  lastModified: string;
+}
+
+async function fetchFeed(
+  sub: Pick<CalendarSubscription, 'url' | 'etag' | 'lastModified'>,
+): Promise<FeedResponse> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FEED_TIMEOUT_MS);
+  const headers: Record<string, string> = { Accept: 'text/calendar, */*;q=0.5' };
+  if (sub.etag) headers['If-None-Match'] = sub.etag;
+  if (sub.lastModified) headers['If-Modified-Since'] = sub.lastModified;
+  try {
+    const res = await externalFetch(sub.url, { signal: controller.signal, headers });
+    if (res.status === 304) {
+      return { notModified: true, text: '', etag: sub.etag, lastModified: sub.lastModified };
+    }
+    if (!res.ok) throw new Error(`The feed answered ${res.status}`);
+    return {
+      notModified: false,
+      text: await res.text(),
+      etag: res.headers.get('etag') || '',
+      lastModified: res.headers.get('last-modified') || '',
+    };
+  } catch (err) {
+    if ((err as Error)?.name === 'AbortError') throw new Error('The feed did not answer in time');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const inFlight = new Map<string, Promise<CalendarSubscription | null>>();
+
+/**
+ * Fetch one feed now and store what changed. Resolves to the updated
+ * subscription, with `error` set when the fetch or the parse failed; the
+ * previous events are kept in that case.
+ */
+export function refreshCalendarSubscription(
+  account: string,
+  id: string,
+): Promise<CalendarSubscription | null> {
+  const key = `${account}\n${id}`;
+  const running = inFlight.get(key);
+  if (running) return running;
+  const run = (async () => {
+    const sub = (await readCalendarSubscriptions(account)).find((s) => s.id === id);
+    if (!sub) return null;
+    try {
+      const res = await fetchFeed(sub);
+      if (!res.notModified) {
+        const { events } = parseCalendarFeed(res.text, id);
+        await db.meta.put({ key: feedKey(account, id), value: events, updatedAt: Date.now() });
+      }
+      const next = await patchSubscription(account, id, {
+        fetchedAt: Date.now(),
+        etag: res.etag,
+        lastModified: res.lastModified,
+        error: '',
+      });
+      if (!res.notModified || sub.error) announce(account, id);
+      return next;
+    } catch (err) {
+      const message = (err as Error)?.message || 'Could not load the feed';
+      warn('[calendar-subscriptions] refresh failed', sub.url, err);
+      // Counted as a try, so a broken feed waits for its next turn.
+      const next = await patchSubscription(account, id, { fetchedAt: Date.now(), error: message });
+      if (message !== sub.error) announce(account, id);
+      return next;
+    }
+  })().finally(() => inFlight.delete(key));
+  inFlight.set(key, run);
+  return run;
+}
+
+const isDue = (sub: CalendarSubscription, now: number) =>
+  now - sub.fetchedAt >= sub.refreshMinutes * 60_000;
+
+/** Refresh every feed of `account` whose interval has passed. */
+export async function refreshDueSubscriptions(
+  account = activeAccount(),
+  now = Date.now(),
+): Promise<void> {
+  const due = (await readCalendarSubscriptions(account)).filter((sub) => isDue(sub, now));
+  for (const sub of due) await refreshCalendarSubscription(account, sub.id);
+}
+
+// ── Managing ───────────────────────────────────────────────────────────────
+
+export interface NewCalendarSubscription {
+  url: string;
+  name?: string;
+  color?: string;
+  refreshMinutes?: number;
+}
+
+const newSubscriptionId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Subscribe `account` to a feed. The feed is fetched first, so a URL that
+ * does not serve a calendar is refused with an Error saying why and nothing
+ * is saved. Without a name, the feed's own (X-WR-CALNAME) is used.
+ */
+export async function addCalendarSubscription(
+  account: string,
+  input: NewCalendarSubscription,
+): Promise<CalendarSubscription> {
+  const url = normalizeFeedUrl(input.url);
+  if (!url) throw new Error('Enter an http(s) or webcal address');
+  const existing = await readCalendarSubscriptions(account);
+  if (existing.some((sub) => sub.url === url)) {
+    throw new Error('You are already subscribed to this calendar');
+  }
+  const id = newSubscriptionId();
+  const res = await fetchFeed({ url, etag: '', lastModified: '' });
+  const feed = parseCalendarFeed(res.text, id);
+  const sub = normalizeCalendarSubscription({
+    id,
+    name: input.name?.trim() || feed.name,
+    url,
+    color: input.color,
+    refreshMinutes: input.refreshMinutes,
+    visible: true,
+    fetchedAt: Date.now(),
+    etag: res.etag,
+    lastModified: res.lastModified,
+  }) as CalendarSubscription;
+  await db.meta.put({ key: feedKey(account, id), value: feed.events, updatedAt: Date.now() });
+  await serialize(account, async () => {
+    const list = await readCalendarSubscriptions(account);
+    await writeCalendarSubscriptions(account, [...list, sub]);
+  });
+  announce(account, id);
+  return sub;
+}
+
+/**
+ * Change a subscription's name, colour, interval or visibility. A new URL
+ * drops the cached copy and fetches the feed again.
+ */
+export async function updateCalendarSubscription(
+  account: string,
+  id: string,
+  patch: Partial<
+    Pick<CalendarSubscription, 'name' | 'url' | 'color' | 'refreshMinutes' | 'visible'>
+  >,
+): Promise<CalendarSubscription | null> {
+  const before = (await readCalendarSubscriptions(account)).find((sub) => sub.id === id);
+  if (!before) return null;
+  const url = patch.url === undefined ? before.url : normalizeFeedUrl(patch.url);
+  if (!url) throw new Error('Enter an http(s) or webcal address');
+  const moved = url !== before.url;
+  const next = await patchSubscription(account, id, {
+    ...patch,
+    url,
+    ...(moved ? { fetchedAt: 0, etag: '', lastModified: '', error: '' } : {}),
+  });
+  if (moved) return refreshCalendarSubscription(account, id);
+  announce(account, id);
+  return next;
+}
+
+/** Unsubscribe and drop the cached events. */
+export async function removeCalendarSubscription(account: string, id: string): Promise<void> {
+  await serialize(account, async () => {
+    const list = await readCalendarSubscriptions(account);
+    await writeCalendarSubscriptions(
+      account,
+      list.filter((sub) => sub.id !== id),
+    );
+  });
+  await db.meta.delete(feedKey(account, id)).catch(() => {});
+  announce(account, id);
+}
+
+/**
+ * Events of the visible subscriptions between `windowStart` and
+ * `windowEnd`, as calendar views with recurring series already expanded.
+ * Each carries `readOnly` and its `subscriptionId`.
+ */
+export async function readSubscribedEvents(
+  account: string,
+  windowStart: Date,
+  windowEnd: Date,
+): Promise<Record<string, unknown>[]> {
+  const subs = (await readCalendarSubscriptions(account)).filter((sub) => sub.visible);
+  const views: Record<string, unknown>[] = [];
+  for (const sub of subs) {
+    for (const record of await readFeedEvents(account, sub.id)) {
+      views.push({ ...mapCalendarEvent(record), readOnly: true, subscriptionId: sub.id });
+    }
+  }
+  const from = windowStart.getTime();
+  const to = windowEnd.getTime();
+  return expandRecurringEvents(views, windowStart, windowEnd).filter((view) => {
+    const start = new Date(String(view.start)).getTime();
+    const end = new Date(String(view.end || view.start)).getTime();
+    return !Number.isFinite(start) || (start < to && end >= from);
+  });
+}
+
+// ── Background refresher ───────────────────────────────────────────────────
+
+let refreshTimer: ReturnType<typeof setInterval> | null = null;
+
+const refreshNow = () => {
+  if (!isOnline()) return;
+  refreshDueSubscriptions().catch((err) => warn('[calendar-subscriptions] refresh failed', err));
+};
+
+/**
+ * Start the background refresher. Call once on startup with the other
+ * services; it checks for due feeds every minute, when the page comes back
+ * into view and when the network returns, always for the account on screen.
+ */
+export function initCalendarSubscriptions(): void {
+  if (refreshTimer) return;
+  refreshTimer = setInterval(refreshNow, CHECK_INTERVAL_MS);
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) refreshNow();
+    });
+  }
+  globalThis.addEventListener?.('online', refreshNow);
+  refreshNow();
+}
@@ -3,19 +3,29 @@ import { Local } from './storage';
 import { Remote } from './remote';
 import { warn } from './logger.ts';
 import { isOnline } from './network-status';
+import { queueMutation } from './mutation-queue.js';
 
 /**
  * Contact Cache
  *
- * Caches contacts in the IndexedDB `meta` table per-account.
- * Returns cached contacts instantly for offline compose autocomplete,
- * and refreshes from the API in the background when online.
+ * Keeps the address book in the IndexedDB `contacts` table, one row per
+ * contact holding the raw API record. Compose autocomplete and the Contacts
+ * page read it instantly and offline; a full fetch refreshes it when stale,
+ * and the contact* websocket events patch single rows in between
+ * (applyContactRealtimeChange).
+ *
+ * Edits made offline go through mutation-queue.js as contactCreate/Update/
+ * Delete. The row is marked pending and keeps the local version until the
+ * queue replays the write, so fetches in the meantime cannot undo it.
+ * Contacts created offline carry a temp- id until their create goes through.
  */
 
-// v2 stores one autocomplete entry for every CardDAV EMAIL property. Bumping
-// the key prevents a fresh legacy one-address cache from masking secondary
-// addresses for up to its old TTL after users upgrade.
-const CONTACT_KEY_PREFIX = 'contacts_v2_';
+export const CONTACT_MUTATION_TYPES = ['contactCreate', 'contactUpdate', 'contactDelete'];
+
+// Time of the last full fetch per account; the rows live in the table.
+const SYNC_KEY_PREFIX = 'contacts_synced_';
+// The single-blob cache the table replaced. Dropped on the next full fetch.
+const LEGACY_KEY_PREFIX = 'contacts_v2_';
 const CACHE_TTL_MS = 15 * 60 * 1000; // 15 minutes
 const CONTACTS_PAGE_SIZE = 500;
 
@@ -23,32 +33,21 @@ function getAccount() {
   return Local.get('email') || 'default';
 }
 
-function cacheKey(account) {
-  return `${CONTACT_KEY_PREFIX}${account}`;
+export function isContactMutation(type) {
+  return CONTACT_MUTATION_TYPES.includes(type);
 }
 
-/**
- * Read cached contacts for the given account from IndexedDB.
- */
-async function readCache(account) {
-  try {
-    const record = await db.meta.get(cacheKey(account || getAccount()));
-    if (!record?.value) return null;
-    return {
-      contacts: Array.isArray(record.value) ? record.value : [],
-      updatedAt: record.updatedAt || 0,
-    };
-  } catch {
-    return null;
-  }
-}
+// Fetches, realtime patches, queued writes and replays all rewrite the same
+// rows; run them one at a time.
+let chain = Promise.resolve();
 
-/**
- * Write contacts to the cache for the given account.
- */
-async function writeCache(account, contacts) {
-  const key = cacheKey(account || getAccount());
-  await db.meta.put({ key, value: contacts, updatedAt: Date.now() });
+function serialize(fn) {
+  const run = chain.then(fn, fn);
+  chain = run.then(
+    () => {},
+    () => {},
+  );
+  return run;
 }
 
 /**
@@ -107,6 +106,18 @@ function getContactEmails(raw) {
   return emails;
 }
 
+/**
+ * Display name of a raw contact. The API returns full_name; also handle
+ * name/Name/firstName+lastName.
+ */
+function contactName(raw) {
+  const name = raw?.full_name || raw?.name || raw?.Name || '';
+  if (!name && raw?.firstName) {
+    return [raw.firstName, raw.lastName].filter(Boolean).join(' ');
+  }
+  return name;
+}
+
 /**
  * Normalize a contact from the API response into one autocomplete entry per
  * address. A CardDAV contact is one person, but each EMAIL property must be
@@ -118,12 +129,7 @@ function normalizeContact(raw) {
   const emails = getContactEmails(raw);
   if (!emails.length) return [];
 
-  // API returns full_name; also handle name/Name/firstName+lastName
-  let name = raw.full_name || raw.name || raw.Name || '';
-  if (!name && raw.firstName) {
-    name = [raw.firstName, raw.lastName].filter(Boolean).join(' ');
-  }
-
+  const name = contactName(raw);
   const contactId = String(raw.id || raw.Id || emails[0]);
   return emails.map((email) => ({
     // Keep cache IDs unique even when multiple entries represent one contact.
@@ -147,6 +153,139 @@ function sortContacts(contacts) {
   });
 }
 
+/**
+ * Server id of a raw contact, whichever field carries it.
+ */
+function contactIdOf(raw) {
+  return String(raw?.id || raw?.contact_id || raw?.uid || raw?.Id || '');
+}
+
+/**
+ * Build a table row for a raw contact. Addresses are stored lowercased for
+ * the emails index; the record itself keeps them as entered.
+ */
+function toRow(account, raw, fields = {}) {
+  const emails = getContactEmails(raw);
+  return {
+    account,
+    id: contactIdOf(raw),
+    contact: raw,
+    sortName: (contactName(raw) || emails[0] || '').toLowerCase(),
+    emails: emails.map((email) => email.toLowerCase()),
+    tempId: null,
+    pending: null,
+    updatedAt: Date.now(),
+    ...fields,
+  };
+}
+
+const accountRows = (account) => db.contacts.where('account').equals(account).toArray();
+
+// Queued writes address the contact by the id it had when they were queued,
+// which for offline creates is a temp- id the server never saw.
+async function findContactRow(account, id) {
+  const direct = await db.contacts.get([account, id]);
+  if (direct) return direct;
+  if (!id.startsWith('temp-')) return undefined;
+  const rows = await accountRows(account);
+  return rows.find((row) => row.tempId === id);
+}
+
+const notifyContactsChanged = (detail) => {
+  if (typeof window === 'undefined') return;
+  window.dispatchEvent(new CustomEvent('webmail:contacts-changed', { detail }));
+};
+
+async function readSyncedAt(account) {
+  try {
+    const record = await db.meta.get(`${SYNC_KEY_PREFIX}${account}`);
+    return record?.updatedAt || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Autocomplete entries for every cached contact and recent address, with
+ * queued deletes already left out.
+ */
+async function readEntries(account) {
+  try {
+    const rows = await accountRows(account);
+    return sortContacts(
+      rows
+        .filter((row) => row.pending !== 'delete')
+        .flatMap((row) => normalizeContact(row.contact)),
+    );
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Raw contacts for the Contacts page, in name order, without recent
+ * addresses or queued deletes.
+ *
+ * @param {string} [account]
+ * @returns {Promise<Array>} Raw API contact records
+ */
+export async function readCachedContacts(account = getAccount()) {
+  try {
+    const rows = await db.contacts
+      .where('[account+sortName]')
+      .between([account, ''], [account, '\uffff'], true, true)
+      .toArray();
+    return rows.filter((row) => !row.recent && row.pending !== 'delete').map((row) => row.contact);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Store a full fetch of an account's contacts and return what to show: the
+ * fetched records with queued local writes laid over them. Rows the fetch no
+ * longer returns are dropped unless a write is queued, and recent addresses
+ * that now belong to a contact give way to it.
+ *
+ * @param {Array} list - Raw API contact records
+ * @param {string} [account]
+ * @returns {Promise<Array>} Raw contact records to render
+ */
+export function replaceCachedContacts(list, account = getAccount()) {
+  return serialize(async () => {
+    const existing = new Map((await accountRows(account)).map((row) => [row.id, row]));
+    const result = [];
+    const puts = [];
+    const seen = new Set();
+    const addresses = new Set();
+    for (const raw of list || []) {
+      const id = contactIdOf(raw);
+      if (!id) continue;
+      seen.add(id);
+      const row = existing.get(id);
+      if (row?.pending) {
+        if (row.pending !== 'delete') result.push(row.contact);
+        continue;
+      }
+      result.push(raw);
+      const next = toRow(account, raw, { tempId: row?.tempId ?? null });
+      next.emails.forEach((email) => addresses.add(email));
+      puts.push(next);
+    }
+    const stale = [];
+    for (const row of existing.values()) {
+      if (seen.has(row.id)) continue;
+      if (row.pending === 'create' || row.pending === 'update') result.push(row.contact);
+      else if (row.recent ? addresses.has(row.emails?.[0]) : !row.pending) stale.push(row.id);
+    }
+    await Promise.all(stale.map((id) => db.contacts.delete([account, id])));
+    if (puts.length) await db.contacts.bulkPut(puts);
+    await db.meta.put({ key: `${SYNC_KEY_PREFIX}${account}`, value: true, updatedAt: Date.now() });
+    await db.meta.delete(`${LEGACY_KEY_PREFIX}${account}`).catch(() => {});
+    return result;
+  });
+}
+
 /**
  * Extract a contacts list from the API response.
  */
@@ -174,9 +313,8 @@ async function fetchAndCache(account) {
     }
   }
 
-  const contacts = sortContacts(allContacts.flatMap(normalizeContact));
-  await writeCache(account, contacts).catch(() => {});
-  return contacts;
+  await replaceCachedContacts(allContacts, account).catch(() => {});
+  return readEntries(account);
 }
 
 /**
@@ -194,25 +332,26 @@ export async function getContacts(options = {}) {
   const { forceRefresh = false } = options;
 
   if (!forceRefresh) {
-    const cached = await readCache(account);
-    if (cached) {
-      const isStale = Date.now() - cached.updatedAt > CACHE_TTL_MS;
+    const syncedAt = await readSyncedAt(account);
+    if (syncedAt) {
+      const isStale = Date.now() - syncedAt > CACHE_TTL_MS;
       if (isStale && isOnline()) {
         // Background refresh — return stale data immediately
         fetchAndCache(account).catch(() => {});
       }
-      return sortContacts(cached.contacts);
+      return readEntries(account);
     }
   }
 
-  // No cache — must fetch
-  if (!isOnline()) return [];
+  // Never fetched — must fetch. Offline, offer what edits and recent
+  // addresses have put in the table so far.
+  if (!isOnline()) return readEntries(account);
 
   try {
     return await fetchAndCache(account);
   } catch (err) {
     warn('[contact-cache] Failed to fetch contacts', err);
-    return [];
+    return readEntries(account);
   }
 }
 
@@ -225,58 +364,38 @@ export async function getContacts(options = {}) {
 export async function removeContactFromCache(contactId) {
   if (!contactId) return;
   const account = getAccount();
-  const cached = await readCache(account);
-  if (!cached?.contacts?.length) return;
-  const updated = cached.contacts.filter(
-    (contact) => String(contact.contactId || contact.id || '') !== String(contactId),
-  );
-  if (updated.length !== cached.contacts.length) {
-    await writeCache(account, updated).catch(() => {});
-  }
+  await serialize(() => db.contacts.delete([account, String(contactId)]));
 }
 
 /**
  * Insert or update a single contact in the cache.
  * Call this after creating or updating a contact.
  *
- * @param {Object} contact - Normalized contact object with at least { id, email, name }
+ * @param {Object} contact - Raw API contact record
  */
 export async function upsertContactInCache(contact) {
-  if (!contact?.id) return;
-  const normalized = normalizeContact(contact);
-  if (!normalized.length) return;
-  const account = getAccount();
-  const cached = await readCache(account);
-  const existing = cached?.contacts || [];
-  const contactId = normalized[0].contactId;
-  // Remove all old entries for this contact before inserting its current list
-  // of addresses. Fall back to id for caches written before contactId existed.
-  const updated = [
-    ...existing.filter((entry) => String(entry.contactId || entry.id || '') !== contactId),
-    ...normalized,
-  ];
-  await writeCache(account, sortContacts(updated)).catch(() => {});
+  await upsertMultipleContactsInCache(contact ? [contact] : []);
 }
 
 /**
- * Insert or update multiple contacts in the cache.
- * Call this after bulk import.
+ * Insert or update multiple contacts in the cache. Rows with a queued write
+ * keep their local version.
  *
- * @param {Array} contacts - Array of normalized contact objects
+ * @param {Array} contacts - Raw API contact records
  */
 export async function upsertMultipleContactsInCache(contacts) {
-  if (!contacts?.length) return;
-  const entries = contacts.flatMap(normalizeContact);
-  if (!entries.length) return;
+  const list = (contacts || []).filter((contact) => contactIdOf(contact));
+  if (!list.length) return;
   const account = getAccount();
-  const cached = await readCache(account);
-  const existing = cached?.contacts || [];
-  const contactIds = new Set(entries.map((entry) => entry.contactId));
-  const updated = [
-    ...existing.filter((entry) => !contactIds.has(String(entry.contactId || entry.id || ''))),
-    ...entries,
-  ];
-  await writeCache(account, sortContacts(updated)).catch(() => {});
+  await serialize(async () => {
+    const puts = [];
+    for (const contact of list) {
+      const row = await db.contacts.get([account, contactIdOf(contact)]);
+      if (row?.pending) continue;
+      puts.push(toRow(account, contact, { tempId: row?.tempId ?? null }));
+    }
+    if (puts.length) await db.contacts.bulkPut(puts);
+  });
 }
 
 /**
@@ -286,25 +405,264 @@ export async function upsertMultipleContactsInCache(contacts) {
 export async function mergeRecentAddresses(addresses) {
   if (!addresses?.length) return;
   const account = getAccount();
-  const cached = await readCache(account);
-  const existing = cached?.contacts || [];
-  const emailSet = new Set(existing.map((c) => c.email.toLowerCase()));
-  const newContacts = [];
-
-  for (const addr of addresses) {
-    const email = (typeof addr === 'string' ? addr : addr?.email || '').trim();
-    if (!email || emailSet.has(email.toLowerCase())) continue;
-    emailSet.add(email.toLowerCase());
-    newContacts.push({
-      id: email,
-      email,
-      name: typeof addr === 'object' ? addr.name || '' : '',
-      avatar: '',
-      company: '',
+  await serialize(async () => {
+    const seen = new Set();
+    const puts = [];
+    for (const addr of addresses) {
+      const email = (typeof addr === 'string' ? addr : addr?.email || '').trim();
+      const key = email.toLowerCase();
+      if (!email || seen.has(key)) continue;
+      seen.add(key);
+      const known = await db.contacts.where('emails').equals(key).toArray();
+      if (known.some((row) => row.account === account)) continue;
+      const name = typeof addr === 'object' ? addr.name || '' : '';
+      puts.push(toRow(account, { id: email, email, name }, { id: `recent:${key}`, recent: true }));
+    }
+    if (puts.length) await db.contacts.bulkPut(puts);
+  }).catch(() => {});
+}
+
+// ── Queued writes ──────────────────────────────────────────────────────────
+
+/**
+ * Queue a contact write for when the server is reachable and mark the row
+ * pending so fetches keep the local version until then.
+ *
+ * @param {'contactCreate'|'contactUpdate'|'contactDelete'} type
+ * @param {Object} write
+ * @param {string} write.contactId - Server id, or the temp- id of a new contact
+ * @param {Object} [write.payload] - Request body for creates and updates
+ * @param {Object} [write.contact] - The local raw record after the write
+ * @param {string} [write.account]
+ */
+export async function queueContactWrite(type, write) {
+  const { account = getAccount(), contactId, payload, contact } = write;
+  let name = '';
+  const seq = await serialize(async () => {
+    const row = await findContactRow(account, contactId);
+    const next = (row?.pendingSeq || 0) + 1;
+    const pending =
+      type === 'contactDelete'
+        ? 'delete'
+        : row?.pending === 'create' || type === 'contactCreate'
+          ? 'create'
+          : 'update';
+    const id = row?.id || contactId;
+    const raw = contact ? { ...contact, id } : row?.contact || { id };
+    name = contactName(raw);
+    await db.contacts.put(
+      toRow(account, raw, { tempId: row?.tempId ?? null, pending, pendingSeq: next }),
+    );
+    return next;
+  });
+  await queueMutation(type, { contactId, body: payload, name, seq });
+}
+
+const getContactPath = (id) => `/v1/contacts/${encodeURIComponent(id)}`;
+
+const unwrap = (res) => res?.Result || res;
+
+async function fetchServerContact(id) {
+  try {
+    const contact = unwrap(
+      await Remote.request('Contacts', {}, { pathOverride: getContactPath(id) }),
+    );
+    return contact && typeof contact === 'object' ? contact : null;
+  } catch (err) {
+    if (err?.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Send one queued contact write (mutation-queue.js calls this).
+ *
+ * @param {string} type - One of CONTACT_MUTATION_TYPES
+ * @param {Object} payload - The queued mutation payload
+ */
+export async function replayContactWrite(type, payload) {
+  const account = String(payload.account || getAccount());
+  const contactId = String(payload.contactId || '');
+  const seq = Number(payload.seq || 0);
+  const row = await findContactRow(account, contactId);
+
+  // Only the last queued write for a row clears its pending marker.
+  const settle = (server, tempId) =>
+    serialize(async () => {
+      const latest = await findContactRow(account, contactId);
+      const isLast = !latest?.pendingSeq || latest.pendingSeq <= seq;
+      if (latest && latest.id !== server.id) await db.contacts.delete([account, latest.id]);
+      await db.contacts.put(
+        toRow(account, isLast ? server : { ...latest.contact, id: server.id }, {
+          tempId: tempId ?? latest?.tempId ?? null,
+          pending: isLast ? null : latest.pending === 'create' ? 'update' : latest.pending,
+          pendingSeq: latest?.pendingSeq,
+        }),
+      );
     });
+
+  if (type === 'contactCreate') {
+    // A replay after the create already went through finds the real id.
+    if (row && row.id !== contactId) return;
+    const created = unwrap(
+      await Remote.request('ContactsCreate', payload.body, {
+        method: 'POST',
+        pathOverride: '/v1/contacts',
+      }),
+    );
+    const id = contactIdOf(created) || contactId;
+    await settle({ ...payload.body, ...created, id }, contactId);
+    notifyContactsChanged({ id, tempId: contactId });
+    return;
   }
 
-  if (newContacts.length) {
-    await writeCache(account, [...existing, ...newContacts]).catch(() => {});
+  const id = row?.id || contactId;
+  if (id.startsWith('temp-')) {
+    // The create is still queued (a later run finds the real id) or was
+    // given up on, which leaves nothing to change.
+    if (row) throw new Error('Contact has not been created yet');
+    return;
+  }
+
+  if (type === 'contactDelete') {
+    try {
+      await Remote.request(
+        'ContactsDelete',
+        {},
+        { method: 'DELETE', pathOverride: getContactPath(id) },
+      );
+    } catch (err) {
+      // Already gone server side counts as a successful delete.
+      if (err?.status !== 404) throw err;
+    }
+    await serialize(async () => {
+      const latest = await db.contacts.get([account, id]);
+      if (!latest?.pendingSeq || latest.pendingSeq <= seq) {
+        await db.contacts.delete([account, id]);
+      }
+    });
+    notifyContactsChanged({ id });
+    return;
+  }
+
+  let updated;
+  try {
+    updated = unwrap(
+      await Remote.request('ContactsUpdate', payload.body, {
+        method: 'PUT',
+        pathOverride: getContactPath(id),
+      }),
+    );
+  } catch (err) {
+    if (err?.status !== 404) throw err;
+    const label = payload.name ? `"${payload.name}"` : 'A contact';
+    // Retrying cannot bring it back; mutation-queue.js fails it at once.
+    throw Object.assign(
+      new Error(`${label} was deleted on another device, so your offline change was not saved.`),
+      { permanent: true, code: 'CONTACT_DELETED' },
+    );
+  }
+  await settle({ ...payload.body, ...(updated && typeof updated === 'object' ? updated : {}), id });
+  notifyContactsChanged({ id });
+}
+
+/**
+ * Undo the local side of a contact mutation that will never land: put the
+ * server copy back (or drop a contact that only ever existed here) and
+ * return the message to show.
+ *
+ * @param {Object} mutation - The failed mutation record
+ * @returns {Promise<string>}
+ */
+export async function revertContactMutation(mutation) {
+  const { payload } = mutation;
+  const account = String(payload?.account || getAccount());
+  const contactId = String(payload?.contactId || '');
+  const message =
+    mutation.lastError || `Couldn't sync a change to "${payload?.name || 'a contact'}".`;
+  const row = await findContactRow(account, contactId);
+  if (!row) return message;
+  let server = null;
+  if (!row.id.startsWith('temp-')) {
+    try {
+      server = await fetchServerContact(row.id);
+    } catch (err) {
+      warn('[contact-cache] revert fetch failed', err);
+      // Leave the local copy; the next full fetch replaces it.
+      await serialize(() =>
+        db.contacts.update([account, row.id], { pending: null, updatedAt: Date.now() }),
+      );
+      notifyContactsChanged({ id: row.id });
+      return message;
+    }
+  }
+  await serialize(async () => {
+    if (!server) {
+      await db.contacts.delete([account, row.id]);
+      return;
+    }
+    await db.contacts.put(
+      toRow(account, { ...server, id: row.id }, { tempId: row.tempId ?? null }),
+    );
+  });
+  notifyContactsChanged({ id: row.id });
+  return message;
+}
+
+// ── Realtime ───────────────────────────────────────────────────────────────
+
+/**
+ * Contact id of a contact* websocket payload, whichever field carries it.
+ *
+ * @param {Object} data
+ * @returns {string}
+ */
+export function realtimeContactId(data) {
+  const nested = data?.contact || data?.card;
+  return String(
+    data?.contactId ||
+      data?.contact_id ||
+      contactIdOf(typeof nested === 'object' ? nested : null) ||
+      data?.id ||
+      '',
+  );
+}
+
+/**
+ * Patch the cache from a contact* websocket event. Returns false when it
+ * could not (nothing to go on, or the fetch failed), so the caller reloads.
+ *
+ * @param {string} account
+ * @param {string} type - contactCreated, contactUpdated or contactDeleted
+ * @param {Object} data - Event payload
+ * @returns {Promise<boolean>}
+ */
+export async function applyContactRealtimeChange(account, type, data) {
+  try {
+    const id = realtimeContactId(data);
+    if (!id) return false;
+    // Updates only carry the changed fields; fetch the whole record unless
+    // the event has it.
+    const nested = data?.contact || data?.card;
+    const server =
+      type === 'contactDeleted'
+        ? null
+        : nested && typeof nested === 'object' && nested.content
+          ? nested
+          : await fetchServerContact(id);
+    await serialize(async () => {
+      const row = await db.contacts.get([account, id]);
+      // A queued local write wins until it replays.
+      if (row?.pending) return;
+      if (!server) {
+        await db.contacts.delete([account, id]);
+        return;
+      }
+      await db.contacts.put(toRow(account, { ...server, id }, { tempId: row?.tempId ?? null }));
+    });
+    return true;
+  } catch (err) {
+    warn('[contact-cache] realtime patch failed', err);
+    return false;
   }
 }
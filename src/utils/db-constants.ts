@@ -8,7 +8,7 @@ export const SCHEMA_VERSION = 1;
 // Dexie's internal schema version for in-place upgrades (index changes and
 // the like) within the same database. Bumping this migrates existing data
 // where it lives; nothing re-syncs. History lives in db-engine.ts.
-export const DEXIE_VERSION = 2;
+export const DEXIE_VERSION = 6;
 const baseName = isDev ? 'webmail-cache-dev' : 'webmail-cache';
 let devSuffix = '';
 if (isDev) {
@@ -95,20 +95,54 @@ const PLAINTEXT_FIELDS: Record<string, Set<string>> = {
     'createdAt',
     'updatedAt',
   ]),
+  // Public keys are not secret, but the table doubles as a list of everyone
+  // the account corresponds with.
+  recipientKeys: new Set(['account', 'email', 'fingerprint', 'source', 'seenAt', 'updatedAt']),
+  // Subjects stay sealed; the rest is what wakeups need while locked.
+  snoozes: new Set(['account', 'id', 'messageId', 'folder', 'wakeAt', 'createdAt', 'updatedAt']),
+  // Event titles, notes and attendees stay sealed. The version stamps and the
+  // pending marker are what replaying an offline edit needs.
+  calendars: new Set(['account', 'id', 'position', 'updatedAt']),
+  calendarEvents: new Set([
+    'account',
+    'id',
+    'calendarId',
+    'version',
+    'tempId',
+    'pending',
+    'pendingSeq',
+    'discardThrough',
+    'updatedAt',
+  ]),
+  // The vCard stays sealed. Addresses and the sort name are indexed, so
+  // they stay readable the way recipientKeys' addresses do.
+  contacts: new Set([
+    'account',
+    'id',
+    'sortName',
+    'emails',
+    'recent',
+    'tempId',
+    'pending',
+    'pendingSeq',
+    'updatedAt',
+  ]),
   searchIndex: new Set(['account', 'key', 'updatedAt']),
   meta: new Set(['key', 'updatedAt']),
 };
 
 // The meta table is a grab-bag key-value store; only these key families hold
-// sensitive content (queued mutations embed auth headers, contact cache,
-// attachment blobs, saved searches). Everything else (migration flags, probe
+// sensitive content (queued mutations and the notification-action records
+// embed auth headers, contact cache, attachment blobs, saved searches). Everything else (migration flags, probe
 // records, the app_lock_enabled flag the SW reads) stays plaintext.
 const SENSITIVE_META_KEY_PREFIXES = [
   'mutation_queue_',
+  'notification_actions_',
   'contacts_',
   'att_blob_',
   'att_cache_manifest',
   'saved_search_',
+  'unsubscribed_lists_',
 ];
 
 let aesKey: CryptoKey | null = null;
@@ -143,10 +143,65 @@ interface OutboxItem {
   sendAt?: number;
   serverId?: string | null;
   serverScheduled?: boolean;
+  followUp?: Record<string, unknown> | null;
   createdAt?: number;
   updatedAt?: number;
 }
 
+interface RecipientKey {
+  account: string;
+  email: string;
+  fingerprint?: string;
+  publicKey?: string;
+  source?: string;
+  seenAt?: number;
+  updatedAt?: number;
+}
+
+interface Snooze {
+  account: string;
+  id: string;
+  messageId?: string;
+  folder?: string;
+  wakeAt?: number;
+  createdAt?: number;
+  updatedAt?: number;
+}
+
+interface CachedCalendar {
+  account: string;
+  id: string;
+  calendar?: Record<string, unknown>;
+  position?: number;
+  updatedAt?: number;
+}
+
+interface CachedContact {
+  account: string;
+  id: string;
+  contact?: Record<string, unknown>;
+  sortName?: string;
+  emails?: string[];
+  recent?: boolean;
+  tempId?: string | null;
+  pending?: 'create' | 'update' | 'delete' | null;
+  pendingSeq?: number;
+  updatedAt?: number;
+}
+
+interface CachedCalendarEvent {
+  account: string;
+  id: string;
+  calendarId?: string;
+  event?: Record<string, unknown>;
+  version?: Record<string, unknown>;
+  tempId?: string | null;
+  pending?: 'create' | 'update' | 'delete' | null;
+  pendingSeq?: number;
+  discardThrough?: number;
+  updatedAt?: number;
+}
+
 // Database class with typed tables
 class WebmailDatabase extends Dexie {
   accounts!: Table<Account>;
@@ -162,6 +217,11 @@ class WebmailDatabase extends Dexie {
   settings!: Table<Settings>;
   settingsLabels!: Table<SettingsLabels>;
   outbox!: Table<OutboxItem>;
+  recipientKeys!: Table<RecipientKey>;
+  snoozes!: Table<Snooze>;
+  calendars!: Table<CachedCalendar>;
+  calendarEvents!: Table<CachedCalendarEvent>;
+  contacts!: Table<CachedContact>;
 
   constructor(name: string) {
     super(name);
@@ -194,7 +254,7 @@ class WebmailDatabase extends Dexie {
     // The keep-list mirrors PLAINTEXT_FIELDS in db-crypto.ts; both derive
     // from the same audit of every .where() call in the app and workers
     // (public/sw-sync.js and sync-core.js use no indexes at all).
-    this.version(DEXIE_VERSION).stores({
+    this.version(2).stores({
       accounts: 'id',
       folders: '[account+path],account',
       // from: kept for the empty-sender repair sweep in sync.worker.ts.
@@ -212,6 +272,30 @@ class WebmailDatabase extends Dexie {
       settingsLabels: 'account',
       outbox: '[account+id],account',
     });
+    // Version 3: recipientKeys, other people's public keys per account (see
+    // recipient-keys.ts). A new table only, so the upgrade touches no data.
+    this.version(3).stores({
+      recipientKeys: '[account+email],account',
+    });
+    // Version 4: snoozes, wake times of snoozed messages (see snooze.ts).
+    // Another new table; wakeups scan an account's rows, so no wakeAt index.
+    this.version(4).stores({
+      snoozes: '[account+id],account',
+    });
+    // Version 5: calendars and calendarEvents, the offline copy of the
+    // calendar (see calendar-cache.ts). New tables only. Events are read per
+    // calendar as well as per account, hence the compound index.
+    this.version(5).stores({
+      calendars: '[account+id],account',
+      calendarEvents: '[account+id],account,[account+calendarId]',
+    });
+    // Version 6: contacts, the offline address book (see contact-cache.js),
+    // replacing the single meta blob it used to be. New table only. Rows are
+    // listed in name order and looked up by any of their addresses, hence
+    // the compound name index and the multi-entry emails index.
+    this.version(DEXIE_VERSION).stores({
+      contacts: '[account+id],account,[account+sortName],*emails',
+    });
   }
 }
 
@@ -649,6 +733,10 @@ async function clearCache(): Promise<{ success: boolean }> {
     db!.indexMeta.clear(),
     db!.drafts.clear(),
     db!.outbox.clear(),
+    db!.snoozes?.clear?.(),
+    db!.calendars?.clear?.(),
+    db!.calendarEvents?.clear?.(),
+    db!.contacts?.clear?.(),
     db!.settings?.clear?.(),
     db!.settingsLabels?.clear?.(),
     // meta table intentionally kept
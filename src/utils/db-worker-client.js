@@ -774,6 +774,11 @@ export const dbClient = {
   settings: new TableProxy('settings'),
   settingsLabels: new TableProxy('settingsLabels'),
   outbox: new TableProxy('outbox'),
+  recipientKeys: new TableProxy('recipientKeys'),
+  snoozes: new TableProxy('snoozes'),
+  calendars: new TableProxy('calendars'),
+  calendarEvents: new TableProxy('calendarEvents'),
+  contacts: new TableProxy('contacts'),
 
   // Transaction helper
   transaction,
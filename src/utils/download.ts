@@ -43,13 +43,13 @@ export async function saveFileDialog(opts: SaveDialogOptions = {}): Promise<stri
 /**
  * Download content as a file.
  *
- * @param content - String or binary data to download
+ * @param content - String, binary data or an assembled Blob to download
  * @param filename - Suggested filename
  * @param mime - MIME type (default: 'text/plain')
  * @returns true if the download was initiated
  */
 export function downloadFile(
-  content: string | ArrayBuffer | Uint8Array,
+  content: string | ArrayBuffer | Uint8Array | Blob,
   filename: string,
   mime: string = 'text/plain',
 ): boolean {
@@ -61,7 +61,7 @@ export function downloadFile(
   }
 
   try {
-    const blob = new Blob([content], { type: mime });
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -82,7 +82,7 @@ export function downloadFile(
 const TAURI_WRITE_CHUNK_SIZE = 512 * 1024;
 
 async function downloadFileTauri(
-  content: string | ArrayBuffer | Uint8Array,
+  content: string | ArrayBuffer | Uint8Array | Blob,
   filename: string,
 ): Promise<void> {
   // Defer dialog to next tick — opening NSSavePanel from inside the
@@ -95,7 +95,11 @@ async function downloadFileTauri(
   if (!filePath) return;
 
   const data =
-    typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+    typeof content === 'string'
+      ? new TextEncoder().encode(content)
+      : content instanceof Blob
+        ? new Uint8Array(await content.arrayBuffer())
+        : new Uint8Array(content);
 
   if (data.byteLength <= TAURI_WRITE_CHUNK_SIZE) {
     await writeFile(filePath, data);
@@ -47,15 +47,19 @@ export async function saveDraft(draftData, options = {}) {
     to: draftData.to || [],
     cc: draftData.cc || [],
     bcc: draftData.bcc || [],
+    from: draftData.from || '',
     replyTo: draftData.replyTo || '',
     subject: draftData.subject || '',
     body: draftData.body || '',
     isPlainText: draftData.isPlainText || false,
+    isMarkdown: draftData.isMarkdown || false,
     attachments: draftData.attachments || [],
     inReplyTo: draftData.inReplyTo || null,
     references: draftData.references || null,
     priority: draftData.priority || 'normal',
     requestReadReceipt: draftData.requestReadReceipt || false,
+    pgpEncrypt: draftData.pgpEncrypt || false,
+    pgpSign: draftData.pgpSign || false,
     serverId: draftData.serverId || null,
     syncStatus: 'pending',
     lastError: null,
@@ -163,9 +167,12 @@ function computeHash(data) {
     subject: data.subject,
     body: data.body,
     isPlainText: data.isPlainText,
+    isMarkdown: data.isMarkdown,
     attachments: (data.attachments || []).map((att) => `${att.name || ''}-${att.size || 0}`),
     priority: data.priority,
     requestReadReceipt: data.requestReadReceipt,
+    pgpEncrypt: data.pgpEncrypt,
+    pgpSign: data.pgpSign,
   });
 }
 
@@ -0,0 +1,85 @@
+/**
+ * Requests to third-party hosts: Web Key Directory lookups, subscribed
+ * calendar feeds and RFC 8058 one-click unsubscribes.
+ *
+ * The CSP's connect-src only lists our own origin and the API, and these
+ * hosts rarely answer CORS, so the webview never fetches them itself:
+ *   - on Tauri the request goes through the HTTP plugin, which runs it in
+ *     Rust under the `http:default` scope in capabilities/default.json;
+ *   - in the browser it goes to the same-origin /external route of the CDN
+ *     worker (worker/src/external.js), which forwards exactly these
+ *     requests and nothing else. `pnpm dev` serves the same route.
+ * Either way no cookies or credentials are sent, and private or loopback
+ * hosts are refused before anything leaves the app.
+ */
+
+import { isTauri } from './platform.js';
+
+export const EXTERNAL_PROXY_PATH = '/external';
+
+export interface ExternalRequest {
+  method?: 'GET' | 'POST';
+  /** Only the RFC 8058 `List-Unsubscribe=One-Click` body is forwarded. */
+  body?: string;
+  /** Accept and conditional-request headers; others are dropped. */
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+/**
+ * True for hosts a request from the app must never reach: loopback,
+ * link-local, private ranges and IP literals of those.
+ */
+export function isPrivateHost(hostname: string): boolean {
+  const host = hostname.toLowerCase();
+  if (host === 'localhost' || /\.(localhost|local|internal|home\.arpa)$/.test(host)) return true;
+  if (host.startsWith('[')) return true;
+  const octets = host.split('.');
+  if (octets.length !== 4 || !octets.every((part) => /^\d{1,3}$/.test(part))) return false;
+  const [a, b] = octets.map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224
+  );
+}
+
+/** The same-origin proxy URL for `url`. */
+export function externalProxyUrl(url: string): string {
+  return `${EXTERNAL_PROXY_PATH}?url=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Fetch a third-party http(s) URL. Resolves with the upstream status and
+ * body; rejects on a network error, a refused host or an abort.
+ */
+export async function externalFetch(
+  url: string,
+  { method = 'GET', body, headers = {}, signal }: ExternalRequest = {},
+): Promise<Response> {
+  const target = new URL(url);
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    throw new TypeError(`Not an http(s) URL: ${url}`);
+  }
+  if (isPrivateHost(target.hostname)) {
+    throw new TypeError(`Refusing to fetch a private address: ${target.hostname}`);
+  }
+
+  const init = { method, body, headers: { ...headers }, signal };
+  if (body !== undefined) init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+
+  if (isTauri) {
+    const http = await import('@tauri-apps/plugin-http');
+    return http.fetch(target.toString(), init);
+  }
+  return fetch(externalProxyUrl(target.toString()), {
+    ...init,
+    credentials: 'omit',
+    cache: 'no-store',
+  });
+}
@@ -121,6 +121,8 @@ function mimeFromName(name: string): string {
     svg: 'image/svg+xml',
     bmp: 'image/bmp',
     pdf: 'application/pdf',
+    eml: 'message/rfc822',
+    mbox: 'application/mbox',
     txt: 'text/plain',
   };
   return (ext && map[ext]) || 'application/octet-stream';
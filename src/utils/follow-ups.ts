@@ -0,0 +1,301 @@
+/**
+ * Follow-up reminders: "remind me if nobody replies in N days".
+ *
+ * Compose gives a message with a follow-up a Message-ID of its own, and the
+ * outbox row it goes out through carries a `followUp` record: that
+ * Message-ID, the conversation id threading.ts derives for it, when it went
+ * out and when to nudge (see queueEmail and trackFollowUp in
+ * outbox-service.js). Messages Compose sends straight to the API get a
+ * receipt row with status 'sent', so every follow-up lives in the outbox
+ * table.
+ *
+ * New mail settles a follow-up when it names our message in In-Reply-To or
+ * References, or joins its conversation after it went out. Our own messages
+ * never count. Like mail rules, this runs on what the sync worker reports it
+ * inserted.
+ *
+ * When the deadline passes with no reply, the Sent copy stays where it is,
+ * on the server and in the cache, flags and all. INBOX lists it on top as a
+ * local entry (resurfacedMessages in messageStore.ts) until it has been
+ * opened, which closes the follow-up. A notification goes out through
+ * notification-manager.js.
+ *
+ * Deadlines are timed like snoozes (wake-timers.ts): a timer per row, a
+ * catch-up whenever the page becomes visible again, and a scan of INBOX
+ * before nudging, in case the reply arrived while the app was closed.
+ *
+ * The queue runs with the credentials on screen, so follow-ups are only
+ * checked for the active account.
+ */
+
+import { get } from 'svelte/store';
+import { db } from './db.js';
+import { warn } from './logger';
+import { activeAccount, isActiveAccount } from './account-scope';
+import { extractEmail } from './address';
+import { generateMessageId } from './mime-builder';
+import { getConversationId, parseReferences } from './threading';
+import { resolveSentFolder } from './sent-folder.js';
+import { onSyncProgress } from './sync-worker-client.js';
+import { notifyFollowUpDue } from './notification-manager.js';
+import { createSerialQueue } from './serial-queue';
+import { createWakeTimers } from './wake-timers';
+import { isResurfaced, resurfacedMessages, selectedMessage } from '../stores/messageStore';
+import type { Message } from '../types';
+
+/** Choices offered in Compose, in days. */
+export const FOLLOW_UP_DAYS = [1, 3, 7];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INBOX_FOLDER = 'INBOX';
+
+export interface FollowUp {
+  /** Message-ID header of the message we sent, angle brackets included. */
+  messageId: string;
+  conversationId: string;
+  sentAt: number;
+  remindAt: number;
+  status: 'waiting' | 'due';
+  /** Set once the Sent copy is in the local cache and listed in INBOX. */
+  resurfaced?: boolean;
+}
+
+interface FollowUpRow {
+  account: string;
+  id: string;
+  status?: string;
+  emailData?: Record<string, unknown>;
+  followUp?: FollowUp | null;
+}
+
+type FollowUpMessage = Partial<Message> & Record<string, unknown>;
+
+// Sync reports and deadline checks both rewrite the same rows.
+const serialize = createSerialQueue();
+const deadlines = createWakeTimers(() => checkDue().then(() => scheduleFollowUpChecks()));
+
+/** When to nudge for a message sent at `from` (epoch ms). */
+export function followUpDeadline(days: number, from: number = Date.now()): number {
+  return from + days * DAY_MS;
+}
+
+/**
+ * Give an outgoing payload a Message-ID we know, so replies can be matched
+ * against it. One already set is kept.
+ */
+export function withFollowUpMessageId<T extends Record<string, unknown>>(emailData: T): T {
+  if (!emailData || emailData.messageId) return emailData;
+  return { ...emailData, messageId: generateMessageId(String(emailData.from || '')) };
+}
+
+function messageTime(msg: FollowUpMessage): number {
+  const value = msg.dateMs ?? msg.date;
+  if (typeof value === 'number') return value;
+  const parsed = Date.parse(String(value ?? ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * True when `msg` answers the message a follow-up waits on. `ownAddress` is
+ * the sender of that message; what it sends itself is not a reply.
+ */
+export function isFollowUpReply(
+  msg: FollowUpMessage | null | undefined,
+  followUp: FollowUp | null | undefined,
+  ownAddress = '',
+): boolean {
+  if (!msg || !followUp?.messageId) return false;
+  if (ownAddress && extractEmail(msg.from as string) === extractEmail(ownAddress)) return false;
+  const refs = [
+    ...parseReferences(msg.in_reply_to as string),
+    ...parseReferences(msg.references as string),
+  ];
+  if (refs.includes(followUp.messageId)) return true;
+  // Anything else in the conversation counts only if it came later: the
+  // message we replied to shares the conversation id too.
+  if (messageTime(msg) <= followUp.sentAt) return false;
+  return getConversationId(msg) === followUp.conversationId;
+}
+
+async function readFollowUps(account: string): Promise<FollowUpRow[]> {
+  try {
+    const rows = (await db.outbox.where('account').equals(account).toArray()) as FollowUpRow[];
+    // Nothing to wait for until the message has actually gone out.
+    return rows.filter((row) => row?.status === 'sent' && row.followUp?.messageId);
+  } catch {
+    return [];
+  }
+}
+
+function senderOf(row: FollowUpRow): string {
+  return String(row.emailData?.from || '');
+}
+
+async function settle(account: string, row: FollowUpRow): Promise<void> {
+  await db.outbox.update([account, row.id], { followUp: null, updatedAt: Date.now() });
+}
+
+function runResolve(account: string, messages: FollowUpMessage[]): Promise<number> {
+  return serialize(async () => {
+    const rows = await readFollowUps(account);
+    let settled = 0;
+    for (const row of rows) {
+      if (!messages.some((msg) => isFollowUpReply(msg, row.followUp, senderOf(row)))) continue;
+      await settle(account, row);
+      settled++;
+    }
+    if (settled) await publishPins(account, await readFollowUps(account));
+    return settled;
+  });
+}
+
+/**
+ * Settle the follow-ups that newly arrived messages (records in the shape
+ * normalizeMessageForCache produces) reply to. Returns how many were settled;
+ * does nothing for an account that is not on screen.
+ */
+export function resolveFollowUps(account: string, messages: FollowUpMessage[]): Promise<number> {
+  if (!isActiveAccount(account) || !Array.isArray(messages) || !messages.length) {
+    return Promise.resolve(0);
+  }
+  return runResolve(account, messages);
+}
+
+async function findSentCopy(account: string, row: FollowUpRow): Promise<FollowUpMessage | null> {
+  const target = row.followUp!.messageId;
+  try {
+    const folders = await db.folders.where('account').equals(account).toArray();
+    const sentFolder = String(row.emailData?._sentFolder || resolveSentFolder(account, folders));
+    const sent = (await db.messages
+      .where('[account+folder]')
+      .equals([account, sentFolder])
+      .toArray()) as FollowUpMessage[];
+    return (
+      sent.find((msg) => msg.header_message_id === target || msg.message_id === target) || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List the Sent copies of due follow-ups in INBOX. A copy not in the local
+ * cache yet is picked up by the next check.
+ */
+async function publishPins(account: string, rows: FollowUpRow[]): Promise<void> {
+  const due = rows.filter((row) => row.followUp?.status === 'due' && row.followUp.resurfaced);
+  const copies = await Promise.all(due.map((row) => findSentCopy(account, row)));
+  resurfacedMessages.set(copies.filter(Boolean) as Message[]);
+}
+
+/**
+ * Close the follow-up behind a resurfaced Sent copy. Returns false when
+ * `msg` is not one.
+ */
+export function dismissResurfaced(account: string, msg: Partial<Message>): Promise<boolean> {
+  const messageId = String(msg?.header_message_id || msg?.message_id || '');
+  if (!messageId) return Promise.resolve(false);
+  return serialize(async () => {
+    const rows = await readFollowUps(account);
+    const row = rows.find(
+      (r) => r.followUp!.status === 'due' && r.followUp!.messageId === messageId,
+    );
+    if (!row) return false;
+    await settle(account, row);
+    await publishPins(account, await readFollowUps(account));
+    return true;
+  });
+}
+
+function checkDue(): Promise<number> {
+  return serialize(async () => {
+    const account = activeAccount();
+    const now = Date.now();
+    const rows = await readFollowUps(account);
+    const pending = rows.filter(
+      (row) =>
+        (row.followUp!.status === 'waiting' && row.followUp!.remindAt <= now) ||
+        (row.followUp!.status === 'due' && !row.followUp!.resurfaced),
+    );
+    if (!pending.length) return 0;
+
+    const inbox = (await db.messages
+      .where('[account+folder]')
+      .equals([account, INBOX_FOLDER])
+      .toArray()
+      .catch(() => [])) as FollowUpMessage[];
+    let nudged = 0;
+
+    for (const row of pending) {
+      const followUp = row.followUp!;
+      try {
+        if (inbox.some((msg) => isFollowUpReply(msg, followUp, senderOf(row)))) {
+          await settle(account, row);
+          continue;
+        }
+        const copy = await findSentCopy(account, row);
+        const next: FollowUp = { ...followUp, status: 'due', resurfaced: Boolean(copy) };
+        await db.outbox.update([account, row.id], { followUp: next, updatedAt: Date.now() });
+        if (followUp.status === 'waiting') {
+          nudged++;
+          notifyFollowUpDue({
+            id: row.id,
+            subject: row.emailData?.subject,
+            to: row.emailData?.to,
+            account,
+          });
+        }
+      } catch (err) {
+        warn('[follow-ups] failed to resurface', err);
+      }
+    }
+
+    await publishPins(account, await readFollowUps(account));
+    return nudged;
+  });
+}
+
+/**
+ * Re-arm deadline timers from the stored follow-ups of the account on screen
+ * and publish which resurfaced messages to pin. Idempotent; call after
+ * anything that adds a follow-up or changes the active account.
+ */
+export async function scheduleFollowUpChecks(): Promise<void> {
+  const account = activeAccount();
+  const rows = await readFollowUps(account);
+  await publishPins(account, rows);
+  deadlines.arm(
+    rows
+      .filter((row) => row.followUp!.status === 'waiting')
+      .map((row) => [row.id, row.followUp!.remindAt]),
+  );
+}
+
+let initialized = false;
+
+/**
+ * Check new mail for replies as the sync worker stores it, nudge about
+ * anything that came due while the app was closed, and arm timers for the
+ * rest. Call once on startup; follows account switches from then on.
+ */
+export function initFollowUps(): void {
+  if (initialized) return;
+  initialized = true;
+  onSyncProgress((data: { stage?: string; account: string; newMessages?: FollowUpMessage[] }) => {
+    if (data?.stage !== 'metadata' || !Array.isArray(data.newMessages)) return;
+    void resolveFollowUps(data.account, data.newMessages);
+  });
+  // Outbox sends reach 'sent' in the background; arm their deadlines then.
+  globalThis.addEventListener?.('outbox-sent', () => {
+    void scheduleFollowUpChecks();
+  });
+  // A resurfaced copy has done its job once it has been opened; it leaves
+  // INBOX when the user moves on, not while they are reading it.
+  let opened: Message | null = null;
+  selectedMessage.subscribe((msg) => {
+    if (opened && msg?.id !== opened.id) void dismissResurfaced(activeAccount(), opened);
+    opened = msg && isResurfaced(msg, get(resurfacedMessages)) ? msg : null;
+  });
+  void checkDue().then(() => scheduleFollowUpChecks());
+  deadlines.followAccountSwitches();
+}
@@ -0,0 +1,301 @@
+/**
+ * Free/busy lookup for the scheduling assistant in the event editor.
+ *
+ * Our own busy time comes from the calendar cache (calendar-cache.ts), with
+ * recurring events expanded the way the calendar renders them. Attendees'
+ * busy time comes from VFREEBUSY (RFC 5545 §3.6.4) answered by a free/busy
+ * endpoint. The endpoint is pluggable: setFreeBusyLookup swaps the fetcher,
+ * and VITE_FREEBUSY_URL points the default one at a URL template such as
+ * `https://cal.example.com/freebusy/{email}?start={start}&end={end}`, which
+ * a local mock server can stand in for. Without either, attendees simply
+ * show as unknown.
+ *
+ * findFreeSlots then walks forward from the proposed time for the next
+ * stretches in working hours where nobody known is busy.
+ */
+
+import ICAL from 'ical.js';
+import { normalizeEmail } from './address';
+import { readCachedEvents } from './calendar-cache';
+import { warn } from './logger';
+import { expandRecurringEvents } from './recurrence';
+
+export type BusyType = 'BUSY' | 'BUSY-TENTATIVE' | 'BUSY-UNAVAILABLE';
+
+export interface BusyInterval {
+  start: number;
+  end: number;
+  type: BusyType;
+}
+
+export interface FreeBusyQuery {
+  email: string;
+  start: Date;
+  end: Date;
+}
+
+/** Resolve a query to VFREEBUSY text, or null when the answer is unknown. */
+export type FreeBusyLookup = (query: FreeBusyQuery) => Promise<string | null>;
+
+const FREEBUSY_TIMEOUT_MS = 8000;
+// Typing attendees re-renders the grid constantly; one answer per address and
+// range is good for a few minutes.
+const FREEBUSY_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const answers = new Map<string, { at: number; busy: Promise<BusyInterval[] | null> }>();
+
+// iCalendar UTC form (20260501T090000Z), which is what CalDAV servers take.
+const toIcalUtc = (date: Date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Fill the {email}, {start} and {end} placeholders of a free/busy URL
+ * template. A template without {email} gets all three as query parameters.
+ */
+export function freeBusyUrl(template: string, query: FreeBusyQuery): string {
+  const values: Record<string, string> = {
+    email: normalizeEmail(query.email),
+    start: toIcalUtc(query.start),
+    end: toIcalUtc(query.end),
+  };
+  if (!template.includes('{email}')) {
+    const params = new URLSearchParams(values);
+    return `${template}${template.includes('?') ? '&' : '?'}${params}`;
+  }
+  return template.replace(/\{(email|start|end)\}/g, (_, name: string) =>
+    encodeURIComponent(values[name]),
+  );
+}
+
+async function defaultFreeBusyLookup(query: FreeBusyQuery): Promise<string | null> {
+  const template = import.meta.env.VITE_FREEBUSY_URL || '';
+  if (!template) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FREEBUSY_TIMEOUT_MS);
+  try {
+    const res = await fetch(freeBusyUrl(template, query), {
+      signal: controller.signal,
+      credentials: 'omit',
+      headers: { Accept: 'text/calendar' },
+    });
+    return res.ok ? await res.text() : null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+let freeBusyLookup: FreeBusyLookup = defaultFreeBusyLookup;
+
+/**
+ * Replace the free/busy fetcher. Pass null to restore the built-in one.
+ */
+export function setFreeBusyLookup(lookup: FreeBusyLookup | null): void {
+  freeBusyLookup = lookup || defaultFreeBusyLookup;
+  answers.clear();
+}
+
+const BUSY_TYPES: BusyType[] = ['BUSY', 'BUSY-TENTATIVE', 'BUSY-UNAVAILABLE'];
+
+/**
+ * Busy periods of a VFREEBUSY reply. FBTYPE=FREE periods are dropped and an
+ * unknown FBTYPE counts as BUSY, as the RFC asks. When the reply covers
+ * several people, `email` picks that attendee's component.
+ */
+export function parseFreeBusy(ics: string, email = ''): BusyInterval[] {
+  let root: ICAL.Component;
+  try {
+    root = new ICAL.Component(ICAL.parse(ics));
+  } catch {
+    return [];
+  }
+  const target = normalizeEmail(email);
+  const components = root.name === 'vfreebusy' ? [root] : root.getAllSubcomponents('vfreebusy');
+  const mine = components.filter((vfb) => {
+    const attendee = String(vfb.getFirstPropertyValue('attendee') || '');
+    return !target || !attendee || normalizeEmail(attendee.replace(/^mailto:/i, '')) === target;
+  });
+  const busy: BusyInterval[] = [];
+  for (const vfb of mine) {
+    for (const prop of vfb.getAllProperties('freebusy')) {
+      const fbtype = String(prop.getParameter('fbtype') || 'BUSY').toUpperCase();
+      if (fbtype === 'FREE') continue;
+      const type = (BUSY_TYPES.includes(fbtype as BusyType) ? fbtype : 'BUSY') as BusyType;
+      for (const value of prop.getValues()) {
+        const period = value as ICAL.Period;
+        if (!period?.start) continue;
+        const start = period.start.toJSDate().getTime();
+        const end = period.getEnd().toJSDate().getTime();
+        if (Number.isFinite(start) && end > start) busy.push({ start, end, type });
+      }
+    }
+  }
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Busy periods of the calendar's event views within a range. Tasks, all-day
+ * events, cancelled events and events marked TRANSP:TRANSPARENT do not block
+ * time. `ignoreId` leaves out the event being edited, series included.
+ */
+export function busyFromEvents(
+  events: Array<Record<string, unknown>>,
+  rangeStart: number,
+  rangeEnd: number,
+  ignoreId = '',
+): BusyInterval[] {
+  const ignore = ignoreId.split('::')[0];
+  const busy: BusyInterval[] = [];
+  for (const ev of events) {
+    if (String(ev.componentType || 'VEVENT').toUpperCase() === 'VTODO' || ev.allDay) continue;
+    if (ignore && String(ev.id || '').split('::')[0] === ignore) continue;
+    const ical = String((ev.raw as Record<string, unknown>)?.ical || '');
+    if (/^TRANSP:TRANSPARENT/im.test(ical)) continue;
+    if (String(ev.status || '').toUpperCase() === 'CANCELLED') continue;
+    const start = new Date(ev.start as string).getTime();
+    const end = new Date(ev.end as string).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+    if (end <= rangeStart || start >= rangeEnd) continue;
+    const tentative = String(ev.status || '').toUpperCase() === 'TENTATIVE';
+    busy.push({ start, end, type: tentative ? 'BUSY-TENTATIVE' : 'BUSY' });
+  }
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+/** Our own busy time in a range, from the calendar cache. */
+export async function ownBusy(
+  account: string,
+  start: Date,
+  end: Date,
+  ignoreId = '',
+): Promise<BusyInterval[]> {
+  const cached = await readCachedEvents(account);
+  const expanded = expandRecurringEvents(cached, start, end);
+  return busyFromEvents(expanded, start.getTime(), end.getTime(), ignoreId);
+}
+
+/**
+ * Each attendee's busy time in a range, keyed by normalized address. null
+ * means unknown: no endpoint, no answer, or an unusable one.
+ */
+export async function lookupFreeBusy(
+  emails: string[],
+  start: Date,
+  end: Date,
+): Promise<Map<string, BusyInterval[] | null>> {
+  const result = new Map<string, BusyInterval[] | null>();
+  const unique = [...new Set(emails.map(normalizeEmail).filter(Boolean))];
+  await Promise.all(
+    unique.map(async (email) => {
+      const key = `${email}|${start.getTime()}|${end.getTime()}`;
+      let answer = answers.get(key);
+      if (!answer || Date.now() - answer.at > FREEBUSY_CACHE_TTL_MS) {
+        const busy = freeBusyLookup({ email, start, end })
+          .then((ics) => (ics ? parseFreeBusy(ics, email) : null))
+          .catch((err) => {
+            warn('[free-busy] lookup failed', email, err);
+            answers.delete(key);
+            return null;
+          });
+        answer = { at: Date.now(), busy };
+        answers.set(key, answer);
+      }
+      result.set(email, await answer.busy);
+    }),
+  );
+  return result;
+}
+
+/** Sort and merge overlapping or touching busy periods. */
+export function mergeBusy(intervals: BusyInterval[]): BusyInterval[] {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged: BusyInterval[] = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+      if (interval.type === 'BUSY') last.type = 'BUSY';
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+}
+
+export interface FreeSlotOptions {
+  /** Earliest start considered. */
+  from: number;
+  /** Nothing may end after this. */
+  until: number;
+  durationMs: number;
+  /** Slots start on multiples of this, in local time. */
+  stepMs?: number;
+  dayStartHour?: number;
+  dayEndHour?: number;
+  weekdaysOnly?: boolean;
+  limit?: number;
+}
+
+// Round up to the next multiple of step in local wall-clock time, so half
+// hours stay half hours in zones with a :30 or :45 offset.
+const ceilToStep = (ms: number, stepMs: number) => {
+  const offset = new Date(ms).getTimezoneOffset() * 60_000;
+  return Math.ceil((ms - offset) / stepMs) * stepMs + offset;
+};
+
+const atHour = (ms: number, hour: number, dayOffset = 0) => {
+  const date = new Date(ms);
+  date.setDate(date.getDate() + dayOffset);
+  date.setHours(hour, 0, 0, 0);
+  return date.getTime();
+};
+
+/**
+ * The next slots of the given length, inside working hours, that overlap
+ * none of the busy periods. Slots do not overlap each other.
+ */
+export function findFreeSlots(
+  busy: BusyInterval[],
+  options: FreeSlotOptions,
+): Array<{ start: number; end: number }> {
+  const {
+    from,
+    until,
+    durationMs,
+    stepMs = 30 * 60_000,
+    dayStartHour = 9,
+    dayEndHour = 17,
+    weekdaysOnly = true,
+    limit = 3,
+  } = options;
+  const slots: Array<{ start: number; end: number }> = [];
+  if (!(durationMs > 0) || !(stepMs > 0) || dayEndHour <= dayStartHour) return slots;
+  const blocks = mergeBusy(busy);
+  let index = 0;
+  let candidate = ceilToStep(from, stepMs);
+
+  while (slots.length < limit && candidate + durationMs <= until) {
+    const day = new Date(candidate).getDay();
+    const dayStart = atHour(candidate, dayStartHour);
+    const dayEnd = atHour(candidate, dayEndHour);
+    if ((weekdaysOnly && (day === 0 || day === 6)) || candidate + durationMs > dayEnd) {
+      candidate = atHour(candidate, dayStartHour, 1);
+      continue;
+    }
+    if (candidate < dayStart) {
+      candidate = dayStart;
+      continue;
+    }
+    while (index < blocks.length && blocks[index].end <= candidate) index++;
+    const next = blocks[index];
+    if (next && next.start < candidate + durationMs) {
+      candidate = ceilToStep(next.end, stepMs);
+      continue;
+    }
+    slots.push({ start: candidate, end: candidate + durationMs });
+    candidate += durationMs;
+  }
+  return slots;
+}
@@ -26,6 +26,12 @@ export interface ParsedInvite {
   allDay: boolean;
   method: string;
   recurrence: string | null;
+  /** SEQUENCE, the revision the organizer is on (RFC 5545 §3.8.7.4). */
+  sequence: number;
+  /** RECURRENCE-ID of the one occurrence this is about, or ''. */
+  recurrenceId: string;
+  /** COMMENT, e.g. the reason an attendee gives for a proposed time. */
+  comment: string;
   raw: string;
 }
 
@@ -131,6 +137,7 @@ export const parseIcs = (ics: string): ParsedInvite | null => {
   const recurrence = rrule ? rrule.toString() : null;
 
   const method = (comp.getFirstPropertyValue('method') as string) || '';
+  const recurrenceIdValue = vevent.getFirstPropertyValue('recurrence-id');
 
   return {
     uid: (event.uid as string) || '',
@@ -145,6 +152,9 @@ export const parseIcs = (ics: string): ParsedInvite | null => {
     allDay,
     method: method.toUpperCase(),
     recurrence,
+    sequence: Number(vevent.getFirstPropertyValue('sequence')) || 0,
+    recurrenceId: recurrenceIdValue ? String(recurrenceIdValue) : '',
+    comment: (vevent.getFirstPropertyValue('comment') as string) || '',
     raw: ics,
   };
 };
@@ -354,3 +364,198 @@ export const findConflictingEvents = (
     return start < inviteEnd && end > inviteStart;
   });
 };
+
+// ── Counter proposals (RFC 5546 §3.2.7, §3.2.8) and REFRESH (§3.2.6) ──────
+
+const setDtstamp = (vevent: ICAL.Component) => {
+  const dtstamp = ICAL.Time.fromJSDate(new Date(), true);
+  const prop = vevent.getFirstProperty('dtstamp');
+  if (prop) prop.setValue(dtstamp);
+  else vevent.addPropertyWithValue('dtstamp', dtstamp);
+};
+
+const setMethod = (cal: ICAL.Component, method: string) => {
+  const prop = cal.getFirstProperty('method');
+  if (prop) prop.setValue(method);
+  else cal.addPropertyWithValue('method', method);
+};
+
+const setComment = (vevent: ICAL.Component, comment: string | undefined) => {
+  vevent.getAllProperties('comment').forEach((p) => vevent.removeProperty(p));
+  if (comment?.trim()) vevent.addPropertyWithValue('comment', comment.trim());
+};
+
+const stripForReply = (vevent: ICAL.Component) => {
+  ['description', 'attach', 'x-alt-desc'].forEach((name) => {
+    vevent.getAllProperties(name).forEach((p) => vevent.removeProperty(p));
+  });
+  vevent.getAllSubcomponents('valarm').forEach((sub) => vevent.removeSubcomponent(sub));
+};
+
+const dateOnly = (date: Date) =>
+  ICAL.Time.fromDateString(
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`,
+  );
+
+const vcalendarOf = (ics: string): ICAL.Component | null => {
+  try {
+    const cal = new ICAL.Component(ICAL.parse(ics));
+    return cal.getFirstSubcomponent('vevent') ? cal : null;
+  } catch {
+    return null;
+  }
+};
+
+export interface TimeProposal {
+  start: Date;
+  end: Date;
+  allDay?: boolean;
+  comment?: string;
+}
+
+/**
+ * METHOD:COUNTER from an attendee: the invitation with the proposed
+ * DTSTART/DTEND, only this attendee on it and an optional COMMENT.
+ * SEQUENCE stays the organizer's, so they can tell which revision the
+ * proposal answers.
+ */
+export const buildCounterIcs = (
+  invite: ParsedInvite,
+  userEmail: string,
+  proposal: TimeProposal,
+): string => {
+  if (!invite?.raw || !userEmail) return '';
+  const { start, end } = proposal;
+  if (!(start instanceof Date) || !(end instanceof Date)) return '';
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) return '';
+  const cal = vcalendarOf(invite.raw);
+  if (!cal) return '';
+  setMethod(cal, 'COUNTER');
+  const vevent = cal.getFirstSubcomponent('vevent')!;
+  stripForReply(vevent);
+
+  const matched = findUserAttendee(invite, userEmail);
+  vevent.getAllProperties('attendee').forEach((p) => vevent.removeProperty(p));
+  const attendeeProp = new ICAL.Property('attendee', vevent);
+  attendeeProp.setParameter('partstat', matched?.partstat || 'NEEDS-ACTION');
+  if (matched?.name) attendeeProp.setParameter('cn', matched.name);
+  attendeeProp.setValue(`mailto:${userEmail}`);
+  vevent.addProperty(attendeeProp);
+
+  ['dtstart', 'dtend', 'duration'].forEach((name) => {
+    vevent.getAllProperties(name).forEach((p) => vevent.removeProperty(p));
+  });
+  if (proposal.allDay) {
+    vevent.addPropertyWithValue('dtstart', dateOnly(start));
+    // DTEND is exclusive for all-day events.
+    const after = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    vevent.addPropertyWithValue('dtend', dateOnly(after));
+  } else {
+    vevent.addPropertyWithValue('dtstart', ICAL.Time.fromJSDate(start, true));
+    vevent.addPropertyWithValue('dtend', ICAL.Time.fromJSDate(end, true));
+  }
+  setComment(vevent, proposal.comment);
+  setDtstamp(vevent);
+  return cal.toString();
+};
+
+/**
+ * METHOD:DECLINECOUNTER for a received COUNTER: the same event and
+ * proposing attendee, sent back by the organizer with an optional COMMENT.
+ */
+export const buildDeclineCounterIcs = (counter: ParsedInvite, comment?: string): string => {
+  if (!counter?.raw) return '';
+  const cal = vcalendarOf(counter.raw);
+  if (!cal) return '';
+  setMethod(cal, 'DECLINECOUNTER');
+  const vevent = cal.getFirstSubcomponent('vevent')!;
+  stripForReply(vevent);
+  setComment(vevent, comment);
+  setDtstamp(vevent);
+  return cal.toString();
+};
+
+/**
+ * Accept a COUNTER into the organizer's stored copy: the proposed times
+ * replace the event's (the matching occurrence's, for a RECURRENCE-ID),
+ * SEQUENCE goes past both revisions, and since the meeting moved everyone
+ * but the proposer is asked to answer again. Returns the stored copy
+ * unchanged when the COUNTER cannot be read.
+ */
+export const applyCounterToIcs = (existingIcs: string, counterIcs: string): string => {
+  const existingCal = vcalendarOf(existingIcs);
+  const counterCal = vcalendarOf(counterIcs);
+  if (!existingCal || !counterCal) return existingIcs;
+  const counterVevent = counterCal.getFirstSubcomponent('vevent')!;
+  const recurrenceId = (vevent: ICAL.Component) => {
+    const value = vevent.getFirstPropertyValue('recurrence-id');
+    return value ? String(value) : '';
+  };
+  const events = existingCal.getAllSubcomponents('vevent');
+  const rid = recurrenceId(counterVevent);
+  const target =
+    events.find((v) => recurrenceId(v) === rid) ||
+    events.find((v) => !recurrenceId(v)) ||
+    events[0];
+  const proposedStart = counterVevent.getFirstProperty('dtstart');
+  if (!proposedStart) return existingIcs;
+
+  ['dtstart', 'dtend', 'duration'].forEach((name) => {
+    target.getAllProperties(name).forEach((p) => target.removeProperty(p));
+  });
+  ['dtstart', 'dtend', 'duration'].forEach((name) => {
+    const prop = counterVevent.getFirstProperty(name);
+    if (prop) target.addProperty(new ICAL.Property(prop.toJSON(), target));
+  });
+
+  const sequence = Math.max(
+    Number(target.getFirstPropertyValue('sequence')) || 0,
+    Number(counterVevent.getFirstPropertyValue('sequence')) || 0,
+  );
+  target.updatePropertyWithValue('sequence', sequence + 1);
+
+  const organizer = stripMailto(target.getFirstPropertyValue('organizer')).toLowerCase();
+  const proposers = new Set(
+    counterVevent
+      .getAllProperties('attendee')
+      .map((p) => stripMailto(p.getFirstValue()).toLowerCase()),
+  );
+  target.getAllProperties('attendee').forEach((prop) => {
+    const email = stripMailto(prop.getFirstValue()).toLowerCase();
+    if (!email || email === organizer) return;
+    if (proposers.has(email)) {
+      prop.setParameter('partstat', 'ACCEPTED');
+      return;
+    }
+    prop.setParameter('partstat', 'NEEDS-ACTION');
+    prop.setParameter('rsvp', 'TRUE');
+  });
+  setDtstamp(target);
+  return existingCal.toString();
+};
+
+/**
+ * The organizer's stored copy as METHOD:REQUEST, to send the current
+ * version of an event: after accepting a COUNTER, or in answer to a REFRESH.
+ */
+export const buildRequestIcs = (storedIcs: string): string => {
+  const cal = vcalendarOf(storedIcs);
+  if (!cal) return '';
+  setMethod(cal, 'REQUEST');
+  cal.getAllSubcomponents('vevent').forEach((vevent) => setDtstamp(vevent));
+  return cal.toString();
+};
+
+/** Attendee addresses of an event, without the organizer's. */
+export const inviteeEmails = (ics: string): string[] => {
+  const invite = parseIcs(ics);
+  if (!invite) return [];
+  const organizer = (invite.organizer?.email || '').toLowerCase();
+  return [
+    ...new Set(
+      invite.attendees
+        .map((a) => (a.email || '').toLowerCase())
+        .filter((email) => email && email !== organizer),
+    ),
+  ];
+};
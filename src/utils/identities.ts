@@ -0,0 +1,101 @@
+/**
+ * Send-as identities.
+ *
+ * An identity is one address the account sends from (the login address or an
+ * alias), with what should travel with it: the display name, a Reply-To, its
+ * own signature, the folder its Sent copies are filed in, and addresses to Bcc
+ * by default. The list is the account-scoped `identities` setting
+ * (settingsRegistry.ts); Compose offers it as the From picker.
+ *
+ * Empty fields fall back to the account's behaviour without identities: the
+ * profile name, the global signature (LocalSettings.getSignature) and the
+ * resolved Sent folder (sent-folder.js). Identity addresses count as the
+ * user's own when replying (getUserEmails in mailboxActions.ts), so a reply
+ * goes out from the identity the original was addressed to.
+ */
+
+import { isValidEmail, normalizeEmail } from './address';
+
+export interface Identity {
+  id: string;
+  /** Display name for the From header. Empty uses the profile name. */
+  name: string;
+  email: string;
+  replyTo: string;
+  /** Signature as HTML for rich-text mode. */
+  signatureHtml: string;
+  /** Signature for plain-text mode; derived from signatureHtml when empty. */
+  signatureText: string;
+  /** Folder Sent copies are filed in. Empty uses the account's Sent folder. */
+  sentFolder: string;
+  bcc: string[];
+}
+
+const text = (value: unknown) => (typeof value === 'string' ? value.trim() : '');
+
+const addressList = (value: unknown): string[] => {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : [];
+  return [
+    ...new Set(list.map((entry) => normalizeEmail(String(entry || ''))).filter(isValidEmail)),
+  ];
+};
+
+/**
+ * Coerce the stored setting into a list of identities: entries without a
+ * valid address are dropped, as is any second identity for the same address.
+ */
+export function normalizeIdentities(value: unknown): Identity[] {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set<string>();
+  const identities: Identity[] = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') continue;
+    const raw = entry as Record<string, unknown>;
+    const email = normalizeEmail(text(raw.email));
+    if (!isValidEmail(email) || seen.has(email)) continue;
+    seen.add(email);
+    const replyTo = normalizeEmail(text(raw.replyTo));
+    identities.push({
+      id: text(raw.id) || email,
+      name: text(raw.name),
+      email,
+      replyTo: isValidEmail(replyTo) ? replyTo : '',
+      signatureHtml: typeof raw.signatureHtml === 'string' ? raw.signatureHtml.trim() : '',
+      signatureText: typeof raw.signatureText === 'string' ? raw.signatureText.trimEnd() : '',
+      sentFolder: text(raw.sentFolder),
+      bcc: addressList(raw.bcc).filter((address) => address !== email),
+    });
+  }
+  return identities;
+}
+
+/** The identity sending as `address` (a bare or "Name <addr>" address). */
+export function findIdentity(
+  identities: Identity[],
+  address: string | null | undefined,
+): Identity | null {
+  const email = normalizeEmail(address || '');
+  if (!email) return null;
+  return identities.find((identity) => identity.email === email) || null;
+}
+
+/** The From header for an identity, e.g. `"Ann Lee" <ann@example.com>`. */
+export function formatIdentityFrom(identity: Identity, fallbackName = ''): string {
+  const name = (identity.name || fallbackName).replace(/"/g, '').trim();
+  return name ? `"${name}" <${identity.email}>` : identity.email;
+}
+
+/**
+ * The signature to insert for an identity, or the global one when the
+ * identity has none of its own. Null when there is nothing to insert.
+ */
+export function identitySignature(
+  identity: Identity | null,
+  fallback: { enabled: boolean; text: string },
+): { text: string; html: string } | null {
+  if (identity && (identity.signatureText || identity.signatureHtml)) {
+    return { text: identity.signatureText, html: identity.signatureHtml };
+  }
+  if (fallback.enabled && fallback.text.trim()) return { text: fallback.text, html: '' };
+  return null;
+}
@@ -156,6 +156,21 @@ function getResetStyles(): string {
       color: #2563eb;
     }
 
+    /* Links sanitize.js flagged as going somewhere other than they say
+       (phishing.ts); hovering one shows the host it really goes to. */
+    a[data-fe-suspicious-link] {
+      text-decoration-style: wavy;
+      text-decoration-color: #d97706;
+    }
+
+    a[data-fe-suspicious-link]:hover::after {
+      content: ' → ' attr(data-fe-suspicious-link);
+      font-size: 0.85em;
+      color: #b45309;
+      background: #fef3c7;
+      padding: 0 4px;
+    }
+
     pre, code {
       max-width: 100%;
       white-space: pre-wrap;
@@ -0,0 +1,163 @@
+/**
+ * Mailing-list headers: List-Id (RFC 2919), List-Unsubscribe (RFC 2369) and
+ * List-Unsubscribe-Post (RFC 8058).
+ *
+ * The API hands headers over in two shapes: raw header lines, and mailparser's
+ * parsed `headers` object, which folds every List-* header into one `list`
+ * object ({ id: { id, name }, unsubscribe: { url, mail }, ... }). Both are
+ * read here, raw lines first, so normalizeMessageForCache can store what a
+ * message says about its list. Kept free of storage and network imports: the
+ * service-worker normalizer bundle includes this file.
+ */
+
+export interface ListUnsubscribe {
+  /** http(s) unsubscribe URL, if the list offers one. */
+  url: string | null;
+  /** mailto: unsubscribe URI, if the list offers one. */
+  mailto: string | null;
+  /** The URL takes an RFC 8058 one-click POST. */
+  one_click: boolean;
+}
+
+export interface ListFields {
+  list_id?: string;
+  list_name?: string;
+  list_unsubscribe?: ListUnsubscribe;
+}
+
+type HeaderSource = {
+  headers?: unknown;
+  Headers?: unknown;
+  headerLines?: unknown;
+  nodemailer?: { headers?: unknown; Headers?: unknown; headerLines?: unknown } | null;
+};
+
+const LIST_HEADERS = ['list-id', 'list-unsubscribe', 'list-unsubscribe-post'];
+
+const stringOf = (value: unknown): string => {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) return value.map(stringOf).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') {
+    const obj = value as { value?: unknown; text?: unknown };
+    return stringOf(obj.text ?? obj.value ?? '');
+  }
+  return '';
+};
+
+/**
+ * One header as text from mailparser's folded `list` entry: List-Id as
+ * `name <id>`, List-Unsubscribe as its `<uri>` list, anything else as the
+ * values it holds.
+ */
+export function mailparserListHeader(name: string, value: unknown): string {
+  const entries = (Array.isArray(value) ? value : [value]).filter(
+    (entry): entry is Record<string, unknown> => Boolean(entry) && typeof entry === 'object',
+  );
+  if (!entries.length) return stringOf(value);
+  if (name === 'id') {
+    const { id, name: label } = entries[0];
+    return id ? `${label ? `${stringOf(label)} ` : ''}<${stringOf(id)}>` : '';
+  }
+  if (name === 'unsubscribe') {
+    const uris: string[] = [];
+    for (const entry of entries) {
+      if (entry.mail) uris.push(`<mailto:${stringOf(entry.mail).replace(/^mailto:/i, '')}>`);
+      if (entry.url) uris.push(`<${stringOf(entry.url)}>`);
+    }
+    return uris.join(', ');
+  }
+  return entries
+    .flatMap((entry) => Object.values(entry).map(stringOf))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/** The List-* headers of a message or detail response, lowercased. */
+export function readListHeaders(source: HeaderSource | null | undefined): Record<string, string> {
+  const headers: Record<string, string> = {};
+  if (!source) return headers;
+  const lines = source.headerLines || source.nodemailer?.headerLines;
+  if (Array.isArray(lines)) {
+    for (const entry of lines as Array<{ key?: string; line?: string }>) {
+      const key = String(entry?.key || '').toLowerCase();
+      if (!LIST_HEADERS.includes(key) || headers[key] || typeof entry.line !== 'string') continue;
+      headers[key] = entry.line.slice(entry.line.indexOf(':') + 1).trim();
+    }
+  }
+  const parsed =
+    source.nodemailer?.headers || source.nodemailer?.Headers || source.headers || source.Headers;
+  if (typeof parsed === 'string') {
+    // A raw header block: unfold continuation lines, then read name: value.
+    for (const line of parsed.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+      const colon = line.indexOf(':');
+      const key = line.slice(0, colon).trim().toLowerCase();
+      if (colon > 0 && LIST_HEADERS.includes(key) && !headers[key]) {
+        headers[key] = line.slice(colon + 1).trim();
+      }
+    }
+  } else if (parsed && typeof parsed === 'object') {
+    for (const [name, value] of Object.entries(parsed as Record<string, unknown>)) {
+      const key = name.toLowerCase();
+      if (key === 'list' && value && typeof value === 'object') {
+        for (const [sub, subValue] of Object.entries(value as Record<string, unknown>)) {
+          const listKey = `list-${sub.toLowerCase()}`;
+          if (LIST_HEADERS.includes(listKey) && !headers[listKey]) {
+            headers[listKey] = mailparserListHeader(sub.toLowerCase(), subValue);
+          }
+        }
+      } else if (LIST_HEADERS.includes(key) && !headers[key]) {
+        headers[key] = stringOf(value).trim();
+      }
+    }
+  }
+  return headers;
+}
+
+/** The list identifier and its description from a List-Id value. */
+export function parseListId(value: string): { id: string; name: string } | null {
+  const text = String(value || '').trim();
+  const bracketed = text.match(/<([^<>]+)>/);
+  const id = (bracketed ? bracketed[1] : text).trim().toLowerCase();
+  if (!id || /\s/.test(id)) return null;
+  const name = bracketed
+    ? text
+        .slice(0, bracketed.index)
+        .trim()
+        .replace(/^"(.*)"$/, '$1')
+    : '';
+  return { id, name };
+}
+
+/**
+ * The ways to leave a list from its List-Unsubscribe and
+ * List-Unsubscribe-Post values. One-click needs both the POST header and an
+ * https URL (RFC 8058 section 3.1).
+ */
+export function parseListUnsubscribe(value: string, post = ''): ListUnsubscribe | null {
+  let url: string | null = null;
+  let mailto: string | null = null;
+  for (const [, uri] of String(value || '').matchAll(/<\s*([^<>]+?)\s*>/g)) {
+    if (!url && /^https?:\/\//i.test(uri)) url = uri;
+    else if (!mailto && /^mailto:/i.test(uri)) mailto = uri;
+  }
+  if (!url && !mailto) return null;
+  const oneClick =
+    Boolean(url && /^https:/i.test(url)) && /list-unsubscribe\s*=\s*one-click/i.test(post);
+  return { url, mailto, one_click: oneClick };
+}
+
+/** The fields normalizeMessageForCache stores for a list message. */
+export function listFieldsFromHeaders(headers: Record<string, string>): ListFields {
+  const fields: ListFields = {};
+  const list = parseListId(headers['list-id'] || '');
+  if (list) {
+    fields.list_id = list.id;
+    if (list.name) fields.list_name = list.name;
+  }
+  const unsubscribe = parseListUnsubscribe(
+    headers['list-unsubscribe'] || '',
+    headers['list-unsubscribe-post'] || '',
+  );
+  if (unsubscribe) fields.list_unsubscribe = unsubscribe;
+  return fields;
+}
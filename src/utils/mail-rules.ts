@@ -0,0 +1,338 @@
+/**
+ * Client-side mail rules (filters).
+ *
+ * A rule pairs a search query in the search-query.js grammar (from:, subject:,
+ * has:, size:, AND/OR/NOT and parentheses) with actions for each new message
+ * it matches: move, label, mark read, star, forward. Rules are saved per
+ * account in the mail_rules setting (settingsRegistry.ts) and run on the main
+ * thread as mail arrives:
+ *   - the sync worker reports the messages an incremental metadata sync
+ *     inserted (`newMessages` on its progress events);
+ *   - websocket-updater.js passes newMessage events through applyMailRules
+ *     before the follow-up sync has stored them.
+ *
+ * Only mail arriving in INBOX is filtered. Anything else is either ours (Sent,
+ * Drafts) or already filed, and a message a rule moved shows up in its new
+ * folder as a new arrival, which must not trigger its forward a second time.
+ *
+ * Both paths can see the same message. The local change is idempotent and is
+ * reapplied whenever a message is seen, so the copy the sync writes ends up
+ * filed too; the server-side actions are queued only once per message.
+ *
+ * Actions go through mutation-queue.js like any user action, so they apply
+ * locally at once and reach the server whenever it is reachable. The queue
+ * runs with the credentials on screen, so rules only run for the active
+ * account.
+ */
+
+import { db } from './db.js';
+import { Local } from './storage';
+import { warn } from './logger';
+import { isActiveAccount } from './account-scope';
+import { canonicalizeLabelKeyword } from './labels.js';
+import { parseSearchQuery, matchesSearchAst } from './search-query.js';
+import { getMessageApiId } from './sync-helpers';
+import { queueMutation } from './mutation-queue.js';
+import { refreshMailViews } from './mail-views';
+import { onSyncProgress } from './sync-worker-client.js';
+import { getEffectiveSettingValue } from '../stores/settingsStore';
+import type { Message } from '../types';
+
+export type MailRuleAction =
+  | { type: 'move'; folder: string }
+  | { type: 'label'; label: string }
+  | { type: 'markRead' }
+  | { type: 'star' }
+  | { type: 'forward'; to: string };
+
+export interface MailRule {
+  id: string;
+  name: string;
+  enabled: boolean;
+  query: string;
+  actions: MailRuleAction[];
+  /** Do not run later rules on a message this one matched. */
+  stop?: boolean;
+}
+
+/** The combined effect of every rule that matched one message. */
+export interface MailRulePlan {
+  rules: string[];
+  markRead: boolean;
+  star: boolean;
+  labels: string[];
+  /** First matching move wins; later rules cannot pull the message back. */
+  moveTo: string | null;
+  forwards: { to: string; ruleName: string }[];
+}
+
+type RuleMessage = Partial<Message> & Record<string, unknown>;
+
+const APPLIED_KEY_PREFIX = 'mail_rules_applied_';
+// Enough to cover a large burst of new mail plus the sync that follows it.
+const MAX_APPLIED_IDS = 1000;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function normalizeAction(value: unknown): MailRuleAction | null {
+  const action = value as Record<string, unknown>;
+  const text = (key: string) => String(action?.[key] ?? '').trim();
+  switch (action?.type) {
+    case 'move':
+      return text('folder') ? { type: 'move', folder: text('folder') } : null;
+    case 'label': {
+      const label = canonicalizeLabelKeyword(text('label'));
+      return label ? { type: 'label', label } : null;
+    }
+    case 'markRead':
+      return { type: 'markRead' };
+    case 'star':
+      return { type: 'star' };
+    case 'forward':
+      return EMAIL_RE.test(text('to')) ? { type: 'forward', to: text('to') } : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Coerce a stored setting value into rules, dropping anything malformed: a
+ * rule without a query would match every message, and one without actions
+ * does nothing.
+ */
+export function normalizeMailRules(value: unknown): MailRule[] {
+  if (!Array.isArray(value)) return [];
+  const rules: MailRule[] = [];
+  value.forEach((item, index) => {
+    const raw = item as Record<string, unknown>;
+    const query = String(raw?.query ?? '').trim();
+    const actions = (Array.isArray(raw?.actions) ? raw.actions : [])
+      .map(normalizeAction)
+      .filter(Boolean) as MailRuleAction[];
+    if (!query || !actions.length) return;
+    rules.push({
+      id: String(raw.id || `rule-${index + 1}`),
+      name: String(raw.name || '').trim() || query,
+      enabled: raw.enabled !== false,
+      query,
+      actions,
+      ...(raw.stop ? { stop: true } : {}),
+    });
+  });
+  return rules;
+}
+
+/**
+ * Run the rules, in order, against one message. Returns null when none match.
+ */
+export function planMailRules(rules: MailRule[], msg: RuleMessage): MailRulePlan | null {
+  const plan: MailRulePlan = {
+    rules: [],
+    markRead: false,
+    star: false,
+    labels: [],
+    moveTo: null,
+    forwards: [],
+  };
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const { ast } = parseSearchQuery(rule.query);
+    if (!ast || !matchesSearchAst(msg, ast)) continue;
+    plan.rules.push(rule.name);
+    for (const action of rule.actions) {
+      if (action.type === 'markRead') plan.markRead = true;
+      if (action.type === 'star') plan.star = true;
+      if (action.type === 'label' && !plan.labels.includes(action.label)) {
+        plan.labels.push(action.label);
+      }
+      if (action.type === 'move' && !plan.moveTo) plan.moveTo = action.folder;
+      if (
+        action.type === 'forward' &&
+        !plan.forwards.some((f) => f.to.toLowerCase() === action.to.toLowerCase())
+      ) {
+        plan.forwards.push({ to: action.to, ruleName: rule.name });
+      }
+    }
+    if (rule.stop) break;
+  }
+  return plan.rules.length ? plan : null;
+}
+
+/**
+ * The local record changes a plan implies, or null when there are none.
+ */
+export function localRuleChanges(msg: RuleMessage, plan: MailRulePlan): Partial<Message> | null {
+  const changes: Partial<Message> = {};
+  let flags = Array.isArray(msg.flags) ? [...msg.flags] : [];
+  if (plan.markRead && msg.is_unread !== false) {
+    if (!flags.includes('\\Seen')) flags = [...flags, '\\Seen'];
+    Object.assign(changes, { is_unread: false, is_unread_index: 0, flags });
+  }
+  if (plan.star && !msg.is_starred) {
+    if (!flags.includes('\\Flagged')) flags = [...flags, '\\Flagged'];
+    Object.assign(changes, { is_starred: true, is_flagged: true, flags });
+  }
+  const labels = Array.isArray(msg.labels) ? msg.labels : [];
+  const current = labels.map((l) => canonicalizeLabelKeyword(l));
+  const added = plan.labels.filter((l) => !current.includes(l));
+  if (added.length) changes.labels = [...labels, ...added];
+  if (plan.moveTo && plan.moveTo !== msg.folder) changes.folder = plan.moveTo;
+  return Object.keys(changes).length ? changes : null;
+}
+
+// The queue, the applied-ID list and the IDB writes are shared by the sync
+// and WebSocket paths, which often fire for the same message within
+// milliseconds of each other, so batches run one at a time.
+let applyChain: Promise<unknown> = Promise.resolve();
+
+async function readAppliedIds(account: string): Promise<string[]> {
+  try {
+    const record = await db.meta.get(`${APPLIED_KEY_PREFIX}${account}`);
+    return Array.isArray(record?.value) ? record.value : [];
+  } catch {
+    return [];
+  }
+}
+
+async function writeAppliedIds(account: string, ids: string[]): Promise<void> {
+  await db.meta.put({
+    key: `${APPLIED_KEY_PREFIX}${account}`,
+    value: ids.slice(-MAX_APPLIED_IDS),
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Queue the server-side actions for one message. Flag changes come first and
+ * carry the flags left by the previous one (each PUT replaces the whole set),
+ * the move comes last so the earlier updates address the original folder.
+ */
+async function queueRuleActions(account: string, msg: RuleMessage, plan: MailRulePlan) {
+  const messageId = getMessageApiId(msg);
+  if (!messageId) return;
+  const base = { messageId, internalId: msg.id, subject: msg.subject };
+  const folder = msg.folder;
+  let flags = Array.isArray(msg.flags) ? [...msg.flags] : [];
+
+  for (const { to, ruleName } of plan.forwards) {
+    await queueMutation('forward', { ...base, folder, to, from: account, ruleName });
+  }
+  if (plan.markRead && msg.is_unread !== false) {
+    await queueMutation('toggleRead', { ...base, isUnread: true, flags, folder });
+    if (!flags.includes('\\Seen')) flags = [...flags, '\\Seen'];
+  }
+  if (plan.star && !msg.is_starred) {
+    await queueMutation('toggleStar', { ...base, isStarred: false, flags, folder });
+  }
+  const changes = localRuleChanges(msg, plan);
+  if (changes?.labels) {
+    await queueMutation('label', {
+      ...base,
+      labels: changes.labels,
+      previousLabels: msg.labels || [],
+    });
+  }
+  if (changes?.folder) {
+    await queueMutation('move', { ...base, targetFolder: changes.folder, sourceFolder: folder });
+  }
+}
+
+async function refreshViews(account: string, folders: Set<string>, records: RuleMessage[]) {
+  if (records.length) {
+    try {
+      const { searchStore } = await import('../stores/searchStore');
+      await searchStore.actions.indexMessages(records as Message[]);
+    } catch {
+      // Store not ready (early in boot); the next index pass picks them up.
+    }
+  }
+  await refreshMailViews(account, folders, { onlyIfShown: true });
+}
+
+async function runRules(account: string, messages: RuleMessage[]) {
+  const rules = normalizeMailRules(getEffectiveSettingValue('mail_rules', { account }));
+  if (!rules.some((rule) => rule.enabled)) return;
+
+  const applied = await readAppliedIds(account);
+  const appliedSet = new Set(applied);
+  const touchedFolders = new Set<string>();
+  const changedRecords: RuleMessage[] = [];
+  let queued = false;
+
+  for (const msg of messages) {
+    if (!msg?.id || String(msg.folder || '').toUpperCase() !== 'INBOX') continue;
+    const plan = planMailRules(rules, msg);
+    if (!plan) continue;
+
+    const changes = localRuleChanges(msg, plan);
+    if (changes) {
+      await db.messages
+        .where('[account+id]')
+        .equals([account, msg.id])
+        .modify(changes)
+        .catch(() => {});
+      if (changes.folder) {
+        const bodyRecord = await db.messageBodies.get([account, msg.id]).catch(() => null);
+        if (bodyRecord) {
+          await db.messageBodies
+            .put({ ...bodyRecord, folder: changes.folder, updatedAt: Date.now() })
+            .catch(() => {});
+        }
+        touchedFolders.add(changes.folder);
+      }
+      if (msg.folder) touchedFolders.add(msg.folder);
+      changedRecords.push({ ...msg, ...changes });
+    }
+
+    const key = String(msg.id);
+    if (appliedSet.has(key)) continue;
+    appliedSet.add(key);
+    applied.push(key);
+    queued = true;
+    try {
+      await queueRuleActions(account, msg, plan);
+    } catch (err) {
+      warn('[mail-rules] failed to queue actions', plan.rules, err);
+    }
+  }
+
+  if (queued) {
+    await writeAppliedIds(account, applied).catch(() => {});
+  }
+  if (touchedFolders.size) {
+    await refreshViews(account, touchedFolders, changedRecords);
+  }
+}
+
+/**
+ * Run the account's rules over newly arrived messages (records in the shape
+ * normalizeMessageForCache produces). Does nothing for an account that is not
+ * on screen.
+ */
+export function applyMailRules(account: string, messages: RuleMessage[]): Promise<void> {
+  const acct = account || Local.get('email') || 'default';
+  if (!isActiveAccount(acct) || !Array.isArray(messages) || !messages.length) {
+    return Promise.resolve();
+  }
+  const run = applyChain.then(() =>
+    runRules(acct, messages).catch((err) => {
+      warn('[mail-rules] failed to apply rules', err);
+    }),
+  );
+  applyChain = run;
+  return run;
+}
+
+let initialized = false;
+
+/**
+ * Start applying rules to what the sync worker stores. Call once on startup.
+ */
+export function initMailRules(): void {
+  if (initialized) return;
+  initialized = true;
+  onSyncProgress((data: { stage?: string; account: string; newMessages?: RuleMessage[] }) => {
+    if (data?.stage !== 'metadata' || !Array.isArray(data.newMessages)) return;
+    void applyMailRules(data.account, data.newMessages);
+  });
+}
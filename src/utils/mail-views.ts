@@ -0,0 +1,42 @@
+/**
+ * Refresh the mailbox after a background change to cached mail (snooze
+ * wakeups, mail rules, notification actions, mbox imports).
+ *
+ * The store is imported lazily: these callers run from timers and workers
+ * that may fire before the mailbox is mounted, and the next load reads IDB
+ * anyway when it is not ready.
+ */
+
+import { get } from 'svelte/store';
+
+export interface RefreshMailViewsOptions {
+  /**
+   * Reload the message list only when it shows one of `folders` and no
+   * search is active. By default it always reloads.
+   */
+  onlyIfShown?: boolean;
+}
+
+/**
+ * Drop `account`'s in-memory copies of `folders`, reload the message list
+ * and recount unread mail.
+ */
+export async function refreshMailViews(
+  account: string,
+  folders: Iterable<string>,
+  { onlyIfShown = false }: RefreshMailViewsOptions = {},
+): Promise<void> {
+  try {
+    const { mailboxStore } = await import('../stores/mailboxStore');
+    const touched = new Set(folders);
+    touched.forEach((folder) => mailboxStore.actions.invalidateFolderInMemCache?.(account, folder));
+    const shown =
+      !onlyIfShown ||
+      (touched.has(get(mailboxStore.state.selectedFolder)) &&
+        !get(mailboxStore.state.searchActive));
+    if (shown) void mailboxStore.actions.loadMessages?.();
+    mailboxStore.actions.updateFolderUnreadCounts?.();
+  } catch {
+    // Store not ready (early in boot); the next load reads IDB anyway.
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Markdown compose mode.
+ *
+ * The message is written as Markdown in Compose's textarea and goes out as
+ * multipart/alternative: the Markdown itself as text/plain, which reads fine
+ * as is, and HTML rendered here with marked as text/html. Everything
+ * presentational is an inline style attribute, because Gmail, Outlook and
+ * most webmail drop or rewrite <style> blocks and classes. Code fences are
+ * highlighted with syntax-highlight.ts (the attachment previewer's
+ * tokenizer), its tok-* classes swapped for inline colors.
+ *
+ * A "-- " line starts the signature, as in plain text; what follows it is
+ * kept line for line instead of being read as Markdown. The rendered HTML is
+ * passed through sanitizeComposeHtml, so raw HTML typed into the Markdown
+ * cannot smuggle script into the message, and none of the reader's markup
+ * (suspicious-link markers, link targets) ends up in it either.
+ */
+
+import { Marked } from 'marked';
+import { escapeHtml, grammarForExtension, highlightCode } from './syntax-highlight';
+import { sanitizeComposeHtml } from './sanitize.js';
+
+const MONO = "ui-monospace, SFMono-Regular, Menlo, Consolas, 'Liberation Mono', monospace";
+
+const STYLES = {
+  pre: `margin: 0 0 12px; padding: 10px 12px; background-color: #f6f8fa; border: 1px solid #e1e4e8; border-radius: 6px; overflow-x: auto; font-family: ${MONO}; font-size: 13px; line-height: 1.45; color: #24292e; white-space: pre;`,
+  code: `padding: 1px 4px; background-color: #f3f4f6; border-radius: 4px; font-family: ${MONO}; font-size: 0.9em;`,
+  blockquote:
+    'margin: 0 0 12px; padding: 0 0 0 12px; border-left: 3px solid #d0d7de; color: #57606a;',
+  table: 'border-collapse: collapse; margin: 0 0 12px;',
+  cell: 'border: 1px solid #d0d7de; padding: 4px 10px; text-align: left; vertical-align: top;',
+  hr: 'border: 0; border-top: 1px solid #d0d7de; margin: 16px 0;',
+  signature: 'color: #57606a;',
+};
+
+/** Inline colors for highlightCode's token classes (GitHub light palette). */
+const TOKEN_STYLES: Record<string, string> = {
+  keyword: 'color: #cf222e;',
+  string: 'color: #0a3069;',
+  number: 'color: #0550ae;',
+  comment: 'color: #6e7781; font-style: italic;',
+};
+
+/** Fence info strings that name a language rather than a file extension. */
+const LANGUAGE_ALIASES: Record<string, string> = {
+  javascript: 'js',
+  typescript: 'ts',
+  python: 'py',
+  ruby: 'rb',
+  rust: 'rs',
+  golang: 'go',
+  kotlin: 'kt',
+  csharp: 'cs',
+  'c++': 'cpp',
+  shell: 'sh',
+  console: 'sh',
+  powershell: 'ps1',
+  perl: 'pl',
+  postgres: 'sql',
+  postgresql: 'sql',
+  mysql: 'sql',
+  sass: 'scss',
+  xhtml: 'html',
+  svg: 'xml',
+  jsonc: 'json',
+};
+
+const SIGNATURE_DELIMITER = /^-- $/m;
+
+/** Highlighting grammar for a fence info string, or null for none. */
+export function fenceGrammar(info?: string): string | null {
+  const name = (info || '').trim().split(/\s+/)[0].toLowerCase();
+  if (!name) return null;
+  return grammarForExtension(LANGUAGE_ALIASES[name] || name);
+}
+
+/** highlightCode's markup with its classes turned into inline styles. */
+export function highlightCodeInline(source: string, grammar: string): string {
+  return highlightCode(source, grammar).replace(
+    /<span class="tok-(\w+)">/g,
+    (match, token: string) =>
+      TOKEN_STYLES[token] ? `<span style="${TOKEN_STYLES[token]}">` : match,
+  );
+}
+
+const markdown = new Marked({ gfm: true, breaks: true, async: false });
+
+markdown.use({
+  renderer: {
+    code(code: string, infostring: string | undefined) {
+      const grammar = fenceGrammar(infostring);
+      const body = grammar ? highlightCodeInline(code, grammar) : escapeHtml(code);
+      return `<pre style="${STYLES.pre}"><code>${body}</code></pre>\n`;
+    },
+    codespan(text: string) {
+      return `<code style="${STYLES.code}">${text}</code>`;
+    },
+    blockquote(quote: string) {
+      return `<blockquote style="${STYLES.blockquote}">${quote}</blockquote>\n`;
+    },
+    table(header: string, body: string) {
+      return `<table style="${STYLES.table}"><thead>${header}</thead><tbody>${body}</tbody></table>\n`;
+    },
+    tablecell(
+      content: string,
+      flags: { header: boolean; align: 'center' | 'left' | 'right' | null },
+    ) {
+      const tag = flags.header ? 'th' : 'td';
+      const align = flags.align ? ` text-align: ${flags.align};` : '';
+      return `<${tag} style="${STYLES.cell}${align}">${content}</${tag}>\n`;
+    },
+    hr() {
+      return `<hr style="${STYLES.hr}">\n`;
+    },
+  },
+});
+
+/**
+ * Render a Markdown message body as sanitized HTML for the text/html part.
+ * Returns an empty string for an empty body.
+ */
+export function renderMarkdownEmail(source: string): string {
+  const text = (source || '').replace(/\r\n?/g, '\n');
+  if (!text.trim()) return '';
+  const match = SIGNATURE_DELIMITER.exec(text);
+  const content = match ? text.slice(0, match.index) : text;
+  const signature = match ? text.slice(match.index) : '';
+  let html = markdown.parse(content) as string;
+  if (signature.trim()) {
+    const lines = escapeHtml(signature.replace(/\s+$/, '')).split('\n');
+    html += `<div style="${STYLES.signature}">${lines.join('<br>')}</div>`;
+  }
+  return sanitizeComposeHtml(html);
+}
+
+/**
+ * Standalone document for the live preview: the rendered message in a
+ * sandboxed iframe, where the page's own styles cannot leak in. Like the
+ * attachment previews it allows inline styles and nothing else; remote
+ * images are not loaded.
+ */
+export function markdownPreviewDocument(html: string): string {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src data:;">
+  <style>
+    html, body { margin: 0; background: #fff; color: #1f2937;
+      font: 14px/1.5 system-ui, -apple-system, 'Segoe UI', sans-serif; }
+    body { padding: 12px 16px; word-wrap: break-word; }
+    p, ul, ol { margin: 0 0 12px; }
+    img { max-width: 100%; }
+  </style>
+</head>
+<body>${html}</body>
+</html>`;
+}
@@ -0,0 +1,570 @@
+/**
+ * mbox export and mbox/.eml import, for migrations and legal holds.
+ *
+ * Export fetches each message's raw RFC 5322 source (the `raw=true` form the
+ * "View original" action uses) and writes it as an mboxrd entry: a
+ * `From sender date` separator line, LF line endings, and every body line
+ * matching /^>*From / quoted with one more `>`, so the file round-trips
+ * losslessly through any mboxrd reader. Entries are written to the file as
+ * they are fetched, so a large folder never sits in memory whole: Tauri
+ * appends to the path from the save dialog in small chunks, browsers with the
+ * File System Access API write through a FileSystemWritableFileStream, and
+ * other browsers fall back to a download.ts Blob, which suits small exports.
+ * Sources are a folder (paged from the server), a selection, or the results
+ * of a search query (saved searches pass their query).
+ *
+ * Import decodes files as UTF-8, reading any line that is not valid UTF-8 as
+ * ISO-8859-1 (decodeMailBytes), splits .mbox files back into messages (.eml
+ * files are one message each), drops messages whose Message-ID is already in
+ * the target folder or earlier in the same import, and uploads the rest
+ * as-is through MessageCreate, the way sent-copy.js files a finished PGP/MIME
+ * message.
+ * Uploads need the server, so import refuses to start offline.
+ *
+ * One transfer runs at a time. Its progress is published on `mboxTransfer`
+ * and `cancelMboxTransfer()` stops it between messages; whatever was exported
+ * before the cancel is discarded, whatever was imported stays.
+ */
+
+import { writable, get } from 'svelte/store';
+import { Remote } from './remote.js';
+import { db } from './db.js';
+import { warn } from './logger';
+import { activeAccount } from './account-scope';
+import { isOnline } from './network-status';
+import { getMessageApiId } from './sync-helpers';
+import { deduplicateMessages } from './threading';
+import { findRawHeaders } from './pgp-keyring';
+import { downloadFile } from './download';
+import { isTauri } from './platform.js';
+import { refreshMailViews } from './mail-views';
+import { extractMessageList } from '../stores/mailbox-store-helpers';
+import { getSafeFilename } from '../stores/mailbox-actions-helpers';
+
+const LIST_PAGE_SIZE = 100;
+const SEARCH_EXPORT_LIMIT = 5000;
+const MBOX_MIME = 'application/mbox';
+// Per-call cap for Tauri writeFile; larger IPC payloads have crashed macOS
+// WebKit (see download.ts).
+const TAURI_WRITE_CHUNK_SIZE = 256 * 1024;
+// The Blob fallback folds pending strings into a Blob at this size, so the
+// browser can keep the bytes out of the JS heap.
+const BLOB_ROLLUP_CHARS = 4 * 1024 * 1024;
+
+export interface MboxTransfer {
+  active: boolean;
+  kind: 'export' | 'import' | null;
+  /** Folder, file or search the transfer works on, for display. */
+  label: string;
+  current: number;
+  total: number;
+}
+
+export interface MboxExportResult {
+  exported: number;
+  failed: number;
+  cancelled: boolean;
+}
+
+export interface MboxImportResult {
+  imported: number;
+  duplicates: number;
+  failed: number;
+  cancelled: boolean;
+}
+
+export type MboxExportSource =
+  | { folder: string }
+  | { messages: MboxMessageRef[] }
+  | { query: string; name?: string };
+
+/** Anything getMessageApiId understands, plus the folder it lives in. */
+export type MboxMessageRef = Record<string, unknown> & { folder?: string };
+
+const idle = (): MboxTransfer => ({ active: false, kind: null, label: '', current: 0, total: 0 });
+
+export const mboxTransfer = writable<MboxTransfer>(idle());
+
+let controller: AbortController | null = null;
+
+export function cancelMboxTransfer(): void {
+  controller?.abort();
+}
+
+// ── Format ───────────────────────────────────────────────────────────────
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** asctime(3) in UTC, the date format of mbox separator lines. */
+export function asctime(date: Date): string {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return (
+    `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ` +
+    `${String(date.getUTCDate()).padStart(2, ' ')} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ` +
+    `${date.getUTCFullYear()}`
+  );
+}
+
+const firstAddress = (value = ''): string => {
+  const angle = value.match(/<([^<>\s]+@[^<>\s]+)>/);
+  if (angle) return angle[1];
+  const bare = value.match(/[^\s<>"]+@[^\s<>"]+/);
+  return bare ? bare[0] : '';
+};
+
+/**
+ * The `From ` separator for a raw message: the envelope sender (Return-Path,
+ * else From) and the Date header, falling back to MAILER-DAEMON and `now`.
+ */
+export function mboxFromLine(raw: string, now = new Date()): string {
+  const sender =
+    firstAddress(findRawHeaders(raw, 'return-path')[0]) ||
+    firstAddress(findRawHeaders(raw, 'from')[0]) ||
+    'MAILER-DAEMON';
+  const parsed = Date.parse(findRawHeaders(raw, 'date')[0] || '');
+  return `From ${sender} ${asctime(Number.isFinite(parsed) ? new Date(parsed) : now)}`;
+}
+
+/** One mboxrd entry: separator, quoted body with LF endings, blank line. */
+export function formatMboxEntry(raw: string, now = new Date()): string {
+  let body = raw.replace(/\r\n?/g, '\n').replace(/^(>*From )/gm, '>$1');
+  if (!body.endsWith('\n')) body += '\n';
+  return `${mboxFromLine(raw, now)}\n${body}\n`;
+}
+
+/**
+ * Split an mbox file into raw messages with CRLF line endings. A separator is
+ * a `From ` line at the start of the file or after a blank line, which also
+ * copes with mboxo files that left body `From ` lines unquoted mid-paragraph.
+ * Quoting is undone the mboxrd way (one `>` removed from /^>+From /).
+ */
+export function parseMbox(text: string): string[] {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const messages: string[] = [];
+  let current: string[] | null = null;
+
+  const flush = () => {
+    if (!current) return;
+    while (current.length && current[current.length - 1] === '') current.pop();
+    if (current.length) {
+      messages.push(current.map((line) => line.replace(/^>(>*From )/, '$1')).join('\r\n'));
+    }
+  };
+
+  lines.forEach((line, index) => {
+    if (line.startsWith('From ') && (index === 0 || lines[index - 1] === '')) {
+      flush();
+      current = [];
+      return;
+    }
+    current?.push(line);
+  });
+  flush();
+  return messages;
+}
+
+/**
+ * Decode an imported file. Raw messages go to MessageCreate as JSON strings,
+ * which the server stores UTF-8 encoded, so UTF-8 text must be decoded as
+ * such. Lines that are not valid UTF-8 (8-bit legacy bodies) are read as
+ * ISO-8859-1, one character per byte, instead of turning into U+FFFD.
+ */
+export function decodeMailBytes(bytes: Uint8Array): string {
+  const utf8 = new TextDecoder('utf-8', { fatal: true });
+  try {
+    return utf8.decode(bytes);
+  } catch {
+    // Mixed file: decode line by line so valid UTF-8 lines survive.
+  }
+  const lines: string[] = [];
+  let start = 0;
+  while (start <= bytes.byteLength) {
+    let end = bytes.indexOf(0x0a, start);
+    if (end === -1) end = bytes.byteLength;
+    const line = bytes.subarray(start, end);
+    try {
+      lines.push(utf8.decode(line));
+    } catch {
+      // Not TextDecoder('latin1'): that is windows-1252 and remaps 0x80–0x9F.
+      lines.push(Array.from(line, (byte) => String.fromCharCode(byte)).join(''));
+    }
+    start = end + 1;
+  }
+  return lines.join('\n');
+}
+
+/** Messages in one picked file: an mbox holds many, anything else is one .eml. */
+export function splitImportFile(name: string, text: string): string[] {
+  if (/\.eml$/i.test(name) || !text.startsWith('From ')) {
+    const raw = text.replace(/\r?\n/g, '\r\n');
+    return raw.trim() ? [raw] : [];
+  }
+  return parseMbox(text);
+}
+
+const bareMessageId = (value: unknown): string =>
+  typeof value === 'string' ? value.trim().replace(/^<|>$/g, '') : '';
+
+/** Message-ID of a raw message without the angle brackets, or ''. */
+export function rawMessageId(raw: string): string {
+  return bareMessageId(findRawHeaders(raw, 'message-id')[0]);
+}
+
+/**
+ * Drop raw messages already in `folder` (by Message-ID, from `existing`
+ * records) or repeated within the import. Messages without a Message-ID are
+ * always kept, since nothing identifies them.
+ */
+export function planMboxImport(
+  raws: string[],
+  folder: string,
+  existing: Record<string, unknown>[],
+): { uploads: string[]; duplicates: number } {
+  // deduplicateMessages keys on uid/id first; leave those out so both sides
+  // are compared on folder + Message-ID only. First occurrence wins, so
+  // existing messages go first.
+  const known = existing
+    .map((msg) => bareMessageId(msg.header_message_id || msg.message_id || msg.MessageId))
+    .filter(Boolean)
+    .map((messageId) => ({ folder, message_id: messageId }));
+  const incoming = raws.map((raw) => ({ folder, message_id: rawMessageId(raw) || undefined, raw }));
+  const kept = new Set(deduplicateMessages([...known, ...incoming]));
+  const uploads = incoming.filter((msg) => kept.has(msg)).map((msg) => msg.raw);
+  return { uploads, duplicates: raws.length - uploads.length };
+}
+
+// ── Server ───────────────────────────────────────────────────────────────
+
+const throwIfAborted = (signal: AbortSignal) => {
+  if (signal.aborted) throw new DOMException('Transfer cancelled', 'AbortError');
+};
+
+const isAbort = (err: unknown) => (err as { name?: string })?.name === 'AbortError';
+
+/** Every message envelope in a server folder, newest pages first. */
+async function listFolderMessages(folder: string, signal: AbortSignal) {
+  const all: MboxMessageRef[] = [];
+  for (let page = 1; ; page++) {
+    throwIfAborted(signal);
+    const res = await Remote.request(
+      'MessageList',
+      { folder, page, limit: LIST_PAGE_SIZE, raw: false, attachments: false },
+      { method: 'GET', pathOverride: '/v1/messages' },
+    );
+    const list = extractMessageList('main', res) as MboxMessageRef[];
+    all.push(...list.map((msg) => ({ ...msg, folder })));
+    if (list.length < LIST_PAGE_SIZE) return all;
+  }
+}
+
+async function fetchRawMessage(msg: MboxMessageRef): Promise<string | null> {
+  const apiId = getMessageApiId(msg);
+  if (!apiId) return null;
+  const folder = String(msg.folder_path || msg.folder || msg.path || '');
+  const res = await Remote.request(
+    'Message',
+    {},
+    {
+      method: 'GET',
+      pathOverride: `/v1/messages/${encodeURIComponent(apiId)}?folder=${encodeURIComponent(folder)}&raw=true`,
+      // Server returns raw RFC822 text (message/rfc822), not JSON
+      responseAs: 'text',
+    },
+  );
+  const raw = res?.Result || res;
+  return typeof raw === 'string' && raw.trim() ? raw : null;
+}
+
+async function resolveExportMessages(source: MboxExportSource, signal: AbortSignal) {
+  if ('messages' in source) return source.messages;
+  if ('folder' in source) return listFolderMessages(source.folder, signal);
+  // findMessages leaves the visible search alone and cannot be superseded by
+  // the next search the user runs, so an export never comes out empty
+  // because of one.
+  const { searchStore } = await import('../stores/searchStore');
+  return (await searchStore.actions.findMessages(source.query, {
+    crossFolder: true,
+    limit: SEARCH_EXPORT_LIMIT,
+  })) as unknown as MboxMessageRef[];
+}
+
+const sourceLabel = (source: MboxExportSource): string => {
+  if ('folder' in source) return source.folder;
+  if ('query' in source) return source.name || source.query;
+  return `${source.messages.length} messages`;
+};
+
+// A failed write is the destination's fault, not the message's: tagged so the
+// per-message catch in exportMbox lets it end the export.
+class MboxWriteError extends Error {
+  constructor(cause: unknown) {
+    super(`Could not write the export file: ${(cause as Error)?.message || cause}`);
+    this.name = 'MboxWriteError';
+  }
+}
+
+async function writeEntry(sink: MboxSink, entry: string) {
+  try {
+    await sink.write(entry);
+  } catch (err) {
+    throw new MboxWriteError(err);
+  }
+}
+
+async function runTransfer<T>(
+  kind: 'export' | 'import',
+  label: string,
+  work: (signal: AbortSignal) => Promise<T>,
+): Promise<T> {
+  if (get(mboxTransfer).active) throw new Error('Another import or export is still running');
+  controller = new AbortController();
+  mboxTransfer.set({ active: true, kind, label, current: 0, total: 0 });
+  try {
+    return await work(controller.signal);
+  } finally {
+    controller = null;
+    mboxTransfer.set(idle());
+  }
+}
+
+const progress = (current: number, total: number) =>
+  mboxTransfer.update((state) => ({ ...state, current, total }));
+
+// ── Export destination ───────────────────────────────────────────────────
+
+/** Where an export is written, one mbox entry at a time. */
+interface MboxSink {
+  write(entry: string): Promise<void>;
+  /** Finish the file. */
+  close(): Promise<void>;
+  /** Throw away whatever was written (cancelled or empty export). */
+  discard(): Promise<void>;
+}
+
+// The parts of the File System Access API export uses (Chromium only).
+interface SaveFileHandle {
+  createWritable(): Promise<{
+    write(data: string): Promise<void>;
+    close(): Promise<void>;
+    abort(): Promise<void>;
+  }>;
+}
+
+type SaveFilePicker = (options: {
+  suggestedName?: string;
+  types?: { description: string; accept: Record<string, string[]> }[];
+}) => Promise<SaveFileHandle>;
+
+async function openTauriSink(filename: string): Promise<MboxSink | null> {
+  const { remove, writeFile } = await import('@tauri-apps/plugin-fs');
+  const { saveFileDialog } = await import('./download');
+  const path = await saveFileDialog({
+    defaultPath: filename,
+    filters: [{ name: 'mbox', extensions: ['mbox'] }],
+  });
+  if (!path) return null;
+
+  const encoder = new TextEncoder();
+  let pending: Uint8Array[] = [];
+  let pendingBytes = 0;
+  let started = false;
+
+  const flush = async () => {
+    const data = new Uint8Array(pendingBytes);
+    let offset = 0;
+    for (const chunk of pending) {
+      data.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    pending = [];
+    pendingBytes = 0;
+    for (let at = 0; at < data.byteLength || !started; at += TAURI_WRITE_CHUNK_SIZE) {
+      const slice = data.subarray(at, Math.min(at + TAURI_WRITE_CHUNK_SIZE, data.byteLength));
+      await writeFile(path, slice, { append: started });
+      started = true;
+    }
+  };
+
+  return {
+    async write(entry) {
+      const bytes = encoder.encode(entry);
+      pending.push(bytes);
+      pendingBytes += bytes.byteLength;
+      if (pendingBytes >= TAURI_WRITE_CHUNK_SIZE) await flush();
+    },
+    async close() {
+      if (pendingBytes || !started) await flush();
+    },
+    async discard() {
+      pending = [];
+      pendingBytes = 0;
+      if (!started) return;
+      await remove(path).catch((err: unknown) =>
+        warn('[mbox] could not remove partial export', err),
+      );
+    },
+  };
+}
+
+async function openFileSystemSink(
+  picker: SaveFilePicker,
+  filename: string,
+): Promise<MboxSink | null> {
+  let handle: SaveFileHandle;
+  try {
+    handle = await picker({
+      suggestedName: filename,
+      types: [{ description: 'mbox', accept: { [MBOX_MIME]: ['.mbox'] } }],
+    });
+  } catch (err) {
+    if (isAbort(err)) return null;
+    throw err;
+  }
+  // The stream writes to a swap file that replaces the target on close, so
+  // an aborted export leaves the chosen file untouched.
+  const stream = await handle.createWritable();
+  return {
+    write: (entry) => stream.write(entry),
+    close: () => stream.close(),
+    discard: () => stream.abort(),
+  };
+}
+
+function openBlobSink(filename: string): MboxSink {
+  const blobs: Blob[] = [];
+  let parts: string[] = [];
+  let size = 0;
+  return {
+    async write(entry) {
+      parts.push(entry);
+      size += entry.length;
+      if (size < BLOB_ROLLUP_CHARS) return;
+      blobs.push(new Blob(parts));
+      parts = [];
+      size = 0;
+    },
+    async close() {
+      downloadFile(new Blob([...blobs, ...parts], { type: MBOX_MIME }), filename, MBOX_MIME);
+    },
+    async discard() {
+      blobs.length = 0;
+      parts = [];
+    },
+  };
+}
+
+/**
+ * Open the export file. Resolves to null when the user dismisses the save
+ * dialog. Must run before anything else is awaited: browsers only show the
+ * save picker in response to the click that started the export.
+ */
+function openMboxSink(filename: string): Promise<MboxSink | null> {
+  if (isTauri) return openTauriSink(filename);
+  const picker = (globalThis as { showSaveFilePicker?: SaveFilePicker }).showSaveFilePicker;
+  if (typeof picker === 'function') return openFileSystemSink(picker, filename);
+  return Promise.resolve(openBlobSink(filename));
+}
+
+/**
+ * Export a folder, a selection or a search as one .mbox file. Messages
+ * whose source cannot be fetched are skipped and counted in `failed`. A
+ * cancelled export, or one that dismissed the save dialog, leaves no file.
+ */
+export async function exportMbox(
+  source: MboxExportSource,
+  filename = getSafeFilename(sourceLabel(source), 'mbox'),
+): Promise<MboxExportResult> {
+  return runTransfer('export', sourceLabel(source), async (signal) => {
+    const result: MboxExportResult = { exported: 0, failed: 0, cancelled: false };
+    const sink = await openMboxSink(filename);
+    if (!sink) return { ...result, cancelled: true };
+    try {
+      const messages = await resolveExportMessages(source, signal);
+      progress(0, messages.length);
+      for (const [index, msg] of messages.entries()) {
+        throwIfAborted(signal);
+        try {
+          const raw = await fetchRawMessage(msg);
+          if (raw) {
+            await writeEntry(sink, formatMboxEntry(raw));
+            result.exported++;
+          } else {
+            result.failed++;
+          }
+        } catch (err) {
+          if (err instanceof MboxWriteError) throw err;
+          warn('[mbox] raw fetch failed', err);
+          result.failed++;
+        }
+        progress(index + 1, messages.length);
+      }
+      throwIfAborted(signal);
+    } catch (err) {
+      await sink.discard();
+      if (!isAbort(err)) throw err;
+      return { ...result, cancelled: true };
+    }
+    if (result.exported) await sink.close();
+    else await sink.discard();
+    return result;
+  });
+}
+
+/**
+ * Import picked .mbox/.eml files into `folder`. Duplicates (by Message-ID,
+ * against the folder and within the files) are skipped; everything else is
+ * uploaded unread, in file order.
+ */
+export async function importMboxFiles(files: File[], folder: string): Promise<MboxImportResult> {
+  if (!isOnline()) throw new Error('Importing needs a connection to the server');
+  const account = activeAccount();
+  return runTransfer('import', folder, async (signal) => {
+    const result: MboxImportResult = { imported: 0, duplicates: 0, failed: 0, cancelled: false };
+    try {
+      const raws: string[] = [];
+      for (const file of files) {
+        const text = decodeMailBytes(new Uint8Array(await file.arrayBuffer()));
+        raws.push(...splitImportFile(file.name, text));
+      }
+
+      const cached = (await db.messages
+        .where('[account+folder]')
+        .equals([account, folder])
+        .toArray()
+        .catch(() => [])) as Record<string, unknown>[];
+      let listed: MboxMessageRef[] = [];
+      try {
+        listed = await listFolderMessages(folder, signal);
+      } catch (err) {
+        if (isAbort(err)) throw err;
+        warn('[mbox] folder listing failed; deduping against the local cache only', err);
+      }
+      const { uploads, duplicates } = planMboxImport(raws, folder, [...cached, ...listed]);
+      result.duplicates = duplicates;
+      progress(0, uploads.length);
+
+      for (const [index, raw] of uploads.entries()) {
+        throwIfAborted(signal);
+        try {
+          await Remote.request(
+            'MessageCreate',
+            { raw, folder, flags: [] },
+            { method: 'POST', pathOverride: '/v1/messages' },
+          );
+          result.imported++;
+        } catch (err) {
+          warn('[mbox] upload failed', err);
+          result.failed++;
+        }
+        progress(index + 1, uploads.length);
+      }
+    } catch (err) {
+      if (!isAbort(err)) throw err;
+      result.cancelled = true;
+    }
+    if (result.imported) await refreshMailViews(account, [folder]);
+    return result;
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * Minimal RFC 5322 / RFC 2045 message builder.
+ *
+ * The /v1/emails API normally assembles MIME for us from JSON fields, so most
+ * sends never need this. It exists for the cases where we must control the
+ * exact bytes ourselves — a PGP signature covers the literal MIME entity, so
+ * anything the server re-encodes would break it — and hands the result to the
+ * API as `raw`.
+ *
+ * Everything emitted is 7-bit: bodies are base64, non-ASCII header text uses
+ * RFC 2047 encoded-words, and lines end in CRLF. That keeps the output stable
+ * across every relay between us and the recipient.
+ */
+
+export const CRLF = '\r\n';
+
+const BASE64_LINE = 76;
+
+export interface MimeAttachment {
+  filename?: string;
+  contentType?: string;
+  /** Base64 content, as Compose stores it. */
+  content?: string;
+  cid?: string;
+}
+
+export interface MimeBodyInput {
+  text?: string;
+  html?: string;
+  attachments?: MimeAttachment[];
+}
+
+export type HeaderList = Array<[string, string]>;
+
+// eslint-disable-next-line no-control-regex
+const NON_ASCII = /[^\x00-\x7f]/;
+
+/**
+ * Base64 of the UTF-8 bytes of a string. btoa only takes Latin-1, so go
+ * through TextEncoder first.
+ */
+export function base64Utf8(value: string): string {
+  const bytes = new TextEncoder().encode(value || '');
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Fold base64 to 76-character lines (RFC 2045 §6.8). Whitespace already in the
+ * input is dropped first so pre-wrapped content is not double-wrapped.
+ */
+export function wrapBase64(value: string): string {
+  const compact = String(value || '').replace(/\s+/g, '');
+  const lines: string[] = [];
+  for (let i = 0; i < compact.length; i += BASE64_LINE) {
+    lines.push(compact.slice(i, i + BASE64_LINE));
+  }
+  return lines.join(CRLF);
+}
+
+/**
+ * Encode header text as an RFC 2047 encoded-word when it is not plain ASCII.
+ */
+export function encodeHeaderWord(value: string): string {
+  const text = String(value ?? '');
+  if (!NON_ASCII.test(text)) return text;
+  return `=?UTF-8?B?${base64Utf8(text)}?=`;
+}
+
+/**
+ * Format one address for a header, encoding only the display name so the
+ * addr-spec stays readable to every parser.
+ */
+export function formatAddress(value: string): string {
+  const trimmed = String(value || '').trim();
+  const match = trimmed.match(/^(.*?)\s*<([^>]+)>$/);
+  if (!match) return trimmed;
+  const name = match[1].replace(/^"|"$/g, '').trim();
+  if (!name) return `<${match[2]}>`;
+  if (NON_ASCII.test(name)) return `${encodeHeaderWord(name)} <${match[2]}>`;
+  return `"${name.replace(/(["\\])/g, '\\$1')}" <${match[2]}>`;
+}
+
+export function formatAddressList(value: string | string[] | undefined | null): string {
+  const list = Array.isArray(value) ? value : value ? [value] : [];
+  return list
+    .map((item) => formatAddress(item))
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Render header pairs, skipping empty values. Encoded-words are already
+ * ASCII, so plain joining is enough; we do not fold long lines because every
+ * header we emit stays well under the 998-octet hard limit.
+ */
+export function buildHeaderBlock(headers: HeaderList): string {
+  return headers
+    .filter(([, value]) => value !== undefined && value !== null && String(value) !== '')
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(CRLF);
+}
+
+export function createBoundary(tag = 'part'): string {
+  const random =
+    typeof crypto !== 'undefined' && crypto.getRandomValues
+      ? Array.from(crypto.getRandomValues(new Uint8Array(12)), (b) =>
+          b.toString(16).padStart(2, '0'),
+        ).join('')
+      : Math.random().toString(16).slice(2);
+  return `----=_fe_${tag}_${random}`;
+}
+
+/**
+ * Generate a Message-ID on the sender's domain so replies thread against it.
+ */
+export function generateMessageId(fromAddress: string): string {
+  const match = String(fromAddress || '').match(/@([^>\s]+)/);
+  const domain = match ? match[1] : 'forwardemail.net';
+  const random =
+    typeof crypto !== 'undefined' && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}.${Math.random().toString(36).slice(2)}`;
+  return `<${random}@${domain}>`;
+}
+
+/**
+ * Date header value (RFC 5322 §3.3). toUTCString gives the right shape; only
+ * the zone needs rewriting from "GMT" to a numeric offset.
+ */
+export function formatMailDate(value: Date | number | string = new Date()): string {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+function textPart(contentType: string, value: string): string {
+  return [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(base64Utf8(value)),
+  ].join(CRLF);
+}
+
+function attachmentPart(att: MimeAttachment): string {
+  const filename = att.filename || 'attachment';
+  const encodedName = encodeHeaderWord(filename).replace(/"/g, '');
+  const headers: HeaderList = [
+    ['Content-Type', `${att.contentType || 'application/octet-stream'}; name="${encodedName}"`],
+    ['Content-Transfer-Encoding', 'base64'],
+    ['Content-Disposition', `${att.cid ? 'inline' : 'attachment'}; filename="${encodedName}"`],
+  ];
+  if (att.cid) headers.push(['Content-ID', `<${String(att.cid).replace(/^<|>$/g, '')}>`]);
+  return [buildHeaderBlock(headers), '', wrapBase64(att.content || '')].join(CRLF);
+}
+
+/**
+ * Join entities into a multipart body. Returns the full entity, including its
+ * own Content-Type header.
+ */
+export function buildMultipart(
+  subtype: string,
+  parts: string[],
+  { boundary = createBoundary(subtype), params = '' }: { boundary?: string; params?: string } = {},
+): string {
+  const lines = [`Content-Type: multipart/${subtype}; boundary="${boundary}"${params}`, ''];
+  for (const part of parts) {
+    lines.push(`--${boundary}`, part);
+  }
+  lines.push(`--${boundary}--`, '');
+  return lines.join(CRLF);
+}
+
+/**
+ * Build the content entity for a message body: text, HTML (as
+ * multipart/alternative when both exist) and attachments (multipart/mixed).
+ * The result starts with its own Content-Type header, so it can be used as the
+ * top-level body or nested inside a signed/encrypted wrapper unchanged.
+ */
+export function buildBodyEntity({ text, html, attachments = [] }: MimeBodyInput): string {
+  let content: string;
+  if (html && text) {
+    content = buildMultipart('alternative', [
+      textPart('text/plain', text),
+      textPart('text/html', html),
+    ]);
+  } else if (html) {
+    content = textPart('text/html', html);
+  } else {
+    content = textPart('text/plain', text || '');
+  }
+
+  const files = (attachments || []).filter((att) => att && att.content);
+  if (!files.length) return content;
+  return buildMultipart('mixed', [content, ...files.map(attachmentPart)]);
+}
@@ -1,18 +1,21 @@
 import { db } from './db';
 import { Local } from './storage';
 import { Remote } from './remote';
-import { getAuthHeader } from './auth';
+import { getAccountAuthHeader, getAuthHeader } from './auth';
 import { config } from '../config';
 import { writable } from 'svelte/store';
 import { warn } from './logger.ts';
 import { isOnline } from './network-status';
 import { swReadyWithTimeout, isTauri } from './platform.js';
 import { exponentialBackoff } from './backoff.js';
+import { replayCalendarEventWrite } from './calendar-cache.ts';
+import { replayContactWrite } from './contact-cache.js';
 
 /**
  * Offline Mutation Queue
  *
- * Queues mail operations (toggle read, star, move, delete, label) when offline.
+ * Queues mail operations (toggle read, star, move, delete, label, forward,
+ * create folder), calendar event writes and contact edits when offline.
  * Processes the queue when connectivity is restored.
  *
  * Mutations are stored in the IndexedDB `meta` table under a per-account key
@@ -20,7 +23,10 @@ import { exponentialBackoff } from './backoff.js';
  *
  * Each mutation has:
  *   id:        unique identifier
- *   type:      'toggleRead' | 'toggleStar' | 'move' | 'delete' | 'label'
+ *   type:      'toggleRead' | 'toggleStar' | 'move' | 'delete' | 'label' | 'forward' |
+ *              'createFolder' | 'calendarEventCreate' | 'calendarEventUpdate' |
+ *              'calendarEventDelete' | 'contactCreate' | 'contactUpdate' |
+ *              'contactDelete'
  *   payload:   operation-specific data (messageId, folder, flags, etc.)
  *   status:    'pending' | 'processing' | 'failed'
  *   retryCount: number of attempts
@@ -98,27 +104,44 @@ export async function getQueuedMessageIds(account) {
 async function writeQueue(account, queue) {
   const key = queueKey(account || getAccount());
   await db.meta.put({ key, value: queue, updatedAt: Date.now() });
+  if (account && account !== getAccount()) return;
   mutationQueueCount.set(queue.filter((m) => m.status !== 'completed').length);
 }
 
+/**
+ * The API base and Authorization header stored with each queued mutation, so
+ * the service worker can replay it while no tab is open. Exported for the
+ * notification actions, which hand them to the worker the same way.
+ */
+export function mutationCredentials(account = getAccount()) {
+  let authHeader = '';
+  try {
+    authHeader =
+      account === getAccount()
+        ? getAuthHeader({ required: false })
+        : getAccountAuthHeader(account, { allowApiKey: true });
+  } catch {
+    // Auth not available — SW will skip if header is missing
+  }
+  return { apiBase: config.apiBase || '', authHeader };
+}
+
 /**
  * Queue a mutation for offline processing.
  * The caller is responsible for applying the optimistic update to stores/IDB.
+ * `payload.account` files it under another signed-in account (the unified
+ * views act on every account's mail); that queue runs while its account is
+ * the active one.
  *
  * @param {string} type - Mutation type
  * @param {Object} payload - Operation-specific payload
  * @returns {Promise<Object>} The queued mutation record
  */
 export async function queueMutation(type, payload) {
-  const account = getAccount();
+  const account = payload?.account || getAccount();
 
   // Store auth info so the SW can process mutations when the tab is closed
-  let authHeader = '';
-  try {
-    authHeader = getAuthHeader({ required: false });
-  } catch {
-    // Auth not available — SW will skip if header is missing
-  }
+  const { apiBase, authHeader } = mutationCredentials(account);
 
   const mutation = {
     id: `mut_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
@@ -127,7 +150,7 @@ export async function queueMutation(type, payload) {
     status: 'pending',
     retryCount: 0,
     createdAt: Date.now(),
-    apiBase: config.apiBase || '',
+    apiBase,
     authHeader,
   };
   await withQueueLock(async () => {
@@ -166,6 +189,23 @@ function registerBackgroundSync() {
     });
 }
 
+/**
+ * Build the /v1/emails body for a 'forward' mutation: the original goes out
+ * untouched as a message/rfc822 attachment. Mirrored in sw-sync.js.
+ */
+function buildForwardEmail(payload, raw) {
+  const subject = payload.subject || '(No subject)';
+  return {
+    from: payload.from,
+    to: [payload.to],
+    subject: /^fwd?:/i.test(subject) ? subject : `Fwd: ${subject}`,
+    text: payload.ruleName
+      ? `Forwarded automatically by the rule "${payload.ruleName}".`
+      : 'Forwarded automatically.',
+    attachments: [{ filename: 'forwarded.eml', contentType: 'message/rfc822', content: raw }],
+  };
+}
+
 /**
  * Execute a single mutation against the API.
  * Returns true on success, false on failure.
@@ -175,9 +215,11 @@ async function executeMutation(mutation) {
 
   switch (type) {
     case 'toggleRead': {
+      // isUnread/flags are the pre-toggle state (see toggleRead in
+      // mailboxActions.ts), like isStarred below.
       const flags = payload.isUnread
-        ? (payload.flags || []).filter((f) => f !== '\\Seen')
-        : [...(payload.flags || []), '\\Seen'];
+        ? [...(payload.flags || []), '\\Seen']
+        : (payload.flags || []).filter((f) => f !== '\\Seen');
       await Remote.request(
         'MessageUpdate',
         { flags, folder: payload.folder },
@@ -223,6 +265,58 @@ async function executeMutation(mutation) {
       return true;
     }
 
+    case 'forward': {
+      // The raw source is fetched when the mutation runs rather than stored
+      // in the queue, which lives in a single meta row.
+      const res = await Remote.request(
+        'Message',
+        {},
+        {
+          method: 'GET',
+          pathOverride: `/v1/messages/${encodeURIComponent(payload.messageId)}?folder=${encodeURIComponent(payload.folder || '')}&raw=true`,
+          responseAs: 'text',
+        },
+      );
+      const raw = res?.Result || res;
+      if (typeof raw !== 'string' || !raw) throw new Error('Original message unavailable');
+      await Remote.request('Emails', buildForwardEmail(payload, raw), { method: 'POST' });
+      return true;
+    }
+
+    case 'createFolder': {
+      try {
+        await Remote.request(
+          'FolderCreate',
+          { path: payload.path },
+          { method: 'POST', pathOverride: '/v1/folders' },
+        );
+      } catch (err) {
+        // A client error here almost always means the folder already exists.
+        // If it does not, the moves queued after this fail and are reverted.
+        const status = err?.status || 0;
+        if (status < 400 || status >= 500 || status === 401 || status === 403 || status === 429) {
+          throw err;
+        }
+      }
+      return true;
+    }
+
+    case 'calendarEventCreate':
+    case 'calendarEventUpdate':
+    case 'calendarEventDelete': {
+      // Conflict checks and the local cache live with the calendar cache.
+      await replayCalendarEventWrite(type, payload);
+      return true;
+    }
+
+    case 'contactCreate':
+    case 'contactUpdate':
+    case 'contactDelete': {
+      // Temp ids of offline creates resolve against the contact cache.
+      await replayContactWrite(type, payload);
+      return true;
+    }
+
     default:
       warn('[mutation-queue] Unknown mutation type:', type);
       return false;
@@ -261,9 +355,13 @@ export async function processMutationQueue() {
         mutation.status = 'completed';
       } catch (err) {
         mutation.retryCount = (mutation.retryCount || 0) + 1;
+        // Errors marked permanent (e.g. a calendar edit conflict) fail
+        // straight away; retrying would only repeat the same answer.
+        if (err?.permanent) mutation.retryCount = MAX_RETRIES;
         if (mutation.retryCount >= MAX_RETRIES) {
           mutation.status = 'failed';
           mutation.lastError = err?.message || 'Unknown error';
+          if (err?.code) mutation.lastErrorCode = err.code;
         } else {
           mutation.status = 'pending';
           mutation.nextRetryAt = Date.now() + calculateBackoff(mutation.retryCount);
@@ -0,0 +1,238 @@
+/**
+ * Actions on new-mail notifications: Archive, Mark as read, Delete and Reply.
+ *
+ * notification-manager.js tags new-mail notifications with the `new-mail`
+ * category and enough of the message to act on it (account, id, folder,
+ * sender, subject, Message-ID). notification-bridge.js turns the category
+ * into buttons: registered action types on Tauri mobile, Notification
+ * actions on the web. A pressed button ends up in runNotificationAction,
+ * from the plugin's onAction on mobile, or from sw-sync.js when a tab is
+ * open. The notification plugin has no action buttons on desktop
+ * (registerActionTypes and onAction are iOS/Android only), so the desktop
+ * apps show plain notifications that open the message.
+ *
+ * Everything goes through the same queues as the rest of the app: moves and
+ * flag changes through mutation-queue.js, a typed reply through
+ * outbox-service.js. Both persist in IndexedDB and replay once the network
+ * is back, so an action taken offline is not lost. With no tab open, the
+ * service worker queues the mutation itself (see handleNotificationClick in
+ * sw-sync.js), with the account record storeNotificationActionAccount keeps
+ * for it. The web has no inline reply field, so Reply there opens the
+ * composer instead.
+ */
+
+import { db } from './db.js';
+import { warn } from './logger';
+import { activeAccount, isActiveAccount } from './account-scope';
+import { extractEmail } from './address';
+import { getMessageApiId } from './sync-helpers';
+import { specialFolderForAccount } from './unified-mailbox';
+import { mutationCredentials, queueMutation } from './mutation-queue.js';
+import { queueEmail } from './outbox-service.js';
+import { navigateToNotification } from './notification-bridge.js';
+import { snoozeMinutesForAction, snoozeReminder } from './task-reminders';
+import { refreshMailViews } from './mail-views';
+import type { Message } from '../types';
+
+export type NotificationActionId = 'archive' | 'markRead' | 'delete' | 'reply';
+
+const ACTION_IDS = new Set<string>(['archive', 'markRead', 'delete', 'reply']);
+
+/** What a new-mail notification carries (see handleNewMessage). */
+export interface NewMailNotificationData {
+  account?: string;
+  id?: string;
+  uid?: string;
+  folder?: string;
+  path?: string;
+  from?: string;
+  subject?: string;
+  messageId?: string;
+}
+
+type CachedMessage = Partial<Message> & Record<string, unknown>;
+
+export function isNotificationAction(action: unknown): action is NotificationActionId {
+  return typeof action === 'string' && ACTION_IDS.has(action);
+}
+
+/**
+ * The cached row for the notified message, or a stand-in built from the
+ * notification when sync has not written it yet.
+ */
+async function notifiedMessage(account: string, data: NewMailNotificationData) {
+  const id = String(data.id || data.uid || '');
+  const cached = id
+    ? ((await db.messages.get([account, id]).catch(() => null)) as CachedMessage | null)
+    : null;
+  if (cached) return cached;
+  return {
+    id,
+    folder: data.folder || 'INBOX',
+    from: data.from || '',
+    subject: data.subject || '',
+    header_message_id: data.messageId || '',
+    flags: [],
+  } as CachedMessage;
+}
+
+async function refreshViews(account: string, folders: string[]) {
+  if (isActiveAccount(account)) await refreshMailViews(account, folders);
+}
+
+async function markRead(account: string, msg: CachedMessage) {
+  const id = String(msg.id);
+  const flags = Array.isArray(msg.flags) ? (msg.flags as string[]) : [];
+  if (flags.includes('\\Seen') || msg.is_unread === false) return;
+  await db.messages
+    .where('[account+id]')
+    .equals([account, id])
+    .modify({ is_unread: false, is_unread_index: 0, flags: [...flags, '\\Seen'] })
+    .catch(() => {});
+  // isUnread/flags are the pre-toggle state. A just-delivered message has no
+  // flags yet, so the PUT does not drop any.
+  await queueMutation('toggleRead', {
+    messageId: getMessageApiId(msg),
+    internalId: id,
+    subject: msg.subject,
+    isUnread: true,
+    flags,
+    folder: msg.folder,
+    account,
+  });
+}
+
+async function moveTo(account: string, msg: CachedMessage, kind: 'archive' | 'trash') {
+  const id = String(msg.id);
+  const sourceFolder = String(msg.folder || 'INBOX');
+  const targetFolder = await specialFolderForAccount(account, kind);
+  if (!targetFolder || targetFolder === sourceFolder) return;
+  await db.messages
+    .where('[account+id]')
+    .equals([account, id])
+    .modify({ folder: targetFolder, updatedAt: Date.now() })
+    .catch(() => {});
+  await queueMutation('move', {
+    messageId: getMessageApiId(msg),
+    internalId: id,
+    subject: msg.subject,
+    targetFolder,
+    sourceFolder,
+    account,
+  });
+  await refreshViews(account, [sourceFolder, targetFolder]);
+}
+
+/** The /v1/emails payload for a reply typed into a notification. */
+export function buildQuickReply(
+  account: string,
+  msg: CachedMessage,
+  text: string,
+): Record<string, unknown> {
+  const original = String(msg.subject || '').trim();
+  const subject = /^re:/i.test(original) ? original : `Re: ${original || '(No subject)'}`;
+  const messageId = String(msg.header_message_id || msg.message_id || '').trim();
+  const references = [String(msg.references || '').trim(), messageId].filter(Boolean).join(' ');
+  const to = extractEmail((msg.reply_to || msg.replyTo || msg.from) as string);
+  const apiId = getMessageApiId(msg);
+  return {
+    from: account,
+    to: [to],
+    subject,
+    text,
+    ...(messageId ? { inReplyTo: messageId } : {}),
+    ...(references ? { references } : {}),
+    save_sent: true,
+    ...(apiId ? { _replyToMessageId: apiId, _replyToMessageFolder: msg.folder || 'INBOX' } : {}),
+  };
+}
+
+async function openReply(account: string, data: NewMailNotificationData, msg: CachedMessage) {
+  navigateToNotification(data);
+  const { replyTo } = await import('../stores/mailboxActions');
+  // navigateToNotification switches accounts first when it has to.
+  setTimeout(() => void replyTo(msg), isActiveAccount(account) ? 0 : 150);
+}
+
+/**
+ * Carry out a notification action. `reply` is the text typed inline; Reply
+ * without it opens the composer. Resolves once the change is queued.
+ */
+export async function runNotificationAction(
+  action: NotificationActionId,
+  data: NewMailNotificationData = {},
+  { reply = '' }: { reply?: string } = {},
+): Promise<void> {
+  const account = data.account || activeAccount();
+  try {
+    const msg = await notifiedMessage(account, data);
+    if (!msg.id) return;
+    if (action === 'markRead') {
+      await markRead(account, msg);
+      await refreshViews(account, [String(msg.folder || 'INBOX')]);
+    } else if (action === 'archive') {
+      await moveTo(account, msg, 'archive');
+    } else if (action === 'delete') {
+      await moveTo(account, msg, 'trash');
+    } else if (action === 'reply') {
+      const text = reply.trim();
+      if (!text) {
+        await openReply(account, data, msg);
+        return;
+      }
+      const payload = buildQuickReply(account, msg, text);
+      if (!(payload.to as string[])[0]) return;
+      await queueEmail(payload, { account });
+      await markRead(account, msg);
+      await refreshViews(account, [String(msg.folder || 'INBOX')]);
+    }
+  } catch (err) {
+    warn('[notification-actions] action failed', action, err);
+  }
+}
+
+/** Meta key prefix of the per-account records sw-sync.js reads. */
+export const NOTIFICATION_ACTIONS_KEY_PREFIX = 'notification_actions_';
+
+/**
+ * Store what the service worker needs to queue an action on `account`'s
+ * notifications with no tab open: its Archive and Trash, and the credentials
+ * queued mutations carry anyway (see mutationCredentials). Notifications only
+ * name the account; sw-sync.js looks the record up by it. Like the mutation
+ * queue, the record is encrypted at rest under App Lock, and the worker then
+ * opens the app instead.
+ */
+export async function storeNotificationActionAccount(account: string): Promise<void> {
+  const [archiveFolder, trashFolder] = await Promise.all([
+    specialFolderForAccount(account, 'archive'),
+    specialFolderForAccount(account, 'trash'),
+  ]);
+  await db.meta.put({
+    key: `${NOTIFICATION_ACTIONS_KEY_PREFIX}${account}`,
+    value: { ...mutationCredentials(account), archiveFolder, trashFolder },
+    updatedAt: Date.now(),
+  });
+}
+
+let initialized = false;
+
+/**
+ * Run actions the service worker hands over from web notifications, the
+ * Snooze buttons of calendar reminders included. Call once with the other
+ * background services.
+ */
+export function initNotificationActions() {
+  if (initialized || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+  initialized = true;
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type !== 'notificationAction') return;
+    if (isNotificationAction(message.action)) {
+      void runNotificationAction(message.action, message.data || {});
+    } else if (snoozeMinutesForAction(message.action)) {
+      void snoozeReminder(message.data || {}, snoozeMinutesForAction(message.action));
+    } else {
+      navigateToNotification(message.data || {});
+    }
+  });
+}
@@ -13,6 +13,13 @@
  *   - All string inputs are sanitised (length-limited, control chars stripped).
  *   - Permission state is checked before every notification attempt.
  *   - Notification channel IDs are validated against an allowlist.
+ *
+ * Notifications in the `new-mail` category get Archive, Mark as read, Delete
+ * and Reply buttons; notification-actions.ts carries them out. Calendar
+ * reminders (`calendar-reminder`) get Snooze buttons, handled by
+ * task-reminders.ts. Buttons exist on the web and on Tauri mobile only: the
+ * notification plugin implements registerActionTypes/onAction for iOS and
+ * Android, and desktop notifications show none.
  */
 
 import { isTauri, isTauriMobile } from './platform.js';
@@ -52,7 +59,50 @@ function sanitize(value, maxLen) {
 }
 
 // Allowed Android notification channel IDs
-const ALLOWED_CHANNEL_IDS = new Set(['new-mail', 'sync-status']);
+const ALLOWED_CHANNEL_IDS = new Set(['new-mail', 'new-mail-quiet', 'sync-status']);
+
+// Buttons on new-mail notifications. Reply takes inline text where the
+// platform offers it (the Tauri mobile plugins); browsers show as many
+// buttons as Notification.maxActions allows, in this order.
+export const NEW_MAIL_ACTIONS = [
+  { id: 'archive', title: 'Archive' },
+  { id: 'markRead', title: 'Mark as read' },
+  { id: 'delete', title: 'Delete', destructive: true },
+  {
+    id: 'reply',
+    title: 'Reply',
+    input: true,
+    inputButtonTitle: 'Send',
+    inputPlaceholder: 'Reply…',
+  },
+];
+const NEW_MAIL_ACTION_IDS = new Set(NEW_MAIL_ACTIONS.map((action) => action.id));
+
+// Buttons on calendar reminders; the id carries the minutes (see
+// snoozeMinutesForAction in task-reminders.ts).
+export const REMINDER_ACTIONS = [
+  { id: 'snooze5', title: 'Snooze 5 min' },
+  { id: 'snooze10', title: 'Snooze 10 min' },
+  { id: 'snooze60', title: 'Snooze 1 hour' },
+];
+const REMINDER_ACTION_IDS = new Set(REMINDER_ACTIONS.map((action) => action.id));
+
+// Notification data forwarded to Tauri's `extra`, which only holds strings.
+const EXTRA_FIELDS = [
+  'path',
+  'uid',
+  'url',
+  'account',
+  'id',
+  'folder',
+  'from',
+  'subject',
+  'messageId',
+  'kind',
+  'title',
+  'body',
+  'reminderKey',
+];
 
 // ── Notification click tracking ─────────────────────────────────────────────
 //
@@ -62,7 +112,7 @@ const ALLOWED_CHANNEL_IDS = new Set(['new-mail', 'sync-status']);
 // app's real bundle ID is used and clicks activate the correct app.
 //
 // Strategy:
-//   1. Register an onAction handler (works in production + mobile).
+//   1. Register an onAction handler (the plugin only emits it on mobile).
 //   2. Fallback: track the most recent notification and navigate when the
 //      native window gains focus within a short time window.
 
@@ -76,7 +126,10 @@ function trackNotification(data) {
   _lastNotificationTime = Date.now();
 }
 
-function navigateToNotification(data) {
+/**
+ * Open what a notification points at, switching accounts first if needed.
+ */
+export function navigateToNotification(data) {
   // If the notification is for a different account, switch first
   const targetAccount = data?.account;
   if (targetAccount && typeof targetAccount === 'string') {
@@ -146,17 +199,35 @@ export async function requestPermission() {
  * @param {string} [options.tag]     - de-duplication tag
  * @param {Object} [options.data]    - arbitrary data attached to the notification
  * @param {string} [options.channelId] - Android notification channel
+ * @param {string} [options.category] - 'new-mail' adds the triage actions,
+ *   'calendar-reminder' the snooze actions
+ * @param {boolean} [options.silent] - show it without sound (quiet hours)
  */
-export async function notify({ title, body, icon, tag, data, channelId, number }) {
+export async function notify({
+  title,
+  body,
+  icon,
+  tag,
+  data,
+  channelId,
+  number,
+  category,
+  silent = false,
+}) {
   // Sanitise all string inputs
   const safeTitle = sanitize(title, MAX_TITLE_LENGTH);
   const safeBody = sanitize(body, MAX_BODY_LENGTH);
   const safeTag = sanitize(tag, MAX_TAG_LENGTH);
 
   if (!safeTitle) return; // Title is required
+  const actionTypeId =
+    category === 'new-mail' || category === 'calendar-reminder' ? category : 'default-mail';
 
   if (isTauri) {
-    const safeChannel = channelId && ALLOWED_CHANNEL_IDS.has(channelId) ? channelId : undefined;
+    // Android takes sound from the channel, so a silent new-mail alert moves
+    // to the quiet one. Elsewhere the payload never asks for a sound.
+    const channel = silent && channelId === 'new-mail' ? 'new-mail-quiet' : channelId;
+    const safeChannel = channel && ALLOWED_CHANNEL_IDS.has(channel) ? channel : undefined;
     const safeNumber = typeof number === 'number' && number > 0 ? Math.round(number) : undefined;
     return _notifyTauri({
       title: safeTitle,
@@ -165,10 +236,19 @@ export async function notify({ title, body, icon, tag, data, channelId, number }
       data,
       number: safeNumber,
       tag: safeTag,
+      actionTypeId,
     });
   }
 
-  return _notifyWeb({ title: safeTitle, body: safeBody, icon, tag: safeTag, data });
+  return _notifyWeb({
+    title: safeTitle,
+    body: safeBody,
+    icon,
+    tag: safeTag,
+    data,
+    actionTypeId,
+    silent: silent === true,
+  });
 }
 
 /**
@@ -189,6 +269,14 @@ export async function initNotificationChannels() {
       vibration: true,
       sound: 'default',
     });
+    await mod.createChannel({
+      id: 'new-mail-quiet',
+      name: 'New Mail (Quiet Hours)',
+      description: 'New email messages that arrive during quiet hours',
+      importance: 2,
+      visibility: 0,
+      vibration: false,
+    });
     await mod.createChannel({
       id: 'sync-status',
       name: 'Sync Status',
@@ -219,7 +307,7 @@ export async function initTauriNotificationClickHandler() {
   if (!isTauri) return;
   const mod = await ensureTauriNotification();
 
-  // Strategy 1: plugin onAction callback (production builds + mobile)
+  // Strategy 1: plugin onAction callback (mobile)
   if (mod) {
     try {
       if (mod.registerActionTypes) {
@@ -228,6 +316,14 @@ export async function initTauriNotificationClickHandler() {
             id: 'default-mail',
             actions: [{ id: 'open', title: 'Open', foreground: true }],
           },
+          {
+            id: 'new-mail',
+            actions: NEW_MAIL_ACTIONS.map((action) => ({ ...action, foreground: false })),
+          },
+          {
+            id: 'calendar-reminder',
+            actions: REMINDER_ACTIONS.map((action) => ({ ...action, foreground: false })),
+          },
         ]);
       }
     } catch {
@@ -238,6 +334,26 @@ export async function initTauriNotificationClickHandler() {
       if (mod.onAction) {
         await mod.onAction((event) => {
           const extra = event?.extra || event?.notification?.extra || event?.data;
+          const actionId = event?.actionId;
+          if (NEW_MAIL_ACTION_IDS.has(actionId)) {
+            _lastNotificationData = null;
+            const reply = typeof event?.inputValue === 'string' ? event.inputValue : '';
+            import('./notification-actions')
+              .then(({ runNotificationAction }) =>
+                runNotificationAction(actionId, extra || {}, { reply }),
+              )
+              .catch((err) => console.warn('[notification-bridge] action failed:', err));
+            return;
+          }
+          if (REMINDER_ACTION_IDS.has(actionId)) {
+            _lastNotificationData = null;
+            import('./task-reminders')
+              .then(({ snoozeReminder, snoozeMinutesForAction }) =>
+                snoozeReminder(extra || {}, snoozeMinutesForAction(actionId)),
+              )
+              .catch((err) => console.warn('[notification-bridge] snooze failed:', err));
+            return;
+          }
           navigateToNotification(extra);
           _lastNotificationData = null; // prevent focus fallback double-fire
         });
@@ -295,23 +411,26 @@ function stableNotificationId(tag) {
   return hash;
 }
 
-async function _notifyTauri({ title, body, channelId, data, number, tag }) {
+async function _notifyTauri({ title, body, channelId, data, number, tag, actionTypeId }) {
   const mod = await ensureTauriNotification();
   if (!mod) return;
   try {
     const granted = await mod.isPermissionGranted();
     if (!granted) return;
-    const payload = { title, body: body || '', actionTypeId: 'default-mail' };
+    const payload = {
+      title,
+      body: body || '',
+      actionTypeId,
+    };
     if (typeof tag === 'string' && tag) payload.id = stableNotificationId(tag);
     if (channelId) payload.channelId = channelId;
     // Android uses the number field for app icon badge count
     if (typeof number === 'number' && number > 0) payload.number = number;
     if (data && typeof data === 'object') {
       const extra = {};
-      if (data.path) extra.path = String(data.path);
-      if (data.uid) extra.uid = String(data.uid);
-      if (data.url) extra.url = String(data.url);
-      if (data.account) extra.account = String(data.account);
+      for (const field of EXTRA_FIELDS) {
+        if (data[field]) extra[field] = sanitize(String(data[field]), MAX_TITLE_LENGTH);
+      }
       if (Object.keys(extra).length) payload.extra = extra;
     }
     mod.sendNotification(payload);
@@ -323,19 +442,40 @@ async function _notifyTauri({ title, body, channelId, data, number, tag }) {
 
 // ── Web implementation ──────────────────────────────────────────────────────
 
-function _notifyWeb({ title, body, icon, tag, data }) {
+async function _notifyWeb({ title, body, icon, tag, data, actionTypeId, silent }) {
   if (typeof Notification === 'undefined' || Notification.permission !== 'granted') {
     return;
   }
 
-  // Prefer SW-based notification for persistence (survives tab close)
+  // Prefer SW-based notification for persistence (survives tab close).
+  // Only these can have buttons; sw-sync.js handles the clicks.
   if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    let options = { body, icon, tag, data, silent };
+    if (actionTypeId === 'new-mail' && data?.id) {
+      try {
+        const account = data.account || Local.get('email');
+        const { storeNotificationActionAccount } = await import('./notification-actions');
+        await storeNotificationActionAccount(account);
+        options = {
+          ...options,
+          data: { ...data, account },
+          actions: NEW_MAIL_ACTIONS.map(({ id, title: label }) => ({ action: id, title: label })),
+        };
+      } catch {
+        // Show it without buttons rather than not at all.
+      }
+    } else if (actionTypeId === 'calendar-reminder') {
+      options = {
+        ...options,
+        actions: REMINDER_ACTIONS.map(({ id, title: label }) => ({ action: id, title: label })),
+      };
+    }
     navigator.serviceWorker.ready.then((reg) => {
-      reg.showNotification(title, { body, icon, tag, data });
+      reg.showNotification(title, options);
     });
     return;
   }
 
   // Fallback to basic Notification API
-  new Notification(title, { body, icon, tag, data });
+  new Notification(title, { body, icon, tag, data, silent });
 }
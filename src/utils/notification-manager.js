@@ -31,6 +31,7 @@ import { extractEmail } from './address.ts';
 import { Local } from './storage.js';
 import { isActiveAccount, sameAccount } from './account-scope.ts';
 import { createRealtimeEventCoalescer } from './realtime-event-coalescer.js';
+import { notificationDecision, notifiedLabels } from './notification-policy.ts';
 
 // ── In-app toast reference ─────────────────────────────────────────────────
 // Set from main.ts via setNotificationToasts() — same pattern as
@@ -383,7 +384,7 @@ export async function requestNotificationPermission() {
 
 // ── Show Notification ───────────────────────────────────────────────────────
 
-async function showNotification({ title, body, tag, icon, data, channelId }) {
+async function showNotification({ title, body, tag, icon, data, channelId, category, silent }) {
   try {
     if (!permissionGranted) {
       const granted = await requestNotificationPermission();
@@ -392,7 +393,7 @@ async function showNotification({ title, body, tag, icon, data, channelId }) {
 
     if (isDuplicate(tag)) return;
 
-    await notify({ title, body, tag, icon, data, channelId });
+    await notify({ title, body, tag, icon, data, channelId, category, silent });
   } catch (err) {
     // Swallow errors to prevent unhandled rejections from crashing iOS
     // WKWebView.  Callers (handleMailboxCreated, handleNewRelease, etc.)
@@ -709,6 +710,24 @@ async function prependNewMessageToStore({ msg, mailbox, from, subject, uid, acco
   }
 }
 
+/**
+ * The account's notification rules applied to a delivery (see
+ * notification-policy.ts). Rules that cannot be read never cost the user an
+ * alert.
+ */
+function notificationPolicyDecision(account, msg, { from, folder }) {
+  try {
+    return notificationDecision(account, {
+      from,
+      to: extractRecipientsField(msg, 'to'),
+      folder,
+      labels: notifiedLabels(msg),
+    });
+  } catch {
+    return { notify: true, silent: false, reason: '' };
+  }
+}
+
 async function handleNewMessage(data, { suppressVisual = false, source = '' } = {}) {
   if (!data || typeof data !== 'object') return;
 
@@ -887,8 +906,20 @@ async function _handleNewMessageInner(data, { suppressVisual = false, source = '
   const alertSuppressed =
     suppressVisual || data.suppressAlert === true || data.suppressAlert === 'true';
 
+  // The account's notification rules (VIPs, folder and label switches,
+  // To:-only, quiet hours) decide whether to alert and how loudly. The badge
+  // was already counted above either way.
+  const decision = alertSuppressed
+    ? null
+    : notificationPolicyDecision(data?._account || Local.get('email') || '', msg, {
+        from: fromAddr,
+        folder: mailbox,
+      });
+
   if (alertSuppressed) {
     // OS already showed this notification via push (FCM/APNs) — skip all visuals.
+  } else if (!decision.notify) {
+    // Muted by the account's notification rules.
   } else if (appVisible) {
     // Foreground: in-app toast only — no OS notification interruption.
     const toastAccount = data?._account || Local.get('email') || '';
@@ -935,11 +966,20 @@ async function _handleNewMessageInner(data, { suppressVisual = false, source = '
       body: safeSnippet ? `${safeSubject}\n${safeSnippet}` : safeSubject,
       tag: safeTag,
       channelId: 'new-mail',
+      category: 'new-mail',
+      silent: decision.silent,
       data: {
         path: sanitizePath(`#inbox/${uid}`),
         url: `forwardemail://mailbox#inbox/${encodeURIComponent(String(uid))}`,
         uid,
         account: data?._account || Local.get('email') || '',
+        // What the Archive/Mark as read/Delete/Reply buttons act on (see
+        // notification-actions.ts).
+        id: String(msg?.id ?? msg?.Uid ?? msg?.uid ?? uid),
+        folder: mailbox,
+        from: fromAddr,
+        subject: safeSubject,
+        messageId: msg?.message_id || msg?.MessageId || msg?.['Message-ID'] || '',
       },
     });
   }
@@ -1090,6 +1130,40 @@ function handleNewRelease(data, { suppressVisual = false } = {}) {
   });
 }
 
+// ── Follow-up reminders ─────────────────────────────────────────────────────
+
+/**
+ * Nudge about a sent message nobody replied to in time (see follow-ups.ts).
+ * Like new mail: a toast while the app is in front, otherwise an OS
+ * notification.
+ */
+export function notifyFollowUpDue({ id, subject, to, account } = {}) {
+  const safeSubject = sanitizePlain(subject || '(No subject)', MAX_BODY_LEN);
+  const firstRecipient = Array.isArray(to) ? to[0] : to;
+  const recipient = sanitizePlain(extractDisplayName(firstRecipient || ''), MAX_TITLE_LEN);
+  const appVisible = typeof document !== 'undefined' && document.visibilityState === 'visible';
+
+  if (appVisible && _toasts?.show) {
+    _toasts.show(`No reply yet: ${safeSubject}`, 'info', 8000, {
+      label: 'View',
+      callback() {
+        globalThis.location.hash = 'inbox';
+      },
+    });
+    return;
+  }
+
+  showNotification({
+    title: 'No reply yet',
+    body: recipient ? `${safeSubject}\nSent to ${recipient}` : safeSubject,
+    tag: sanitize(`follow-up-${account || ''}-${id || Date.now()}`, MAX_TAG_LEN),
+    data: {
+      path: sanitizePath('#inbox'),
+      account: account || Local.get('email') || '',
+    },
+  });
+}
+
 // ── Transport routing ───────────────────────────────────────────────────────
 
 const ROUTED_NOTIFICATION_EVENTS = new Set([
@@ -0,0 +1,230 @@
+/**
+ * Which new mail gets a notification.
+ *
+ * The rules are the account-scoped notification_policy setting
+ * (settingsRegistry.ts), so every signed-in device follows the same ones.
+ * notification-manager.js asks before it shows a toast or a system
+ * notification for a delivery, and push-notifications.js applies the same
+ * answer to push payloads in handlePushPayload. In order:
+ *   - mail from a VIP sender (an address, or @domain for a whole domain)
+ *     always notifies, with sound, quiet hours included;
+ *   - mail filed in a folder, or carrying a label, that is switched off
+ *     stays quiet;
+ *   - with `onlyWhenInTo`, so does mail that does not name one of the
+ *     account's addresses in To: (a payload without recipients still
+ *     notifies, since there is nothing to check);
+ *   - inside the quiet hours, the notification is shown without sound.
+ * None of this touches the unread badge: the caller updates it for every
+ * delivery, through favicon-badge.js and the Tauri set_badge_count command.
+ */
+
+import { Local } from './storage';
+import { normalizeEmail } from './address';
+import { normalizeIdentities } from './identities';
+import { canonicalizeLabelKeyword } from './labels.js';
+import { getEffectiveSettingValue } from '../stores/settingsStore';
+
+export interface QuietHours {
+  enabled: boolean;
+  /** Start and end as HH:MM in local time; a window may run past midnight. */
+  start: string;
+  end: string;
+  /** Days the window starts on, 0 = Sunday. Empty means every day. */
+  days: number[];
+}
+
+export interface NotificationPolicy {
+  /** Addresses, or @domain entries, that always notify. */
+  vipSenders: string[];
+  /** Per-folder switches by path; folders not listed notify. */
+  folders: Record<string, boolean>;
+  /** Per-label switches by keyword; labels not listed notify. */
+  labels: Record<string, boolean>;
+  /** Notify only for mail with one of the account's addresses in To:. */
+  onlyWhenInTo: boolean;
+  quietHours: QuietHours;
+}
+
+export interface NotifiedMessage {
+  from?: string;
+  /** The To: field as text; empty when the payload does not carry it. */
+  to?: string;
+  folder?: string;
+  labels?: string[];
+}
+
+export type NotificationReason = 'vip' | 'folder' | 'label' | 'not-in-to' | 'quiet-hours' | '';
+
+export interface NotificationDecision {
+  notify: boolean;
+  /** Show it without sound. */
+  silent: boolean;
+  reason: NotificationReason;
+}
+
+export const DEFAULT_NOTIFICATION_POLICY: NotificationPolicy = {
+  vipSenders: [],
+  folders: {},
+  labels: {},
+  onlyWhenInTo: false,
+  quietHours: { enabled: false, start: '22:00', end: '07:00', days: [] },
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const EMAIL_RE = /[^\s<>,;"()]+@[^\s<>,;"()]+/g;
+
+const switches = (value: unknown, key: (name: string) => string) => {
+  const result: Record<string, boolean> = {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return result;
+  for (const [name, on] of Object.entries(value as Record<string, unknown>)) {
+    const k = key(name);
+    if (k && typeof on === 'boolean') result[k] = on;
+  }
+  return result;
+};
+
+/** A VIP entry as stored: a lowercased address, or "@domain". */
+export function normalizeVipSender(value: unknown): string {
+  const entry = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  // A bare domain means the whole domain, as "@domain" does.
+  if (/^@?[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(entry)) return `@${entry.replace(/^@/, '')}`;
+  const email = normalizeEmail(entry);
+  return /^[^\s@]+@[^\s@]+$/.test(email) ? email : '';
+}
+
+/**
+ * Coerce a stored setting into a complete policy; anything unusable falls
+ * back to the defaults, under which every delivery notifies.
+ */
+export function normalizeNotificationPolicy(value: unknown): NotificationPolicy {
+  const raw = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+  const quiet = (
+    raw.quietHours && typeof raw.quietHours === 'object' ? raw.quietHours : {}
+  ) as Record<string, unknown>;
+  const time = (key: string, fallback: string) =>
+    typeof quiet[key] === 'string' && TIME_RE.test(quiet[key] as string)
+      ? (quiet[key] as string)
+      : fallback;
+  const days = Array.isArray(quiet.days) ? quiet.days : [];
+  const vips = Array.isArray(raw.vipSenders) ? raw.vipSenders : [];
+  return {
+    vipSenders: [...new Set(vips.map(normalizeVipSender).filter(Boolean))],
+    folders: switches(raw.folders, (path) => path.trim()),
+    labels: switches(raw.labels, (label) => canonicalizeLabelKeyword(label)),
+    onlyWhenInTo: raw.onlyWhenInTo === true,
+    quietHours: {
+      enabled: quiet.enabled === true,
+      start: time('start', DEFAULT_NOTIFICATION_POLICY.quietHours.start),
+      end: time('end', DEFAULT_NOTIFICATION_POLICY.quietHours.end),
+      days: [...new Set(days.map(Number))]
+        .filter((d) => Number.isInteger(d) && d >= 0 && d <= 6)
+        .sort((a, b) => a - b),
+    },
+  };
+}
+
+const minutesOf = (hhmm: string) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether `now` falls in the quiet hours. A window that runs past midnight
+ * belongs to the day it starts on, so "Fri 22:00–07:00" covers Saturday
+ * morning. Equal start and end mean the whole day.
+ */
+export function isQuietHours(policy: NotificationPolicy, now = new Date()): boolean {
+  const { enabled, start, end, days } = policy.quietHours;
+  if (!enabled) return false;
+  const from = minutesOf(start);
+  const to = minutesOf(end);
+  const minute = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const onDay = (day: number) => !days.length || days.includes(day);
+  if (from < to) return minute >= from && minute < to && onDay(today);
+  if (minute >= from) return onDay(today);
+  return minute < to && onDay((today + 6) % 7);
+}
+
+/** Whether `from` (an address, or "Name <address>") is a VIP. */
+export function isVipSender(policy: NotificationPolicy, from: string | undefined): boolean {
+  const address = normalizeEmail((String(from || '').match(EMAIL_RE) || [''])[0]);
+  if (!address) return false;
+  const domain = address.slice(address.lastIndexOf('@'));
+  return policy.vipSenders.some((vip) => vip === address || vip === domain);
+}
+
+/**
+ * What to do about one delivery. `ownAddresses` are the account's
+ * addresses, for the To: check.
+ */
+export function evaluateNotificationPolicy(
+  policy: NotificationPolicy,
+  message: NotifiedMessage,
+  { ownAddresses = [], now = new Date() }: { ownAddresses?: string[]; now?: Date } = {},
+): NotificationDecision {
+  if (isVipSender(policy, message.from)) return { notify: true, silent: false, reason: 'vip' };
+  if (message.folder && policy.folders[message.folder] === false) {
+    return { notify: false, silent: false, reason: 'folder' };
+  }
+  const labels = (message.labels || []).map((label) => canonicalizeLabelKeyword(label));
+  if (labels.some((label) => policy.labels[label] === false)) {
+    return { notify: false, silent: false, reason: 'label' };
+  }
+  if (policy.onlyWhenInTo && message.to) {
+    const own = new Set(ownAddresses.map((address) => normalizeEmail(address)));
+    const to = (message.to.match(EMAIL_RE) || []).map((address) => normalizeEmail(address));
+    if (!to.some((address) => own.has(address))) {
+      return { notify: false, silent: false, reason: 'not-in-to' };
+    }
+  }
+  if (isQuietHours(policy, now)) return { notify: true, silent: true, reason: 'quiet-hours' };
+  return { notify: true, silent: false, reason: '' };
+}
+
+/**
+ * Label keywords on a realtime or push message: its labels, in whatever
+ * shape the payload has them, and any IMAP keywords among its flags.
+ */
+export function notifiedLabels(msg: Record<string, unknown> | null | undefined): string[] {
+  if (!msg) return [];
+  const raw = msg.labels ?? msg.keywords ?? [];
+  const labels = (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [])
+    .map((label) =>
+      label && typeof label === 'object'
+        ? (label as Record<string, unknown>).keyword ||
+          (label as Record<string, unknown>).id ||
+          (label as Record<string, unknown>).name
+        : label,
+    )
+    .map((label) => String(label ?? '').trim());
+  const flags = Array.isArray(msg.flags) ? msg.flags : [];
+  const keywords = flags.map(String).filter((flag) => flag && !flag.startsWith('\\'));
+  return [...new Set([...labels, ...keywords].filter(Boolean))];
+}
+
+/** The policy for `account`, or for the account on screen. */
+export function notificationPolicyFor(account?: string): NotificationPolicy {
+  const acct = account || Local.get('email') || 'default';
+  return normalizeNotificationPolicy(
+    getEffectiveSettingValue('notification_policy', { account: acct }),
+  );
+}
+
+/** Decide for a delivery to `account` under that account's policy. */
+export function notificationDecision(
+  account: string | undefined,
+  message: NotifiedMessage,
+  now = new Date(),
+): NotificationDecision {
+  const acct = account || Local.get('email') || '';
+  const ownAddresses = [
+    acct,
+    ...normalizeIdentities(getEffectiveSettingValue('identities', { account: acct })).map(
+      (identity) => identity.email,
+    ),
+  ].filter(Boolean);
+  return evaluateNotificationPolicy(notificationPolicyFor(acct), message, { ownAddresses, now });
+}
@@ -0,0 +1,256 @@
+/**
+ * Text previews of Office Open XML (.docx, .xlsx, .pptx) and OpenDocument
+ * (.odt, .ods, .odp) attachments.
+ *
+ * Both formats are zip archives of XML parts, so a preview needs only a small
+ * zip reader (central directory plus DecompressionStream('deflate-raw')) and
+ * DOMParser. Only text survives: paragraphs for documents, one list of
+ * paragraphs per slide, and cell values for spreadsheets. Layout, images and
+ * formulas are out of scope; the download button is still there for those.
+ */
+
+export type OfficePreview =
+  | { kind: 'document'; paragraphs: string[] }
+  | { kind: 'slides'; slides: string[][] }
+  | { kind: 'sheets'; sheets: { name: string; rows: string[][] }[] };
+
+export const OFFICE_EXTENSIONS = new Set(['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp']);
+
+/** Rows kept per sheet; the rest of a large sheet is left to the download. */
+export const MAX_SHEET_ROWS = 500;
+const MAX_SHEET_COLUMNS = 100;
+// Declared uncompressed size above which an entry is not inflated, so a
+// crafted archive cannot balloon in memory.
+const MAX_ENTRY_BYTES = 32 * 1024 * 1024;
+
+interface ZipEntry {
+  name: string;
+  method: number;
+  compressedSize: number;
+  size: number;
+  offset: number;
+}
+
+function readZipDirectory(bytes: Uint8Array): Map<string, ZipEntry> {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = new Map<string, ZipEntry>();
+  // End of central directory: 22 bytes plus a comment of up to 64 KB.
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return entries;
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  for (let i = 0; i < count && pos + 46 <= bytes.length; i++) {
+    if (view.getUint32(pos, true) !== 0x02014b50) break;
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    entries.set(name, {
+      name,
+      method: view.getUint16(pos + 10, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      offset: view.getUint32(pos + 42, true),
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function readZipText(bytes: Uint8Array, entry: ZipEntry | undefined): Promise<string> {
+  if (!entry || entry.size > MAX_ENTRY_BYTES) return '';
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.offset, true) !== 0x04034b50) return '';
+  const start =
+    entry.offset +
+    30 +
+    view.getUint16(entry.offset + 26, true) +
+    view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) return '';
+  const stream = new Response(data as Uint8Array<ArrayBuffer>).body!.pipeThrough(
+    new DecompressionStream('deflate-raw'),
+  );
+  return new TextDecoder().decode(await new Response(stream).arrayBuffer());
+}
+
+function parseXml(xml: string): Document | null {
+  if (!xml) return null;
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  return doc.getElementsByTagName('parsererror').length ? null : doc;
+}
+
+// Qualified-name lookups ("w:p", "a:t") match the prefixes these formats
+// always use, and work the same in browsers and jsdom.
+const byTag = (root: Document | Element, tag: string): Element[] =>
+  Array.from(root.getElementsByTagName(tag));
+
+// Text of one paragraph. OOXML keeps text in dedicated run elements (w:t,
+// a:t, t); OpenDocument puts it straight into the paragraph and its spans, so
+// without a textTag every text node counts.
+function runText(paragraph: Element, textTag?: string): string {
+  let text = '';
+  const walk = (node: Node) => {
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        if (!textTag) text += child.textContent || '';
+        continue;
+      }
+      const tag = (child as Element).tagName;
+      if (tag === textTag) text += child.textContent || '';
+      else if (tag === 'w:tab' || tag === 'text:tab') text += '\t';
+      else if (tag === 'w:br' || tag === 'text:line-break') text += '\n';
+      else if (tag === 'text:s')
+        text += ' '.repeat(Number((child as Element).getAttribute('text:c') || 1));
+      else walk(child);
+    }
+  };
+  walk(paragraph);
+  return text;
+}
+
+// Sorts "slide10.xml" after "slide9.xml".
+const partNumber = (name: string) => Number(name.match(/(\d+)\.xml$/)?.[1] || 0);
+
+function columnIndex(ref: string): number {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || '';
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+async function docxPreview(bytes: Uint8Array, zip: Map<string, ZipEntry>): Promise<OfficePreview> {
+  const doc = parseXml(await readZipText(bytes, zip.get('word/document.xml')));
+  const paragraphs = doc ? byTag(doc, 'w:p').map((p) => runText(p, 'w:t')) : [];
+  return { kind: 'document', paragraphs };
+}
+
+async function pptxPreview(bytes: Uint8Array, zip: Map<string, ZipEntry>): Promise<OfficePreview> {
+  const names = [...zip.keys()]
+    .filter((name) => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => partNumber(a) - partNumber(b));
+  const slides: string[][] = [];
+  for (const name of names) {
+    const doc = parseXml(await readZipText(bytes, zip.get(name)));
+    slides.push(
+      doc
+        ? byTag(doc, 'a:p')
+            .map((p) => runText(p, 'a:t'))
+            .filter(Boolean)
+        : [],
+    );
+  }
+  return { kind: 'slides', slides };
+}
+
+async function xlsxPreview(bytes: Uint8Array, zip: Map<string, ZipEntry>): Promise<OfficePreview> {
+  const shared = parseXml(await readZipText(bytes, zip.get('xl/sharedStrings.xml')));
+  const strings = shared ? byTag(shared, 'si').map((si) => runText(si, 't')) : [];
+  const workbook = parseXml(await readZipText(bytes, zip.get('xl/workbook.xml')));
+  const sheetNames = workbook
+    ? byTag(workbook, 'sheet').map((s) => s.getAttribute('name') || '')
+    : [];
+  const parts = [...zip.keys()]
+    .filter((name) => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+    .sort((a, b) => partNumber(a) - partNumber(b));
+
+  const sheets: { name: string; rows: string[][] }[] = [];
+  for (const [i, part] of parts.entries()) {
+    const doc = parseXml(await readZipText(bytes, zip.get(part)));
+    const rows: string[][] = [];
+    for (const row of doc ? byTag(doc, 'row').slice(0, MAX_SHEET_ROWS) : []) {
+      const cells: string[] = [];
+      for (const cell of byTag(row, 'c')) {
+        const col = columnIndex(cell.getAttribute('r') || '');
+        if (col >= MAX_SHEET_COLUMNS) continue;
+        const type = cell.getAttribute('t');
+        const raw = cell.getElementsByTagName('v')[0]?.textContent || '';
+        let value = raw;
+        if (type === 's') value = strings[Number(raw)] || '';
+        else if (type === 'inlineStr') value = runText(cell, 't');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        cells[col >= 0 ? col : cells.length] = value;
+      }
+      rows.push(Array.from(cells, (v) => v || ''));
+    }
+    sheets.push({ name: sheetNames[i] || `Sheet ${i + 1}`, rows });
+  }
+  return { kind: 'sheets', sheets };
+}
+
+async function openDocumentPreview(
+  bytes: Uint8Array,
+  zip: Map<string, ZipEntry>,
+  ext: string,
+): Promise<OfficePreview> {
+  const doc = parseXml(await readZipText(bytes, zip.get('content.xml')));
+  if (!doc) return { kind: 'document', paragraphs: [] };
+  const paragraphsOf = (root: Document | Element) =>
+    byTag(root, '*')
+      .filter((el) => el.tagName === 'text:p' || el.tagName === 'text:h')
+      .map((p) => runText(p));
+
+  if (ext === 'odp') {
+    const slides = byTag(doc, 'draw:page').map((page) => paragraphsOf(page).filter(Boolean));
+    return { kind: 'slides', slides };
+  }
+  if (ext === 'ods') {
+    const sheets = byTag(doc, 'table:table').map((table, i) => {
+      const rows: string[][] = [];
+      for (const row of byTag(table, 'table:table-row')) {
+        if (rows.length >= MAX_SHEET_ROWS) break;
+        const cells: string[] = [];
+        for (const cell of Array.from(row.children)) {
+          if (cell.tagName !== 'table:table-cell' && cell.tagName !== 'table:covered-table-cell') {
+            continue;
+          }
+          const value = paragraphsOf(cell).join('\n');
+          // Trailing empty cells are stored as one cell repeated up to the
+          // sheet's full width; only repeat cells that hold something.
+          const repeat = value
+            ? Number(cell.getAttribute('table:number-columns-repeated') || 1)
+            : 1;
+          for (let r = 0; r < repeat && cells.length < MAX_SHEET_COLUMNS; r++) cells.push(value);
+        }
+        while (cells.length && !cells[cells.length - 1]) cells.pop();
+        rows.push(cells);
+      }
+      while (rows.length && !rows[rows.length - 1].length) rows.pop();
+      return { name: table.getAttribute('table:name') || `Sheet ${i + 1}`, rows };
+    });
+    return { kind: 'sheets', sheets };
+  }
+  return { kind: 'document', paragraphs: paragraphsOf(doc) };
+}
+
+/**
+ * Extract a text preview from an Office document. `ext` is the lower-case
+ * file extension (one of OFFICE_EXTENSIONS). Returns null when the file is not
+ * a readable archive of that format.
+ */
+export async function extractOfficePreview(
+  bytes: Uint8Array,
+  ext: string,
+): Promise<OfficePreview | null> {
+  try {
+    const zip = readZipDirectory(bytes);
+    if (ext === 'docx' && zip.has('word/document.xml')) return await docxPreview(bytes, zip);
+    if (ext === 'pptx') return await pptxPreview(bytes, zip);
+    if (ext === 'xlsx' && zip.has('xl/workbook.xml')) return await xlsxPreview(bytes, zip);
+    if (['odt', 'ods', 'odp'].includes(ext) && zip.has('content.xml')) {
+      return await openDocumentPreview(bytes, zip, ext);
+    }
+  } catch {
+    // Truncated or malformed archive
+  }
+  return null;
+}
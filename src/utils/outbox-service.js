@@ -8,6 +8,7 @@ import { warn } from './logger.ts';
 import { isDemoMode, showDemoBlockedToast } from './demo-mode';
 import { isOnline } from './network-status';
 import { exponentialBackoff } from './backoff.js';
+import { getConversationId } from './threading';
 import { markMessageAnsweredInStore } from '../stores/messageStore';
 
 /**
@@ -26,6 +27,9 @@ import { markMessageAnsweredInStore } from '../stores/messageStore';
  * The local row is then only a receipt used for display, cancellation and the
  * Sent copy. If the handoff cannot happen (offline, server error) the row falls
  * back to the older client-side behaviour of sending when the time arrives.
+ *
+ * A row may also carry a follow-up reminder (`followUp`, see follow-ups.ts).
+ * Those rows outlive clearSentItems until the reminder is settled.
  */
 
 // Configuration
@@ -63,6 +67,7 @@ function buildSendPayload(emailData, sendAt) {
   const payload = { ...emailData };
   delete payload._replyToMessageId;
   delete payload._replyToMessageFolder;
+  delete payload._sentFolder;
   if (sendAt) {
     const scheduledDate = formatRfc3339(sendAt);
     if (scheduledDate && !payload.date) payload.date = scheduledDate;
@@ -70,6 +75,41 @@ function buildSendPayload(emailData, sendAt) {
   return payload;
 }
 
+/**
+ * Ask the recipients for a read receipt (RFC 8098). Receipts go to the From
+ * address; see read-receipts.ts for the receiving side.
+ * @param {Object} emailData - Email payload from the composer
+ * @returns {Object} The payload with a Disposition-Notification-To header
+ */
+export function withReadReceiptRequest(emailData) {
+  if (!emailData?.from) return emailData;
+  return {
+    ...emailData,
+    headers: { ...(emailData.headers || {}), 'Disposition-Notification-To': emailData.from },
+  };
+}
+
+/**
+ * The follow-up record for an outgoing email (see follow-ups.ts). Replies are
+ * matched on the Message-ID Compose assigned, so without one there is
+ * nothing to track.
+ */
+function buildFollowUp(emailData, sentAt, remindAt) {
+  const messageId = emailData?.messageId;
+  if (!messageId || !remindAt) return null;
+  return {
+    messageId,
+    conversationId: getConversationId({
+      message_id: messageId,
+      in_reply_to: emailData.inReplyTo,
+      references: emailData.references,
+    }),
+    sentAt,
+    remindAt,
+    status: 'waiting',
+  };
+}
+
 // Outbox state store
 export const outboxCount = writable(0);
 export const outboxProcessing = writable(false);
@@ -97,6 +137,11 @@ function calculateBackoff(retryCount) {
  * @param {number} options.sendAt - Timestamp for scheduled send (optional)
  * @param {string} options.serverId - Server ID for scheduled emails already submitted to server
  * @param {boolean} options.serverScheduled - The server already holds this email and will send it
+ * @param {number} options.followUpAt - Remind the user at this time if nobody has replied (optional)
+ * @param {string} options.account - File under this signed-in account instead of the active one;
+ *   it is sent once that account is active (optional)
+ * @param {Object} options.undoDraft - Cleartext compose fields for an Undo Send of a PGP-protected
+ *   message, whose emailData only holds `raw`. Dropped as soon as the item starts sending (optional)
  * @returns {Promise<Object>} The queued outbox record
  */
 export async function queueEmail(emailData, options = {}) {
@@ -108,13 +153,15 @@ export async function queueEmail(emailData, options = {}) {
     throw err;
   }
 
-  const account = getAccount();
   const {
     skipProcess = false,
     sendAt = null,
     serverId = null,
     serverScheduled = false,
+    followUpAt = null,
+    undoDraft = null,
   } = options || {};
+  const account = options?.account || getAccount();
   const id = `${OUTBOX_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
   const now = Date.now();
 
@@ -135,6 +182,8 @@ export async function queueEmail(emailData, options = {}) {
     serverScheduled: Boolean(serverScheduled),
     lastError: null,
     emailData,
+    ...(undoDraft ? { undoDraft } : {}),
+    followUp: buildFollowUp(emailData, sendAt || now, followUpAt),
     createdAt: now,
     updatedAt: now,
   };
@@ -167,9 +216,11 @@ export async function queueEmail(emailData, options = {}) {
  *
  * @param {Object} emailData - Email payload from the composer
  * @param {number} sendAt - Delivery time in ms since epoch
+ * @param {Object} options - Schedule options
+ * @param {number} options.followUpAt - Follow-up reminder time, as for queueEmail (optional)
  * @returns {Promise<{record: Object, serverScheduled: boolean, error?: string}>}
  */
-export async function scheduleEmail(emailData, sendAt) {
+export async function scheduleEmail(emailData, sendAt, options = {}) {
   if (isDemoMode()) {
     showDemoBlockedToast('schedule email');
     const err = new Error('Demo mode: sending is disabled');
@@ -179,9 +230,13 @@ export async function scheduleEmail(emailData, sendAt) {
 
   const scheduledDate = formatRfc3339(sendAt);
   if (!scheduledDate) throw new Error('Invalid schedule time');
+  const followUpAt = options?.followUpAt || null;
 
   if (!isOnline()) {
-    return { record: await queueEmail(emailData, { sendAt }), serverScheduled: false };
+    return {
+      record: await queueEmail(emailData, { sendAt, followUpAt }),
+      serverScheduled: false,
+    };
   }
 
   try {
@@ -195,6 +250,7 @@ export async function scheduleEmail(emailData, sendAt) {
       serverId: response?.id || null,
       serverScheduled: true,
       skipProcess: true,
+      followUpAt,
     });
     if (!response?.id) {
       warn('[Outbox] Scheduled email accepted without an id; it cannot be cancelled from here');
@@ -203,13 +259,54 @@ export async function scheduleEmail(emailData, sendAt) {
   } catch (err) {
     warn('[Outbox] Could not schedule on the server, falling back to local scheduling', err);
     return {
-      record: await queueEmail(emailData, { sendAt }),
+      record: await queueEmail(emailData, { sendAt, followUpAt }),
       serverScheduled: false,
       error: err?.message || 'Scheduling failed',
     };
   }
 }
 
+/**
+ * Record a follow-up reminder for an email Compose sent straight to the API,
+ * as an outbox row that is already sent. Only what follow-ups.ts needs is
+ * kept; the body and attachments went out with the email and live in Sent.
+ * @param {Object} emailData - Email payload as sent, with its messageId
+ * @param {number} followUpAt - When to remind the user if nobody has replied
+ * @returns {Promise<Object|null>} The stored row, or null without a messageId
+ */
+export async function trackFollowUp(emailData, followUpAt) {
+  const now = Date.now();
+  const followUp = buildFollowUp(emailData, now, followUpAt);
+  if (!followUp) return null;
+
+  const record = {
+    id: `${OUTBOX_PREFIX}${now}_${Math.random().toString(36).slice(2, 8)}`,
+    account: getAccount(),
+    status: 'sent',
+    retryCount: 0,
+    nextRetryAt: null,
+    sendAt: null,
+    serverId: null,
+    serverScheduled: false,
+    lastError: null,
+    emailData: {
+      from: emailData.from,
+      to: emailData.to,
+      cc: emailData.cc,
+      subject: emailData.subject,
+      messageId: emailData.messageId,
+      inReplyTo: emailData.inReplyTo,
+      references: emailData.references,
+      _sentFolder: emailData._sentFolder,
+    },
+    followUp,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await db.outbox.put(record);
+  return record;
+}
+
 /**
  * Get all outbox items for current account
  * @param {Object} options - Filter options
@@ -466,9 +563,11 @@ async function sendOutboxItem(item) {
     return settleServerScheduledItem(item, account);
   }
 
-  // Mark as sending
+  // Mark as sending. Past this point there is no undo, so the cleartext kept
+  // for it goes (Dexie deletes a property updated to undefined).
   await db.outbox.update([account, item.id], {
     status: 'sending',
+    undoDraft: undefined,
     updatedAt: Date.now(),
   });
 
@@ -680,11 +779,13 @@ export async function cancelScheduledEmail(id) {
 }
 
 /**
- * Delete all sent items (cleanup)
+ * Delete all sent items (cleanup), except those still waiting on a reply
  */
 export async function clearSentItems() {
   const account = getAccount();
-  const sent = await listOutbox({ status: 'sent' });
+  const sent = (await listOutbox({ status: 'sent' })).filter(
+    (item) => item.followUp?.status !== 'waiting',
+  );
 
   for (const item of sent) {
     await db.outbox.delete([account, item.id]);
@@ -763,6 +864,7 @@ export const outboxService = {
 
   // Queue operations
   queueEmail,
+  trackFollowUp,
   listOutbox,
   getOutboxItem,
   getPendingOutbox,
@@ -0,0 +1,71 @@
+/**
+ * PDF attachment previews drawn by pdf.js.
+ *
+ * The CSP's object-src 'none' keeps the browser's own PDF viewer (an
+ * <object> of a blob: URL) from ever loading, so pdf.js parses the file in
+ * its worker instead and paints each page onto a canvas in the preview
+ * dialog. Only pixels come out: the document's JavaScript, forms and links
+ * are never run or followed, and pdf.js runs with eval off. Pages past
+ * MAX_PDF_PAGES are left to the download.
+ */
+
+import type { PDFDocumentProxy } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+export type { PDFDocumentProxy };
+
+export const MAX_PDF_PAGES = 50;
+
+type PdfJs = typeof import('pdfjs-dist/legacy/build/pdf.mjs');
+
+let pdfjs: Promise<PdfJs> | null = null;
+
+// pdf.js and its worker are large, so they load on the first PDF preview.
+// The worker is a same-origin asset, which worker-src 'self' allows.
+function loadPdfJs(): Promise<PdfJs> {
+  pdfjs ||= Promise.all([
+    import('pdfjs-dist/legacy/build/pdf.mjs'),
+    import('pdfjs-dist/legacy/build/pdf.worker.min.mjs?url'),
+  ]).then(([lib, worker]) => {
+    lib.GlobalWorkerOptions.workerSrc = worker.default;
+    return lib;
+  });
+  return pdfjs;
+}
+
+/**
+ * Parse a PDF. The caller owns the result and must destroy() it.
+ */
+export async function openPdf(bytes: Uint8Array): Promise<PDFDocumentProxy> {
+  const lib = await loadPdfJs();
+  return lib.getDocument({
+    data: bytes,
+    isEvalSupported: false,
+    enableXfa: false,
+  }).promise;
+}
+
+/**
+ * Paint page `pageNumber` (1-based) into `canvas`, `width` CSS pixels wide
+ * and sharp on the current display.
+ */
+export async function renderPdfPage(
+  doc: PDFDocumentProxy,
+  pageNumber: number,
+  canvas: HTMLCanvasElement,
+  width: number,
+  pixelRatio = globalThis.devicePixelRatio || 1,
+): Promise<void> {
+  const page = await doc.getPage(pageNumber);
+  try {
+    const scale = (width / page.getViewport({ scale: 1 }).width) * pixelRatio;
+    const viewport = page.getViewport({ scale });
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    canvas.style.width = `${Math.floor(viewport.width / pixelRatio)}px`;
+    const canvasContext = canvas.getContext('2d');
+    if (!canvasContext) return;
+    await page.render({ canvasContext, viewport }).promise;
+  } finally {
+    page.cleanup();
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * OpenPGP protection for outgoing mail (RFC 3156 PGP/MIME).
+ *
+ * Compose builds its usual JSON payload; when the user turns on Encrypt or
+ * Sign, protectOutgoingPayload replaces the body fields with a finished
+ * PGP/MIME message in `raw`. We protect at compose time, not at send time, so
+ * every later path (retry, server handoff, Sent copy) sends exactly the bytes
+ * that were signed. The one cleartext copy is an Undo Send row's `undoDraft`,
+ * which outbox-service drops as soon as the send starts.
+ *
+ * openpgp is loaded on demand: reading mail does its crypto in the sync
+ * worker, and most sessions never send protected mail.
+ */
+
+import { Local } from './storage.js';
+import { normalizeEmail } from './address';
+import { bytesToBase64, formatAutocryptHeader, loadOpenPgp } from './pgp-keyring';
+import { discoverRecipientKeys } from './recipient-keys';
+import {
+  CRLF,
+  buildBodyEntity,
+  buildHeaderBlock,
+  buildMultipart,
+  encodeHeaderWord,
+  formatAddressList,
+  formatMailDate,
+  generateMessageId,
+  type HeaderList,
+  type MimeAttachment,
+} from './mime-builder';
+
+type OpenPgp = typeof import('openpgp');
+type PrivateKey = import('openpgp').PrivateKey;
+type PublicKey = import('openpgp').PublicKey;
+
+export type PgpComposeErrorCode =
+  | 'no_keys'
+  | 'signing_key_locked'
+  | 'missing_recipient_keys'
+  | 'protect_failed';
+
+/**
+ * Raised when a message cannot be protected as requested. Compose shows the
+ * message as-is; `addresses` lists the recipients we hold no key for.
+ */
+export class PgpComposeError extends Error {
+  code: PgpComposeErrorCode;
+  addresses: string[];
+  constructor(code: PgpComposeErrorCode, message: string, addresses: string[] = []) {
+    super(message);
+    this.name = 'PgpComposeError';
+    this.code = code;
+    this.addresses = addresses;
+  }
+}
+
+export interface PgpProtectOptions {
+  encrypt?: boolean;
+  sign?: boolean;
+  account?: string;
+  /** Delivery time for scheduled sends; becomes the signed Date header. */
+  date?: number | Date | null;
+}
+
+export interface OutgoingPayload {
+  from?: string;
+  to?: string[];
+  cc?: string[];
+  bcc?: string[];
+  reply_to?: string;
+  subject?: string;
+  html?: string;
+  text?: string;
+  attachments?: MimeAttachment[];
+  inReplyTo?: string;
+  references?: string | string[];
+  raw?: string;
+  [key: string]: unknown;
+}
+
+interface StoredKey {
+  name?: string;
+  value?: string;
+}
+
+// Outer Subject for encrypted mail. The real one travels inside the
+// ciphertext as a protected header, which our reader (and Thunderbird,
+// K-9, Proton) restore on decrypt.
+const ENCRYPTED_SUBJECT_PLACEHOLDER = '...';
+
+function readJson<T>(key: string, fallback: T): T {
+  try {
+    const raw = Local.get(key);
+    return raw ? (JSON.parse(raw) as T) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function activeAccount(account?: string): string {
+  return account || Local.get('email') || 'default';
+}
+
+/**
+ * Read the account's private keys from Settings and unlock the ones whose
+ * passphrase was remembered. Keys that stay locked are still returned so the
+ * caller can encrypt to their public half.
+ */
+async function loadOwnKeys(account: string): Promise<PrivateKey[]> {
+  const openpgp = await loadOpenPgp();
+  const stored = readJson<StoredKey[]>(`pgp_keys_${account}`, []);
+  const passphrases = readJson<Record<string, string>>(`pgp_passphrases_${account}`, {});
+  const keys: PrivateKey[] = [];
+  for (const entry of Array.isArray(stored) ? stored : []) {
+    if (!entry?.value) continue;
+    try {
+      const key = await openpgp.readPrivateKey({ armoredKey: entry.value });
+      const passphrase = entry.name ? passphrases[entry.name] : undefined;
+      if (!key.isDecrypted() && passphrase) {
+        keys.push(await openpgp.decryptKey({ privateKey: key, passphrase }));
+      } else {
+        keys.push(key);
+      }
+    } catch {
+      // Invalid or wrong passphrase: Settings already reports these.
+    }
+  }
+  return keys;
+}
+
+function keyEmails(key: PrivateKey | PublicKey): string[] {
+  return key
+    .getUserIDs()
+    .map((uid) => normalizeEmail(uid))
+    .filter(Boolean);
+}
+
+/**
+ * Pick the signing key: an unlocked key bound to the From address if there is
+ * one, otherwise any unlocked key.
+ */
+function pickSigningKey(keys: PrivateKey[], fromEmail: string): PrivateKey | null {
+  const unlocked = keys.filter((key) => key.isDecrypted());
+  return unlocked.find((key) => keyEmails(key).includes(fromEmail)) || unlocked[0] || null;
+}
+
+/**
+ * Find public keys for every recipient. Our own keys count, so writing to
+ * ourselves or to another of our addresses needs no extra setup; everyone
+ * else comes from the account's recipient key ring, with a WKD lookup for
+ * addresses it does not know yet.
+ */
+export async function resolveRecipientKeys(
+  emails: string[],
+  { ownKeys = [], account = '' }: { ownKeys?: PrivateKey[]; account?: string } = {},
+): Promise<{ keys: PublicKey[]; missing: string[] }> {
+  const keys: PublicKey[] = [];
+  const others: string[] = [];
+  for (const email of emails) {
+    const own = ownKeys.find((key) => keyEmails(key).includes(email));
+    if (own) keys.push(own.toPublic());
+    else others.push(email);
+  }
+  if (!others.length) return { keys, missing: [] };
+
+  const openpgp = await loadOpenPgp();
+  const known = await discoverRecipientKeys(activeAccount(account), others, { wkd: true });
+  const missing: string[] = [];
+  for (const email of others) {
+    const record = known.get(email);
+    try {
+      if (!record) throw new Error('unknown');
+      keys.push(await openpgp.readKey({ armoredKey: record.publicKey }));
+    } catch {
+      missing.push(email);
+    }
+  }
+  return { keys, missing };
+}
+
+/**
+ * Recipients Compose can encrypt to without a network lookup: our own
+ * addresses plus everyone in the key ring. Drives the chip indicator.
+ */
+export async function findEncryptableRecipients(
+  emails: string[],
+  { account, wkd = false }: { account?: string; wkd?: boolean } = {},
+): Promise<Set<string>> {
+  const acct = activeAccount(account);
+  const wanted = [...new Set(emails.map((email) => normalizeEmail(email)).filter(Boolean))];
+  const ownEmails = new Set((await loadOwnKeys(acct)).flatMap((key) => keyEmails(key)));
+  const result = new Set(wanted.filter((email) => ownEmails.has(email)));
+  const others = wanted.filter((email) => !result.has(email));
+  if (others.length) {
+    const known = await discoverRecipientKeys(acct, others, { wkd });
+    known.forEach((_record, email) => result.add(email));
+  }
+  return result;
+}
+
+/**
+ * Our Autocrypt header (Autocrypt Level 1 §2.1) for the From address, or ''
+ * when no key of ours is bound to it. The header advertises the public key
+ * so correspondents' clients can encrypt back to us.
+ */
+function autocryptHeaderFor(ownKeys: PrivateKey[], fromEmail: string): string {
+  const key = ownKeys.find((candidate) => keyEmails(candidate).includes(fromEmail));
+  if (!key || !fromEmail) return '';
+  return formatAutocryptHeader({
+    addr: fromEmail,
+    keydata: bytesToBase64(key.toPublic().write()),
+  });
+}
+
+/**
+ * Add our Autocrypt header to an unprotected payload. The API takes extra
+ * headers in `headers` (nodemailer's field), which folds them on whitespace.
+ */
+export async function withAutocryptHeader(
+  payload: OutgoingPayload,
+  { account }: { account?: string } = {},
+): Promise<OutgoingPayload> {
+  const ownKeys = await loadOwnKeys(activeAccount(account));
+  const header = autocryptHeaderFor(ownKeys, normalizeEmail(payload.from || ''));
+  if (!header) return payload;
+  return {
+    ...payload,
+    headers: { ...((payload.headers as Record<string, string>) || {}), Autocrypt: header },
+  };
+}
+
+export function collectRecipientEmails(payload: OutgoingPayload): string[] {
+  const all = [...(payload.to || []), ...(payload.cc || []), ...(payload.bcc || [])];
+  return [...new Set(all.map((addr) => normalizeEmail(addr)).filter(Boolean))];
+}
+
+function toBytes(value: string): Uint8Array {
+  return new TextEncoder().encode(value);
+}
+
+function prependToContentType(entity: string, param: string): string {
+  const end = entity.indexOf(CRLF);
+  return `${entity.slice(0, end)}${param}${entity.slice(end)}`;
+}
+
+/**
+ * RFC 3156 §5: the signed entity, byte for byte, followed by a detached
+ * signature part.
+ */
+export function buildSignedEntity(entity: string, signature: string, micalg: string): string {
+  const signaturePart = [
+    'Content-Type: application/pgp-signature; name="signature.asc"',
+    'Content-Description: OpenPGP digital signature',
+    'Content-Disposition: attachment; filename="signature.asc"',
+    '',
+    signature.trim().replace(/\r?\n/g, CRLF),
+  ].join(CRLF);
+  return buildMultipart('signed', [entity, signaturePart], {
+    params: `; micalg="${micalg}"; protocol="application/pgp-signature"`,
+  });
+}
+
+/**
+ * RFC 3156 §4: version control part plus the armored ciphertext.
+ */
+export function buildEncryptedEntity(armored: string): string {
+  const control = ['Content-Type: application/pgp-encrypted', '', 'Version: 1'].join(CRLF);
+  const payload = [
+    'Content-Type: application/octet-stream; name="encrypted.asc"',
+    'Content-Disposition: inline; filename="encrypted.asc"',
+    '',
+    armored.trim().replace(/\r?\n/g, CRLF),
+  ].join(CRLF);
+  return buildMultipart('encrypted', [control, payload], {
+    params: '; protocol="application/pgp-encrypted"',
+  });
+}
+
+function buildEnvelopeHeaders(
+  payload: OutgoingPayload,
+  { subject, date, autocrypt }: { subject: string; date: Date | number; autocrypt: string },
+): HeaderList {
+  const references = Array.isArray(payload.references)
+    ? payload.references.join(' ')
+    : payload.references || '';
+  return [
+    ['From', formatAddressList(payload.from)],
+    ['To', formatAddressList(payload.to)],
+    ['Cc', formatAddressList(payload.cc)],
+    ['Reply-To', formatAddressList(payload.reply_to)],
+    ['Subject', encodeHeaderWord(subject)],
+    ['Date', formatMailDate(date)],
+    // Compose sets one when a follow-up reminder has to match replies to it.
+    ['Message-ID', (payload.messageId as string) || generateMessageId(payload.from || '')],
+    ['In-Reply-To', payload.inReplyTo || ''],
+    ['References', references],
+    [
+      'Disposition-Notification-To',
+      formatAddressList(
+        (payload.headers as Record<string, string>)?.['Disposition-Notification-To'],
+      ),
+    ],
+    ['MIME-Version', '1.0'],
+    // Folded at the spaces formatAutocryptHeader leaves in keydata; an RSA
+    // key would otherwise overrun the 998-octet line limit.
+    ['Autocrypt', autocrypt.split(' ').join(`${CRLF} `)],
+  ];
+}
+
+async function hashName(openpgp: OpenPgp, armoredSignature: string): Promise<string> {
+  try {
+    const signature = await openpgp.readSignature({ armoredSignature });
+    const packet = signature.packets[0] as unknown as { hashAlgorithm?: number };
+    const name = openpgp.enums.read(openpgp.enums.hash, packet?.hashAlgorithm ?? 0);
+    return `pgp-${String(name).toLowerCase()}`;
+  } catch {
+    return 'pgp-sha256';
+  }
+}
+
+/**
+ * Turn a Compose payload into a PGP/MIME one. Returns the payload untouched
+ * when neither option is on. Envelope fields (from/to/cc/bcc/subject) stay so
+ * the API can route the message and the outbox can list it; the cleartext body
+ * fields are removed so they never sit in the outbox or the Sent copy.
+ */
+export async function protectOutgoingPayload(
+  payload: OutgoingPayload,
+  { encrypt = false, sign = false, account, date = null }: PgpProtectOptions = {},
+): Promise<OutgoingPayload> {
+  if (!encrypt && !sign) return payload;
+
+  const openpgp = await loadOpenPgp();
+  const acct = activeAccount(account);
+  const ownKeys = await loadOwnKeys(acct);
+  if (!ownKeys.length) {
+    throw new PgpComposeError('no_keys', 'Add a PGP key in Settings to encrypt or sign mail.');
+  }
+
+  const fromEmail = normalizeEmail(payload.from || '');
+  const signingKey = sign ? pickSigningKey(ownKeys, fromEmail) : null;
+  if (sign && !signingKey) {
+    throw new PgpComposeError(
+      'signing_key_locked',
+      'Your PGP key is locked. Save its passphrase in Settings to sign mail.',
+    );
+  }
+
+  const subject = payload.subject || '';
+  const sendDate = date || Date.now();
+  let entity = buildBodyEntity({
+    text: payload.text,
+    html: payload.html,
+    attachments: payload.attachments,
+  });
+
+  let body: string;
+  try {
+    if (encrypt) {
+      const { keys, missing } = await resolveRecipientKeys(collectRecipientEmails(payload), {
+        ownKeys,
+        account: acct,
+      });
+      if (missing.length) {
+        throw new PgpComposeError(
+          'missing_recipient_keys',
+          `No public key for ${missing.join(', ')}`,
+          missing,
+        );
+      }
+      // Encrypt to ourselves as well so the Sent copy stays readable.
+      const self = pickSigningKey(ownKeys, fromEmail) || ownKeys[0];
+      const encryptionKeys = [...keys, self.toPublic()];
+      // Protected headers (draft-autocrypt-lamps-protected-headers): the real
+      // subject and addresses ride inside the ciphertext.
+      const protectedHeaders = buildHeaderBlock([
+        ['Subject', encodeHeaderWord(subject)],
+        ['From', formatAddressList(payload.from)],
+        ['To', formatAddressList(payload.to)],
+        ['Cc', formatAddressList(payload.cc)],
+      ]);
+      entity = `${protectedHeaders}${CRLF}${prependToContentType(entity, '; protected-headers="v1"')}`;
+      const armored = await openpgp.encrypt({
+        message: await openpgp.createMessage({ binary: toBytes(entity) }),
+        encryptionKeys,
+        ...(signingKey ? { signingKeys: signingKey } : {}),
+        format: 'armored',
+      });
+      body = buildEncryptedEntity(armored as string);
+    } else {
+      const signature = await openpgp.sign({
+        message: await openpgp.createMessage({ binary: toBytes(entity) }),
+        signingKeys: signingKey as PrivateKey,
+        detached: true,
+        format: 'armored',
+      });
+      body = buildSignedEntity(entity, signature as string, await hashName(openpgp, signature));
+    }
+  } catch (err) {
+    if (err instanceof PgpComposeError) throw err;
+    throw new PgpComposeError(
+      'protect_failed',
+      (err as Error)?.message || 'Could not protect message',
+    );
+  }
+
+  const headers = buildEnvelopeHeaders(payload, {
+    subject: encrypt ? ENCRYPTED_SUBJECT_PLACEHOLDER : subject,
+    date: sendDate,
+    autocrypt: autocryptHeaderFor(ownKeys, fromEmail),
+  });
+  const raw = `${buildHeaderBlock(headers)}${CRLF}${body}`;
+
+  const protectedPayload: OutgoingPayload = { ...payload, raw };
+  delete protectedPayload.html;
+  delete protectedPayload.text;
+  delete protectedPayload.attachments;
+  return protectedPayload;
+}
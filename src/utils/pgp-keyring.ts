@@ -0,0 +1,289 @@
+/**
+ * Recipient key ring: parsing and merge rules.
+ *
+ * Other people's public keys reach us three ways: Autocrypt headers on mail
+ * they send (https://autocrypt.org/level1.html), `.asc` / application/pgp-keys
+ * attachments, and Web Key Directory lookups. This module holds the pieces
+ * that are shared by the sync worker (which sees every synced message) and
+ * the main thread (which owns WKD lookups and the Compose indicator): header
+ * parsing, key → record conversion, and which of two keys for the same
+ * address wins.
+ *
+ * Helpers take parsed keys rather than importing openpgp themselves: the
+ * worker bundles openpgp statically, while the main thread loads it on demand
+ * through loadOpenPgp.
+ */
+
+import { normalizeEmail } from './address';
+
+type OpenPgp = typeof import('openpgp');
+type Key = import('openpgp').Key;
+
+export type RecipientKeySource = 'autocrypt' | 'attachment' | 'wkd';
+
+export interface RecipientKeyRecord {
+  account: string;
+  /** Normalized address; with `account`, the primary key. */
+  email: string;
+  fingerprint: string;
+  /** Armored public key. */
+  publicKey: string;
+  source: RecipientKeySource;
+  /** Autocrypt prefer-encrypt; only 'mutual' is meaningful. */
+  preferEncrypt?: string;
+  /** Effective date of the evidence: the message Date, or lookup time for WKD. */
+  seenAt: number;
+  updatedAt: number;
+}
+
+let openpgpPromise: Promise<OpenPgp> | null = null;
+
+/**
+ * Lazy openpgp for main-thread callers. Most sessions never touch a key, so
+ * it stays out of the initial bundle.
+ */
+export function loadOpenPgp(): Promise<OpenPgp> {
+  if (!openpgpPromise) {
+    openpgpPromise = import('openpgp').catch((err) => {
+      openpgpPromise = null;
+      throw err;
+    });
+  }
+  return openpgpPromise;
+}
+
+export interface AutocryptHeader {
+  addr: string;
+  preferEncrypt: string;
+  /** Base64 of the binary (non-armored) key, whitespace removed. */
+  keydata: string;
+}
+
+/**
+ * Return every value of a header from a raw RFC 5322 message, unfolded.
+ * Only the top-level header block is read, so headers of nested parts (or an
+ * Autocrypt-Gossip header inside an encrypted body) are never picked up.
+ */
+export function findRawHeaders(raw: string, name: string): string[] {
+  if (!raw || typeof raw !== 'string') return [];
+  const end = raw.search(/\r?\n\r?\n/);
+  const block = end >= 0 ? raw.slice(0, end) : raw;
+  const wanted = name.toLowerCase();
+  const values: string[] = [];
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    if (line.slice(0, colon).trim().toLowerCase() !== wanted) continue;
+    values.push(line.slice(colon + 1).trim());
+  }
+  return values;
+}
+
+/**
+ * Parse an Autocrypt header value. Returns null when a required attribute is
+ * missing or an unknown critical attribute (one not starting with `_`) is
+ * present, as Level 1 §2.1 requires.
+ */
+export function parseAutocryptHeader(value: string): AutocryptHeader | null {
+  if (!value || typeof value !== 'string') return null;
+  const attrs: Record<string, string> = {};
+  for (const pair of value.split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) continue;
+    const key = pair.slice(0, eq).trim().toLowerCase();
+    attrs[key] = pair.slice(eq + 1).trim();
+  }
+  for (const key of Object.keys(attrs)) {
+    if (!['addr', 'prefer-encrypt', 'keydata'].includes(key) && !key.startsWith('_')) {
+      return null;
+    }
+  }
+  const addr = normalizeEmail(attrs.addr || '');
+  const keydata = (attrs.keydata || '').replace(/\s+/g, '');
+  if (!addr || !keydata) return null;
+  return {
+    addr,
+    preferEncrypt: attrs['prefer-encrypt'] === 'mutual' ? 'mutual' : 'nopreference',
+    keydata,
+  };
+}
+
+/**
+ * Format our own Autocrypt header value. keydata is split into space-separated
+ * chunks so it can be folded at any of them: header encoders fold on
+ * whitespace, and Autocrypt readers strip it.
+ */
+export function formatAutocryptHeader({
+  addr,
+  keydata,
+  preferEncrypt = '',
+}: {
+  addr: string;
+  keydata: string;
+  preferEncrypt?: string;
+}): string {
+  const compact = String(keydata || '').replace(/\s+/g, '');
+  const chunks: string[] = [];
+  for (let i = 0; i < compact.length; i += 72) chunks.push(compact.slice(i, i + 72));
+  const attrs = [`addr=${addr}`];
+  if (preferEncrypt === 'mutual') attrs.push('prefer-encrypt=mutual');
+  attrs.push(`keydata= ${chunks.join(' ')}`);
+  return attrs.join('; ');
+}
+
+export function base64ToBytes(value: string): Uint8Array {
+  const binary = atob(String(value || '').replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+export function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Build one record per address bound to the key. `onlyEmail` restricts the
+ * result to that address: a key arriving in someone's mail is only trusted
+ * for the sender, never for whichever addresses its user IDs happen to claim.
+ * `forEmail` files the key under an address whatever its user IDs say, for
+ * Autocrypt, where the header's addr (checked against From) is the binding.
+ */
+export function recordsFromKey(
+  key: Key,
+  {
+    account,
+    source,
+    seenAt,
+    onlyEmail = '',
+    forEmail = '',
+    preferEncrypt,
+  }: {
+    account: string;
+    source: RecipientKeySource;
+    seenAt: number;
+    onlyEmail?: string;
+    forEmail?: string;
+    preferEncrypt?: string;
+  },
+): RecipientKeyRecord[] {
+  if (key.isPrivate()) return [];
+  let targets: string[];
+  if (forEmail) {
+    targets = [normalizeEmail(forEmail)].filter(Boolean);
+  } else {
+    const emails = [
+      ...new Set(
+        key
+          .getUserIDs()
+          .map((uid) => normalizeEmail(uid))
+          .filter(Boolean),
+      ),
+    ];
+    const wanted = onlyEmail ? normalizeEmail(onlyEmail) : '';
+    targets = wanted ? emails.filter((email) => email === wanted) : emails;
+  }
+  const fingerprint = key.getFingerprint().toUpperCase();
+  const publicKey = key.armor();
+  const now = Date.now();
+  return targets.map((email) => ({
+    account,
+    email,
+    fingerprint,
+    publicKey,
+    source,
+    ...(preferEncrypt ? { preferEncrypt } : {}),
+    seenAt,
+    updatedAt: now,
+  }));
+}
+
+/**
+ * When a message's key evidence dates from, for seenAt: its Date header, but
+ * never later than `now`. A forged future Date would otherwise outrank every
+ * genuine key that arrives until then.
+ */
+export function evidenceTime(date: string | undefined, now = Date.now()): number {
+  const sent = Date.parse(date || '');
+  return Number.isFinite(sent) ? Math.min(sent, now) : now;
+}
+
+/**
+ * Whether `incoming` should replace `existing` for the same address. The same
+ * key refreshes on evidence at least as new; a different key needs strictly
+ * newer evidence, so re-syncing an old message cannot roll a contact back to
+ * a retired key.
+ */
+export function shouldReplaceRecord(
+  existing: RecipientKeyRecord | null | undefined,
+  incoming: RecipientKeyRecord,
+): boolean {
+  if (!existing) return true;
+  if (existing.fingerprint === incoming.fingerprint) return incoming.seenAt >= existing.seenAt;
+  return incoming.seenAt > existing.seenAt;
+}
+
+export function isPublicKeyAttachment(att: {
+  filename?: string | null;
+  name?: string | null;
+  contentType?: string | null;
+  mimeType?: string | null;
+}): boolean {
+  const type = String(att?.contentType || att?.mimeType || '').toLowerCase();
+  if (type.startsWith('application/pgp-keys')) return true;
+  const filename = String(att?.filename || att?.name || '').toLowerCase();
+  // Signatures and PGP/MIME payloads are .asc too; the caller still checks
+  // the armor header before importing anything.
+  return filename.endsWith('.asc') && filename !== 'signature.asc' && filename !== 'encrypted.asc';
+}
+
+export function isArmoredPublicKey(text: string): boolean {
+  return typeof text === 'string' && text.includes('-----BEGIN PGP PUBLIC KEY BLOCK-----');
+}
+
+// z-base-32 (RFC 6189 §5.1.6), the encoding WKD uses for hashed local parts.
+const ZBASE32 = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+
+export function zbase32(bytes: Uint8Array): string {
+  let out = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ZBASE32[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ZBASE32[(buffer << (5 - bits)) & 31];
+  return out;
+}
+
+/**
+ * WKD lookup URLs for an address, advanced method first (draft-koch-openpgp-
+ * webkey-service §3.1). `baseUrl` replaces the origin of both, which is how a
+ * local stand-in server answers lookups for any domain.
+ */
+export async function wkdUrls(email: string, { baseUrl = '' } = {}): Promise<string[]> {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf('@');
+  if (at <= 0) return [];
+  const local = normalized.slice(0, at);
+  const domain = normalized.slice(at + 1);
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(local));
+  const hash = zbase32(new Uint8Array(digest));
+  const query = `?l=${encodeURIComponent(local)}`;
+  if (baseUrl) {
+    const base = baseUrl.replace(/\/$/, '');
+    return [`${base}/.well-known/openpgpkey/${domain}/hu/${hash}${query}`];
+  }
+  return [
+    `https://openpgpkey.${domain}/.well-known/openpgpkey/${domain}/hu/${hash}${query}`,
+    `https://${domain}/.well-known/openpgpkey/hu/${hash}${query}`,
+  ];
+}
@@ -0,0 +1,280 @@
+/**
+ * Phishing heuristics for the message reader.
+ *
+ * None of these prove anything on their own, so they only ever warn:
+ *   - a display name that claims a brand, or another address, the sending
+ *     domain has nothing to do with ("PayPal" <alerts@secure-login.example>);
+ *   - a sending domain written in punycode, or mixing scripts within one
+ *     label (a Cyrillic "а" among Latin letters);
+ *   - links whose visible text names a different host than the one they go
+ *     to. sanitize.js marks those while sanitizing (markSuspiciousLink), and
+ *     the reader counts the marks in the stored body;
+ *   - a first-time sender — not in the contact cache (contact-cache.js) —
+ *     using a contact's name, or an address that looks like one of theirs;
+ *   - mail that failed the sender domain's DMARC check (getSecurityInfo).
+ */
+
+import { extractDisplayName, extractEmail } from './address';
+
+export type PhishingWarningKind =
+  | 'display-name'
+  | 'homograph'
+  | 'links'
+  | 'impersonation'
+  | 'authentication';
+
+export interface PhishingWarning {
+  kind: PhishingWarningKind;
+  message: string;
+}
+
+export interface SuspiciousLink {
+  /** Host the visible text names, or null when the text is not a host. */
+  shown: string | null;
+  /** Host the link really goes to. */
+  actual: string;
+}
+
+export interface PhishingContact {
+  email: string;
+  name?: string;
+}
+
+export const SUSPICIOUS_LINK_ATTR = 'data-fe-suspicious-link';
+
+// Brands that phishing most often borrows, with the domain token their real
+// mail comes from.
+const BRANDS: Record<string, string> = {
+  paypal: 'paypal',
+  apple: 'apple',
+  icloud: 'apple',
+  microsoft: 'microsoft',
+  outlook: 'microsoft',
+  office365: 'microsoft',
+  amazon: 'amazon',
+  google: 'google',
+  gmail: 'google',
+  netflix: 'netflix',
+  facebook: 'facebook',
+  instagram: 'instagram',
+  linkedin: 'linkedin',
+  dropbox: 'dropbox',
+  docusign: 'docusign',
+  fedex: 'fedex',
+  dhl: 'dhl',
+  usps: 'usps',
+  coinbase: 'coinbase',
+  binance: 'binance',
+  chase: 'chase',
+  wellsfargo: 'wellsfargo',
+  bankofamerica: 'bankofamerica',
+};
+
+// Characters commonly swapped in for one another in lookalike addresses.
+const CONFUSABLES: Array<[RegExp, string]> = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w'],
+  [/0/g, 'o'],
+  [/[1i|]/g, 'l'],
+  [/5/g, 's'],
+];
+
+const HOST_TEXT_RE = /^(?:https?:\/\/)?((?:[\p{L}\p{N}-]+\.)+[\p{L}]{2,})(?::\d+)?(?:[/?#]\S*)?$/iu;
+
+const letters = (value: string) => value.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const stripWww = (host: string) => host.replace(/^www\./, '');
+
+const domainOf = (email: string) => email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+
+/** `host` in its ASCII (punycode) form, or null when it is not a hostname. */
+function asciiHost(host: string): string | null {
+  try {
+    return new URL(`http://${host}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/** The same site: one host is the other or a subdomain of it. */
+function sameSite(a: string, b: string): boolean {
+  const x = stripWww(a);
+  const y = stripWww(b);
+  return x === y || x.endsWith(`.${y}`) || y.endsWith(`.${x}`);
+}
+
+/**
+ * Whether a domain hides what it looks like: punycode labels, or letters
+ * from more than one script within a label.
+ */
+export function isHomographDomain(domain: string): boolean {
+  const labels = String(domain || '')
+    .toLowerCase()
+    .split('.');
+  return labels.some(
+    (label) =>
+      label.startsWith('xn--') ||
+      (/\p{Script=Latin}/u.test(label) && /[^\P{L}\p{Script=Latin}]/u.test(label)),
+  );
+}
+
+/**
+ * Decide whether a link should be flagged: its text names another host than
+ * its href, or its host is a homograph. Only http(s) links are checked.
+ */
+export function suspiciousLink(text: string, href: string): SuspiciousLink | null {
+  let actual: string;
+  try {
+    const url = new URL(href);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    actual = url.hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const match = HOST_TEXT_RE.exec(String(text || '').trim());
+  const shown = match ? asciiHost(match[1]) : null;
+  if (shown && !sameSite(shown, actual)) return { shown, actual };
+  if (isHomographDomain(actual)) return { shown, actual };
+  return null;
+}
+
+/**
+ * Flag a link while sanitizing: mark it and put the host it really goes to
+ * in its title, so hovering it shows the real target. Returns whether the
+ * link was flagged.
+ */
+export function markSuspiciousLink(link: Element): boolean {
+  const result = suspiciousLink(link.textContent || '', link.getAttribute('href') || '');
+  if (!result) return false;
+  link.setAttribute(SUSPICIOUS_LINK_ATTR, result.actual);
+  link.setAttribute('title', `Goes to ${result.actual}`);
+  return true;
+}
+
+/** How many links sanitize.js flagged in a sanitized body. */
+export function countSuspiciousLinks(html: string): number {
+  return (String(html || '').match(new RegExp(`\\s${SUSPICIOUS_LINK_ATTR}=`, 'g')) || []).length;
+}
+
+/** A display name that claims an address or a brand the sender is not. */
+export function displayNameWarning(name: string, email: string): PhishingWarning | null {
+  const domain = domainOf(email);
+  if (!name || !domain) return null;
+  const claimed = name.match(/[^\s<>"'@]+@([^\s<>"'@]+\.[a-z]{2,})/i);
+  if (claimed && !sameSite(claimed[1].toLowerCase(), domain)) {
+    return {
+      kind: 'display-name',
+      message: `The sender's name shows ${claimed[0]}, but the message came from ${email}.`,
+    };
+  }
+  const compactName = letters(name);
+  const compactDomain = letters(domain);
+  for (const [brand, token] of Object.entries(BRANDS)) {
+    if (compactName.includes(brand) && !compactDomain.includes(token)) {
+      return {
+        kind: 'display-name',
+        message: `The sender calls themselves "${name}", but the message came from ${email}.`,
+      };
+    }
+  }
+  return null;
+}
+
+const skeleton = (value: string) =>
+  CONFUSABLES.reduce((acc, [re, replacement]) => acc.replace(re, replacement), value.toLowerCase());
+
+function editDistanceAtMostOne(a: string, b: string): boolean {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.length === b.length) return a.slice(i + 1) === b.slice(i + 1);
+  return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * A sender we have never had in our contacts who borrows a contact's name or
+ * an address that looks like theirs.
+ */
+export function impersonationWarning(
+  name: string,
+  email: string,
+  contacts: PhishingContact[],
+): PhishingWarning | null {
+  const sender = email.toLowerCase();
+  if (!sender || contacts.some((c) => c.email?.toLowerCase() === sender)) return null;
+  const senderName = name.trim().toLowerCase().replace(/\s+/g, ' ');
+  for (const contact of contacts) {
+    const known = String(contact.email || '').toLowerCase();
+    if (!known) continue;
+    const contactName = String(contact.name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, ' ');
+    const lookalike =
+      skeleton(known) === skeleton(sender) ||
+      (known.split('@')[0] === sender.split('@')[0] &&
+        editDistanceAtMostOne(domainOf(known), domainOf(sender)));
+    if (lookalike) {
+      return {
+        kind: 'impersonation',
+        message: `${email} looks like your contact ${contact.email}, but is a different address.`,
+      };
+    }
+    if (contactName.length >= 3 && contactName === senderName) {
+      return {
+        kind: 'impersonation',
+        message: `This is the first message from ${email}, which uses the name of your contact ${contact.name} <${contact.email}>.`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Run every check for one message. `from` is the raw From value, `html` the
+ * sanitized body, `securityInfo` what getSecurityInfo returned.
+ */
+export function assessMessage({
+  from,
+  html = '',
+  contacts = [],
+  securityInfo = null,
+}: {
+  from: Parameters<typeof extractEmail>[0];
+  html?: string;
+  contacts?: PhishingContact[];
+  securityInfo?: { dmarc?: string | null } | null;
+}): PhishingWarning[] {
+  const warnings: PhishingWarning[] = [];
+  const email = extractEmail(from).toLowerCase();
+  const rawName = extractDisplayName(from);
+  const name = rawName && rawName.toLowerCase() !== email ? rawName : '';
+
+  if (securityInfo?.dmarc === 'fail') {
+    warnings.push({
+      kind: 'authentication',
+      message: "This message failed its sender domain's DMARC check and may not be from them.",
+    });
+  }
+  if (email) {
+    const displayName = displayNameWarning(name, email);
+    if (displayName) warnings.push(displayName);
+    if (isHomographDomain(domainOf(email))) {
+      warnings.push({
+        kind: 'homograph',
+        message: `The sender's domain ${domainOf(email)} uses characters that imitate other letters.`,
+      });
+    }
+    const impersonation = impersonationWarning(name, email, contacts);
+    if (impersonation) warnings.push(impersonation);
+  }
+  const links = countSuspiciousLinks(html);
+  if (links) {
+    warnings.push({
+      kind: 'links',
+      message: `${links} link${links === 1 ? '' : 's'} in this message go${links === 1 ? 'es' : ''} somewhere other than ${links === 1 ? 'it says' : 'they say'}. Hover over a link to see where it really goes.`,
+    });
+  }
+  return warnings;
+}
@@ -80,6 +80,10 @@ export interface PushManagementResult {
 export interface PushNavigationAction {
   action: 'navigate';
   path: string;
+  /** New mail only: false when the account's notification rules mute it. */
+  notify?: false;
+  /** New mail only: true during the account's quiet hours. */
+  silent?: true;
 }
 
 export function initPushNotifications(): Promise<boolean>;
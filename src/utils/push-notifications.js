@@ -38,6 +38,7 @@ import {
   unregisterPushTokenForAccount,
 } from './background-service.js';
 import { requestPermission as requestNotificationPermission } from './notification-bridge.js';
+import { notificationDecision, notifiedLabels } from './notification-policy';
 import {
   drainUnifiedPushMessages,
   getUnifiedPushState,
@@ -1363,6 +1364,8 @@ export async function getUnifiedPushProviderState() {
 
 /**
  * Convert an incoming push payload into the app navigation action it represents.
+ * New mail also carries the account's notification rules (notification-policy.ts):
+ * `notify: false` when they mute it, `silent: true` during quiet hours.
  */
 export function handlePushPayload(payload) {
   if (!payload || typeof payload !== 'object') return null;
@@ -1384,8 +1387,19 @@ export function handlePushPayload(payload) {
     case 'new-message': {
       const uid = payload.uid || data.uid;
       const mailbox = payload.mailbox || data.mailbox || 'INBOX';
-      if (uid) return { action: 'navigate', path: `#${mailbox}/${uid}` };
-      return { action: 'navigate', path: '#INBOX' };
+      // "sender", not "from": FCM reserves "from" in data payloads.
+      const decision = notificationDecision(payload._account || data._account, {
+        from: firstNonEmpty(payload.sender, data.sender, payload.from, data.from),
+        to: firstNonEmpty(payload.to, data.to),
+        folder: mailbox,
+        labels: notifiedLabels({ ...data, ...payload }),
+      });
+      return {
+        action: 'navigate',
+        path: uid ? `#${mailbox}/${uid}` : '#INBOX',
+        ...(decision.notify ? {} : { notify: false }),
+        ...(decision.silent ? { silent: true } : {}),
+      };
     }
 
     case 'calendar-event':
@@ -0,0 +1,323 @@
+/**
+ * Read receipts: Message Disposition Notifications (RFC 8098).
+ *
+ * Sending side: Compose's "Request read receipt" adds a
+ * Disposition-Notification-To header naming the sender (see
+ * withReadReceiptRequest in outbox-service.js).
+ *
+ * Receiving side: when a message asking for one is opened, the
+ * `read_receipt_policy` setting decides:
+ *   - 'ask' (default): the message view offers to send it (ReadReceiptPrompt);
+ *   - 'always': it goes out straight away, unless RFC 8098 §2.1 says to ask
+ *     first: the receipt would go somewhere other than the Return-Path, or
+ *     to more than one address;
+ *   - 'never': nothing is sent and nothing is asked.
+ * Either way a message is answered at most once: the answer (sent or
+ * declined) is remembered per account and the message gets the $MDNSent
+ * keyword (RFC 3503), which other clients honour too. No receipt is offered
+ * for our own mail, for mail in Spam or Trash, or for receipts themselves.
+ *
+ * A receipt is a multipart/report sent as `raw` through the outbox
+ * (outbox-service.js), so it queues offline like any other mail, and it is
+ * kept out of the Sent folder.
+ */
+
+import { writable } from 'svelte/store';
+import { db } from './db.js';
+import { Local } from './storage';
+import { warn } from './logger';
+import { Remote } from './remote';
+import { isActiveAccount } from './account-scope';
+import { extractAddressList, isValidEmail, normalizeEmail } from './address';
+import { getMessageApiId } from './sync-helpers';
+import { normalizeIdentities } from './identities';
+import { messageHeaders } from './vacation-responder';
+import { queueEmail } from './outbox-service.js';
+import {
+  CRLF,
+  base64Utf8,
+  buildHeaderBlock,
+  buildMultipart,
+  encodeHeaderWord,
+  formatAddressList,
+  formatMailDate,
+  generateMessageId,
+  wrapBase64,
+} from './mime-builder';
+import { getEffectiveSettingValue } from '../stores/settingsStore';
+import type { Message } from '../types';
+
+export type ReadReceiptPolicy = 'ask' | 'always' | 'never';
+
+export const READ_RECEIPT_POLICIES: ReadonlyArray<{ value: ReadReceiptPolicy; label: string }> = [
+  { value: 'ask', label: 'Ask me' },
+  { value: 'always', label: 'Always send' },
+  { value: 'never', label: 'Never send' },
+];
+
+export const MDN_SENT_KEYWORD = '$MDNSent';
+
+export interface ReadReceiptRequest {
+  account: string;
+  /** API id of the message, for the $MDNSent keyword. */
+  messageId: string;
+  folder: string;
+  /** Its Message-ID header, the key receipts are remembered by. */
+  headerMessageId: string;
+  subject: string;
+  /** Who asked: the Disposition-Notification-To addresses. */
+  notifyTo: string[];
+  /** Our address the message was delivered to. */
+  finalRecipient: string;
+  /** Original-Recipient header, when the message carries one. */
+  originalRecipient: string;
+  /** Sending it without asking is not allowed (RFC 8098 §2.1). */
+  needsConfirmation: boolean;
+}
+
+const HANDLED_KEY_PREFIX = 'mdn_handled_';
+
+// No receipts from these folders, matched on the last path segment.
+const SKIP_FOLDER_RE =
+  /^(spam|junk|trash|deleted|deleted items|sent|sent mail|sent items|drafts?)$/i;
+
+const EMAIL_RE = /[^\s<>,;"()]+@[^\s<>,;"()]+/g;
+
+/** The message asking for a receipt that the message view should offer to answer. */
+export const pendingReadReceipt = writable<ReadReceiptRequest | null>(null);
+
+export function normalizeReadReceiptPolicy(value: unknown): ReadReceiptPolicy {
+  return value === 'always' || value === 'never' ? value : 'ask';
+}
+
+const addressesIn = (value: string): string[] => [
+  ...new Set((value.match(EMAIL_RE) || []).map((address) => normalizeEmail(address))),
+];
+
+const ownAddresses = (account: string): Set<string> =>
+  new Set([
+    normalizeEmail(account),
+    ...normalizeIdentities(getEffectiveSettingValue('identities', { account })).map(
+      (identity) => identity.email,
+    ),
+  ]);
+
+/**
+ * What a message asks for, from its headers, or null when it asks for no
+ * receipt or should not get one.
+ */
+export function readReceiptRequest(
+  msg: Partial<Message> & Record<string, unknown>,
+  headers: Record<string, string>,
+  account: string,
+): ReadReceiptRequest | null {
+  const notifyTo = addressesIn(headers['disposition-notification-to'] || '').filter(isValidEmail);
+  if (!notifyTo.length) return null;
+  const flags = Array.isArray(msg.flags) ? msg.flags : [];
+  if (flags.some((flag) => String(flag).toLowerCase() === MDN_SENT_KEYWORD.toLowerCase())) {
+    return null;
+  }
+  if (
+    SKIP_FOLDER_RE.test(
+      String(msg.folder || '')
+        .split('/')
+        .pop() || '',
+    )
+  )
+    return null;
+  if (/disposition-notification/i.test(headers['content-type'] || '')) return null;
+  const own = ownAddresses(account);
+  const sender = addressesIn(headers.from || String(msg.from || ''))[0] || '';
+  if (own.has(sender) || notifyTo.every((address) => own.has(address))) return null;
+
+  const delivered = [...extractAddressList(msg, 'to'), ...extractAddressList(msg, 'cc')]
+    .map((address) => normalizeEmail(address))
+    .find((address) => own.has(address));
+  const returnPath = addressesIn(headers['return-path'] || '')[0] || '';
+  return {
+    account,
+    messageId: String(getMessageApiId(msg) || ''),
+    folder: String(msg.folder || 'INBOX'),
+    headerMessageId: String(
+      headers['message-id'] || msg.message_id || msg.header_message_id || msg.id || '',
+    ).trim(),
+    subject: headers.subject || String(msg.subject || ''),
+    notifyTo,
+    finalRecipient: delivered || normalizeEmail(account),
+    originalRecipient: addressesIn(headers['original-recipient'] || '')[0] || '',
+    // Without a Return-Path there is nothing to check the address against.
+    needsConfirmation: notifyTo.length > 1 || !returnPath || returnPath !== notifyTo[0],
+  };
+}
+
+/** What to do about a request under a policy. */
+export function readReceiptAction(
+  policy: ReadReceiptPolicy,
+  request: ReadReceiptRequest,
+): 'send' | 'ask' | 'ignore' {
+  if (policy === 'never') return 'ignore';
+  if (policy === 'always' && !request.needsConfirmation) return 'send';
+  return 'ask';
+}
+
+/**
+ * The receipt for a request as an outbox payload: a multipart/report with a
+ * human-readable part and the machine-readable disposition.
+ */
+export function buildReadReceipt(
+  request: ReadReceiptRequest,
+  { automatic = false, now = new Date() }: { automatic?: boolean; now?: Date } = {},
+): Record<string, unknown> {
+  const subject = `Read: ${request.subject || '(No subject)'}`;
+  const explanation = [
+    `This is a read receipt for the message you sent to ${request.finalRecipient}` +
+      (request.subject ? ` with the subject "${request.subject}".` : '.'),
+    '',
+    `It was displayed on ${now.toUTCString()}. This only means the message was shown` +
+      ' on screen; it does not mean it was read or understood.',
+  ].join('\n');
+  const disposition = [
+    ['Reporting-UA', 'Forward Email'],
+    ['Original-Recipient', request.originalRecipient ? `rfc822;${request.originalRecipient}` : ''],
+    ['Final-Recipient', `rfc822;${request.finalRecipient}`],
+    ['Original-Message-ID', request.headerMessageId],
+    [
+      'Disposition',
+      automatic
+        ? 'automatic-action/MDN-sent-automatically; displayed'
+        : 'manual-action/MDN-sent-manually; displayed',
+    ],
+  ] as Array<[string, string]>;
+  const body = buildMultipart(
+    'report',
+    [
+      [
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(base64Utf8(explanation)),
+      ].join(CRLF),
+      [
+        'Content-Type: message/disposition-notification',
+        'Content-Transfer-Encoding: 7bit',
+        '',
+        buildHeaderBlock(disposition),
+        '',
+      ].join(CRLF),
+    ],
+    { params: '; report-type=disposition-notification' },
+  );
+  const headers = buildHeaderBlock([
+    ['From', formatAddressList(request.finalRecipient)],
+    ['To', formatAddressList(request.notifyTo)],
+    ['Subject', encodeHeaderWord(subject)],
+    ['Date', formatMailDate(now)],
+    ['Message-ID', generateMessageId(request.finalRecipient)],
+    ['In-Reply-To', request.headerMessageId],
+    ['References', request.headerMessageId],
+    ['Auto-Submitted', automatic ? 'auto-replied' : ''],
+    ['MIME-Version', '1.0'],
+  ]);
+  return {
+    from: request.finalRecipient,
+    to: request.notifyTo,
+    subject,
+    raw: `${headers}${CRLF}${body}`,
+    save_sent: false,
+  };
+}
+
+async function readHandled(account: string): Promise<Record<string, number>> {
+  try {
+    const record = await db.meta.get(`${HANDLED_KEY_PREFIX}${account}`);
+    return record?.value && typeof record.value === 'object' ? { ...record.value } : {};
+  } catch {
+    return {};
+  }
+}
+
+async function markHandled(request: ReadReceiptRequest): Promise<void> {
+  const handled = await readHandled(request.account);
+  handled[request.headerMessageId] = Date.now();
+  await db.meta.put({
+    key: `${HANDLED_KEY_PREFIX}${request.account}`,
+    value: handled,
+    updatedAt: Date.now(),
+  });
+
+  if (!request.messageId) return;
+  // $MDNSent tells other clients the question has been answered.
+  try {
+    const records = await db.messages
+      .where('[account+id]')
+      .equals([request.account, request.messageId])
+      .toArray();
+    const flags: string[] = Array.isArray(records?.[0]?.flags) ? records[0].flags : [];
+    if (flags.includes(MDN_SENT_KEYWORD)) return;
+    const next = [...flags, MDN_SENT_KEYWORD];
+    await db.messages
+      .where('[account+id]')
+      .equals([request.account, request.messageId])
+      .modify({ flags: next });
+    await Remote.request(
+      'MessageUpdate',
+      { flags: next, folder: request.folder },
+      { method: 'PUT', pathOverride: `/v1/messages/${encodeURIComponent(request.messageId)}` },
+    );
+  } catch (err) {
+    warn('[read-receipts] could not set $MDNSent', err);
+  }
+}
+
+const clearPending = (request: ReadReceiptRequest) =>
+  pendingReadReceipt.update((pending) =>
+    pending?.headerMessageId === request.headerMessageId ? null : pending,
+  );
+
+/** Queue the receipt for a request and remember it was sent. */
+export async function sendReadReceipt(
+  request: ReadReceiptRequest,
+  { automatic = false }: { automatic?: boolean } = {},
+): Promise<void> {
+  clearPending(request);
+  await queueEmail(buildReadReceipt(request, { automatic }));
+  await markHandled(request).catch(() => {});
+}
+
+/** Decline a request: no receipt, and no asking again. */
+export async function declineReadReceipt(request: ReadReceiptRequest): Promise<void> {
+  clearPending(request);
+  await markHandled(request).catch(() => {});
+}
+
+/**
+ * Act on a message just opened, given its detail response: send its receipt,
+ * offer to, or do nothing, per the account's policy. Only for the account on
+ * screen, whose credentials the receipt goes out with.
+ */
+export async function offerReadReceipt(
+  msg: Partial<Message> & Record<string, unknown>,
+  detail: object | null,
+): Promise<void> {
+  const account = String(msg.account || Local.get('email') || 'default');
+  if (!detail || !isActiveAccount(account)) return;
+  const request = readReceiptRequest(
+    msg,
+    messageHeaders(detail as Record<string, unknown>),
+    account,
+  );
+  if (!request?.headerMessageId) return;
+  const handled = await readHandled(account);
+  if (handled[request.headerMessageId]) return;
+  const policy = normalizeReadReceiptPolicy(
+    getEffectiveSettingValue('read_receipt_policy', { account }),
+  );
+  const action = readReceiptAction(policy, request);
+  if (action === 'send') {
+    await sendReadReceipt(request, { automatic: true }).catch((err) => {
+      warn('[read-receipts] sending failed', err);
+    });
+  } else if (action === 'ask') {
+    pendingReadReceipt.set(request);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Per-account store of other people's public keys.
+ *
+ * Records live in the recipientKeys table, keyed by [account+email]. The sync
+ * worker fills it from Autocrypt headers and key attachments as mail arrives
+ * (see learnSenderKeys in sync.worker.ts); this module reads it for Compose,
+ * imports keys the user hands us, and asks Web Key Directory for anyone we
+ * still have no key for.
+ *
+ * WKD is pluggable: setWkdLookup swaps the fetcher (tests, self-hosted
+ * directories). The default fetcher asks each domain's openpgpkey host
+ * through externalFetch, since the CSP does not let the webview reach it.
+ * VITE_WKD_BASE_URL instead points it at a single server that answers for
+ * every domain, such as a local stand-in; that server is fetched directly,
+ * so it has to be in connect-src (index.html and tauri.conf.json).
+ */
+
+import { db } from './db.js';
+import { normalizeEmail } from './address';
+import { warn } from './logger';
+import { externalFetch } from './external-fetch';
+import {
+  isArmoredPublicKey,
+  loadOpenPgp,
+  recordsFromKey,
+  shouldReplaceRecord,
+  wkdUrls,
+  type RecipientKeyRecord,
+  type RecipientKeySource,
+} from './pgp-keyring';
+
+/** Resolve an address to a key (binary or armored), or null when unknown. */
+export type WkdLookup = (email: string) => Promise<Uint8Array | string | null>;
+
+const WKD_TIMEOUT_MS = 5000;
+// A miss is remembered for the session window so typing the same recipient
+// into several drafts does not re-query their domain every time.
+const WKD_MISS_TTL_MS = 60 * 60 * 1000;
+
+const wkdMisses = new Map<string, number>();
+
+async function defaultWkdLookup(email: string): Promise<Uint8Array | null> {
+  const baseUrl = import.meta.env.VITE_WKD_BASE_URL || '';
+  for (const url of await wkdUrls(email, { baseUrl })) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WKD_TIMEOUT_MS);
+    try {
+      const res = baseUrl
+        ? await fetch(url, { signal: controller.signal, credentials: 'omit' })
+        : await externalFetch(url, { signal: controller.signal });
+      if (res.ok) return new Uint8Array(await res.arrayBuffer());
+    } catch {
+      // Unreachable host or no WKD on this domain; try the next method.
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  return null;
+}
+
+let wkdLookup: WkdLookup = defaultWkdLookup;
+
+/**
+ * Replace the WKD fetcher. Pass null to restore the built-in one.
+ */
+export function setWkdLookup(lookup: WkdLookup | null): void {
+  wkdLookup = lookup || defaultWkdLookup;
+  wkdMisses.clear();
+}
+
+/**
+ * Stored records for the given addresses, keyed by normalized address.
+ */
+export async function getRecipientKeyRecords(
+  account: string,
+  emails: string[],
+): Promise<Map<string, RecipientKeyRecord>> {
+  const wanted = [...new Set(emails.map((email) => normalizeEmail(email)).filter(Boolean))];
+  const found = new Map<string, RecipientKeyRecord>();
+  if (!account || !wanted.length) return found;
+  const rows = (await db.recipientKeys.bulkGet(wanted.map((email) => [account, email]))) as (
+    | RecipientKeyRecord
+    | undefined
+  )[];
+  rows.forEach((row) => {
+    if (row?.publicKey) found.set(row.email, row);
+  });
+  return found;
+}
+
+/**
+ * Store records, keeping an existing key when the incoming evidence is older
+ * (see shouldReplaceRecord). Returns the records that were written.
+ */
+export async function saveRecipientKeys(
+  records: RecipientKeyRecord[],
+): Promise<RecipientKeyRecord[]> {
+  const written: RecipientKeyRecord[] = [];
+  for (const record of records) {
+    const existing = (await db.recipientKeys.get([record.account, record.email])) as
+      | RecipientKeyRecord
+      | undefined;
+    if (!shouldReplaceRecord(existing, record)) continue;
+    await db.recipientKeys.put(record);
+    written.push(record);
+  }
+  return written;
+}
+
+/**
+ * Import public keys from armored text or binary key data (an `.asc` file,
+ * a WKD response). `onlyEmail` limits the import to that address.
+ */
+export async function importPublicKeys(
+  account: string,
+  input: string | Uint8Array,
+  {
+    source = 'attachment',
+    seenAt = Date.now(),
+    onlyEmail = '',
+  }: { source?: RecipientKeySource; seenAt?: number; onlyEmail?: string } = {},
+): Promise<RecipientKeyRecord[]> {
+  const openpgp = await loadOpenPgp();
+  let keys;
+  if (typeof input === 'string') {
+    if (!isArmoredPublicKey(input)) return [];
+    keys = await openpgp.readKeys({ armoredKeys: input });
+  } else {
+    keys = await openpgp.readKeys({ binaryKeys: input });
+  }
+  const records = keys.flatMap((key) =>
+    recordsFromKey(key, { account, source, seenAt, onlyEmail }),
+  );
+  return saveRecipientKeys(records);
+}
+
+/**
+ * Ask WKD for one address. Only a key bound to that address is kept.
+ */
+export async function lookupWkdKey(
+  account: string,
+  email: string,
+): Promise<RecipientKeyRecord | null> {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const missedAt = wkdMisses.get(normalized);
+  if (missedAt && Date.now() - missedAt < WKD_MISS_TTL_MS) return null;
+  try {
+    const data = await wkdLookup(normalized);
+    if (data) {
+      const [record] = await importPublicKeys(account, data, {
+        source: 'wkd',
+        onlyEmail: normalized,
+      });
+      if (record) return record;
+    }
+  } catch (err) {
+    warn('[recipient-keys] WKD lookup failed', normalized, err);
+  }
+  wkdMisses.set(normalized, Date.now());
+  return null;
+}
+
+/**
+ * Stored records for the given addresses, filling gaps from WKD when `wkd` is
+ * on. A lookup tells the recipient's domain who we are writing to, so
+ * callers only enable it once the user has asked to encrypt.
+ */
+export async function discoverRecipientKeys(
+  account: string,
+  emails: string[],
+  { wkd = false }: { wkd?: boolean } = {},
+): Promise<Map<string, RecipientKeyRecord>> {
+  const found = await getRecipientKeyRecords(account, emails);
+  if (!wkd) return found;
+  const missing = [...new Set(emails.map((email) => normalizeEmail(email)))].filter(
+    (email) => email && !found.has(email),
+  );
+  const results = await Promise.all(missing.map((email) => lookupWkdKey(account, email)));
+  results.forEach((record) => {
+    if (record) found.set(record.email, record);
+  });
+  return found;
+}
@@ -24,6 +24,7 @@
  */
 
 import { rrulestr } from 'rrule';
+import { buildValarmLines, type Reminder } from './calendar-alarms';
 
 const debug = (...args: unknown[]) => {
   try {
@@ -828,7 +829,7 @@ export interface OverridePayload {
   url?: string;
   start: Date;
   end: Date;
-  reminderMinutes?: number;
+  reminders?: Reminder[];
 }
 
 function escapeIcsText(val: string): string {
@@ -899,15 +900,9 @@ export function addOverrideToMaster(
   if (payload.description) overrideLines.push(`DESCRIPTION:${escapeIcsText(payload.description)}`);
   if (payload.location) overrideLines.push(`LOCATION:${escapeIcsText(payload.location)}`);
   if (payload.url) overrideLines.push(`URL:${escapeIcsText(payload.url)}`);
-  if (payload.reminderMinutes && payload.reminderMinutes > 0) {
-    overrideLines.push(
-      'BEGIN:VALARM',
-      'ACTION:DISPLAY',
-      `DESCRIPTION:${escapeIcsText(payload.summary || 'Event reminder')}`,
-      `TRIGGER:-PT${Math.max(1, Math.round(payload.reminderMinutes))}M`,
-      'END:VALARM',
-    );
-  }
+  overrideLines.push(
+    ...buildValarmLines(payload.reminders, escapeIcsText(payload.summary || 'Event reminder')),
+  );
   overrideLines.push('END:VEVENT');
 
   // Drop any prior override for the same RECURRENCE-ID so we replace,
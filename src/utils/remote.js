@@ -1,6 +1,7 @@
 import ky from 'ky';
 import { config } from '../config.js';
-import { buildApiKeyAuthHeader, getAuthHeader } from './auth.ts';
+import { Local } from './storage.js';
+import { buildApiKeyAuthHeader, getAccountAuthHeader, getAuthHeader } from './auth.ts';
 import { logApiError } from './error-logger.ts';
 import { logPerfEvent } from './perf-logger.ts';
 import { interceptDemoRequest, isDemoMode } from './demo-mode';
@@ -29,6 +30,8 @@ const TIMEOUT_BY_ACTION = {
 
 const addJitter = (delay) => delay + Math.random() * 1000;
 
+const isOtherAccount = (account) => Boolean(account) && account !== Local.get('email');
+
 // ── Global 401 interception ──────────────────────────────────────────
 // Track consecutive auth failures across different actions.  When the
 // threshold is reached, dispatch a global event so the app can force
@@ -134,6 +137,9 @@ export const Remote = {
     if (!options.skipAuth && this.shouldAuthorize(action)) {
       if (options.apiKey) {
         headers.Authorization = buildApiKeyAuthHeader(options.apiKey);
+      } else if (options.account) {
+        // Another signed-in account's mail (unified views): its own credentials.
+        headers.Authorization = getAccountAuthHeader(options.account, { required: true });
       } else {
         headers.Authorization = getAuthHeader({ allowApiKey: false, required: true });
       }
@@ -242,8 +248,9 @@ export const Remote = {
         err.status = error.response.status;
         err.isAuthError = error.response.status === 401 || error.response.status === 403;
 
-        // Track consecutive auth failures for global interception
-        if (err.isAuthError) {
+        // Track consecutive auth failures for global interception. A rejected
+        // inactive account says nothing about the active session.
+        if (err.isAuthError && !isOtherAccount(options.account)) {
           recordAuthFailure();
         }
 
@@ -1,5 +1,6 @@
 import DOMPurify from 'dompurify';
 import { Local } from './storage';
+import { markSuspiciousLink } from './phishing';
 
 /**
  * Detect if an image is likely a tracking pixel
@@ -152,6 +153,10 @@ function withHoistedStyles(html) {
   }
 }
 
+// Link and image schemes allowed in mail: http(s), mailto, tel, ftp and
+// relative references.
+const EMAIL_URI_REGEXP = /^(?:(?:https?|mailto|tel|ftp):|[^a-z]|[a-z+.-]+(?:[^a-z+.-:]|$))/i;
+
 /**
  * Dedicated DOMPurify instance.
  *
@@ -163,14 +168,14 @@ const emailPurify = DOMPurify();
 
 // Handoff for the sanitize call in flight. DOMPurify runs synchronously, so a
 // module-level slot is safe.
-let activeCssContext = null;
+let activeSanitizeContext = null;
 
 emailPurify.addHook('afterSanitizeElements', (node) => {
   if (node.nodeName !== 'STYLE') return;
   const result = sanitizeEmailCss(node.textContent || '', {
-    blockRemoteUrls: activeCssContext?.blockRemoteUrls === true,
+    blockRemoteUrls: activeSanitizeContext?.blockRemoteUrls === true,
   });
-  if (activeCssContext) activeCssContext.blockedCount += result.blockedCount;
+  if (activeSanitizeContext) activeSanitizeContext.blockedCount += result.blockedCount;
   node.textContent = result.css;
 });
 
@@ -181,6 +186,9 @@ emailPurify.addHook('afterSanitizeAttributes', (node) => {
   if (node.tagName === 'A') {
     node.setAttribute('target', '_blank');
     node.setAttribute('rel', 'noopener noreferrer');
+    // Links whose text names another host than they go to (phishing.ts).
+    if (markSuspiciousLink(node) && activeSanitizeContext)
+      activeSanitizeContext.suspiciousLinkCount++;
   }
 });
 
@@ -190,7 +198,7 @@ emailPurify.addHook('afterSanitizeAttributes', (node) => {
  * @param {object} options - Sanitization options
  * @param {boolean} options.blockRemoteImages - Block external images (default: reads from user preference)
  * @param {boolean} options.blockTrackingPixels - Block tracking pixels (default: reads from user preference)
- * @returns {object} { html: sanitized HTML, hasBlockedImages: boolean, trackingPixelCount: number, blockedRemoteImageCount: number }
+ * @returns {object} { html: sanitized HTML, hasBlockedImages: boolean, trackingPixelCount: number, blockedRemoteImageCount: number, suspiciousLinkCount: number }
  */
 export function sanitizeHtml(html, { blockRemoteImages, blockTrackingPixels } = {}) {
   if (!html)
@@ -209,6 +217,7 @@ export function sanitizeHtml(html, { blockRemoteImages, blockTrackingPixels } =
   let hasBlockedImages = false;
   let trackingPixelCount = 0;
   let blockedRemoteImageCount = 0;
+  let suspiciousLinkCount = 0;
 
   try {
     // Pre-process HTML to block images BEFORE DOMPurify if needed
@@ -283,30 +292,58 @@ export function sanitizeHtml(html, { blockRemoteImages, blockTrackingPixels } =
 
     // <style> carries the email's own responsive rules, so it is allowed
     // through and its contents run past sanitizeEmailCss via the hook above.
-    activeCssContext = { blockRemoteUrls: blockRemoteImages === true, blockedCount: 0 };
+    activeSanitizeContext = {
+      blockRemoteUrls: blockRemoteImages === true,
+      blockedCount: 0,
+      suspiciousLinkCount: 0,
+    };
     let sanitized;
     try {
       sanitized = emailPurify.sanitize(withHoistedStyles(processedHtml), {
         USE_PROFILES: { html: true },
         ADD_TAGS: ['style'],
-        ALLOWED_URI_REGEXP: /^(?:(?:https?|mailto|tel|ftp):|[^a-z]|[a-z+.-]+(?:[^a-z+.-:]|$))/i,
+        ALLOWED_URI_REGEXP: EMAIL_URI_REGEXP,
         ADD_ATTR: ['data-original-src', 'data-tracking-pixel'],
       });
-      if (activeCssContext.blockedCount > 0) {
+      if (activeSanitizeContext.blockedCount > 0) {
         hasBlockedImages = true;
-        blockedRemoteImageCount += activeCssContext.blockedCount;
+        blockedRemoteImageCount += activeSanitizeContext.blockedCount;
       }
+      suspiciousLinkCount = activeSanitizeContext.suspiciousLinkCount;
     } finally {
-      activeCssContext = null;
+      activeSanitizeContext = null;
     }
 
-    return { html: sanitized, hasBlockedImages, trackingPixelCount, blockedRemoteImageCount };
+    return {
+      html: sanitized,
+      hasBlockedImages,
+      trackingPixelCount,
+      blockedRemoteImageCount,
+      suspiciousLinkCount,
+    };
   } catch (error) {
     console.error('DOMPurify sanitize failed:', error);
     return { html: '', hasBlockedImages: false, trackingPixelCount: 0, blockedRemoteImageCount: 0 };
   }
 }
 
+/**
+ * Sanitize HTML the user wrote for an outgoing message (Markdown compose).
+ * Uses the shared DOMPurify instance, so none of the reader's hooks run: no
+ * suspicious-link markers, no link targets, no image blocking. Inline style
+ * attributes are kept; <style> elements are dropped with script and the rest.
+ * @param {string} html - HTML to sanitize
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeComposeHtml(html) {
+  if (!html) return '';
+  return DOMPurify.sanitize(html, {
+    USE_PROFILES: { html: true },
+    FORBID_TAGS: ['style'],
+    ALLOWED_URI_REGEXP: EMAIL_URI_REGEXP,
+  });
+}
+
 /**
  * Restore blocked images in sanitized HTML
  * @param {string} html - Sanitized HTML with blocked images
@@ -0,0 +1,260 @@
+/**
+ * Autocomplete for the search bar.
+ *
+ * Looks at the word under the caret and offers what search-query.js would
+ * understand there: operator names while a bare word is typed, and values
+ * once an operator is complete (contacts for from:/to:/cc:/bcc:, folder
+ * paths for in:, label names for label:, relative dates for before:/after:/
+ * on:, and the fixed vocabularies of is:, has: and size:). Picking an item
+ * replaces that word only, so the rest of the query is left as typed.
+ *
+ * Used by the desktop search field in Mailbox.svelte and by
+ * MobileSearchOverlay.svelte, which pass in the same sources.
+ */
+
+export interface SearchCompletionSources {
+  contacts?: { name?: string; email?: string }[];
+  folders?: string[];
+  /** `label` is shown, `value` is what goes after "label:". */
+  labels?: { label: string; value: string }[];
+  now?: Date;
+}
+
+export interface SearchCompletion {
+  label: string;
+  detail?: string;
+  /** Text that replaces the word under the caret. */
+  insert: string;
+  type: 'operator' | 'value';
+}
+
+export interface SearchCompletionResult {
+  /** Range of the word under the caret. */
+  from: number;
+  to: number;
+  items: SearchCompletion[];
+}
+
+/** Operators offered while typing, with a hint of what they take. */
+export const SEARCH_OPERATORS: { key: string; detail: string }[] = [
+  { key: 'from', detail: 'Sender' },
+  { key: 'to', detail: 'Recipient' },
+  { key: 'cc', detail: 'Cc recipient' },
+  { key: 'bcc', detail: 'Bcc recipient' },
+  { key: 'subject', detail: 'Words in the subject' },
+  { key: 'in', detail: 'Folder, or all' },
+  { key: 'label', detail: 'Label' },
+  { key: 'is', detail: 'unread, starred…' },
+  { key: 'has', detail: 'attachment' },
+  { key: 'before', detail: 'Date' },
+  { key: 'after', detail: 'Date' },
+  { key: 'on', detail: 'Date' },
+  { key: 'size', detail: 'e.g. >5mb' },
+  { key: 'larger', detail: 'Size' },
+  { key: 'smaller', detail: 'Size' },
+];
+
+const BOOLEAN_OPERATORS = ['AND', 'OR', 'NOT'];
+
+const ADDRESS_KEYS = new Set(['from', 'to', 'cc', 'bcc']);
+const DATE_KEYS = new Set(['before', 'after', 'on']);
+
+const FLAG_VALUES: [string, string][] = [
+  ['unread', 'Unread messages'],
+  ['read', 'Read messages'],
+  ['starred', 'Starred messages'],
+  ['important', 'Marked important'],
+  ['spam', 'In spam'],
+  ['trash', 'In trash'],
+];
+
+const SIZE_VALUES = ['>1mb', '>5mb', '>10mb', '>25mb', '<100kb'];
+const PLAIN_SIZE_VALUES = ['1mb', '5mb', '10mb', '25mb'];
+
+const RELATIVE_DATES: [string, (d: Date) => void][] = [
+  ['today', () => {}],
+  ['yesterday', (d) => d.setDate(d.getDate() - 1)],
+  ['1 week ago', (d) => d.setDate(d.getDate() - 7)],
+  ['2 weeks ago', (d) => d.setDate(d.getDate() - 14)],
+  ['1 month ago', (d) => d.setMonth(d.getMonth() - 1)],
+  ['3 months ago', (d) => d.setMonth(d.getMonth() - 3)],
+  ['6 months ago', (d) => d.setMonth(d.getMonth() - 6)],
+  ['1 year ago', (d) => d.setFullYear(d.getFullYear() - 1)],
+];
+
+const MAX_ITEMS = 8;
+
+const pad = (n: number) => String(n).padStart(2, '0');
+const isoDate = (d: Date) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// Values with spaces are quoted; the tokenizer drops the quotes again.
+const quote = (value: string) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * The word under the caret, with the same boundaries the tokenizer uses:
+ * whitespace and parentheses outside quotes.
+ */
+export function wordAtCaret(query: string, caret: number): { from: number; to: number } {
+  const text = query || '';
+  const at = Math.max(0, Math.min(caret ?? text.length, text.length));
+  let from = 0;
+  let inQuote: string | null = null;
+  for (let i = 0; i < at; i += 1) {
+    const ch = text[i];
+    if (inQuote) {
+      if (ch === inQuote) inQuote = null;
+    } else if (ch === '"' || ch === "'") {
+      inQuote = ch;
+    } else if (/[\s()]/.test(ch)) {
+      from = i + 1;
+    }
+  }
+  let to = at;
+  while (to < text.length && (inQuote || !/[\s()]/.test(text[to]))) {
+    if (inQuote && text[to] === inQuote) inQuote = null;
+    else if (!inQuote && (text[to] === '"' || text[to] === "'")) inQuote = text[to];
+    to += 1;
+  }
+  return { from, to };
+}
+
+const matches = (candidate: string, prefix: string) =>
+  !prefix || candidate.toLowerCase().includes(prefix);
+
+function valueCompletions(
+  key: string,
+  prefix: string,
+  sources: SearchCompletionSources,
+): { label: string; detail?: string; value: string }[] {
+  if (ADDRESS_KEYS.has(key)) {
+    return (sources.contacts || [])
+      .filter((c) => c.email && (matches(c.email, prefix) || matches(c.name || '', prefix)))
+      .map((c) => ({
+        label: c.email as string,
+        detail: c.name && c.name !== c.email ? c.name : undefined,
+        value: c.email as string,
+      }));
+  }
+  if (key === 'in' || key === 'folder') {
+    return [
+      { label: 'all', detail: 'Every folder', value: 'all' },
+      ...(sources.folders || []).map((path) => ({ label: path, value: path })),
+    ].filter((item) => matches(item.value, prefix));
+  }
+  if (key === 'label' || key === 'tag') {
+    return (sources.labels || [])
+      .filter((l) => l.value && (matches(l.label, prefix) || matches(l.value, prefix)))
+      .map((l) => ({
+        label: l.label,
+        detail: l.value !== l.label ? l.value : undefined,
+        value: l.value,
+      }));
+  }
+  if (key === 'is') {
+    return FLAG_VALUES.filter(([value]) => value.startsWith(prefix)).map(([value, detail]) => ({
+      label: value,
+      detail,
+      value,
+    }));
+  }
+  if (key === 'has') {
+    return 'attachment'.startsWith(prefix)
+      ? [{ label: 'attachment', detail: 'With attachments', value: 'attachment' }]
+      : [];
+  }
+  if (DATE_KEYS.has(key)) {
+    return RELATIVE_DATES.map(([label, shift]) => {
+      const date = new Date(sources.now || Date.now());
+      shift(date);
+      return { label, detail: isoDate(date), value: isoDate(date) };
+    }).filter((item) => matches(item.label, prefix) || item.value.startsWith(prefix));
+  }
+  if (key === 'size' || key === 'larger' || key === 'smaller') {
+    return (key === 'size' ? SIZE_VALUES : PLAIN_SIZE_VALUES)
+      .filter((value) => value.startsWith(prefix))
+      .map((value) => ({ label: value, value }));
+  }
+  return [];
+}
+
+/**
+ * Suggestions for the word under the caret. An empty word has none; the
+ * caller shows its own starting points (saved searches, common operators).
+ */
+export function completeSearchQuery(
+  query: string,
+  caret: number,
+  sources: SearchCompletionSources = {},
+): SearchCompletionResult {
+  const { from, to } = wordAtCaret(query, caret);
+  const word = (query || '').slice(from, to);
+  const empty = { from, to, items: [] };
+  if (!word) return empty;
+
+  const negation = word.startsWith('-') ? '-' : '';
+  const bare = word.slice(negation.length);
+  const colon = bare.indexOf(':');
+
+  if (colon === -1) {
+    const lower = bare.toLowerCase();
+    const items: SearchCompletion[] = SEARCH_OPERATORS.filter(
+      ({ key }) => key.startsWith(lower) && key !== lower,
+    ).map(({ key, detail }) => ({
+      label: `${key}:`,
+      detail,
+      insert: `${negation}${key}:`,
+      type: 'operator',
+    }));
+    // Boolean operators only when typed in capitals, as the parser wants them.
+    if (!negation && bare === bare.toUpperCase()) {
+      for (const op of BOOLEAN_OPERATORS) {
+        if (op.startsWith(bare) && op !== bare) {
+          items.push({ label: op, insert: op, type: 'operator' });
+        }
+      }
+    }
+    return { from, to, items: items.slice(0, MAX_ITEMS) };
+  }
+
+  const key = bare.slice(0, colon).toLowerCase();
+  const prefix = bare
+    .slice(colon + 1)
+    .replace(/["']/g, '')
+    .toLowerCase();
+  const items = valueCompletions(key, prefix, sources)
+    .filter((item) => item.value.toLowerCase() !== prefix)
+    .slice(0, MAX_ITEMS)
+    .map<SearchCompletion>((item) => ({
+      label: item.label,
+      detail: item.detail,
+      insert: `${negation}${bare.slice(0, colon)}:${quote(item.value)}`,
+      type: 'value',
+    }));
+  return { from, to, items };
+}
+
+/**
+ * Put a completion in place of the word it was offered for. Operators keep
+ * the caret right after the colon; finished values get a trailing space.
+ */
+export function applySearchCompletion(
+  query: string,
+  result: Pick<SearchCompletionResult, 'from' | 'to'>,
+  item: SearchCompletion,
+): { query: string; caret: number } {
+  const text = query || '';
+  const before = text.slice(0, result.from);
+  let after = text.slice(result.to);
+  const insert = item.insert.endsWith(':') ? item.insert : `${item.insert} `;
+  if (insert.endsWith(' ') && after.startsWith(' ')) after = after.slice(1);
+  return { query: `${before}${insert}${after}`, caret: before.length + insert.length };
+}
+
+/** What went wrong with a clause findUnknownClauses reported. */
+export function describeUnknownClause(clause: { token: string; key: string }): string {
+  if (DATE_KEYS.has(clause.key)) {
+    return `"${clause.token}" is not a date the search understands; use YYYY-MM-DD`;
+  }
+  const example = clause.key === 'size' ? '>5mb' : '5mb';
+  return `"${clause.token}" is not a size the search understands; try ${clause.key}:${example}`;
+}
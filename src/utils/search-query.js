@@ -53,7 +53,11 @@ const tokenize = (raw = '') => {
   return tokens;
 };
 
-const parseSize = (value = '') => {
+/**
+ * Parse a size expression such as "5mb", ">2M" or "<=100kb" into
+ * { op, bytes }. A bare number is bytes and a missing operator means ">=".
+ */
+export const parseSize = (value = '') => {
   const match = value.match(/(>=|<=|>|<)?\s*([\d.]+)\s*([a-zA-Z]*)/);
   if (!match) return null;
   const [, opRaw, numRaw, unitRaw] = match;
@@ -65,6 +69,14 @@ const parseSize = (value = '') => {
   return { op, bytes: Math.round(num * multiplier) };
 };
 
+/** Compare a byte count against a parsed size ({ op, bytes } from parseSize). */
+export const matchesSize = (value, { op, bytes }) => {
+  if (op === '<=') return value <= bytes;
+  if (op === '>') return value > bytes;
+  if (op === '<') return value < bytes;
+  return value >= bytes;
+};
+
 const clauseFromToken = (token = '') => {
   let raw = token;
   let negated = false;
@@ -139,10 +151,32 @@ const precedence = (op) => {
 const toAst = (tokens = []) => {
   const output = [];
   const ops = [];
+  let afterOperand = false;
+
+  const pushOperator = (op) => {
+    while (
+      ops.length &&
+      isOperator(ops[ops.length - 1]) &&
+      precedence(ops[ops.length - 1]) >= precedence(op)
+    ) {
+      output.push(ops.pop());
+    }
+    ops.push(op);
+  };
 
   tokens.forEach((token) => {
+    const upper = token.toUpperCase();
+    // Adjacent terms ("from:alice subject:invoice", "x (a OR b)", "x NOT y")
+    // are ANDed, as they are in the flat filters. Without this the earlier
+    // operand was silently dropped from the tree.
+    const startsOperand = token === '(' || upper === 'NOT' || !isOperator(upper);
+    if (afterOperand && token !== ')' && startsOperand) {
+      pushOperator('AND');
+    }
+
     if (token === '(') {
       ops.push(token);
+      afterOperand = false;
       return;
     }
     if (token === ')') {
@@ -150,23 +184,18 @@ const toAst = (tokens = []) => {
         output.push(ops.pop());
       }
       ops.pop(); // discard '('
+      afterOperand = true;
       return;
     }
 
-    const upper = token.toUpperCase();
     if (isOperator(upper)) {
-      while (
-        ops.length &&
-        isOperator(ops[ops.length - 1]) &&
-        precedence(ops[ops.length - 1]) >= precedence(upper)
-      ) {
-        output.push(ops.pop());
-      }
-      ops.push(upper);
+      pushOperator(upper);
+      afterOperand = false;
       return;
     }
 
     output.push(clauseFromToken(token));
+    afterOperand = true;
   });
 
   while (ops.length) {
@@ -294,11 +323,7 @@ const matchesClause = (msg = {}, clause = {}) => {
           ? msg.attachments.reduce((sum, att) => sum + (att.size || 0), 0)
           : 0);
       if (!size || Number.isNaN(size)) return false;
-      if (clause.op === '>=') return applyNegation(size >= clause.bytes);
-      if (clause.op === '<=') return applyNegation(size <= clause.bytes);
-      if (clause.op === '>') return applyNegation(size > clause.bytes);
-      if (clause.op === '<') return applyNegation(size < clause.bytes);
-      return applyNegation(size >= clause.bytes);
+      return applyNegation(matchesSize(size, clause));
     }
     default:
       return true;
@@ -321,6 +346,15 @@ const evaluateAst = (ast, msg) => {
   }
 };
 
+/**
+ * Whether one message matches a parsed query's AST. Unlike applySearchFilters
+ * this always walks the full tree, so negated terms count even when the query
+ * has no explicit AND/OR. Mail rules use it to test incoming messages.
+ */
+export function matchesSearchAst(msg, ast) {
+  return evaluateAst(ast, msg || {});
+}
+
 export function parseSearchQuery(raw = '') {
   const tokens = tokenize(raw || '');
   const hasBooleanTokens = tokens.some(
@@ -412,6 +446,21 @@ export function parseSearchQuery(raw = '') {
   };
 }
 
+/**
+ * Clauses the parser could not read and turned into { type: 'unknown' }: a
+ * date or size operator whose value does not parse ("before:lastweek",
+ * "size:big"). Each entry has the token as typed and its operator key, so
+ * the search bar can point at it instead of silently ignoring it.
+ */
+export function findUnknownClauses(raw = '') {
+  return tokenize(raw || '')
+    .filter((token) => clauseFromToken(token).type === 'unknown')
+    .map((token) => {
+      const bare = token.startsWith('-') ? token.slice(1) : token;
+      return { token, key: bare.slice(0, bare.indexOf(':')).toLowerCase() };
+    });
+}
+
 export function applySearchFilters(messages = [], filters = {}) {
   const {
     from = [],
@@ -467,12 +516,7 @@ export function applySearchFilters(messages = [], filters = {}) {
         (Array.isArray(msg.attachments)
           ? msg.attachments.reduce((sum, att) => sum + (att.size || 0), 0)
           : 0);
-      if (msgSize) {
-        if (size.op === '>=' && !(msgSize >= size.bytes)) return false;
-        if (size.op === '<=' && !(msgSize <= size.bytes)) return false;
-        if (size.op === '>' && !(msgSize > size.bytes)) return false;
-        if (size.op === '<' && !(msgSize < size.bytes)) return false;
-      }
+      if (msgSize && !matchesSize(msgSize, size)) return false;
     }
 
     const fromStr = toLower(msg.from);
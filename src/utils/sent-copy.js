@@ -12,13 +12,29 @@ export const buildSentCopyPayload = (
   folderList = null,
   sentFolderOverride = null,
 ) => {
-  const sentFolder = sentFolderOverride || resolveSentFolder(account, folderList);
+  // A send-as identity can file its copies in a folder of its own (see
+  // identities.ts); Compose passes it along as `_sentFolder`.
+  const sentFolder =
+    emailPayload._sentFolder || sentFolderOverride || resolveSentFolder(account, folderList);
+  // PGP/MIME sends carry the finished message in `raw` (see pgp-compose.ts).
+  // File those bytes as-is so the Sent copy stays encrypted/signed instead of
+  // being rebuilt from cleartext fields that no longer exist.
+  if (emailPayload.raw) {
+    return {
+      raw: emailPayload.raw,
+      subject: emailPayload.subject || '',
+      folder: sentFolder,
+      flags: ['\\Seen'],
+    };
+  }
   return {
     from: emailPayload.from,
     to: emailPayload.to || [],
     cc: emailPayload.cc || [],
     bcc: emailPayload.bcc || [],
     replyTo: emailPayload.replyTo,
+    // Same Message-ID as the delivered email, so replies thread with the copy.
+    ...(emailPayload.messageId ? { messageId: emailPayload.messageId } : {}),
     inReplyTo: emailPayload.inReplyTo,
     references: emailPayload.references || '',
     subject: emailPayload.subject || '',
@@ -42,7 +58,7 @@ export const saveSentCopy = async (
   // native compose window has no IDB folder store, so the main window
   // resolves the folder and hands it over at open time.
   let folders = folderList;
-  if (!sentFolderOverride && !folders) {
+  if (!sentFolderOverride && !emailPayload._sentFolder && !folders) {
     // Primary: read from in-memory folder store (already loaded after login)
     const storeFolders = get(foldersStore);
     if (storeFolders?.length) {
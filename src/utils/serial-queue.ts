@@ -0,0 +1,41 @@
+/**
+ * One-at-a-time queues for async read-modify-write work.
+ *
+ * Modules that rewrite the same IndexedDB rows from several places (timers,
+ * sync reports, user actions) run each job after the previous one settles,
+ * so one job cannot write back what another just changed. A failed job
+ * rejects for its caller only; the next job still runs.
+ */
+
+export type Serialize = <T>(fn: () => Promise<T>) => Promise<T>;
+
+export type KeyedSerialize = <T>(key: string, fn: () => Promise<T>) => Promise<T>;
+
+/** A queue that runs every job it is given one at a time. */
+export function createSerialQueue(): Serialize {
+  let chain: Promise<unknown> = Promise.resolve();
+  return <T>(fn: () => Promise<T>): Promise<T> => {
+    const run = chain.then(fn, fn);
+    chain = run.then(
+      () => {},
+      () => {},
+    );
+    return run;
+  };
+}
+
+/**
+ * A queue per key (an account, say): jobs with the same key run one at a
+ * time, jobs with different keys do not wait for each other.
+ */
+export function createKeyedSerialQueue(): KeyedSerialize {
+  const queues = new Map<string, Serialize>();
+  return <T>(key: string, fn: () => Promise<T>): Promise<T> => {
+    let serialize = queues.get(key);
+    if (!serialize) {
+      serialize = createSerialQueue();
+      queues.set(key, serialize);
+    }
+    return serialize(fn);
+  };
+}
@@ -6,12 +6,24 @@
  * forward at open time so the user can see and edit them, mirroring Gmail.
  * They are NOT re-inserted when a saved draft is reopened (the draft body
  * already contains whatever was composed), which avoids duplicate signatures.
+ *
+ * A send-as identity (identities.ts) can bring its own signature, as plain
+ * text and/or HTML, and Compose swaps it in when the From identity changes;
+ * see replaceSignatureHtml / replaceSignaturePlain.
  */
 
+import DOMPurify from 'dompurify';
+
 // RFC 3676 signature delimiter. Lets receiving clients recognize and collapse
 // the signature when quoting a reply.
 const DELIMITER = '-- ';
 
+const MARKER = 'data-fe-signature="true"';
+
+// Top-level elements of an HTML signature that the editor keeps as blocks and
+// can carry the marker (see the SignatureMarker extension in Compose.svelte).
+const BLOCK_TAGS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'TABLE']);
+
 function escapeHtml(value: string): string {
   return value
     .replace(/&/g, '&amp;')
@@ -21,17 +33,70 @@ function escapeHtml(value: string): string {
 }
 
 /**
- * Render the signature as an HTML block for the rich-text editor. Returns an
- * empty string when there's no signature text so callers can concatenate
- * unconditionally.
+ * Mark every top-level block of a sanitized HTML signature, wrapping loose
+ * inline content in paragraphs and unwrapping <div>s, so the whole signature
+ * can be found again once the editor has re-rendered it.
+ */
+function markedBlocks(html: string): string {
+  const container = document.createElement('div');
+  container.innerHTML = DOMPurify.sanitize(html, { FORBID_TAGS: ['style', 'form', 'input'] });
+  const blocks: string[] = [];
+  let inline = '';
+  const flush = () => {
+    if (inline.trim()) blocks.push(`<p ${MARKER}>${inline}</p>`);
+    inline = '';
+  };
+  const walk = (parent: Node) => {
+    for (const node of Array.from(parent.childNodes)) {
+      if (node instanceof Element && node.tagName === 'DIV') {
+        flush();
+        walk(node);
+        flush();
+      } else if (node instanceof Element && BLOCK_TAGS.has(node.tagName)) {
+        flush();
+        node.setAttribute('data-fe-signature', 'true');
+        blocks.push(node.outerHTML);
+      } else if (node instanceof Element) {
+        inline += node.outerHTML;
+      } else if (node.nodeType === Node.TEXT_NODE) {
+        inline += escapeHtml(node.textContent || '');
+      }
+    }
+  };
+  walk(container);
+  flush();
+  return blocks.join('');
+}
+
+/**
+ * Render the signature as an HTML block for the rich-text editor. An identity's
+ * HTML signature (`html`) wins over the plain text. Returns an empty string
+ * when there's no signature so callers can concatenate unconditionally.
  */
-export function signatureHtml(text: string): string {
+export function signatureHtml(text: string, html = ''): string {
+  if (html.trim()) {
+    const blocks = markedBlocks(html);
+    if (blocks) return `<p class="fe-signature" ${MARKER}>${DELIMITER}</p>${blocks}`;
+  }
   const trimmed = (text || '').replace(/\s+$/, '');
   if (!trimmed) return '';
   const body = escapeHtml(trimmed).replace(/\n/g, '<br>');
-  // data-fe-signature marks the block so a future feature could strip or
-  // swap it; the fe-signature class is available for styling.
-  return `<p class="fe-signature" data-fe-signature="true">${DELIMITER}<br>${body}</p>`;
+  // data-fe-signature marks the block so it can be found and swapped later;
+  // the fe-signature class is available for styling.
+  return `<p class="fe-signature" ${MARKER}>${DELIMITER}<br>${body}</p>`;
+}
+
+/**
+ * The plain-text form of a signature: the text when there is one, otherwise
+ * the text content of the HTML signature.
+ */
+export function signatureText(text: string, html = ''): string {
+  if ((text || '').trim() || !html.trim()) return text || '';
+  const container = document.createElement('div');
+  container.innerHTML = DOMPurify.sanitize(
+    html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '$&\n'),
+  );
+  return (container.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
 }
 
 /**
@@ -48,8 +113,8 @@ export function signaturePlain(text: string): string {
  * the quoted original for a reply/forward), leaving a blank line at the top
  * for the cursor. Returns existingContent unchanged when there's no signature.
  */
-export function applySignatureHtml(text: string, existingHtml: string): string {
-  const sig = signatureHtml(text);
+export function applySignatureHtml(text: string, existingHtml: string, html = ''): string {
+  const sig = signatureHtml(text, html);
   if (!sig) return existingHtml || '';
   const lead = '<p><br></p>';
   return existingHtml ? `${lead}${sig}<p><br></p>${existingHtml}` : `${lead}${sig}`;
@@ -60,3 +125,47 @@ export function applySignaturePlain(text: string, existingText: string): string
   if (!sig) return existingText || '';
   return existingText ? `\n\n${sig}\n\n${existingText}` : `\n\n${sig}`;
 }
+
+/**
+ * Swap the signature blocks in `existingHtml` for another signature (empty
+ * text and html remove it). Returns null when there is no signature to swap,
+ * e.g. because the user deleted it.
+ */
+export function replaceSignatureHtml(existingHtml: string, text: string, html = ''): string | null {
+  const container = document.createElement('div');
+  container.innerHTML = existingHtml || '';
+  const marked = Array.from(container.querySelectorAll('[data-fe-signature]')).filter(
+    (el) => !el.parentElement?.closest('[data-fe-signature]'),
+  );
+  if (!marked.length) return null;
+  const replacement = document.createElement('template');
+  replacement.innerHTML = signatureHtml(text, html);
+  marked[0].before(replacement.content);
+  for (const el of marked) el.remove();
+  return container.innerHTML;
+}
+
+/**
+ * Swap a plain-text signature for another (empty `nextText` removes it).
+ * Returns null when the previous signature is no longer in the text as
+ * inserted, so edits the user made to it are never overwritten.
+ */
+export function replaceSignaturePlain(
+  existingText: string,
+  previousText: string,
+  nextText: string,
+): string | null {
+  const previous = signaturePlain(previousText);
+  if (!previous) return null;
+  // As inserted, the signature ends the text or a paragraph of it.
+  const escaped = previous.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = new RegExp(`(\\n\\n)?${escaped}(?=\\n\\n|$)`).exec(existingText);
+  if (!match) return null;
+  const next = signaturePlain(nextText);
+  const replacement = next ? `${match[1] || ''}${next}` : '';
+  return (
+    existingText.slice(0, match.index) +
+    replacement +
+    existingText.slice(match.index + match[0].length)
+  );
+}
@@ -89,6 +89,11 @@ const clearAccountCacheData = async (email) => {
       db.settings,
       db.settingsLabels,
       db.outbox,
+      db.recipientKeys,
+      db.snoozes,
+      db.calendars,
+      db.calendarEvents,
+      db.contacts,
       db.labels,
       db.syncManifests,
       db.meta,
@@ -104,12 +109,20 @@ const clearAccountCacheData = async (email) => {
         db.settings.where('account').equals(email).delete(),
         db.settingsLabels.where('account').equals(email).delete(),
         db.outbox.where('account').equals(email).delete(),
+        db.recipientKeys.where('account').equals(email).delete(),
+        db.snoozes.where('account').equals(email).delete(),
+        db.calendars.where('account').equals(email).delete(),
+        db.calendarEvents.where('account').equals(email).delete(),
+        db.contacts.where('account').equals(email).delete(),
         db.labels.where('account').equals(email).delete(),
         db.syncManifests.where('account').equals(email).delete(),
-        // Clean up account-specific meta entries (mutation queue, contacts, saved searches)
+        // Clean up account-specific meta entries (mutation queue, notification
+        // actions, contacts, saved searches)
         db.meta.where('key').startsWith(`mutation_queue_${email}`).delete(),
+        db.meta.where('key').equals(`notification_actions_${email}`).delete(),
         db.meta.where('key').startsWith(`contacts_${email}`).delete(),
         db.meta.where('key').startsWith(`saved_search_${email}_`).delete(),
+        db.meta.where('key').startsWith(`unsubscribed_lists_${email}`).delete(),
       ]);
     },
   );
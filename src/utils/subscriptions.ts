@@ -0,0 +1,211 @@
+/**
+ * Mailing-list subscriptions: leaving a list, and the lists found in the
+ * local cache.
+ *
+ * A message's list comes from its List-Id and List-Unsubscribe headers
+ * (list-headers.ts, stored by normalizeMessageForCache). Leaving a list
+ * tries, in order:
+ *   - an RFC 8058 one-click POST to the list's https URL, without cookies.
+ *     The CSP keeps the webview from reaching the sender, so it goes through
+ *     externalFetch (external-fetch.ts); the list's own answer decides
+ *     whether it worked;
+ *   - a message to the list's mailto: address, through the outbox
+ *     (outbox-service.js);
+ *   - opening the list's unsubscribe page in the browser, which only the
+ *     user can complete.
+ * Lists left are remembered per account so the Subscriptions view can show
+ * them as such.
+ */
+
+import { db } from './db.js';
+import { warn } from './logger';
+import { isDemoMode, showDemoBlockedToast } from './demo-mode';
+import { queueEmail } from './outbox-service.js';
+import { openExternalUrl } from './external-links.js';
+import { externalFetch } from './external-fetch';
+import type { ListUnsubscribe } from './list-headers';
+import type { Message } from '../types';
+
+export type UnsubscribeMethod = 'one-click' | 'mailto' | 'link';
+
+export interface Subscription {
+  /** List-Id. */
+  id: string;
+  name: string;
+  /** From of the most recent message. */
+  from: string;
+  count: number;
+  lastSeen: number;
+  /** How to leave, from the most recent message that says. */
+  unsubscribe: ListUnsubscribe | null;
+  /** When the list was left from here, or null. */
+  unsubscribedAt: number | null;
+}
+
+const UNSUBSCRIBED_KEY_PREFIX = 'unsubscribed_lists_';
+
+// Archiving a list's past mail leaves these folders alone.
+const SKIP_ARCHIVE_FOLDER_RE = /^(archive|trash|deleted|sent|drafts?|spam|junk)\b/i;
+
+/**
+ * The message a mailto: unsubscribe URI asks for, addressed from `account`.
+ * Null when the URI has no valid address.
+ */
+export function buildUnsubscribeEmail(
+  account: string,
+  mailto: string,
+): Record<string, unknown> | null {
+  let url: URL;
+  try {
+    url = new URL(mailto);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'mailto:') return null;
+  const to = decodeURIComponent(url.pathname).trim();
+  if (!/^[^\s@]+@[^\s@]+$/.test(to)) return null;
+  return {
+    from: account,
+    to: [to],
+    subject: url.searchParams.get('subject') || 'unsubscribe',
+    text: url.searchParams.get('body') || 'unsubscribe',
+  };
+}
+
+async function postOneClick(url: string): Promise<void> {
+  const res = await externalFetch(url, { method: 'POST', body: 'List-Unsubscribe=One-Click' });
+  if (!res.ok) {
+    throw new Error(`Unsubscribe request failed (${res.status})`);
+  }
+}
+
+async function readUnsubscribed(account: string): Promise<Record<string, number>> {
+  try {
+    const record = await db.meta.get(`${UNSUBSCRIBED_KEY_PREFIX}${account}`);
+    return record?.value && typeof record.value === 'object' ? { ...record.value } : {};
+  } catch {
+    return {};
+  }
+}
+
+async function markUnsubscribed(account: string, listId: string): Promise<void> {
+  const unsubscribed = await readUnsubscribed(account);
+  unsubscribed[listId] = Date.now();
+  await db.meta.put({
+    key: `${UNSUBSCRIBED_KEY_PREFIX}${account}`,
+    value: unsubscribed,
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Leave a list with the best method it offers. `listId` is remembered as
+ * left once the list accepts the one-click request or the mail is queued; a
+ * `link` result still needs the user to
+ * finish on the page that was opened.
+ */
+export async function unsubscribeFromList(
+  account: string,
+  unsubscribe: ListUnsubscribe | null | undefined,
+  listId = '',
+): Promise<UnsubscribeMethod> {
+  if (!unsubscribe || (!unsubscribe.url && !unsubscribe.mailto)) {
+    throw new Error('This message does not say how to unsubscribe');
+  }
+  if (isDemoMode()) {
+    showDemoBlockedToast('unsubscribe');
+    throw new Error('Demo mode: unsubscribing is disabled');
+  }
+
+  let method: UnsubscribeMethod | null = null;
+  if (unsubscribe.one_click && unsubscribe.url) {
+    try {
+      await postOneClick(unsubscribe.url);
+      method = 'one-click';
+    } catch (err) {
+      // Blocked or offline: a mailto: address, if there is one, still works.
+      if (!unsubscribe.mailto) throw err;
+      warn('[subscriptions] one-click unsubscribe failed, sending mail instead', err);
+    }
+  }
+  if (!method && unsubscribe.mailto) {
+    const payload = buildUnsubscribeEmail(account, unsubscribe.mailto);
+    if (payload) {
+      await queueEmail(payload);
+      method = 'mailto';
+    }
+  }
+  if (!method && unsubscribe.url) {
+    await openExternalUrl(unsubscribe.url);
+    method = 'link';
+  }
+  if (!method) throw new Error('This message does not say how to unsubscribe');
+
+  if (listId && method !== 'link') {
+    await markUnsubscribed(account, listId).catch(() => {});
+  }
+  return method;
+}
+
+async function accountMessages(account: string): Promise<Message[]> {
+  const records = (await db.messages.where('account').equals(account).toArray()) as Message[];
+  return records.filter((msg) => msg?.list_id);
+}
+
+/**
+ * The lists the account's cached mail comes from, most recently heard from
+ * first.
+ */
+export async function listSubscriptions(account: string): Promise<Subscription[]> {
+  const [messages, unsubscribed] = await Promise.all([
+    accountMessages(account),
+    readUnsubscribed(account),
+  ]);
+  const byList = new Map<string, Subscription>();
+  const ordered = [...messages].sort(
+    (a, b) => (b.dateMs || b.date || 0) - (a.dateMs || a.date || 0),
+  );
+  for (const msg of ordered) {
+    const id = msg.list_id as string;
+    const entry = byList.get(id);
+    if (entry) {
+      entry.count += 1;
+      if (!entry.name && msg.list_name) entry.name = msg.list_name;
+      if (!entry.unsubscribe && msg.list_unsubscribe) entry.unsubscribe = msg.list_unsubscribe;
+      continue;
+    }
+    byList.set(id, {
+      id,
+      name: msg.list_name || '',
+      from: msg.from || '',
+      count: 1,
+      lastSeen: msg.dateMs || msg.date || 0,
+      unsubscribe: msg.list_unsubscribe || null,
+      unsubscribedAt: unsubscribed[id] || null,
+    });
+  }
+  return [...byList.values()];
+}
+
+/**
+ * Move the cached mail of the given lists to the archive folder, leaving
+ * what is already archived, deleted, sent or in spam. Returns how many
+ * messages were moved.
+ */
+export async function archiveListMail(account: string, listIds: string[]): Promise<number> {
+  const wanted = new Set(listIds);
+  const { mailboxStore } = await import('../stores/mailboxStore');
+  const target = mailboxStore.actions.getArchiveFolderPath();
+  if (!target) throw new Error('Archive folder not found');
+  const messages = (await accountMessages(account)).filter(
+    (msg) =>
+      wanted.has(msg.list_id as string) &&
+      msg.folder !== target &&
+      !SKIP_ARCHIVE_FOLDER_RE.test(msg.folder || ''),
+  );
+  if (!messages.length) return 0;
+  const result = await mailboxStore.actions.bulkMoveMessages(messages, target, {
+    demoAction: 'Archive',
+  });
+  return result?.success ?? 0;
+}
@@ -7,6 +7,7 @@ import {
 } from './address.js';
 import { decodeMimeHeader } from './mime-utils.js';
 import { isHiddenLabel } from './label-filters';
+import { listFieldsFromHeaders, readListHeaders } from './list-headers';
 import { decodeLabelBuffer } from '../workers/sync-pure';
 import type { Message, MessageBody } from '$types';
 
@@ -381,6 +382,9 @@ export function normalizeMessageForCache(
       const fromArray = Array.isArray(raw.attachments) && (raw.attachments as unknown[]).length > 0;
       return fromFlag || fromArray;
     })(),
+    // RFC822 size in bytes when the list endpoint reports it; size: search
+    // terms and mail rules compare against it.
+    size: Number(raw.size || raw.Size) || undefined,
     modseq: (raw.modseq as string) || (raw.ModSeq as string) || (raw.modSeq as string) || null,
     message_id:
       (raw.MessageId as string) ||
@@ -400,6 +404,7 @@ export function normalizeMessageForCache(
     in_reply_to: inReplyToHeader || null,
     references: referencesHeader || null,
     labels,
+    ...listFieldsFromHeaders(readListHeaders(raw)),
     bodyIndexed: false,
     updatedAt: Date.now(),
   };
@@ -173,6 +173,20 @@ export function resetSyncWorkerReady() {
   pendingRequests.clear(error);
 }
 
+/**
+ * Give the worker credentials for a signed-in account other than the active
+ * one, so tasks and requests naming it (the unified views' inbox refresh and
+ * message detail) run as that account. The active account is unchanged.
+ */
+export async function registerSyncWorkerAccount(account, authHeader) {
+  if (isDemoMode() || !account || !authHeader) return;
+  const instance = await ensureSyncWorkerReady();
+  instance?.postMessage({
+    type: 'init',
+    config: { apiBase: config.apiBase, account, authHeader },
+  });
+}
+
 /**
  * Drop an account's credentials from the worker. Call on sign-out/account
  * removal: the worker keeps auth per account so in-flight syncs finish under
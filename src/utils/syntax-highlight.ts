@@ -0,0 +1,215 @@
+/**
+ * Syntax highlighting for code shown in the app and in outgoing mail: code
+ * attachment previews (attachment-preview.ts) and fenced code blocks in
+ * Markdown compose (markdown-compose.ts).
+ *
+ * A single-pass tokenizer: comments, strings, numbers and keywords per
+ * grammar. It is not a parser and does not try to be exact; it only has to
+ * make a mailed snippet readable. The output is escaped HTML with tok-*
+ * spans; callers style the classes or swap them for inline colors.
+ */
+
+/** File extension to highlighting grammar. */
+const CODE_LANGUAGES: Record<string, string> = {
+  js: 'clike',
+  mjs: 'clike',
+  cjs: 'clike',
+  jsx: 'clike',
+  ts: 'clike',
+  tsx: 'clike',
+  java: 'clike',
+  kt: 'clike',
+  scala: 'clike',
+  c: 'clike',
+  h: 'clike',
+  cc: 'clike',
+  cpp: 'clike',
+  hpp: 'clike',
+  cs: 'clike',
+  go: 'clike',
+  rs: 'clike',
+  swift: 'clike',
+  dart: 'clike',
+  php: 'clike',
+  svelte: 'markup',
+  vue: 'markup',
+  py: 'hash',
+  rb: 'hash',
+  pl: 'hash',
+  r: 'hash',
+  sh: 'hash',
+  bash: 'hash',
+  zsh: 'hash',
+  ps1: 'hash',
+  yml: 'hash',
+  yaml: 'hash',
+  toml: 'hash',
+  ini: 'hash',
+  conf: 'hash',
+  cfg: 'hash',
+  env: 'hash',
+  sql: 'sql',
+  css: 'css',
+  scss: 'css',
+  less: 'css',
+  html: 'markup',
+  htm: 'markup',
+  xml: 'markup',
+  json: 'json',
+};
+
+/** Highlighting grammar for a file extension, or null when there is none. */
+export function grammarForExtension(ext: string): string | null {
+  return CODE_LANGUAGES[(ext || '').toLowerCase()] || null;
+}
+
+export function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+interface Grammar {
+  line?: string[];
+  block?: [string, string];
+  quotes: string[];
+  keywords: Set<string>;
+  tags?: boolean;
+}
+
+const words = (list: string) => new Set(list.split(' '));
+
+const GRAMMARS: Record<string, Grammar> = {
+  clike: {
+    line: ['//'],
+    block: ['/*', '*/'],
+    quotes: ['"', "'", '`'],
+    keywords: words(
+      'abstract as async await bool boolean break case catch char class const continue default defer delete do double else enum export extends false final finally float fn for from func function go if impl implements import in instanceof int interface let long match mod mut namespace new nil null package private protected pub public return self static string struct super switch this throw true try type typeof undefined use var void while yield',
+    ),
+  },
+  hash: {
+    line: ['#'],
+    quotes: ['"', "'"],
+    keywords: words(
+      'and as begin case def do done elif else end esac except export false fi finally for from function if import in lambda local module None not or pass raise require return then True true try unless until while with yield',
+    ),
+  },
+  sql: {
+    line: ['--'],
+    block: ['/*', '*/'],
+    quotes: ["'", '"'],
+    keywords: words(
+      'add all alter and as asc between by create delete desc distinct drop exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table union update values where with',
+    ),
+  },
+  css: {
+    block: ['/*', '*/'],
+    quotes: ['"', "'"],
+    keywords: words('!important @import @media @font-face @keyframes @supports'),
+  },
+  // Quotes only mean a string inside a tag, which this tokenizer does not
+  // track, so markup highlights tags and comments and leaves prose alone.
+  markup: {
+    block: ['<!--', '-->'],
+    quotes: [],
+    keywords: new Set(),
+    tags: true,
+  },
+  json: {
+    quotes: ['"'],
+    keywords: words('true false null'),
+  },
+};
+
+const span = (cls: string, text: string) => `<span class="tok-${cls}">${escapeHtml(text)}</span>`;
+
+/**
+ * Highlight source code as escaped HTML with tok-* spans. Keyword matching is
+ * case-insensitive for SQL only.
+ */
+export function highlightCode(source: string, language: string): string {
+  const grammar = GRAMMARS[language] || GRAMMARS.clike;
+  const caseInsensitive = language === 'sql';
+  let out = '';
+  let plain = '';
+  let i = 0;
+  const flush = () => {
+    out += escapeHtml(plain);
+    plain = '';
+  };
+
+  while (i < source.length) {
+    const at = (marker: string) => source.startsWith(marker, i);
+    if (grammar.block && at(grammar.block[0])) {
+      const end = source.indexOf(grammar.block[1], i + grammar.block[0].length);
+      const stop = end === -1 ? source.length : end + grammar.block[1].length;
+      flush();
+      out += span('comment', source.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    const lineComment = grammar.line?.find(at);
+    // "#" inside a word (a URL fragment, "C#") is not a comment.
+    if (lineComment && !(lineComment === '#' && /\w/.test(source[i - 1] || ''))) {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      flush();
+      out += span('comment', source.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    const ch = source[i];
+    if (grammar.quotes.includes(ch)) {
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\') j++;
+        // Only template literals span lines; an unclosed quote ends at the newline.
+        else if (source[j] === '\n' && ch !== '`') break;
+        j++;
+      }
+      const stop = Math.min(j + 1, source.length);
+      flush();
+      out += span('string', source.slice(i, stop));
+      i = stop;
+      continue;
+    }
+    if (grammar.tags && ch === '<') {
+      const tag = source.slice(i).match(/^<\/?[A-Za-z][\w:.-]*/);
+      if (tag) {
+        flush();
+        out += span('keyword', tag[0]);
+        i += tag[0].length;
+        continue;
+      }
+    }
+    const word = /[A-Za-z_@!$]/.test(ch) ? source.slice(i).match(/^[!@$]?[A-Za-z_$][\w$-]*/) : null;
+    if (word && !/\w/.test(source[i - 1] || '')) {
+      const token = word[0];
+      const isKeyword = grammar.keywords.has(caseInsensitive ? token.toLowerCase() : token);
+      if (isKeyword) {
+        flush();
+        out += span('keyword', token);
+      } else {
+        plain += token;
+      }
+      i += token.length;
+      continue;
+    }
+    if (/[0-9]/.test(ch) && !/\w/.test(source[i - 1] || '')) {
+      const num = source.slice(i).match(/^(0x[\da-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)/i);
+      if (num) {
+        flush();
+        out += span('number', num[0]);
+        i += num[0].length;
+        continue;
+      }
+    }
+    plain += ch;
+    i++;
+  }
+  flush();
+  return out;
+}
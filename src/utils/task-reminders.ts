@@ -1,10 +1,10 @@
 /**
  * Forward Email — Task Reminders
  *
- * Schedules local notifications (Tauri or Web) for VTODO tasks based on
- * VALARM blocks stored on each task's ICS.  Reads upcoming triggers, sets
- * a setTimeout per task, and fires `notify()` from notification-bridge
- * when due.
+ * Schedules local notifications (Tauri or Web) for VTODO tasks and VEVENTs
+ * based on the VALARM blocks stored on each item's ICS.  Reads upcoming
+ * triggers, sets a setTimeout per trigger, and fires `notify()` from
+ * notification-bridge when due.
  *
  * Scope:
  *   - Client-only. Only fires while the app is running. Web push / OS-
@@ -15,20 +15,38 @@
  *     any reminders whose trigger time has passed since we went hidden.
  *     Reminders may be delivered late (when you return to the tab)
  *     rather than not at all.
- *   - Single VALARM per task (the chip selector emits one). The parser
- *     here grabs the first VALARM TRIGGER it finds.
- *   - Skips completed tasks and tasks whose trigger time is more than
- *     1 hour in the past (avoids notification spam after a long sleep).
+ *   - Tauri desktop: the app keeps running with its window hidden in the
+ *     tray, where the webview's timers are throttled the same way. There
+ *     the upcoming triggers go to the native reminder ticker (lib.rs,
+ *     set_reminders) instead, which shows them whether or not the window
+ *     is visible and reports each one back as `calendar-reminder-fired`.
+ *   - Every VALARM on an item is scheduled: relative triggers against the
+ *     anchor and absolute (VALUE=DATE-TIME) ones as they are, see
+ *     calendar-alarms.ts.
+ *   - Skips completed tasks and triggers more than 1 hour in the past
+ *     (avoids notification spam after a long sleep). Fired triggers are
+ *     remembered in IndexedDB, so a reload inside that hour does not show
+ *     them again.
+ *   - Reminder notifications offer Snooze 5 min / 10 min / 1 hour where
+ *     the platform shows notification buttons (browsers, Tauri mobile).
+ *     Desktop notifications have none, so there a fired reminder also
+ *     leaves an in-app toast with the same choices (setReminderToasts).
+ *     Snoozes are stored in IndexedDB and survive reloads; the service
+ *     worker adds to the same list when no tab is open (sw-sync.js).
  *
  * Future server-side dispatch would extract VALARM into a queryable
  * `alarms[]` field on the CalendarEvents model (parked code at
  * caldav-server.js:622+) and run a Bree job that fans out to per-device
  * push subscriptions (Web Push for browser/desktop, FCM/APNs for mobile,
  * WS for live clients). This module would then dedupe against server-
- * delivered reminders (idempotency key = `task_uid + trigger_offset`).
+ * delivered reminders (idempotency key = `task_uid + trigger_time`).
  */
 
-import { notify, requestPermission } from './notification-bridge.js';
+import { db } from './db.js';
+import { notify, requestPermission, REMINDER_ACTIONS } from './notification-bridge.js';
+import { isTauriDesktop } from './platform.js';
+import { listen, setNativeReminders } from './tauri-bridge.js';
+import { itemReminders } from './calendar-alarms';
 
 type TaskLike = Record<string, unknown>;
 
@@ -38,6 +56,13 @@ type TaskLike = Record<string, unknown>;
 const PAST_GRACE_MS = 60 * 60 * 1000;
 const MAX_TIMEOUT_MS = 2_147_483_647; // setTimeout max (~24.8 days)
 
+/** Snooze lengths offered on reminder notifications, in minutes. */
+export const REMINDER_SNOOZE_MINUTES = [5, 10, 60] as const;
+
+// db.meta keys; sw-sync.js writes the snooze list too.
+const SNOOZES_KEY = 'calendar_reminder_snoozes';
+const FIRED_KEY = 'calendar_reminders_fired';
+
 // Set localStorage `debug:reminders` to '1' to log scheduling activity.
 const debug = (...args: unknown[]) => {
   try {
@@ -49,18 +74,55 @@ const debug = (...args: unknown[]) => {
   }
 };
 
+/** What a reminder notification carries (see showReminder). */
+export interface ReminderNotificationData {
+  uid?: string;
+  kind?: string;
+  title?: string;
+  body?: string;
+  path?: string;
+  /** The trigger the notification is for, `${uid}:${triggerAt}`. */
+  reminderKey?: string;
+}
+
+interface SnoozedReminder {
+  key: string;
+  uid: string;
+  kind: string;
+  title: string;
+  body: string;
+  path: string;
+  /** When to show it again, in epoch ms. */
+  until: number;
+}
+
 interface ScheduledReminder {
-  timeoutId: ReturnType<typeof setTimeout>;
+  timeoutId: ReturnType<typeof setTimeout> | null;
   triggerAt: number;
-  task: TaskLike;
-  due: Date;
+  notification: Required<ReminderNotificationData>;
+  /** Set for a snoozed reminder coming back. */
+  snoozeKey?: string;
 }
 
 const scheduled = new Map<string, ScheduledReminder>();
-const fired = new Set<string>(); // dedupe across re-schedule cycles
+const fired = new Map<string, number>(); // trigger key → trigger time, dedupe across reloads
+let snoozes: SnoozedReminder[] = [];
+let stateLoaded: Promise<void> | null = null;
+let lastItems: TaskLike[] = [];
+
+interface ToastApi {
+  show?: (
+    message: string,
+    type?: string,
+    options?: { duration?: number; actions?: { label: string; callback: () => void }[] },
+  ) => unknown;
+}
+
+let toasts: ToastApi | null = null;
 
 let permissionRequested = false;
 let visibilityHandlerInstalled = false;
+let nativeListenerInstalled = false;
 
 function getComponentType(item: TaskLike): 'VTODO' | 'VEVENT' | '' {
   const t = String(item.componentType || '').toUpperCase();
@@ -91,45 +153,105 @@ function getTaskUid(task: TaskLike): string {
   return String(task.id || task.uid || (task.raw as TaskLike | undefined)?.uid || '');
 }
 
-// Parse first VALARM TRIGGER from the ICS (VTODO or VEVENT) into
-// minutes-before-anchor. Mirrors the parser in Calendar.svelte.
-function parseReminderMinutes(ical: unknown, kind: 'VTODO' | 'VEVENT' = 'VTODO'): number {
-  if (typeof ical !== 'string' || !ical) return 0;
-  const re = kind === 'VEVENT' ? /BEGIN:VEVENT[\s\S]*?END:VEVENT/ : /BEGIN:VTODO[\s\S]*?END:VTODO/;
-  const compMatch = ical.match(re);
-  if (!compMatch) return 0;
-  const triggerMatch = compMatch[0].match(/TRIGGER[^:\r\n]*:(-?P[^\r\n]+)/i);
-  if (!triggerMatch) return 0;
-  const dur = triggerMatch[1] ? triggerMatch[1].toUpperCase() : '';
-  if (!dur) return 0;
-  const negative = dur.startsWith('-');
-  const body = dur.replace(/^[-+]?P/, '');
-  const dayMatch = body.match(/(\d+)D/);
-  const hourMatch = body.match(/(\d+)H/);
-  const minMatch = body.match(/(\d+)M/);
-  const total =
-    (dayMatch ? Number(dayMatch[1]) * 1440 : 0) +
-    (hourMatch ? Number(hourMatch[1]) * 60 : 0) +
-    (minMatch ? Number(minMatch[1]) : 0);
-  return negative ? total : 0;
-}
-
-function getReminderMinutes(item: TaskLike): number {
-  const explicit = Number(item.notify || item.reminder || 0);
-  if (explicit > 0) return explicit;
-  const ical = (item.raw as TaskLike | undefined)?.ical || (item as TaskLike).ical;
-  const kind = getComponentType(item) || 'VTODO';
-  return parseReminderMinutes(ical, kind);
+// ── Persisted state ─────────────────────────────────────────────────────────
+
+function normalizeSnoozes(value: unknown): SnoozedReminder[] {
+  if (!Array.isArray(value)) return [];
+  return value
+    .filter((s) => s && typeof s === 'object' && s.uid && Number.isFinite(Number(s.until)))
+    .map((s) => ({
+      key: String(s.key || s.uid),
+      uid: String(s.uid),
+      kind: String(s.kind || ''),
+      title: String(s.title || ''),
+      body: String(s.body || ''),
+      path: String(s.path || ''),
+      until: Number(s.until),
+    }));
+}
+
+function loadState(): Promise<void> {
+  if (!stateLoaded) {
+    stateLoaded = (async () => {
+      try {
+        const [snoozeRow, firedRow] = await Promise.all([
+          db.meta.get(SNOOZES_KEY),
+          db.meta.get(FIRED_KEY),
+        ]);
+        snoozes = normalizeSnoozes(snoozeRow?.value);
+        const stored = firedRow?.value;
+        if (stored && typeof stored === 'object') {
+          for (const [key, at] of Object.entries(stored as Record<string, unknown>)) {
+            if (Number.isFinite(Number(at))) fired.set(key, Number(at));
+          }
+        }
+      } catch (err) {
+        debug('state load failed', err);
+      }
+    })();
+  }
+  return stateLoaded;
+}
+
+function saveSnoozes(): Promise<void> {
+  return db.meta
+    .put({ key: SNOOZES_KEY, value: snoozes, updatedAt: Date.now() })
+    .then(() => undefined)
+    .catch((err: unknown) => debug('snooze save failed', err));
+}
+
+function markFired(key: string, triggerAt: number): void {
+  fired.set(key, triggerAt);
+  // Past the grace window a trigger is skipped anyway; no need to keep it.
+  const cutoff = Date.now() - PAST_GRACE_MS;
+  for (const [k, at] of fired) if (at < cutoff) fired.delete(k);
+  db.meta
+    .put({ key: FIRED_KEY, value: Object.fromEntries(fired), updatedAt: Date.now() })
+    .catch((err: unknown) => debug('fired save failed', err));
 }
 
+function dropSnooze(key: string): void {
+  const before = snoozes.length;
+  snoozes = snoozes.filter((s) => s.key !== key);
+  if (snoozes.length !== before) void saveSnoozes();
+}
+
+// ── Scheduling ──────────────────────────────────────────────────────────────
+
 function clearAllScheduled(): void {
   for (const { timeoutId } of scheduled.values()) {
-    clearTimeout(timeoutId);
+    if (timeoutId) clearTimeout(timeoutId);
   }
   scheduled.clear();
 }
 
-function scheduleOne(task: TaskLike): void {
+function addTimer(key: string, entry: Omit<ScheduledReminder, 'timeoutId'>, now: number): void {
+  const delta = entry.triggerAt - now;
+  if (scheduled.has(key)) return;
+  // Native ticker owns the timing on Tauri desktop (syncNative).
+  let timeoutId: ReturnType<typeof setTimeout> | null = null;
+  if (!isTauriDesktop) {
+    // Clamp to setTimeout's max (~24.8 days). For triggers beyond that
+    // horizon, refreshTaskReminders will reschedule on next app load /
+    // event change.
+    const fireDelay = Math.max(0, Math.min(delta, MAX_TIMEOUT_MS));
+    timeoutId = setTimeout(() => fireScheduled(key), fireDelay);
+  }
+  scheduled.set(key, { ...entry, timeoutId });
+}
+
+function reminderBody(kind: string, anchor: Date | null): string {
+  if (!anchor) return kind === 'VEVENT' ? 'Event reminder' : 'Task reminder';
+  const anchorLabel = anchor.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+  return `${kind === 'VEVENT' ? 'Starts' : 'Due'} ${anchorLabel}`;
+}
+
+function scheduleOne(task: TaskLike, now: number): void {
   const componentType = getComponentType(task);
   if (!componentType) {
     debug('skip: unknown component type', { uid: getTaskUid(task) });
@@ -140,83 +262,149 @@ function scheduleOne(task: TaskLike): void {
     debug('skip: completed task', { uid: getTaskUid(task) });
     return;
   }
-  const due = getAnchorDate(task);
-  if (!due) {
-    debug('skip: no anchor date', {
-      uid: getTaskUid(task),
-      kind: componentType,
-      title: task.title,
-    });
-    return;
-  }
-  const minutes = getReminderMinutes(task);
-  if (minutes <= 0) {
-    debug('skip: no reminder set', { uid: getTaskUid(task), title: task.title });
+  const uid = getTaskUid(task);
+  if (!uid) return;
+  const reminders = itemReminders(task, componentType);
+  if (!reminders.length) {
+    debug('skip: no reminder set', { uid, title: task.title });
     return;
   }
+  const due = getAnchorDate(task);
+  const title = String(
+    task.title || task.summary || (componentType === 'VEVENT' ? 'Event reminder' : 'Task reminder'),
+  );
+  const path =
+    componentType === 'VEVENT'
+      ? `/calendar#event=${encodeURIComponent(uid)}`
+      : `/calendar#task=${encodeURIComponent(uid)}`;
 
-  const triggerAt = due.getTime() - minutes * 60 * 1000;
-  const now = Date.now();
-  const delta = triggerAt - now;
-
-  // Past trigger beyond grace window — drop silently (user shouldn't be
-  // pinged hours late on app reload).
-  if (delta < -PAST_GRACE_MS) {
-    debug('skip: trigger in the past', {
-      uid: getTaskUid(task),
-      title: task.title,
+  for (const reminder of reminders) {
+    let triggerAt: number;
+    if (reminder.at) {
+      triggerAt = new Date(reminder.at).getTime();
+    } else if (due) {
+      triggerAt = due.getTime() - reminder.minutes * 60 * 1000;
+    } else {
+      debug('skip: no anchor date', { uid, kind: componentType, title });
+      continue;
+    }
+    const delta = triggerAt - now;
+    // Past trigger beyond grace window — drop silently (user shouldn't be
+    // pinged hours late on app reload).
+    if (delta < -PAST_GRACE_MS) {
+      debug('skip: trigger in the past', {
+        uid,
+        title,
+        triggerAt: new Date(triggerAt).toISOString(),
+        minutesLate: Math.round(-delta / 60000),
+      });
+      continue;
+    }
+    const key = `${uid}:${triggerAt}`;
+    if (fired.has(key)) {
+      debug('skip: already fired', { key });
+      continue;
+    }
+    debug('schedule', {
+      uid,
+      title,
+      due: due?.toISOString(),
       triggerAt: new Date(triggerAt).toISOString(),
-      minutesLate: Math.round(-delta / 60000),
+      minutesUntilFire: Math.round(delta / 60000),
     });
-    return;
+    addTimer(
+      key,
+      {
+        triggerAt,
+        notification: {
+          uid,
+          kind: componentType,
+          title,
+          body: reminderBody(componentType, due),
+          path,
+          reminderKey: key,
+        },
+      },
+      now,
+    );
   }
+}
 
-  const uid = getTaskUid(task);
-  if (!uid) return;
-  const key = `${uid}:${minutes}:${triggerAt}`;
-
-  if (fired.has(key)) {
-    debug('skip: already fired', { key });
+function scheduleSnooze(snooze: SnoozedReminder, now: number): void {
+  if (snooze.until - now < -PAST_GRACE_MS) {
+    dropSnooze(snooze.key);
     return;
   }
-  if (scheduled.has(key)) return;
+  addTimer(
+    `snooze:${snooze.key}`,
+    {
+      triggerAt: snooze.until,
+      snoozeKey: snooze.key,
+      notification: {
+        uid: snooze.uid,
+        kind: snooze.kind,
+        title: snooze.title,
+        body: snooze.body,
+        path: snooze.path,
+        reminderKey: snooze.key,
+      },
+    },
+    now,
+  );
+}
 
-  // Clamp to setTimeout's max (~24.8 days). For tasks beyond that horizon,
-  // refreshTaskReminders will reschedule on next app load / event change.
-  const fireDelay = Math.max(0, Math.min(delta, MAX_TIMEOUT_MS));
-  debug('schedule', {
-    uid,
-    title: task.title,
-    due: due.toISOString(),
-    triggerAt: new Date(triggerAt).toISOString(),
-    minutesUntilFire: Math.round(delta / 60000),
+// Hand the whole schedule to the native ticker; it replaces the previous one.
+function syncNative(): void {
+  if (!isTauriDesktop) return;
+  const reminders = [...scheduled.entries()].map(([key, entry]) => ({
+    key,
+    at: entry.triggerAt,
+    title: entry.notification.title,
+    body: entry.notification.body,
+  }));
+  setNativeReminders(reminders).catch((err: unknown) => debug('native schedule failed', err));
+}
+
+function rescheduleAll(): void {
+  clearAllScheduled();
+  const now = Date.now();
+  const reminded = lastItems.filter((ev) => {
+    const kind = getComponentType(ev);
+    if (!kind) return false;
+    if (kind === 'VTODO' && isCompleted(ev)) return false;
+    return true;
   });
-  const timeoutId = setTimeout(() => {
-    fired.add(key);
-    scheduled.delete(key);
-    fire(task, due);
-  }, fireDelay);
+  debug(`refresh: ${reminded.length} item(s) of ${lastItems.length} considered`);
+  for (const item of reminded) scheduleOne(item, now);
+  for (const snooze of [...snoozes]) scheduleSnooze(snooze, now);
+  syncNative();
+}
 
-  scheduled.set(key, { timeoutId, triggerAt, task, due });
+// Bookkeeping for a trigger that went off, here or in the native ticker.
+function settle(key: string): ScheduledReminder | null {
+  const entry = scheduled.get(key);
+  if (!entry) return null;
+  scheduled.delete(key);
+  if (entry.timeoutId) clearTimeout(entry.timeoutId);
+  if (entry.snoozeKey) dropSnooze(entry.snoozeKey);
+  else markFired(key, entry.triggerAt);
+  return entry;
+}
+
+function fireScheduled(key: string): void {
+  const entry = settle(key);
+  if (entry) showReminder(entry.notification);
 }
 
 // On visibility regain, any timer that should have fired during the
 // background window may have been throttled/suspended by the browser.
 // Walk all scheduled entries and fire those whose triggerAt has passed.
 function catchUpOnVisibility(): void {
-  if (typeof document === 'undefined' || document.hidden) return;
+  if (typeof document === 'undefined' || document.hidden || isTauriDesktop) return;
   const now = Date.now();
-  let fireCount = 0;
-  for (const [key, entry] of scheduled.entries()) {
-    if (entry.triggerAt <= now && !fired.has(key)) {
-      fired.add(key);
-      scheduled.delete(key);
-      clearTimeout(entry.timeoutId);
-      fire(entry.task, entry.due);
-      fireCount++;
-    }
-  }
-  if (fireCount > 0) debug(`catch-up fired ${fireCount} reminder(s)`);
+  const due = [...scheduled.entries()].filter(([, entry]) => entry.triggerAt <= now);
+  for (const [key] of due) fireScheduled(key);
+  if (due.length > 0) debug(`catch-up fired ${due.length} reminder(s)`);
 }
 
 function ensureVisibilityHandler(): void {
@@ -227,32 +415,84 @@ function ensureVisibilityHandler(): void {
   });
 }
 
-function fire(item: TaskLike, anchor: Date): void {
-  const kind = getComponentType(item);
-  const title = String(
-    item.title || item.summary || (kind === 'VEVENT' ? 'Event reminder' : 'Task reminder'),
-  );
-  const anchorLabel = anchor.toLocaleString(undefined, {
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-  });
-  const uid = getTaskUid(item);
-  const verb = kind === 'VEVENT' ? 'Starts' : 'Due';
-  debug('fire', { uid, kind, title, anchor: anchor.toISOString() });
+function ensureNativeListener(): void {
+  if (nativeListenerInstalled || !isTauriDesktop) return;
+  nativeListenerInstalled = true;
+  listen('calendar-reminder-fired', (event: { payload?: unknown }) => {
+    const key = String(event?.payload || '');
+    debug('native fired', { key });
+    // The ticker showed the notification; the bookkeeping and the snooze
+    // choices its missing buttons would have offered are left.
+    const entry = settle(key);
+    if (entry) offerSnooze(entry.notification);
+  }).catch((err: unknown) => debug('native listener failed', err));
+}
+
+function showReminder(notification: Required<ReminderNotificationData>): void {
+  debug('fire', { uid: notification.uid, kind: notification.kind, title: notification.title });
   notify({
-    title,
-    body: `${verb} ${anchorLabel}`,
-    tag: `cal-reminder:${uid}`,
-    data: {
+    title: notification.title,
+    body: notification.body,
+    tag: `cal-reminder:${notification.uid}`,
+    category: 'calendar-reminder',
+    data: notification,
+  });
+}
+
+// Stays up until answered: the window may be in the tray when it fires.
+function offerSnooze(notification: Required<ReminderNotificationData>): void {
+  toasts?.show?.(`${notification.title}: ${notification.body}`, 'info', {
+    duration: 0,
+    actions: REMINDER_ACTIONS.map(({ id, title }: { id: string; title: string }) => ({
+      label: title,
+      callback: () => void snoozeReminder(notification, snoozeMinutesForAction(id)),
+    })),
+  });
+}
+
+/**
+ * Provide the toast host for the desktop snooze prompt. Call once at
+ * startup, next to the other setToasts calls.
+ */
+export function setReminderToasts(host: ToastApi | null): void {
+  toasts = host;
+}
+
+/** The snooze length for a notification action id such as `snooze10`. */
+export function snoozeMinutesForAction(action: unknown): number {
+  const match = typeof action === 'string' ? action.match(/^snooze(\d+)$/) : null;
+  const minutes = match ? Number(match[1]) : 0;
+  return (REMINDER_SNOOZE_MINUTES as readonly number[]).includes(minutes) ? minutes : 0;
+}
+
+/**
+ * Show a fired reminder again in `minutes`. Replaces an earlier snooze of
+ * the same trigger. Resolves once the snooze is stored.
+ */
+export async function snoozeReminder(
+  data: ReminderNotificationData,
+  minutes: number,
+  now = Date.now(),
+): Promise<void> {
+  const uid = String(data?.uid || '');
+  if (!uid || !(minutes > 0)) return;
+  await loadState();
+  const key = String(data.reminderKey || uid);
+  snoozes = [
+    ...snoozes.filter((s) => s.key !== key),
+    {
+      key,
       uid,
-      path:
-        kind === 'VEVENT'
-          ? `/calendar#event=${encodeURIComponent(uid)}`
-          : `/calendar#task=${encodeURIComponent(uid)}`,
+      kind: String(data.kind || ''),
+      title: String(data.title || 'Reminder'),
+      body: String(data.body || ''),
+      path: String(data.path || ''),
+      until: now + minutes * 60 * 1000,
     },
-  });
+  ];
+  debug('snooze', { key, minutes });
+  await saveSnoozes();
+  rescheduleAll();
 }
 
 /**
@@ -260,10 +500,11 @@ function fire(item: TaskLike, anchor: Date): void {
  * Call after task load, mutate, and on WS calendar-event-changed.
  *
  * Idempotent: cancels existing timers and reschedules from the latest
- * task state.  Already-fired reminders stay deduped via the `fired` set.
+ * task state, plus any snoozed reminders. Already-fired triggers stay
+ * deduped via the persisted `fired` map. Resolves once scheduled.
  */
-export function refreshTaskReminders(events: TaskLike[] | undefined): void {
-  if (!Array.isArray(events)) return;
+export function refreshTaskReminders(events: TaskLike[] | undefined): Promise<void> {
+  if (!Array.isArray(events)) return Promise.resolve();
 
   // Best-effort permission ask on first call. Doesn't block scheduling —
   // notify() itself silently no-ops when permission is denied.
@@ -275,18 +516,9 @@ export function refreshTaskReminders(events: TaskLike[] | undefined): void {
   }
 
   ensureVisibilityHandler();
-  clearAllScheduled();
-
-  const reminded = events.filter((ev) => {
-    const kind = getComponentType(ev);
-    if (!kind) return false;
-    if (kind === 'VTODO' && isCompleted(ev)) return false;
-    return true;
-  });
-  debug(`refresh: ${reminded.length} item(s) of ${events.length} considered`);
-  for (const item of reminded) {
-    scheduleOne(item);
-  }
+  ensureNativeListener();
+  lastItems = events;
+  return loadState().then(rescheduleAll);
 }
 
 /**
@@ -294,6 +526,10 @@ export function refreshTaskReminders(events: TaskLike[] | undefined): void {
  */
 export function clearTaskReminders(): void {
   clearAllScheduled();
+  syncNative();
   fired.clear();
+  snoozes = [];
+  stateLoaded = null;
+  lastItems = [];
   permissionRequested = false;
 }
@@ -17,6 +17,9 @@ export function getLogPath(): Promise<string>;
 export function clearLogs(): Promise<void>;
 
 export function setBadgeCount(count: number): Promise<void>;
+export function setNativeReminders(
+  reminders: { key: string; at: number; title: string; body?: string }[],
+): Promise<void>;
 export function toggleWindowVisibility(): Promise<void>;
 export function isDefaultMailtoHandler(): Promise<boolean>;
 export function setDefaultMailtoHandler(): Promise<boolean>;
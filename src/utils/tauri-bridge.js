@@ -73,6 +73,7 @@ const ALLOWED_COMMANDS = new Set([
   'get_platform',
   'get_build_info',
   'set_badge_count',
+  'set_reminders',
   'toggle_window_visibility',
   'is_default_mailto_handler',
   'set_default_mailto_handler',
@@ -178,6 +179,25 @@ export async function setBadgeCount(count) {
   return invoke('set_badge_count', { count: n });
 }
 
+/**
+ * Hand the upcoming calendar reminders to the native ticker (desktop), which
+ * shows them even while the main window is hidden. Replaces the previous
+ * list. Each entry is { key, at (epoch ms), title, body }.
+ */
+export async function setNativeReminders(reminders) {
+  if (!Array.isArray(reminders)) return;
+  const list = reminders
+    .filter((r) => r && typeof r.key === 'string' && r.key && Number.isFinite(r.at) && r.at >= 0)
+    .slice(0, 500)
+    .map((r) => ({
+      key: sanitizeString(r.key, 256),
+      at: Math.floor(r.at),
+      title: sanitizeString(r.title, 256),
+      body: sanitizeString(r.body, 1024),
+    }));
+  return invoke('set_reminders', { reminders: list });
+}
+
 /**
  * Toggle main window visibility (for tray icon).
  */
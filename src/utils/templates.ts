@@ -0,0 +1,276 @@
+/**
+ * Message templates (canned responses).
+ *
+ * A template is a named body, as HTML and/or plain text, with an optional
+ * subject, recipients and small attachments. The library is the
+ * account-scoped `templates` setting (settingsRegistry.ts), so it syncs with
+ * the account; Compose inserts a template from its Templates menu or by
+ * typing `/name` in the editor.
+ *
+ * Subject and body may hold placeholders, filled when the template is
+ * inserted from the message being replied to (or, for a new message, the
+ * first To recipient):
+ *   {{first_name}} {{last_name}} {{sender_name}} {{sender_email}}
+ *   {{subject}} {{date}} {{my_name}}
+ * `{{first_name|there}}` falls back to "there" when the value is unknown.
+ * Unknown placeholders are left as typed.
+ */
+
+import DOMPurify from 'dompurify';
+import { extractDisplayName, extractEmail, type AddressInput } from './address';
+
+export interface TemplateAttachment {
+  name: string;
+  contentType: string;
+  size: number;
+  /** Base64 content. */
+  content: string;
+}
+
+export interface MessageTemplate {
+  id: string;
+  name: string;
+  subject: string;
+  to: string[];
+  cc: string[];
+  bcc: string[];
+  html: string;
+  text: string;
+  attachments: TemplateAttachment[];
+}
+
+/** Placeholders a template can use, for the editor's help text. */
+export const TEMPLATE_PLACEHOLDERS: ReadonlyArray<{ key: string; description: string }> = [
+  { key: 'first_name', description: 'First name of the person you are writing to' },
+  { key: 'last_name', description: 'Last name of the person you are writing to' },
+  { key: 'sender_name', description: 'Full name of the person you are writing to' },
+  { key: 'sender_email', description: 'Address of the person you are writing to' },
+  { key: 'subject', description: 'Subject of the message you are replying to' },
+  { key: 'date', description: "Today's date" },
+  { key: 'my_name', description: 'Your name' },
+];
+
+// Templates sync with the account settings, so their files stay small.
+export const MAX_TEMPLATE_ATTACHMENT_BYTES = 512 * 1024;
+
+const PLACEHOLDER_RE = /\{\{\s*([a-z_]+)\s*(?:\|([^}]*))?\}\}/gi;
+
+const text = (value: unknown) => (typeof value === 'string' ? value.trim() : '');
+
+const addressList = (value: unknown): string[] => {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : [];
+  return [...new Set(list.map((entry) => text(entry)).filter(Boolean))];
+};
+
+function normalizeAttachments(value: unknown): TemplateAttachment[] {
+  if (!Array.isArray(value)) return [];
+  const attachments: TemplateAttachment[] = [];
+  let total = 0;
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') continue;
+    const raw = entry as Record<string, unknown>;
+    const content = typeof raw.content === 'string' ? raw.content : '';
+    const name = text(raw.name) || text(raw.filename);
+    if (!name || !content) continue;
+    const size = Number(raw.size) || Math.floor((content.length * 3) / 4);
+    if (total + size > MAX_TEMPLATE_ATTACHMENT_BYTES) continue;
+    total += size;
+    attachments.push({
+      name,
+      contentType: text(raw.contentType) || 'application/octet-stream',
+      size,
+      content,
+    });
+  }
+  return attachments;
+}
+
+/**
+ * Coerce the stored setting into a list of templates: entries without a name
+ * or any content are dropped, and attachments past the size limit are left
+ * out.
+ */
+export function normalizeTemplates(value: unknown): MessageTemplate[] {
+  if (!Array.isArray(value)) return [];
+  const seen = new Set<string>();
+  const templates: MessageTemplate[] = [];
+  for (const entry of value) {
+    if (!entry || typeof entry !== 'object') continue;
+    const raw = entry as Record<string, unknown>;
+    const name = text(raw.name);
+    const html = typeof raw.html === 'string' ? raw.html.trim() : '';
+    const body = typeof raw.text === 'string' ? raw.text.trimEnd() : '';
+    const subject = text(raw.subject);
+    if (!name || (!html && !body && !subject)) continue;
+    const id = text(raw.id) || `template-${name.toLowerCase().replace(/\W+/g, '-')}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    templates.push({
+      id,
+      name,
+      subject,
+      to: addressList(raw.to),
+      cc: addressList(raw.cc),
+      bcc: addressList(raw.bcc),
+      html,
+      text: body,
+      attachments: normalizeAttachments(raw.attachments),
+    });
+  }
+  return templates;
+}
+
+/** Templates whose name starts with, then contains, `query`; all when empty. */
+export function matchTemplates(templates: MessageTemplate[], query: string): MessageTemplate[] {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return templates;
+  const slug = (template: MessageTemplate) => template.name.toLowerCase().replace(/\s+/g, '-');
+  const starts = templates.filter(
+    (template) =>
+      template.name.toLowerCase().startsWith(needle) || slug(template).startsWith(needle),
+  );
+  const contains = templates.filter(
+    (template) => !starts.includes(template) && template.name.toLowerCase().includes(needle),
+  );
+  return [...starts, ...contains];
+}
+
+/**
+ * The `/query` being typed at the end of `textBefore` (the text before the
+ * cursor in the current paragraph), or null when there is none. A slash only
+ * counts at the start of the paragraph or after a space, so URLs and dates
+ * don't open the menu.
+ */
+export function slashQuery(textBefore: string): string | null {
+  const match = /(?:^|\s)\/([\w-]{0,30})$/.exec(textBefore);
+  return match ? match[1] : null;
+}
+
+export interface TemplateContextSource {
+  /** From of the message being replied to. */
+  originalFrom?: AddressInput;
+  originalSubject?: string;
+  /** First To recipient, used when there is no original. */
+  recipient?: AddressInput;
+  myName?: string;
+  now?: Date;
+}
+
+/** Placeholder values for a reply to `originalFrom`, or a message to `recipient`. */
+export function buildTemplateContext(source: TemplateContextSource = {}): Record<string, string> {
+  const person = source.originalFrom || source.recipient || '';
+  const email = extractEmail(person);
+  const display = extractDisplayName(person);
+  // extractDisplayName falls back to the address; that is not a name.
+  const name = display && display !== email && !display.includes('@') ? display : '';
+  const parts = name.split(/\s+/).filter(Boolean);
+  return {
+    first_name: parts[0] || '',
+    last_name: parts.length > 1 ? parts[parts.length - 1] : '',
+    sender_name: name,
+    sender_email: email,
+    subject: (source.originalSubject || '').replace(/^\s*(re|fwd?):\s*/i, '').trim(),
+    date: (source.now || new Date()).toLocaleDateString(undefined, {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    }),
+    my_name: source.myName || '',
+  };
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Fill `{{placeholder}}`s from `context`; values are escaped when `html` is set. */
+export function fillPlaceholders(
+  value: string,
+  context: Record<string, string>,
+  { html = false } = {},
+): string {
+  return (value || '').replace(PLACEHOLDER_RE, (whole, key: string, fallback?: string) => {
+    const name = key.toLowerCase();
+    if (!(name in context)) return whole;
+    const filled = context[name] || (fallback ?? '').trim();
+    return html ? escapeHtml(filled) : filled;
+  });
+}
+
+function textToHtml(value: string): string {
+  return value
+    .split(/\n{2,}/)
+    .map((para) => `<p>${escapeHtml(para).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+function htmlToText(value: string): string {
+  const container = document.createElement('div');
+  container.innerHTML = DOMPurify.sanitize(
+    value.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|h[1-6]|li|tr)>/gi, '$&\n'),
+  );
+  return (container.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+export interface FilledTemplate {
+  subject: string;
+  to: string[];
+  cc: string[];
+  bcc: string[];
+  /** Sanitized HTML for the rich-text editor. */
+  html: string;
+  /** Body for plain-text mode. */
+  text: string;
+  attachments: TemplateAttachment[];
+}
+
+/** A template with its placeholders filled, ready to go into Compose. */
+export function fillTemplate(
+  template: MessageTemplate,
+  context: Record<string, string>,
+): FilledTemplate {
+  const html = template.html
+    ? DOMPurify.sanitize(fillPlaceholders(template.html, context, { html: true }), {
+        FORBID_TAGS: ['style', 'form', 'input'],
+      })
+    : textToHtml(fillPlaceholders(template.text, context));
+  const plain = template.text
+    ? fillPlaceholders(template.text, context)
+    : htmlToText(fillPlaceholders(template.html, context, { html: true }));
+  return {
+    subject: fillPlaceholders(template.subject, context),
+    to: [...template.to],
+    cc: [...template.cc],
+    bcc: [...template.bcc],
+    html,
+    text: plain,
+    attachments: template.attachments.map((attachment) => ({ ...attachment })),
+  };
+}
+
+/**
+ * What the user wrote in a rich-text body, without the quoted original or
+ * the signature, for saving it as a template.
+ */
+export function composedHtml(html: string): string {
+  const container = document.createElement('div');
+  container.innerHTML = DOMPurify.sanitize(html || '', { FORBID_TAGS: ['style', 'form', 'input'] });
+  container
+    .querySelectorAll('[data-fe-signature], .raw-quote, .fe-reply-attribution, blockquote')
+    .forEach((node) => node.remove());
+  return container.innerHTML.replace(/(<p>(<br>)?<\/p>\s*)+$/, '').trim();
+}
+
+/** The plain-text counterpart of composedHtml: up to the signature or the quote. */
+export function composedText(value: string): string {
+  const lines = (value || '').split('\n');
+  const cut = lines.findIndex((line) => line === '-- ' || line.startsWith('>'));
+  const kept = cut === -1 ? lines : lines.slice(0, cut);
+  const result = kept.join('\n').trimEnd();
+  // Drop the "On …, … wrote:" line above a quote.
+  return cut === -1 ? result : result.replace(/\n?[^\n]*wrote:$/, '').trimEnd();
+}
@@ -0,0 +1,223 @@
+/**
+ * Unified views: Inbox, Starred and Unread across every signed-in account.
+ *
+ * Each account's mail already sits in the shared `messages` table under its
+ * own account key. A unified view is a virtual folder (`__unified__:<view>`)
+ * that reads the rows of all signed-in accounts and merges them newest first.
+ * Rows keep their `account`, which the message list shows as a badge and
+ * which routes actions: a message of an account other than the active one is
+ * read, flagged, moved and deleted with that account's stored credentials
+ * (getAccountAuthHeader via Remote's `account` option), and its mutations
+ * queue under that account.
+ *
+ * The active account keeps syncing as usual. The other accounts' inboxes are
+ * refreshed through the sync worker, which holds credentials per account, so
+ * their new mail reaches the cache without switching to them. Starred and
+ * Unread show what is cached for the other accounts.
+ */
+
+import Dexie from 'dexie';
+import { db } from './db.js';
+import { Accounts } from './storage.js';
+import { activeAccount, sameAccount } from './account-scope';
+import { getAccountAuthHeader } from './auth';
+import { registerSyncWorkerAccount, sendSyncTask } from './sync-worker-client.js';
+import { getSyncSettings } from './sync-settings';
+import { sortMessages } from './message-sort';
+import { warn } from './logger';
+import { getEffectiveSettingValue } from '../stores/settingsStore';
+import type { Message } from '../types';
+
+export type UnifiedView = 'inbox' | 'starred' | 'unread';
+
+export const UNIFIED_FOLDER_PREFIX = '__unified__:';
+
+export const UNIFIED_VIEWS: ReadonlyArray<{ view: UnifiedView; path: string; label: string }> = [
+  { view: 'inbox', path: `${UNIFIED_FOLDER_PREFIX}inbox`, label: 'All inboxes' },
+  { view: 'starred', path: `${UNIFIED_FOLDER_PREFIX}starred`, label: 'All starred' },
+  { view: 'unread', path: `${UNIFIED_FOLDER_PREFIX}unread`, label: 'All unread' },
+];
+
+// Starred and Unread leave out mail that is not really "received".
+const EXCLUDED_FOLDER_RE =
+  /^(trash|deleted|deleted items|spam|junk|sent|sent mail|sent items|drafts?)$/i;
+
+// Other accounts' inboxes are fetched at most this often unless forced.
+const REFRESH_INTERVAL_MS = 60_000;
+
+const SPECIAL_FOLDERS = {
+  archive: { setting: 'archive_folder', specialUse: '\\Archive', names: ['ARCHIVE'] },
+  trash: { setting: 'trash_folder', specialUse: '\\Trash', names: ['TRASH', 'DELETED'] },
+} as const;
+
+const lastRefresh = new Map<string, number>();
+
+/** The unified view a folder key names, or null for a real folder. */
+export function unifiedViewOf(folder: unknown): UnifiedView | null {
+  return UNIFIED_VIEWS.find((entry) => entry.path === folder)?.view ?? null;
+}
+
+export const isUnifiedFolder = (folder: unknown): boolean => unifiedViewOf(folder) !== null;
+
+/** Display name of a unified folder key, or '' for a real folder. */
+export function unifiedFolderLabel(folder: unknown): string {
+  return UNIFIED_VIEWS.find((entry) => entry.path === folder)?.label ?? '';
+}
+
+/** Every signed-in account, the active one first. */
+export function signedInAccounts(): string[] {
+  const stored = (Accounts.getAll() as Array<{ email?: string }>).map((entry) => entry.email);
+  const accounts: string[] = [];
+  for (const account of [activeAccount(), ...stored]) {
+    if (account && !accounts.some((known) => sameAccount(known, account))) accounts.push(account);
+  }
+  return accounts;
+}
+
+/**
+ * The account a message belongs to: its own when that account is signed in,
+ * the active one otherwise.
+ */
+export function messageAccount(msg: { account?: string | null } | null | undefined): string {
+  const own = msg?.account;
+  if (own && signedInAccounts().some((account) => sameAccount(account, own))) return own;
+  return activeAccount();
+}
+
+/** True when a message belongs to a signed-in account other than the active one. */
+export const isOtherAccountMessage = (msg: { account?: string | null } | null | undefined) =>
+  !sameAccount(messageAccount(msg), activeAccount());
+
+/**
+ * Remote.request options that authenticate as `account`: empty for the
+ * active account, so its requests stay exactly as before.
+ */
+export const accountRequestOptions = (account: string): { account?: string } =>
+  sameAccount(account, activeAccount()) ? {} : { account };
+
+const folderName = (folder: unknown) =>
+  String(folder || '')
+    .split('/')
+    .pop() || '';
+
+const isStarred = (msg: Partial<Message>) =>
+  Boolean(msg.is_starred) || (msg.flags || []).includes('\\Flagged');
+
+/** Whether a message belongs in a unified view. */
+export function matchesUnifiedView(msg: Partial<Message> | null | undefined, view: UnifiedView) {
+  if (!msg) return false;
+  if (view === 'inbox') return String(msg.folder || '').toUpperCase() === 'INBOX';
+  if (EXCLUDED_FOLDER_RE.test(folderName(msg.folder))) return false;
+  return view === 'starred' ? isStarred(msg) : Boolean(msg.is_unread);
+}
+
+/** Whether a message shows in the list of `folder`, a real folder or a unified view. */
+export function messageInFolderView(msg: Partial<Message> | null | undefined, folder: unknown) {
+  const view = unifiedViewOf(folder);
+  if (view) return matchesUnifiedView(msg, view);
+  return String(msg?.folder || '').toUpperCase() === String(folder || '').toUpperCase();
+}
+
+/**
+ * One page of a unified view, merged newest first from the cached mail of
+ * `accounts` (every signed-in account by default).
+ */
+export async function loadUnifiedMessages(
+  view: UnifiedView,
+  {
+    offset = 0,
+    limit = 50,
+    accounts = signedInAccounts(),
+  }: { offset?: number; limit?: number; accounts?: string[] } = {},
+): Promise<{ messages: Message[]; hasNextPage: boolean }> {
+  // One more than the page tells whether another page follows.
+  const wanted = offset + limit + 1;
+  const perAccount = await Promise.all(
+    accounts.map(async (account) => {
+      try {
+        if (view === 'inbox') {
+          return (await db.messages
+            .where('[account+folder+date]')
+            .between([account, 'INBOX', Dexie.minKey], [account, 'INBOX', Dexie.maxKey], true, true)
+            .reverse()
+            .limit(wanted)
+            .toArray()) as Message[];
+        }
+        const rows = (await db.messages.where('account').equals(account).toArray()) as Message[];
+        return rows.filter((msg) => matchesUnifiedView(msg, view));
+      } catch (err) {
+        warn('[unified-mailbox] reading cached mail failed for', account, err);
+        return [] as Message[];
+      }
+    }),
+  );
+  const merged = sortMessages(perAccount.flat(), 'newest');
+  return {
+    messages: merged.slice(offset, offset + limit),
+    hasNextPage: merged.length > offset + limit,
+  };
+}
+
+/**
+ * Fetch new inbox mail for the signed-in accounts other than the active one,
+ * each under its own credentials. An account is fetched at most once a
+ * minute unless `force` is set. Resolves with the accounts fetched.
+ */
+export async function refreshOtherInboxes({ force = false } = {}): Promise<string[]> {
+  const settings = getSyncSettings();
+  const refreshed: string[] = [];
+  for (const account of signedInAccounts()) {
+    if (sameAccount(account, activeAccount())) continue;
+    const last = lastRefresh.get(account) || 0;
+    if (!force && Date.now() - last < REFRESH_INTERVAL_MS) continue;
+    lastRefresh.set(account, Date.now());
+    const authHeader = getAccountAuthHeader(account, { allowApiKey: true });
+    if (!authHeader) continue;
+    try {
+      await registerSyncWorkerAccount(account, authHeader);
+      await sendSyncTask(
+        {
+          type: 'metadata',
+          folder: 'INBOX',
+          account,
+          pageSize: settings.pageSize || 50,
+          maxMessages: settings.pageSize || 50,
+        },
+        { timeout: 120_000 },
+      );
+      refreshed.push(account);
+    } catch (err) {
+      warn('[unified-mailbox] inbox refresh failed for', account, err);
+    }
+  }
+  return refreshed;
+}
+
+/**
+ * Archive or Trash of a signed-in account: its archive_folder/trash_folder
+ * setting, else its cached folder with the special-use flag or the usual
+ * name.
+ */
+export async function specialFolderForAccount(
+  account: string,
+  kind: keyof typeof SPECIAL_FOLDERS,
+): Promise<string> {
+  const spec = SPECIAL_FOLDERS[kind];
+  const custom = getEffectiveSettingValue(spec.setting, { account });
+  if (typeof custom === 'string' && custom) return custom;
+  let folders: Array<{ path?: string; name?: string; specialUse?: string }> = [];
+  try {
+    folders = await db.folders.where('account').equals(account).toArray();
+  } catch {
+    folders = [];
+  }
+  const bySpecialUse = folders.find((folder) => folder.specialUse === spec.specialUse);
+  if (bySpecialUse?.path) return bySpecialUse.path;
+  const byName = folders.find((folder) =>
+    (spec.names as readonly string[]).some(
+      (name) =>
+        (folder.path || '').toUpperCase() === name || (folder.name || '').toUpperCase() === name,
+    ),
+  );
+  return byName?.path || (kind === 'archive' ? 'Archive' : 'Trash');
+}
@@ -0,0 +1,330 @@
+/**
+ * Vacation / out-of-office auto-responder.
+ *
+ * The configuration is the account-scoped vacation_responder setting
+ * (settingsRegistry.ts), saved with the account like any other remotePath
+ * setting. A server that sends the replies itself says so by returning the
+ * setting with `serverSide: true`; until it does, this module is the
+ * fallback and answers from the client, through the outbox (outbox-service.js),
+ * as new Inbox mail reaches the sync worker.
+ *
+ * Who gets a reply follows RFC 3834:
+ *   - only mail received between the first and last day away;
+ *   - never our own mail, bounces, or addresses that cannot take a reply
+ *     (no-reply, mailer-daemon, list -request/-owner addresses);
+ *   - never list or bulk mail (List-Id, List-Unsubscribe, Precedence:
+ *     bulk/list/junk) or anything sent automatically (Auto-Submitted);
+ *   - each sender at most once every `intervalDays`.
+ * Senders on the account's domain, or one of `internalDomains`, get the
+ * internal message and everybody else the external one. Leaving a message
+ * empty means that group gets no reply.
+ *
+ * Replies go out with the credentials on screen, so the fallback only runs
+ * for the active account, and only while the app is open.
+ */
+
+import { db } from './db.js';
+import { Local } from './storage';
+import { warn } from './logger';
+import { Remote } from './remote';
+import { isActiveAccount } from './account-scope';
+import { normalizeEmail } from './address';
+import { getMessageApiId } from './sync-helpers';
+import { mailparserListHeader } from './list-headers';
+import { queueEmail } from './outbox-service.js';
+import { onSyncProgress } from './sync-worker-client.js';
+import { getEffectiveSettingValue } from '../stores/settingsStore';
+import type { Message } from '../types';
+
+export interface VacationResponder {
+  enabled: boolean;
+  /** First day away, YYYY-MM-DD in local time. Empty starts at once. */
+  start: string;
+  /** Last day away, YYYY-MM-DD in local time. Empty runs until turned off. */
+  end: string;
+  /** Reply subject. Empty replies with "Re: " and the original subject. */
+  subject: string;
+  internalMessage: string;
+  externalMessage: string;
+  /** Reply to a sender at most once in this many days. */
+  intervalDays: number;
+  /** Domains besides the account's own whose senders count as internal. */
+  internalDomains: string[];
+  /** Set by a server that sends the replies itself. */
+  serverSide: boolean;
+}
+
+export interface VacationReplyPlan {
+  to: string;
+  internal: boolean;
+  message: string;
+}
+
+type VacationMessage = Partial<Message> & Record<string, unknown>;
+
+export const DEFAULT_VACATION_RESPONDER: VacationResponder = {
+  enabled: false,
+  start: '',
+  end: '',
+  subject: '',
+  internalMessage: '',
+  externalMessage: '',
+  intervalDays: 7,
+  internalDomains: [],
+  serverSide: false,
+};
+
+const REPLIED_KEY_PREFIX = 'vacation_replied_';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DOMAIN_RE = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Addresses that never read replies (RFC 3834 §2 and common practice).
+const NO_REPLY_RE =
+  /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply|bounces?|listserv|majordomo)([+.-][^@]*)?@|^owner-|-(request|owner|bounces)@/i;
+
+const domainOf = (email: string) => email.slice(email.lastIndexOf('@') + 1);
+
+const localDay = (value: string, addDays = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + addDays).getTime();
+};
+
+/**
+ * Coerce a stored setting into a complete configuration; anything unusable
+ * falls back to the defaults, which are switched off.
+ */
+export function normalizeVacationResponder(value: unknown): VacationResponder {
+  const raw = (value && typeof value === 'object' ? value : {}) as Record<string, unknown>;
+  const text = (key: string) => (typeof raw[key] === 'string' ? (raw[key] as string) : '');
+  const date = (key: string) => (DATE_RE.test(text(key)) ? text(key) : '');
+  const interval = Number.parseInt(String(raw.intervalDays ?? ''), 10);
+  const domains = Array.isArray(raw.internalDomains) ? raw.internalDomains : [];
+  return {
+    enabled: raw.enabled === true,
+    start: date('start'),
+    end: date('end'),
+    subject: text('subject').trim(),
+    internalMessage: text('internalMessage'),
+    externalMessage: text('externalMessage'),
+    intervalDays:
+      Number.isFinite(interval) && interval >= 1
+        ? interval
+        : DEFAULT_VACATION_RESPONDER.intervalDays,
+    internalDomains: [
+      ...new Set(
+        domains
+          .map((d) =>
+            String(d || '')
+              .trim()
+              .toLowerCase()
+              .replace(/^@/, ''),
+          )
+          .filter((d) => DOMAIN_RE.test(d)),
+      ),
+    ],
+    serverSide: raw.serverSide === true,
+  };
+}
+
+/** Whether replies are due at `at`: switched on and within the days away. */
+export function isVacationActive(config: VacationResponder, at = Date.now()): boolean {
+  if (!config.enabled) return false;
+  if (config.start && at < localDay(config.start)) return false;
+  if (config.end && at >= localDay(config.end, 1)) return false;
+  return true;
+}
+
+/**
+ * Header names mapped to their text, lowercased, from a message detail
+ * response (mailparser headers and/or raw header lines).
+ */
+export function messageHeaders(detail: Record<string, unknown> | null): Record<string, string> {
+  const headers: Record<string, string> = {};
+  const nodemailer = (detail?.nodemailer || {}) as Record<string, unknown>;
+  const parsed = (nodemailer.headers || detail?.headers) as Record<string, unknown> | undefined;
+  if (parsed && typeof parsed === 'object') {
+    for (const [name, value] of Object.entries(parsed)) {
+      const key = name.toLowerCase();
+      if (typeof value === 'string') headers[key] = value;
+      else if (key === 'list' && value && typeof value === 'object') {
+        // mailparser folds every List-* header into one `list` object.
+        for (const [sub, subValue] of Object.entries(value)) {
+          headers[`list-${sub}`] = mailparserListHeader(sub, subValue) || 'yes';
+        }
+      } else if (value && typeof value === 'object') {
+        const obj = value as { value?: unknown; text?: unknown };
+        headers[key] = String(obj.text ?? obj.value ?? '');
+      }
+    }
+  }
+  const lines = (detail?.headerLines || nodemailer.headerLines) as
+    | Array<{ key?: string; line?: string }>
+    | undefined;
+  if (Array.isArray(lines)) {
+    for (const { key, line } of lines) {
+      if (!key || typeof line !== 'string' || headers[key.toLowerCase()]) continue;
+      headers[key.toLowerCase()] = line.slice(line.indexOf(':') + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/** True for list, bulk and automatically sent mail, which gets no reply. */
+export function isListOrAutomatedMail(headers: Record<string, string>): boolean {
+  if (headers['list-id'] || headers['list-unsubscribe']) return true;
+  if (/^\s*(bulk|list|junk)\b/i.test(headers.precedence || '')) return true;
+  const autoSubmitted = (headers['auto-submitted'] || '').trim().toLowerCase();
+  if (autoSubmitted && !autoSubmitted.startsWith('no')) return true;
+  return /\b(all|oof)\b/i.test(headers['x-auto-response-suppress'] || '');
+}
+
+/**
+ * Decide whether a new message gets a reply, leaving aside its headers (which
+ * the list endpoint does not return) and the per-sender interval.
+ */
+export function planVacationReply(
+  config: VacationResponder,
+  account: string,
+  msg: VacationMessage,
+): VacationReplyPlan | null {
+  if (String(msg.folder || '').toUpperCase() !== 'INBOX') return null;
+  const received = Number(msg.dateMs || msg.date) || Date.now();
+  if (!isVacationActive(config, received)) return null;
+  const sender = normalizeEmail(msg.from as string);
+  const self = normalizeEmail(account);
+  if (!sender.includes('@') || sender === self || NO_REPLY_RE.test(sender)) return null;
+  const domain = domainOf(sender);
+  const internal =
+    (self.includes('@') && domain === domainOf(self)) || config.internalDomains.includes(domain);
+  const message = internal ? config.internalMessage : config.externalMessage;
+  if (!message.trim()) return null;
+  return { to: sender, internal, message };
+}
+
+/** The /v1/emails payload for a reply, marked as sent automatically. */
+export function buildVacationReply(
+  config: VacationResponder,
+  account: string,
+  msg: VacationMessage,
+  plan: VacationReplyPlan,
+): Record<string, unknown> {
+  const original = String(msg.subject || '').trim();
+  const subject =
+    config.subject || (/^re:/i.test(original) ? original : `Re: ${original || '(No subject)'}`);
+  const messageId = String(msg.header_message_id || '').trim();
+  const references = [String(msg.references || '').trim(), messageId].filter(Boolean).join(' ');
+  return {
+    from: account,
+    to: [plan.to],
+    subject,
+    text: plan.message,
+    ...(messageId ? { inReplyTo: messageId } : {}),
+    ...(references ? { references } : {}),
+    headers: { 'Auto-Submitted': 'auto-replied' },
+    // An auto-reply in Sent for every message received would bury real mail.
+    save_sent: false,
+  };
+}
+
+async function readReplied(account: string): Promise<Record<string, number>> {
+  try {
+    const record = await db.meta.get(`${REPLIED_KEY_PREFIX}${account}`);
+    return record?.value && typeof record.value === 'object' ? { ...record.value } : {};
+  } catch {
+    return {};
+  }
+}
+
+async function writeReplied(account: string, replied: Record<string, number>, keepMs: number) {
+  const cutoff = Date.now() - keepMs;
+  const kept = Object.fromEntries(Object.entries(replied).filter(([, at]) => at > cutoff));
+  await db.meta.put({
+    key: `${REPLIED_KEY_PREFIX}${account}`,
+    value: kept,
+    updatedAt: Date.now(),
+  });
+}
+
+async function fetchHeaders(msg: VacationMessage): Promise<Record<string, string> | null> {
+  const id = getMessageApiId(msg);
+  if (!id) return null;
+  const res = await Remote.request(
+    'Message',
+    {},
+    {
+      method: 'GET',
+      pathOverride: `/v1/messages/${encodeURIComponent(id)}?folder=${encodeURIComponent(String(msg.folder || 'INBOX'))}&raw=false`,
+    },
+  );
+  return messageHeaders((res?.Result || res) as Record<string, unknown>);
+}
+
+// Sync progress can report overlapping batches; replies to one batch must be
+// recorded before the next is checked against the interval.
+let replyChain: Promise<unknown> = Promise.resolve();
+
+async function runResponder(account: string, messages: VacationMessage[]) {
+  const config = normalizeVacationResponder(
+    getEffectiveSettingValue('vacation_responder', { account }),
+  );
+  if (config.serverSide || !isVacationActive(config)) return;
+
+  const intervalMs = config.intervalDays * DAY_MS;
+  const replied = await readReplied(account);
+  let sent = false;
+
+  for (const msg of messages) {
+    const plan = planVacationReply(config, account, msg);
+    if (!plan) continue;
+    if (Date.now() - (replied[plan.to] || 0) < intervalMs) continue;
+    try {
+      const headers = await fetchHeaders(msg);
+      // Unknown headers could hide a mailing list; better no reply than one to a list.
+      if (!headers || isListOrAutomatedMail(headers)) continue;
+      await queueEmail(buildVacationReply(config, account, msg, plan));
+      replied[plan.to] = Date.now();
+      sent = true;
+    } catch (err) {
+      warn('[vacation-responder] reply failed', plan.to, err);
+    }
+  }
+
+  if (sent) await writeReplied(account, replied, intervalMs).catch(() => {});
+}
+
+/**
+ * Answer newly arrived messages (records in the shape normalizeMessageForCache
+ * produces) while the vacation responder is on and the server does not handle
+ * it. Does nothing for an account that is not on screen.
+ */
+export function applyVacationResponder(
+  account: string,
+  messages: VacationMessage[],
+): Promise<void> {
+  const acct = account || Local.get('email') || 'default';
+  if (!isActiveAccount(acct) || !Array.isArray(messages) || !messages.length) {
+    return Promise.resolve();
+  }
+  const run = replyChain.then(() =>
+    runResponder(acct, messages).catch((err) => {
+      warn('[vacation-responder] failed to process new mail', err);
+    }),
+  );
+  replyChain = run;
+  return run;
+}
+
+let initialized = false;
+
+/**
+ * Start answering what the sync worker reports as new. Call once on startup.
+ */
+export function initVacationResponder(): void {
+  if (initialized) return;
+  initialized = true;
+  onSyncProgress((data: { stage?: string; account: string; newMessages?: VacationMessage[] }) => {
+    if (data?.stage !== 'metadata' || !Array.isArray(data.newMessages)) return;
+    void applyVacationResponder(data.account, data.newMessages);
+  });
+}
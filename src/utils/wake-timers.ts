@@ -0,0 +1,69 @@
+/**
+ * Timers for stored deadlines of the account on screen: snooze wakeups
+ * (snooze.ts) and follow-up nudges (follow-ups.ts).
+ *
+ * Each owner passes a `check` that handles whatever came due and then
+ * re-arms from its stored rows. `check` runs when a deadline passes, when
+ * the tab becomes visible again (browsers throttle or suspend timers in
+ * hidden tabs) and when the active account changes. Deadlines past
+ * setTimeout's range are re-armed when the capped timer fires.
+ */
+
+const MAX_TIMEOUT_MS = 2_147_483_647; // setTimeout max (~24.8 days)
+
+export interface WakeTimers {
+  /** Replace the armed timers with one per `[id, epoch ms]` deadline. */
+  arm(deadlines: Iterable<readonly [string, number]>): void;
+  /** Run `check` on every later switch of the active account. */
+  followAccountSwitches(): void;
+}
+
+export function createWakeTimers(check: () => Promise<unknown>): WakeTimers {
+  const timers = new Map<string, ReturnType<typeof setTimeout>>();
+  let visibilityHandlerInstalled = false;
+  let followingAccounts = false;
+
+  const ensureVisibilityHandler = () => {
+    if (visibilityHandlerInstalled || typeof document === 'undefined') return;
+    visibilityHandlerInstalled = true;
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) void check();
+    });
+  };
+
+  return {
+    arm(deadlines) {
+      ensureVisibilityHandler();
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      for (const [id, at] of deadlines) {
+        const delay = Math.max(0, Math.min(at - Date.now(), MAX_TIMEOUT_MS));
+        timers.set(
+          id,
+          setTimeout(() => {
+            timers.delete(id);
+            void check();
+          }, delay),
+        );
+      }
+    },
+
+    followAccountSwitches() {
+      if (followingAccounts) return;
+      followingAccounts = true;
+      import('../stores/mailboxActions')
+        .then(({ currentAccount }) => {
+          let first = true;
+          currentAccount.subscribe(() => {
+            // The subscription fires immediately; the caller handles startup.
+            if (first) {
+              first = false;
+              return;
+            }
+            void check();
+          });
+        })
+        .catch(() => {});
+    },
+  };
+}
@@ -22,7 +22,11 @@ import { get } from 'svelte/store';
 import { mailboxStore } from '../stores/mailboxStore';
 import { Local } from './storage';
 import { isVaultLocked } from './crypto-store.js';
-import { isActiveAccount } from './account-scope.ts';
+import { activeAccount, isActiveAccount } from './account-scope.ts';
+import { applyCalendarRealtimeChange } from './calendar-cache.ts';
+import { applyContactRealtimeChange } from './contact-cache.js';
+import { applyMailRules } from './mail-rules.ts';
+import { normalizeMessageForCache } from './sync-helpers.ts';
 import { startInitialSync } from './sync-controller';
 import { createReleaseWatcher, WS_EVENTS } from './websocket-client';
 import {
@@ -135,6 +139,32 @@ function createWebSocketUpdater() {
     }
   }
 
+  // Match by folder id (server sends MongoDB ObjectIds), _id, or path
+  function findFolder(folderIdentifier) {
+    const folders = get(mailboxStore.state.folders) || [];
+    return (
+      folders.find((f) => String(f.id) === folderIdentifier) ||
+      folders.find((f) => String(f._id) === folderIdentifier) ||
+      folders.find((f) => f.path?.toUpperCase?.() === folderIdentifier.toUpperCase())
+    );
+  }
+
+  /**
+   * Run mail rules on the message a newMessage event carries, so it is filed
+   * before the follow-up sync lands. Events that only name the mailbox are
+   * left to the sync, which reports what it inserted (see mail-rules.ts).
+   */
+  function applyRulesToEvent(eventData) {
+    const message = eventData?.message;
+    if (!message || typeof message !== 'object') return;
+    if (!isActiveAccountEvent(eventData)) return;
+    const folder = findFolder(safeString(eventData.mailbox, 'INBOX'));
+    if (!folder?.path) return;
+    const account = Local.get('email') || 'default';
+    const normalized = normalizeMessageForCache(message, folder.path, account);
+    if (normalized?.id) void applyMailRules(account, [normalized]);
+  }
+
   /**
    * Refresh a specific folder — triggers both a background metadata sync
    * AND an immediate loadMessages() call so the UI updates right away.
@@ -148,13 +178,7 @@ function createWebSocketUpdater() {
 
     const currentFolder = get(mailboxStore.state.selectedFolder);
     const account = Local.get('email') || 'default';
-    const folders = get(mailboxStore.state.folders) || [];
-
-    // Match by folder id (server sends MongoDB ObjectIds), _id, or path
-    const folder =
-      folders.find((f) => String(f.id) === folderIdentifier) ||
-      folders.find((f) => String(f._id) === folderIdentifier) ||
-      folders.find((f) => f.path?.toUpperCase?.() === folderIdentifier.toUpperCase());
+    const folder = findFolder(folderIdentifier);
 
     // Always kick off a background metadata sync for the matched folder
     if (folder) {
@@ -243,6 +267,7 @@ function createWebSocketUpdater() {
         };
 
         registerUpdateHandler(WS_EVENTS.NEW_MESSAGE, (data) => {
+          applyRulesToEvent(data);
           refreshFolder(safeString(data?.mailbox, 'INBOX'), data);
         });
         registerUpdateHandler(WS_EVENTS.MESSAGES_MOVED, (data) => {
@@ -284,7 +309,15 @@ function createWebSocketUpdater() {
           WS_EVENTS.CALENDAR_DELETED,
         ]) {
           registerUpdateHandler(eventName, (data) => {
-            if (data && typeof data === 'object') dispatchFrozen('fe:calendar-changed', data);
+            if (!data || typeof data !== 'object') return;
+            // A deleted calendar takes its cached events with it.
+            if (eventName === WS_EVENTS.CALENDAR_DELETED && isActiveAccountEvent(data)) {
+              applyCalendarRealtimeChange(activeAccount(), eventName, data).finally(() =>
+                dispatchFrozen('fe:calendar-changed', data),
+              );
+              return;
+            }
+            dispatchFrozen('fe:calendar-changed', data);
           });
         }
         for (const eventName of [
@@ -294,7 +327,19 @@ function createWebSocketUpdater() {
         ]) {
           registerUpdateHandler(eventName, (data) => {
             if (!data || typeof data !== 'object') return;
-            dispatchFrozen('fe:calendar-event-changed', { type: eventName, payload: data });
+            if (!isActiveAccountEvent(data)) {
+              dispatchFrozen('fe:calendar-event-changed', { type: eventName, payload: data });
+              return;
+            }
+            // Patch the offline cache first so the calendar can render from
+            // it; `cached` tells it whether that worked or it must refetch.
+            applyCalendarRealtimeChange(activeAccount(), eventName, data).then((cached) =>
+              dispatchFrozen('fe:calendar-event-changed', {
+                type: eventName,
+                payload: data,
+                cached,
+              }),
+            );
           });
         }
 
@@ -309,7 +354,16 @@ function createWebSocketUpdater() {
           WS_EVENTS.CONTACT_DELETED,
         ]) {
           registerUpdateHandler(eventName, (data) => {
-            if (data && typeof data === 'object') dispatchFrozen('fe:contact-changed', data);
+            if (!data || typeof data !== 'object') return;
+            if (!isActiveAccountEvent(data)) {
+              dispatchFrozen('fe:contact-changed', data);
+              return;
+            }
+            // Same as calendar events: patch the contact cache, then say
+            // whether it worked so listeners know to reread it or refetch.
+            applyContactRealtimeChange(activeAccount(), eventName, data).then((cached) =>
+              dispatchFrozen('fe:contact-changed', { ...data, type: eventName, cached }),
+            );
           });
         }
 
@@ -0,0 +1,129 @@
+/**
+ * Minimal ZIP archive writer for bulk attachment downloads.
+ *
+ * Entries are stored, not deflated: mail attachments are mostly formats that
+ * are already compressed (JPEG, PDF, Office zip containers), so deflating
+ * them costs time for next to no gain. Names are written as UTF-8 (general
+ * purpose flag bit 11). There is no ZIP64 support, so an archive is capped at
+ * 4 GB, far above what the webview can hold in memory anyway.
+ */
+
+export interface ZipFile {
+  name: string;
+  data: Uint8Array;
+  date?: Date;
+}
+
+const MAX_ZIP_BYTES = 0xffffffff;
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(data: Uint8Array): number {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time as stored in zip headers (local time, 2-second
+// resolution, years from 1980).
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Make a file name safe and unique inside an archive: path separators and
+ * control characters are replaced, and repeats get " (2)", " (3)" before the
+ * extension. `taken` holds the lower-cased names already used.
+ */
+export function uniqueZipName(name: string, taken: Set<string>): string {
+  // eslint-disable-next-line no-control-regex
+  const clean = (name || 'attachment').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').trim();
+  const base = clean.replace(/^\.+/, '') || 'attachment';
+  const dot = base.lastIndexOf('.');
+  const stem = dot > 0 ? base.slice(0, dot) : base;
+  const ext = dot > 0 ? base.slice(dot) : '';
+  let candidate = base;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${stem} (${n})${ext}`;
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/** Build a ZIP archive from the given files. */
+export function createZip(files: ZipFile[]): Blob {
+  if (files.length > 0xffff) {
+    throw new RangeError('Too many attachments for a single ZIP archive');
+  }
+  const encoder = new TextEncoder();
+  const parts: Uint8Array[] = [];
+  const central: Uint8Array[] = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.byteLength;
+    const stamp = dosDateTime(file.date || new Date());
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(4, 20, true); // version needed: 2.0
+    lv.setUint16(6, 0x0800, true); // UTF-8 names
+    lv.setUint16(8, 0, true); // stored
+    lv.setUint16(10, stamp.time, true);
+    lv.setUint16(12, stamp.date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, size, true);
+    lv.setUint32(22, size, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const cv = new DataView(entry.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true); // version made by
+    cv.setUint16(6, 20, true);
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, stamp.time, true);
+    cv.setUint16(14, stamp.date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, size, true);
+    cv.setUint32(24, size, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    parts.push(local, file.data);
+    central.push(entry);
+    offset += local.length + size;
+    if (offset > MAX_ZIP_BYTES) {
+      throw new RangeError('Attachments are too large for a single ZIP archive');
+    }
+  }
+
+  const directorySize = central.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, files.length, true);
+  ev.setUint16(10, files.length, true);
+  ev.setUint32(12, directorySize, true);
+  ev.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end] as Uint8Array<ArrayBuffer>[], {
+    type: 'application/zip',
+  });
+}
@@ -33,6 +33,7 @@ interface Message {
 
 interface SearchHit {
   id: string;
+  account?: string;
   folder?: string;
   from?: string;
   to?: string | string[];
@@ -69,6 +70,8 @@ interface HealthPayload {
 
 interface SearchPayload {
   account?: string;
+  /** Search these accounts together (unified views); hits merge newest first. */
+  accounts?: string[];
   query?: string;
   folder?: string | null;
   crossFolder?: boolean;
@@ -510,6 +513,34 @@ async function runSearch(
   return { results: filtered || [], stats: service.getStats() };
 }
 
+const hitTime = (hit: SearchHit): number => {
+  const value = hit.dateMs ?? hit.date;
+  const time = typeof value === 'number' ? value : Date.parse(String(value || ''));
+  return Number.isFinite(time) ? time : 0;
+};
+
+/**
+ * runSearch for each of `payload.accounts`, merged newest first. Every hit
+ * names its account, since ids are only unique within one.
+ */
+async function runSearchAcross(
+  payload: SearchPayload = {},
+): Promise<{ results: SearchHit[]; stats: SearchStats }> {
+  const accounts = [...new Set((payload.accounts || []).map(accountKey))];
+  const limit = payload.limit ?? 200;
+  const runs = await Promise.all(
+    accounts.map((account) => runSearch({ ...payload, accounts: undefined, account })),
+  );
+  const results = runs
+    .flatMap((run, index) =>
+      run.results.map((hit) => ({ ...hit, account: hit.account || accounts[index] })),
+    )
+    .sort((a, b) => hitTime(b) - hitTime(a))
+    .slice(0, limit);
+  const count = runs.reduce((total, run) => total + (run.stats?.count || 0), 0);
+  return { results, stats: { ...runs[0]?.stats, count } };
+}
+
 // ============================================================================
 // Message Handlers
 // ============================================================================
@@ -574,7 +605,10 @@ self.onmessage = async (event: MessageEvent<SearchWorkerMessage>) => {
       return;
     }
     if (action === 'search') {
-      const res = await runSearch(payload as SearchPayload);
+      const search = payload as SearchPayload;
+      const res = search?.accounts?.length
+        ? await runSearchAcross(search)
+        : await runSearch(search);
       respond(id, true, res);
       return;
     }
@@ -33,6 +33,18 @@ import {
 } from './sync-pure.ts';
 import { createCircuitBreaker, parseRetryAfterMs } from '../utils/circuit-breaker.js';
 import { assertAccountScoped } from '../utils/account-scope.ts';
+import { normalizeEmail } from '../utils/address.ts';
+import {
+  base64ToBytes,
+  evidenceTime,
+  findRawHeaders,
+  isArmoredPublicKey,
+  isPublicKeyAttachment,
+  parseAutocryptHeader,
+  recordsFromKey,
+  shouldReplaceRecord,
+  type AutocryptHeader,
+} from '../utils/pgp-keyring.ts';
 
 // ============================================================================
 // Database Client via MessageChannel
@@ -102,6 +114,10 @@ const db = {
       }),
     }),
   },
+  recipientKeys: {
+    get: (key) => dbSend('get', 'recipientKeys', { key }),
+    put: (record) => dbSend('put', 'recipientKeys', { record }),
+  },
   drafts: {
     put: (record) => dbSend('put', 'drafts', { record }),
     where: (index) => ({
@@ -315,6 +331,7 @@ async function writeMessages(account, folder, normalized, pendingDeleteIds: stri
 
   const toUpsert = [];
   const changedForIndex = [];
+  const insertedMessages = [];
   let inserted = 0;
   let updated = 0;
 
@@ -327,6 +344,7 @@ async function writeMessages(account, folder, normalized, pendingDeleteIds: stri
     if (!existing) {
       toUpsert.push(msg);
       changedForIndex.push(msg);
+      insertedMessages.push(msg);
       inserted += 1;
       return;
     }
@@ -351,7 +369,7 @@ async function writeMessages(account, folder, normalized, pendingDeleteIds: stri
     });
   }
 
-  return { inserted, updated };
+  return { inserted, updated, insertedMessages };
 }
 
 // ============================================================================
@@ -393,6 +411,9 @@ async function runMetadataTask(task, postProgress) {
   let manifest = await getManifest(account, folder);
   let lastUID = manifest?.lastUID || 0;
   let lastModSeq = manifest?.lastModSeq || null;
+  // Only mail that arrived after a previous sync is new to the main thread's
+  // rules; a folder's first sync is importing its history.
+  const reportNew = lastUID > 0;
   let page = 1;
   let totalFetched = 0;
   let totalInserted = 0;
@@ -455,6 +476,7 @@ async function runMetadataTask(task, postProgress) {
 
     postProgress?.({
       type: 'progress',
+      account,
       folder,
       stage: 'metadata',
       page,
@@ -464,6 +486,9 @@ async function runMetadataTask(task, postProgress) {
       lastUID,
       lastModSeq,
       target: maxMessages,
+      ...(reportNew && writeResult.insertedMessages?.length
+        ? { newMessages: writeResult.insertedMessages }
+        : {}),
     });
 
     if (writeResult.inserted === 0 && writeResult.updated === 0) {
@@ -850,7 +875,15 @@ async function parseRawMessage(raw, existingAttachments = []) {
     // For message/rfc822 parts, add the .eml itself now but defer nested extraction.
     const parentAttachments = [];
     const rfc822Parts = [];
+    // Armored public keys attached by the sender, for the recipient key ring.
+    // Collected before the PGP filter below hides them from the UI.
+    const publicKeys = [];
     for (const att of email.attachments || []) {
+      if (isPublicKeyAttachment(att) && att.content) {
+        const text =
+          typeof att.content === 'string' ? att.content : new TextDecoder().decode(att.content);
+        if (isArmoredPublicKey(text)) publicKeys.push(text);
+      }
       if ((att.mimeType || '').toLowerCase() === 'message/rfc822' && att.content) {
         rfc822Parts.push(att);
         const emlName = att.filename || 'attached-email.eml';
@@ -935,6 +968,9 @@ async function parseRawMessage(raw, existingAttachments = []) {
       // outer/cached subject is a placeholder like "...", and the decrypt path
       // uses this to correct the displayed subject.
       subject: typeof email.subject === 'string' ? email.subject : undefined,
+      from: email.from?.address || '',
+      date: email.date || '',
+      publicKeys,
     };
   } catch (error) {
     console.warn('[sync.worker] postal-mime parse failed', error);
@@ -942,6 +978,51 @@ async function parseRawMessage(raw, existingAttachments = []) {
   }
 }
 
+/**
+ * Add the sender's public key to the recipient key ring, from an Autocrypt
+ * header on the outer message or a key attached to it. Keys are only filed
+ * under the From address. Best effort: a bad key never affects the body.
+ */
+async function learnSenderKeys(account, raw, parsed) {
+  const sender = normalizeEmail(parsed?.from || '');
+  if (!dbPort || !sender) return;
+  const seenAt = evidenceTime(parsed.date);
+  const records = [];
+  try {
+    // Autocrypt Level 1 §2.3: only headers whose addr matches From count,
+    // and a message with more than one is treated as having none.
+    const headers = findRawHeaders(raw, 'autocrypt')
+      .map(parseAutocryptHeader)
+      .filter((header): header is AutocryptHeader => header?.addr === sender);
+    if (headers.length === 1) {
+      const key = await openpgp.readKey({ binaryKey: base64ToBytes(headers[0].keydata) });
+      records.push(
+        ...recordsFromKey(key, {
+          account,
+          source: 'autocrypt',
+          seenAt,
+          forEmail: sender,
+          preferEncrypt: headers[0].preferEncrypt,
+        }),
+      );
+    }
+    for (const armoredKeys of parsed.publicKeys || []) {
+      const keys = await openpgp.readKeys({ armoredKeys });
+      for (const key of keys) {
+        records.push(
+          ...recordsFromKey(key, { account, source: 'attachment', seenAt, onlyEmail: sender }),
+        );
+      }
+    }
+    for (const record of records) {
+      const existing = await db.recipientKeys.get([account, record.email]);
+      if (shouldReplaceRecord(existing, record)) await db.recipientKeys.put(record);
+    }
+  } catch (err) {
+    console.warn('[sync.worker] Could not import sender key', err);
+  }
+}
+
 async function fetchAndCacheBodyWithOptions(account, folder, msg, options = {}) {
   const { returnPayload = false } = options;
   const apiId = msg?.id || msg?.uid;
@@ -1055,6 +1136,7 @@ async function fetchAndCacheBodyWithOptions(account, folder, msg, options = {})
         }
         const parsed = await parseRawMessage(decrypted);
         if (parsed) {
+          await learnSenderKeys(account, raw, parsed);
           body = parsed.body;
           textContent = parsed.textContent;
           attachments = parsed.attachments;
@@ -1073,6 +1155,7 @@ async function fetchAndCacheBodyWithOptions(account, folder, msg, options = {})
       } else {
         const parsed = await parseRawMessage(raw);
         if (parsed) {
+          await learnSenderKeys(account, raw, parsed);
           body = parsed.body;
           textContent = parsed.textContent;
           attachments = parsed.attachments;
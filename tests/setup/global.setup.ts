@@ -3,9 +3,10 @@ import { vi } from 'vitest';
 
 // jsdom doesn't implement a few browser APIs our code / libraries touch during
 // module initialization. Provide the minimum viable polyfills so the import
-// graph doesn't crash before tests run.
+// graph doesn't crash before tests run. Files that opt into the node
+// environment have no navigator at all, hence the typeof guard.
 
-if (!('storage' in navigator)) {
+if (typeof navigator !== 'undefined' && !('storage' in navigator)) {
   Object.defineProperty(navigator, 'storage', {
     configurable: true,
     value: {
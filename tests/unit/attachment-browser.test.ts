@@ -0,0 +1,98 @@
+/**
+ * attachment-browser tests: categorizing attachments, joining a folder's
+ * messages with their cached bodies, and the type/size/sender filters.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  messages: [] as Record<string, unknown>[],
+  bodies: [] as Record<string, unknown>[],
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    messages: { where: () => ({ equals: () => ({ toArray: async () => h.messages }) }) },
+    messageBodies: { where: () => ({ equals: () => ({ toArray: async () => h.bodies }) }) },
+  },
+}));
+
+vi.mock('../../src/stores/mailService', () => ({ mailService: {} }));
+
+import {
+  attachmentCategory,
+  filterFolderAttachments,
+  listFolderAttachments,
+} from '../../src/utils/attachment-browser';
+import { isDownloadableAttachment, zipArchiveName } from '../../src/utils/attachment-zip';
+
+describe('attachmentCategory', () => {
+  it('goes by extension first, then content type', () => {
+    expect(attachmentCategory({ filename: 'Q3.XLSX' })).toBe('spreadsheet');
+    expect(attachmentCategory({ filename: 'deck.key' })).toBe('presentation');
+    expect(attachmentCategory({ filename: 'scan', contentType: 'application/pdf' })).toBe('pdf');
+    expect(attachmentCategory({ filename: 'photo', contentType: 'image/heic' })).toBe('image');
+    expect(attachmentCategory({ filename: 'invite.ics' })).toBe('calendar');
+    expect(attachmentCategory({ filename: 'setup.exe' })).toBe('other');
+  });
+});
+
+describe('isDownloadableAttachment', () => {
+  it('hides only inline CID images', () => {
+    const logo = { contentId: 'logo', contentType: 'image/png', disposition: 'inline' as const };
+    expect(isDownloadableAttachment(logo)).toBe(false);
+    expect(isDownloadableAttachment({ ...logo, disposition: undefined })).toBe(true);
+    expect(isDownloadableAttachment({ ...logo, contentType: 'application/pdf' })).toBe(true);
+  });
+
+  it('names archives after the subject', () => {
+    expect(zipArchiveName('Re: Q3 / budget')).toBe('Re_ Q3 _ budget.zip');
+    expect(zipArchiveName('')).toBe('attachments.zip');
+  });
+});
+
+describe('listFolderAttachments', () => {
+  it('lists cached attachments newest first and counts uncached messages', async () => {
+    h.messages = [
+      {
+        id: 'a',
+        from: 'Ana <ana@example.com>',
+        subject: 'Budget',
+        date: 100,
+        has_attachment: true,
+      },
+      { id: 'b', from: 'bob@example.com', subject: 'Photos', date: 200, has_attachment: true },
+      { id: 'c', from: 'cy@example.com', subject: 'Later', date: 300, has_attachment: true },
+      { id: 'd', from: 'dee@example.com', subject: 'Plain', date: 400, has_attachment: false },
+    ];
+    h.bodies = [
+      { id: 'a', attachments: [{ filename: 'budget.xlsx', size: 2_000_000 }] },
+      {
+        id: 'b',
+        attachments: [
+          { filename: 'beach.jpg', contentType: 'image/jpeg', size: 300_000 },
+          {
+            filename: 'sig.png',
+            contentType: 'image/png',
+            contentId: 'sig',
+            disposition: 'inline',
+          },
+        ],
+      },
+    ];
+    const { items, uncached } = await listFolderAttachments('me@example.com', 'INBOX');
+    expect(items.map((item) => [item.name, item.category])).toEqual([
+      ['beach.jpg', 'image'],
+      ['budget.xlsx', 'spreadsheet'],
+    ]);
+    expect(uncached).toBe(1);
+
+    expect(filterFolderAttachments(items, { size: '>1mb' }).map((i) => i.name)).toEqual([
+      'budget.xlsx',
+    ]);
+    expect(filterFolderAttachments(items, { sender: 'BOB' }).map((i) => i.name)).toEqual([
+      'beach.jpg',
+    ]);
+    expect(filterFolderAttachments(items, { category: 'image', query: 'photos' })).toHaveLength(1);
+    expect(filterFolderAttachments(items, { size: 'big' })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * attachment-preview tests: choosing a viewer, the CSV parser escaping what
+ * it renders, Office text extraction from a zip built here, and parsing an
+ * attached message.
+ */
+import { describe, expect, it } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import {
+  buildPreviewDocument,
+  csvDelimiter,
+  parseCsv,
+  parseEmlPreview,
+  previewKind,
+  renderOfficePreview,
+  renderTextPreview,
+} from '../../src/utils/attachment-preview';
+import { extractOfficePreview } from '../../src/utils/office-preview';
+
+// Minimal zip writer: deflated entries, a central directory and the end
+// record, which is all readZipDirectory looks at.
+function buildZip(files: Record<string, string>): Uint8Array {
+  const locals: Buffer[] = [];
+  const central: Buffer[] = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const data = deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(8, 10);
+    dir.writeUInt32LE(data.length, 20);
+    dir.writeUInt32LE(raw.length, 24);
+    dir.writeUInt16LE(nameBytes.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, data);
+    central.push(dir, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  }
+  const dirBytes = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(dirBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return new Uint8Array(Buffer.concat([...locals, dirBytes, end]));
+}
+
+describe('previewKind', () => {
+  it('picks a viewer from the content type or the extension', () => {
+    expect(previewKind({ filename: 'scan.PDF', contentType: 'application/octet-stream' })).toBe(
+      'pdf',
+    );
+    expect(previewKind({ name: 'photo.jpg' })).toBe('image');
+    expect(previewKind({ name: 'fwd', contentType: 'message/rfc822' })).toBe('eml');
+    expect(previewKind({ name: 'invite.ics' })).toBe('ics');
+    expect(previewKind({ name: 'report.docx' })).toBe('office');
+    expect(previewKind({ name: 'data.tsv' })).toBe('csv');
+    expect(previewKind({ name: 'main.rs' })).toBe('code');
+    expect(previewKind({ name: 'notes', contentType: 'text/plain; charset=utf-8' })).toBe('text');
+    expect(previewKind({ name: 'logo.svg', contentType: 'image/svg+xml' })).toBeNull();
+    expect(previewKind({ name: 'setup.exe' })).toBeNull();
+    expect(csvDelimiter({ name: 'data.tsv' })).toBe('\t');
+    expect(csvDelimiter({ name: 'data.csv' })).toBeUndefined();
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoting, embedded newlines and semicolon exports', () => {
+    expect(parseCsv('a,"b,""c"""\r\n1,"x\ny"\n').rows).toEqual([
+      ['a', 'b,"c"'],
+      ['1', 'x\ny'],
+    ]);
+    expect(parseCsv('\uFEFFname;amount\nAna;1,5').rows).toEqual([
+      ['name', 'amount'],
+      ['Ana', '1,5'],
+    ]);
+    expect(parseCsv('a\tb\n1\t2', { delimiter: '\t' }).rows[1]).toEqual(['1', '2']);
+  });
+
+  it('stops at the row cap and says so', () => {
+    const { rows, truncated } = parseCsv('1\n2\n3\n4\n', { maxRows: 2 });
+    expect(rows).toEqual([['1'], ['2']]);
+    expect(truncated).toBe(true);
+  });
+});
+
+describe('preview documents', () => {
+  it('escapes text and CSV cells and locks the document down with a CSP', () => {
+    expect(renderTextPreview('<script>x</script>', 'text')).toBe(
+      '<pre class="text">&lt;script&gt;x&lt;/script&gt;</pre>',
+    );
+    const csv = renderTextPreview('h1,h2\n<img src=x>,2', 'csv');
+    expect(csv).toContain('<th>h1</th>');
+    expect(csv).toContain('<td>&lt;img src=x&gt;</td>');
+    const doc = buildPreviewDocument('<p>x</p>', true);
+    expect(doc).toContain(`content="default-src 'none'; style-src 'unsafe-inline';"`);
+    expect(doc).toContain('<html class="dark">');
+  });
+});
+
+describe('extractOfficePreview', () => {
+  it('reads docx paragraphs', async () => {
+    const zip = buildZip({
+      'word/document.xml':
+        '<w:document xmlns:w="urn:w"><w:body><w:p><w:r><w:t>Hello</w:t></w:r><w:r><w:tab/><w:t>world</w:t></w:r></w:p><w:p><w:r><w:t>&lt;b&gt;</w:t></w:r></w:p></w:body></w:document>',
+    });
+    const preview = await extractOfficePreview(zip, 'docx');
+    expect(preview).toEqual({ kind: 'document', paragraphs: ['Hello\tworld', '<b>'] });
+    expect(renderOfficePreview(preview!)).toContain('<p>&lt;b&gt;</p>');
+  });
+
+  it('reads xlsx cells through shared strings, placing them by column', async () => {
+    const zip = buildZip({
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Budget"/></sheets></workbook>',
+      'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><t>Rent</t></si></sst>',
+      'xl/worksheets/sheet1.xml':
+        '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1"><v>12</v></c></row><row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2" t="b"><v>1</v></c></row></sheetData></worksheet>',
+    });
+    expect(await extractOfficePreview(zip, 'xlsx')).toEqual({
+      kind: 'sheets',
+      sheets: [
+        {
+          name: 'Budget',
+          rows: [
+            ['Item', '', '12'],
+            ['Rent', 'TRUE'],
+          ],
+        },
+      ],
+    });
+  });
+
+  it('reads pptx slides in order and OpenDocument text', async () => {
+    const slide = (text: string) =>
+      `<p:sld xmlns:p="urn:p" xmlns:a="urn:a"><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:sld>`;
+    const pptx = buildZip({
+      'ppt/slides/slide10.xml': slide('Ten'),
+      'ppt/slides/slide2.xml': slide('Two'),
+    });
+    expect(await extractOfficePreview(pptx, 'pptx')).toEqual({
+      kind: 'slides',
+      slides: [['Two'], ['Ten']],
+    });
+
+    const odt = buildZip({
+      'content.xml':
+        '<office:document-content xmlns:office="urn:o" xmlns:text="urn:t"><office:body><text:h>Title</text:h><text:p>a<text:s text:c="2"/>b <text:span>c</text:span></text:p></office:body></office:document-content>',
+    });
+    expect(await extractOfficePreview(odt, 'odt')).toEqual({
+      kind: 'document',
+      paragraphs: ['Title', 'a  b c'],
+    });
+  });
+
+  it('returns null for something that is not an archive', async () => {
+    expect(await extractOfficePreview(new TextEncoder().encode('not a zip'), 'docx')).toBeNull();
+  });
+});
+
+describe('parseEmlPreview', () => {
+  it('parses headers, sanitizes the body and lists nested attachments', async () => {
+    const eml = [
+      'From: "Ana" <ana@example.com>',
+      'To: bob@example.com',
+      'Subject: Minutes',
+      'Date: Wed, 11 Mar 2026 10:00:00 +0000',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      '<p>Hi</p><script>alert(1)</script>',
+      '--b',
+      'Content-Type: text/plain; name="notes.txt"',
+      'Content-Disposition: attachment; filename="notes.txt"',
+      '',
+      'hello',
+      '--b--',
+      '',
+    ].join('\r\n');
+    const preview = await parseEmlPreview(new TextEncoder().encode(eml).buffer as ArrayBuffer);
+    expect(preview).toMatchObject({
+      subject: 'Minutes',
+      from: 'Ana <ana@example.com>',
+      to: 'bob@example.com',
+      attachments: [{ filename: 'notes.txt' }],
+    });
+    expect(preview!.html).toContain('<p>Hi</p>');
+    expect(preview!.html).not.toContain('<script');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * calendar-alarms tests: reading every VALARM off an item (relative,
+ * week-long and absolute triggers) and writing them back.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  buildValarmLines,
+  itemReminders,
+  normalizeReminders,
+  parseReminders,
+} from '../../src/utils/calendar-alarms';
+
+const todo = (...alarms: string[][]) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VTODO',
+    'UID:task-1',
+    'SUMMARY:File taxes',
+    'DUE:20261020T170000Z',
+    ...alarms.flatMap((lines) => ['BEGIN:VALARM', 'ACTION:DISPLAY', ...lines, 'END:VALARM']),
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+describe('parseReminders', () => {
+  it('reads every trigger, earliest first, absolute ones last', () => {
+    const ical = todo(
+      ['TRIGGER;RELATED=END:-PT15M'],
+      ['TRIGGER;VALUE=DATE-TIME:20261019T080000Z'],
+      ['TRIGGER;RELATED=END:-P1D'],
+      ['TRIGGER:-P1W'],
+    );
+    expect(parseReminders(ical, 'VTODO')).toEqual([
+      { minutes: 10080 },
+      { minutes: 1440 },
+      { minutes: 15 },
+      { minutes: 0, at: '2026-10-19T08:00:00.000Z' },
+    ]);
+  });
+
+  it('leaves out alarms after the anchor and duplicates', () => {
+    const ical = todo(['TRIGGER:PT30M'], ['TRIGGER:-PT1H'], ['TRIGGER:-PT60M'], ['TRIGGER:PT0S']);
+    expect(parseReminders(ical, 'VTODO')).toEqual([{ minutes: 60 }, { minutes: 0 }]);
+    expect(parseReminders(ical, 'VEVENT')).toEqual([]);
+    expect(parseReminders(undefined)).toEqual([]);
+  });
+});
+
+describe('buildValarmLines', () => {
+  it('writes relative and absolute triggers that read back the same', () => {
+    const reminders = [
+      { minutes: 15 },
+      { minutes: 1440 },
+      { minutes: 0, at: '2026-10-19T08:00:00Z' },
+    ];
+    const lines = buildValarmLines(reminders, 'File taxes', { relatedEnd: true });
+    expect(lines.filter((l) => l.startsWith('TRIGGER'))).toEqual([
+      'TRIGGER;RELATED=END:-PT1440M',
+      'TRIGGER;RELATED=END:-PT15M',
+      'TRIGGER;VALUE=DATE-TIME:20261019T080000Z',
+    ]);
+    expect(parseReminders(todo(lines), 'VTODO')).toEqual(normalizeReminders(reminders));
+    expect(buildValarmLines([], 'x')).toEqual([]);
+  });
+});
+
+describe('itemReminders', () => {
+  it('prefers the composer list, then the ICS, then legacy notify', () => {
+    const ical = todo(['TRIGGER:-PT15M']);
+    expect(itemReminders({ reminders: [{ minutes: 60 }], raw: { ical } })).toEqual([
+      { minutes: 60 },
+    ]);
+    expect(itemReminders({ raw: { ical }, notify: 60 })).toEqual([{ minutes: 15 }]);
+    expect(itemReminders({ notify: 60 })).toEqual([{ minutes: 60 }]);
+    expect(itemReminders({})).toEqual([]);
+  });
+});
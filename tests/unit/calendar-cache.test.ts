@@ -0,0 +1,313 @@
+/**
+ * calendar-cache tests: version stamps and conflict rules, full fetches that
+ * keep queued local writes, queued writes replayed with conflict detection
+ * (including temp ids of offline creates), and realtime patches.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+interface RequestOptions {
+  pathOverride?: string;
+  headers?: Record<string, string>;
+}
+
+const h = vi.hoisted(() => ({
+  events: new Map<string, Record<string, unknown>>(),
+  server: new Map<string, Record<string, unknown>>(),
+  requests: [] as { action: string; params: Record<string, unknown>; options: RequestOptions }[],
+  queued: [] as { type: string; payload: Record<string, unknown> }[],
+}));
+
+const key = (k: unknown) => JSON.stringify(k);
+
+vi.mock('../../src/utils/db.js', () => {
+  const rows = () => [...h.events.values()];
+  const collection = (match: (row: Record<string, unknown>) => boolean) => ({
+    toArray: async () => rows().filter(match),
+    delete: async () => {
+      for (const row of rows().filter(match)) h.events.delete(key([row.account, row.id]));
+    },
+  });
+  return {
+    db: {
+      calendarEvents: {
+        get: vi.fn(async (k: unknown) => h.events.get(key(k))),
+        put: vi.fn(async (row: Record<string, unknown>) => {
+          h.events.set(key([row.account, row.id]), row);
+        }),
+        bulkPut: vi.fn(async (list: Record<string, unknown>[]) => {
+          for (const row of list) h.events.set(key([row.account, row.id]), row);
+        }),
+        update: vi.fn(async (k: unknown, changes: Record<string, unknown>) => {
+          const row = h.events.get(key(k));
+          if (row) Object.assign(row, changes);
+        }),
+        delete: vi.fn(async (k: unknown) => {
+          h.events.delete(key(k));
+        }),
+        where: (index: string) => ({
+          equals: (value: unknown) =>
+            index === 'account'
+              ? collection((row) => row.account === value)
+              : collection(
+                  (row) =>
+                    row.account === (value as string[])[0] &&
+                    row.calendarId === (value as string[])[1],
+                ),
+        }),
+      },
+    },
+  };
+});
+
+vi.mock('../../src/utils/remote.js', () => ({
+  Remote: {
+    request: vi.fn(
+      async (action: string, params: Record<string, unknown>, options: RequestOptions = {}) => {
+        h.requests.push({ action, params, options });
+        const id = decodeURIComponent(String(options.pathOverride || '').split('/')[3] || '');
+        if (action === 'CalendarEvents') {
+          const event = h.server.get(id);
+          if (!event) throw Object.assign(new Error('Not found'), { status: 404 });
+          return event;
+        }
+        if (action === 'CalendarEventCreate') {
+          const created = { id: 'srv-1', calendar_id: params.calendar_id, ical: params.ical };
+          h.server.set('srv-1', created);
+          return created;
+        }
+        if (action === 'CalendarEventUpdate') {
+          const updated = { ...h.server.get(id), ical: params.ical, etag: `"${Date.now()}"` };
+          h.server.set(id, updated);
+          return updated;
+        }
+        h.server.delete(id);
+        return {};
+      },
+    ),
+  },
+}));
+
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: vi.fn(async (type: string, payload: Record<string, unknown>) => {
+    h.queued.push({ type, payload: { ...payload, account: ACCOUNT } });
+  }),
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+import {
+  CalendarConflictError,
+  applyCalendarRealtimeChange,
+  calendarEventVersion,
+  isCalendarConflict,
+  mapCalendarEvent,
+  queueCalendarEventWrite,
+  readCachedEvents,
+  replaceCachedEvents,
+  replayCalendarEventWrite,
+  type CalendarMutationType,
+} from '../../src/utils/calendar-cache';
+
+const ACCOUNT = 'me@example.com';
+
+const ics = (summary: string, sequence = 0) =>
+  `BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:u1\r\nSEQUENCE:${sequence}\r\nSUMMARY:${summary}\r\nEND:VEVENT\r\nEND:VCALENDAR`;
+
+const serverEvent = (id: string, overrides: Record<string, unknown> = {}) => {
+  const event = { id, calendar_id: 'cal', summary: 'Standup', ical: ics('Standup'), ...overrides };
+  h.server.set(id, event);
+  return event;
+};
+
+const replayQueued = async () => {
+  for (const { type, payload } of h.queued.splice(0)) {
+    await replayCalendarEventWrite(type as CalendarMutationType, payload);
+  }
+};
+
+describe('versions and conflicts', () => {
+  it('reads the etag, SEQUENCE and last-modified stamps', () => {
+    expect(calendarEventVersion({ etag: '"a"', ical: ics('x', 3), updated_at: 't1' })).toEqual({
+      etag: '"a"',
+      sequence: 3,
+      modified: 't1',
+    });
+    expect(calendarEventVersion(null)).toEqual({});
+  });
+
+  it('lets the strongest shared stamp decide', () => {
+    expect(isCalendarConflict({ etag: 'a', sequence: 1 }, { etag: 'a', sequence: 2 })).toBe(false);
+    expect(isCalendarConflict({ etag: 'a' }, { etag: 'b' })).toBe(true);
+    expect(isCalendarConflict({ sequence: 1 }, { sequence: 2 })).toBe(true);
+    expect(
+      isCalendarConflict({ sequence: 1, modified: 't1' }, { sequence: 1, modified: 't2' }),
+    ).toBe(true);
+    expect(isCalendarConflict({}, { etag: 'b' })).toBe(false);
+    expect(isCalendarConflict(null, { etag: 'b' })).toBe(false);
+  });
+});
+
+describe('cache and queued writes', () => {
+  beforeEach(() => {
+    h.events.clear();
+    h.server.clear();
+    h.requests.length = 0;
+    h.queued.length = 0;
+  });
+
+  it('keeps queued local writes across a full fetch', async () => {
+    await replaceCachedEvents(ACCOUNT, [
+      mapCalendarEvent(serverEvent('e1')),
+      mapCalendarEvent(serverEvent('e2')),
+    ]);
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'e1',
+      calendarId: 'cal',
+      ical: ics('Offline edit'),
+      view: { id: 'e1', title: 'Offline edit', calendarId: 'cal' },
+    });
+    await queueCalendarEventWrite('calendarEventDelete', {
+      account: ACCOUNT,
+      eventId: 'e2',
+      calendarId: 'cal',
+    });
+
+    const merged = await replaceCachedEvents(ACCOUNT, [
+      mapCalendarEvent(h.server.get('e1')),
+      mapCalendarEvent(h.server.get('e2')),
+    ]);
+
+    expect(merged.map((ev) => ev.title)).toEqual(['Offline edit']);
+    expect((await readCachedEvents(ACCOUNT)).map((ev) => ev.id)).toEqual(['e1']);
+    expect(h.queued.map((q) => q.type)).toEqual(['calendarEventUpdate', 'calendarEventDelete']);
+  });
+
+  it('replays an offline create and resolves later writes to the server id', async () => {
+    await queueCalendarEventWrite('calendarEventCreate', {
+      account: ACCOUNT,
+      eventId: 'temp-1',
+      calendarId: 'cal',
+      ical: ics('Lunch'),
+      view: { id: 'temp-1', title: 'Lunch', calendarId: 'cal' },
+    });
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'temp-1',
+      calendarId: 'cal',
+      ical: ics('Lunch at noon', 1),
+      view: { id: 'temp-1', title: 'Lunch at noon', calendarId: 'cal' },
+    });
+
+    await replayQueued();
+
+    expect(h.requests.map((r) => r.action)).toEqual([
+      'CalendarEventCreate',
+      'CalendarEvents',
+      'CalendarEventUpdate',
+    ]);
+    expect(h.requests[2].options.pathOverride).toBe('/v1/calendar-events/srv-1');
+    expect(h.events.get(key([ACCOUNT, 'temp-1']))).toBeUndefined();
+    expect(h.events.get(key([ACCOUNT, 'srv-1']))).toMatchObject({
+      tempId: 'temp-1',
+      pending: null,
+    });
+  });
+
+  it('sends If-Match with the etag the edit started from', async () => {
+    await replaceCachedEvents(ACCOUNT, [mapCalendarEvent(serverEvent('e1', { etag: '"v1"' }))]);
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'e1',
+      calendarId: 'cal',
+      ical: ics('Moved'),
+    });
+
+    await replayQueued();
+
+    const put = h.requests.find((r) => r.action === 'CalendarEventUpdate');
+    expect(put?.options.headers).toEqual({ 'If-Match': '"v1"' });
+    expect(h.events.get(key([ACCOUNT, 'e1']))?.pending).toBeNull();
+  });
+
+  it('keeps the server copy when the event changed elsewhere', async () => {
+    await replaceCachedEvents(ACCOUNT, [mapCalendarEvent(serverEvent('e1', { etag: '"v1"' }))]);
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'e1',
+      calendarId: 'cal',
+      ical: ics('Mine'),
+      title: 'Standup',
+    });
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'e1',
+      calendarId: 'cal',
+      ical: ics('Mine again'),
+      title: 'Standup',
+    });
+    serverEvent('e1', { etag: '"v2"', summary: 'Theirs', ical: ics('Theirs', 1) });
+    const [first, second] = h.queued.splice(0);
+
+    await expect(
+      replayCalendarEventWrite(first.type as CalendarMutationType, first.payload),
+    ).rejects.toBeInstanceOf(CalendarConflictError);
+    // Later writes from the same offline session are dropped, not sent.
+    await replayCalendarEventWrite(second.type as CalendarMutationType, second.payload);
+
+    expect(h.requests.some((r) => r.action === 'CalendarEventUpdate')).toBe(false);
+    expect(h.events.get(key([ACCOUNT, 'e1']))).toMatchObject({
+      pending: null,
+      version: { etag: '"v2"' },
+      event: { title: 'Theirs' },
+    });
+  });
+
+  it('treats a delete of an event already gone as done', async () => {
+    await replaceCachedEvents(ACCOUNT, [mapCalendarEvent(serverEvent('e1'))]);
+    await queueCalendarEventWrite('calendarEventDelete', {
+      account: ACCOUNT,
+      eventId: 'e1',
+      calendarId: 'cal',
+    });
+    h.server.delete('e1');
+
+    await replayQueued();
+
+    expect(h.events.size).toBe(0);
+    expect(h.requests.some((r) => r.action === 'CalendarEventDelete')).toBe(false);
+  });
+});
+
+describe('applyCalendarRealtimeChange', () => {
+  beforeEach(() => {
+    h.events.clear();
+    h.server.clear();
+    h.requests.length = 0;
+  });
+
+  it('fetches updated events, drops deleted ones and leaves pending rows alone', async () => {
+    await replaceCachedEvents(ACCOUNT, [
+      mapCalendarEvent(serverEvent('e1')),
+      mapCalendarEvent(serverEvent('e2')),
+    ]);
+    await queueCalendarEventWrite('calendarEventUpdate', {
+      account: ACCOUNT,
+      eventId: 'e2',
+      calendarId: 'cal',
+      view: { id: 'e2', title: 'Local', calendarId: 'cal' },
+    });
+    serverEvent('e1', { summary: 'Renamed' });
+    serverEvent('e2', { summary: 'Remote' });
+
+    expect(
+      await applyCalendarRealtimeChange(ACCOUNT, 'calendarEventUpdated', { eventId: 'e1' }),
+    ).toBe(true);
+    await applyCalendarRealtimeChange(ACCOUNT, 'calendarEventUpdated', { event_id: 'e2' });
+    expect((await readCachedEvents(ACCOUNT)).map((ev) => ev.title)).toEqual(['Renamed', 'Local']);
+
+    await applyCalendarRealtimeChange(ACCOUNT, 'calendarEventDeleted', { id: 'e1' });
+    expect((await readCachedEvents(ACCOUNT)).map((ev) => ev.id)).toEqual(['e2']);
+    expect(await applyCalendarRealtimeChange(ACCOUNT, 'calendarEventUpdated', {})).toBe(false);
+  });
+});
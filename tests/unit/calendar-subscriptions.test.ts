@@ -0,0 +1,236 @@
+// @vitest-environment node
+/**
+ * calendar-subscriptions tests: feed parsing into one VCALENDAR per UID,
+ * subscribing to and refreshing a feed served by a local HTTP server (ETag
+ * and 304 included), and recurring feed events expanded for the calendar.
+ */
+import { createServer, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  meta: new Map<string, { key: string; value: unknown }>(),
+  externalFetch: vi.fn(),
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, row);
+      }),
+      delete: vi.fn(async (key: string) => {
+        h.meta.delete(key);
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/remote.js', () => ({ Remote: { request: vi.fn() } }));
+vi.mock('../../src/utils/mutation-queue.js', () => ({ queueMutation: vi.fn() }));
+vi.mock('../../src/utils/network-status', () => ({ isOnline: () => true }));
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+// The real one refuses the loopback test server; this stands in for the
+// proxy so the feed still goes over HTTP.
+vi.mock('../../src/utils/external-fetch', () => ({ externalFetch: h.externalFetch }));
+
+import {
+  addCalendarSubscription,
+  normalizeFeedUrl,
+  parseCalendarFeed,
+  readCalendarSubscriptions,
+  readSubscribedEvents,
+  refreshCalendarSubscription,
+  refreshDueSubscriptions,
+  removeCalendarSubscription,
+  updateCalendarSubscription,
+} from '../../src/utils/calendar-subscriptions';
+
+const ACCOUNT = 'me@example.com';
+
+const feed = (summary: string) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Example//On-call//EN',
+    'X-WR-CALNAME:Team on-call',
+    'BEGIN:VEVENT',
+    'UID:oncall@example.com',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART:20260504T090000Z',
+    'DTEND:20260504T100000Z',
+    'RRULE:FREQ=WEEKLY;COUNT=4',
+    `SUMMARY:${summary}`,
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:oncall@example.com',
+    'DTSTAMP:20260101T000000Z',
+    'RECURRENCE-ID:20260511T090000Z',
+    'DTSTART:20260511T130000Z',
+    'DTEND:20260511T140000Z',
+    'SUMMARY:Handover (moved)',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:holiday@example.com',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART;VALUE=DATE:20260525',
+    'DTEND;VALUE=DATE:20260526',
+    'SUMMARY:Spring bank holiday',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:todo@example.com',
+    'SUMMARY:Not an event',
+    'END:VTODO',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+describe('parseCalendarFeed', () => {
+  it('groups a series with its overrides and leaves tasks out', () => {
+    const { name, events } = parseCalendarFeed(feed('Handover'), 'abc');
+    expect(name).toBe('Team on-call');
+    expect(events.map((ev) => ev.uid)).toEqual(['oncall@example.com', 'holiday@example.com']);
+    const [series, holiday] = events;
+    expect(series).toMatchObject({
+      id: 'subscription-abc:oncall@example.com',
+      calendar_id: 'subscription-abc',
+      summary: 'Handover',
+      start: '2026-05-04T09:00:00.000Z',
+      end: '2026-05-04T10:00:00.000Z',
+      is_recurring: true,
+    });
+    // Master first, then the override, in one VCALENDAR.
+    expect(series.ical.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(series.ical.indexOf('RRULE')).toBeLessThan(series.ical.indexOf('RECURRENCE-ID'));
+    expect(holiday.is_recurring).toBe(false);
+    expect(() => parseCalendarFeed('<html></html>', 'abc')).toThrow('Not a calendar feed');
+  });
+
+  it('reads webcal addresses as https', () => {
+    expect(normalizeFeedUrl(' webcal://cal.example.com/team.ics ')).toBe(
+      'https://cal.example.com/team.ics',
+    );
+    expect(normalizeFeedUrl('ftp://cal.example.com/team.ics')).toBe('');
+    expect(normalizeFeedUrl('not a url')).toBe('');
+  });
+});
+
+describe('subscribing to a feed', () => {
+  let server: Server;
+  let baseUrl = '';
+  let body = feed('Handover');
+  let etag = '"v1"';
+  const hits: { path: string; ifNoneMatch: string }[] = [];
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const url = new URL(req.url || '/', 'http://localhost');
+      hits.push({ path: url.pathname, ifNoneMatch: String(req.headers['if-none-match'] || '') });
+      if (url.pathname !== '/team.ics') {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/calendar', ETag: etag });
+      res.end(body);
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    h.meta.clear();
+    h.externalFetch
+      .mockReset()
+      .mockImplementation((url: string, init: Parameters<typeof fetch>[1]) => fetch(url, init));
+    hits.length = 0;
+    body = feed('Handover');
+    etag = '"v1"';
+  });
+
+  const window = [new Date('2026-05-01T00:00:00Z'), new Date('2026-06-30T00:00:00Z')] as const;
+
+  it('shows the feed expanded, read-only and never on the server', async () => {
+    const sub = await addCalendarSubscription(ACCOUNT, {
+      url: `${baseUrl}/team.ics`,
+      color: '#2F9E44',
+      refreshMinutes: 60,
+    });
+    expect(sub).toMatchObject({ name: 'Team on-call', color: '#2f9e44', etag: '"v1"' });
+    expect(h.externalFetch).toHaveBeenCalledWith(`${baseUrl}/team.ics`, expect.anything());
+
+    const events = await readSubscribedEvents(ACCOUNT, ...window);
+    const series = events.filter((ev) => ev.title !== 'Spring bank holiday');
+    expect(series.map((ev) => ev.start)).toEqual([
+      '2026-05-04T09:00:00.000Z',
+      '2026-05-11T13:00:00.000Z',
+      '2026-05-18T09:00:00.000Z',
+      '2026-05-25T09:00:00.000Z',
+    ]);
+    expect(series[0]).toMatchObject({
+      id: `subscription-${sub.id}:oncall@example.com::2026-05-04T09:00:00.000Z`,
+      calendarId: `subscription-${sub.id}`,
+      readOnly: true,
+      subscriptionId: sub.id,
+    });
+    expect(events.find((ev) => ev.title === 'Spring bank holiday')).toMatchObject({
+      allDay: true,
+      allDayStart: '2026-05-25',
+    });
+
+    await updateCalendarSubscription(ACCOUNT, sub.id, { visible: false });
+    expect(await readSubscribedEvents(ACCOUNT, ...window)).toEqual([]);
+  });
+
+  it('refreshes when due, with a 304 for an unchanged feed', async () => {
+    const sub = await addCalendarSubscription(ACCOUNT, {
+      url: `${baseUrl}/team.ics`,
+      refreshMinutes: 60,
+    });
+    const later = sub.fetchedAt + 61 * 60_000;
+
+    await refreshDueSubscriptions(ACCOUNT, sub.fetchedAt + 60_000);
+    expect(hits).toHaveLength(1);
+
+    await refreshDueSubscriptions(ACCOUNT, later);
+    expect(hits[1]).toEqual({ path: '/team.ics', ifNoneMatch: '"v1"' });
+
+    body = feed('Handover, rescheduled');
+    etag = '"v2"';
+    await refreshDueSubscriptions(ACCOUNT, later + 61 * 60_000);
+    const [stored] = await readCalendarSubscriptions(ACCOUNT);
+    expect(stored.etag).toBe('"v2"');
+    const events = await readSubscribedEvents(ACCOUNT, ...window);
+    expect(events.some((ev) => ev.title === 'Handover, rescheduled')).toBe(true);
+  });
+
+  it('keeps the last copy when the feed breaks, and refuses bad feeds', async () => {
+    const sub = await addCalendarSubscription(ACCOUNT, { url: `${baseUrl}/team.ics` });
+    await updateCalendarSubscription(ACCOUNT, sub.id, { name: 'On-call' });
+    body = 'not a calendar';
+    etag = '"broken"';
+    const after = await refreshCalendarSubscription(ACCOUNT, sub.id);
+    expect(after).toMatchObject({ name: 'On-call', error: 'Not a calendar feed' });
+    expect((await readSubscribedEvents(ACCOUNT, ...window)).length).toBeGreaterThan(0);
+
+    await expect(
+      addCalendarSubscription(ACCOUNT, { url: `${baseUrl}/missing.ics` }),
+    ).rejects.toThrow('The feed answered 404');
+    await expect(addCalendarSubscription(ACCOUNT, { url: `${baseUrl}/team.ics` })).rejects.toThrow(
+      'already subscribed',
+    );
+
+    await removeCalendarSubscription(ACCOUNT, sub.id);
+    expect(await readCalendarSubscriptions(ACCOUNT)).toEqual([]);
+    expect([...h.meta.keys()]).toEqual(['calendar_subscriptions_me@example.com']);
+  });
+});
@@ -1288,9 +1288,16 @@ describe('PGP desktop and settings regressions', () => {
     expect(mailboxSrc).toMatch(
       /onclick=\{\(\) => \(attachmentStripExpanded = !attachmentStripExpanded\)\}/,
     );
-    expect(mailboxSrc).toContain(
-      "const key = att.contentId || `${att.name || att.filename}:${att.size || ''}`;",
+    // The key is shared with the ZIP download (attachment-zip.ts), which drops
+    // the same repeats.
+    const attachmentZipSrc = fs.readFileSync(
+      path.resolve(__dirname, '../../src/utils/attachment-zip.ts'),
+      'utf8',
+    );
+    expect(attachmentZipSrc).toContain(
+      "att.contentId || `${att.name || att.filename}:${att.size || ''}`;",
     );
+    expect(mailboxSrc).toContain('const key = attachmentKey(att);');
     expect(mailboxSrc).toContain('if (seenThreadAttachments.has(key)) return false;');
   });
 
@@ -1,24 +1,71 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 
-const { isOnlineMock, localGetMock, metaGetMock, metaPutMock, remoteRequestMock, warnMock } =
-  vi.hoisted(() => ({
-    isOnlineMock: vi.fn(),
-    localGetMock: vi.fn(),
-    metaGetMock: vi.fn(),
-    metaPutMock: vi.fn(),
-    remoteRequestMock: vi.fn(),
-    warnMock: vi.fn(),
-  }));
-
-vi.mock('../../src/utils/db', () => ({
-  db: {
-    meta: {
-      get: (...args) => metaGetMock(...args),
-      put: (...args) => metaPutMock(...args),
-    },
-  },
+const h = vi.hoisted(() => ({
+  rows: new Map(),
+  meta: new Map(),
+  queued: [],
 }));
 
+const { isOnlineMock, localGetMock, remoteRequestMock, warnMock } = vi.hoisted(() => ({
+  isOnlineMock: vi.fn(),
+  localGetMock: vi.fn(),
+  remoteRequestMock: vi.fn(),
+  warnMock: vi.fn(),
+}));
+
+const key = (k) => JSON.stringify(k);
+
+vi.mock('../../src/utils/db', () => {
+  const all = () => [...h.rows.values()];
+  const collection = (match) => ({
+    toArray: async () => all().filter(match),
+    delete: async () => {
+      for (const row of all().filter(match)) h.rows.delete(key([row.account, row.id]));
+    },
+  });
+  return {
+    db: {
+      contacts: {
+        get: vi.fn(async (k) => h.rows.get(key(k))),
+        put: vi.fn(async (row) => {
+          h.rows.set(key([row.account, row.id]), row);
+        }),
+        bulkPut: vi.fn(async (list) => {
+          for (const row of list) h.rows.set(key([row.account, row.id]), row);
+        }),
+        update: vi.fn(async (k, changes) => {
+          const row = h.rows.get(key(k));
+          if (row) Object.assign(row, changes);
+        }),
+        delete: vi.fn(async (k) => {
+          h.rows.delete(key(k));
+        }),
+        where: (index) => ({
+          equals: (value) =>
+            index === 'emails'
+              ? collection((row) => row.emails.includes(value))
+              : collection((row) => row.account === value),
+          between: (lower) => ({
+            toArray: async () =>
+              all()
+                .filter((row) => row.account === lower[0])
+                .sort((a, b) => a.sortName.localeCompare(b.sortName)),
+          }),
+        }),
+      },
+      meta: {
+        get: vi.fn(async (k) => h.meta.get(k)),
+        put: vi.fn(async (record) => {
+          h.meta.set(record.key, record);
+        }),
+        delete: vi.fn(async (k) => {
+          h.meta.delete(k);
+        }),
+      },
+    },
+  };
+});
+
 vi.mock('../../src/utils/storage', () => ({
   Local: {
     get: (...args) => localGetMock(...args),
@@ -39,13 +86,28 @@ vi.mock('../../src/utils/network-status', () => ({
   isOnline: (...args) => isOnlineMock(...args),
 }));
 
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: vi.fn(async (type, payload) => {
+    h.queued.push({ type, payload: { ...payload, account: ACCOUNT } });
+  }),
+}));
+
 import {
+  applyContactRealtimeChange,
   getContacts,
+  mergeRecentAddresses,
+  queueContactWrite,
+  readCachedContacts,
   removeContactFromCache,
+  replaceCachedContacts,
+  replayContactWrite,
+  revertContactMutation,
   upsertContactInCache,
   upsertMultipleContactsInCache,
 } from '../../src/utils/contact-cache.js';
 
+const ACCOUNT = 'user@example.com';
+
 function makeRawContact(index) {
   return {
     id: `contact-${index}`,
@@ -55,17 +117,31 @@ function makeRawContact(index) {
   };
 }
 
+const tino = (emails, name = 'Tino Kremer') => ({
+  id: 'tino',
+  full_name: name,
+  emails: emails.map((value) => ({ value })),
+});
+
+const replayQueued = async () => {
+  for (const { type, payload } of h.queued.splice(0)) {
+    await replayContactWrite(type, payload);
+  }
+};
+
+const resetState = () => {
+  vi.clearAllMocks();
+  h.rows.clear();
+  h.meta.clear();
+  h.queued.length = 0;
+  localGetMock.mockImplementation((k) => (k === 'email' ? ACCOUNT : null));
+  isOnlineMock.mockReturnValue(true);
+  remoteRequestMock.mockReset();
+  warnMock.mockReset();
+};
+
 describe('contact-cache pagination', () => {
-  beforeEach(() => {
-    vi.clearAllMocks();
-
-    localGetMock.mockImplementation((key) => (key === 'email' ? 'user@example.com' : null));
-    isOnlineMock.mockReturnValue(true);
-    metaGetMock.mockResolvedValue(null);
-    metaPutMock.mockResolvedValue(undefined);
-    remoteRequestMock.mockReset();
-    warnMock.mockReset();
-  });
+  beforeEach(resetState);
 
   it('fetches and caches every contacts page when force refreshing', async () => {
     const firstPage = Array.from({ length: 500 }, (_, index) => makeRawContact(index + 1));
@@ -99,68 +175,58 @@ describe('contact-cache pagination', () => {
       email: 'contact754@example.com',
       name: 'Contact 0754',
     });
-    expect(metaPutMock).toHaveBeenCalledTimes(1);
-    expect(metaPutMock).toHaveBeenCalledWith(
-      expect.objectContaining({
-        key: 'contacts_v2_user@example.com',
-        value: expect.arrayContaining([
-          expect.objectContaining({ id: 'contact-1:contact1@example.com' }),
-          expect.objectContaining({ id: 'contact-754:contact754@example.com' }),
-        ]),
-      }),
-    );
-    expect(metaPutMock.mock.calls[0][0].value).toHaveLength(754);
+    expect(h.rows.size).toBe(754);
+    expect(h.rows.get(key([ACCOUNT, 'contact-1']))).toMatchObject({
+      sortName: 'contact 0001',
+      emails: ['contact1@example.com'],
+      pending: null,
+    });
+    expect(h.meta.has(`contacts_synced_${ACCOUNT}`)).toBe(true);
   });
 
   it('returns stale cached contacts immediately and refreshes them with all pages in the background', async () => {
-    const staleContacts = [{ id: 'cached-1', email: 'cached@example.com', name: 'Cached Contact' }];
+    await replaceCachedContacts([makeRawContact(9999)], ACCOUNT);
+    h.meta.get(`contacts_synced_${ACCOUNT}`).updatedAt = Date.now() - 16 * 60 * 1000;
     const firstPage = Array.from({ length: 500 }, (_, index) => makeRawContact(index + 1));
     const secondPage = Array.from({ length: 2 }, (_, index) => makeRawContact(index + 501));
-
-    metaGetMock.mockResolvedValue({
-      value: staleContacts,
-      updatedAt: Date.now() - 16 * 60 * 1000,
-    });
     remoteRequestMock
       .mockResolvedValueOnce({ contacts: firstPage })
       .mockResolvedValueOnce({ contacts: secondPage });
 
     const contacts = await getContacts();
 
-    expect(contacts).toEqual(staleContacts);
+    expect(contacts.map((contact) => contact.contactId)).toEqual(['contact-9999']);
 
     await vi.waitFor(() => {
       expect(remoteRequestMock).toHaveBeenCalledTimes(2);
-      expect(metaPutMock).toHaveBeenCalledWith(
-        expect.objectContaining({
-          key: 'contacts_v2_user@example.com',
-        }),
-      );
+      expect(h.rows.size).toBe(502);
     });
-
-    expect(remoteRequestMock).toHaveBeenNthCalledWith(1, 'Contacts', {
-      page: 1,
-      limit: 500,
-    });
-    expect(remoteRequestMock).toHaveBeenNthCalledWith(2, 'Contacts', {
-      page: 2,
-      limit: 500,
-    });
-    expect(metaPutMock.mock.calls.at(-1)[0].value).toHaveLength(502);
     expect(warnMock).not.toHaveBeenCalled();
   });
+
+  it('drops the legacy single-blob cache on the first full fetch', async () => {
+    h.meta.set(`contacts_v2_${ACCOUNT}`, { key: `contacts_v2_${ACCOUNT}`, value: [] });
+
+    await replaceCachedContacts([makeRawContact(1)], ACCOUNT);
+
+    expect(h.meta.has(`contacts_v2_${ACCOUNT}`)).toBe(false);
+  });
+
+  it('offers whatever is cached when offline and never fetched', async () => {
+    isOnlineMock.mockReturnValue(false);
+    await mergeRecentAddresses([{ email: 'friend@example.com', name: 'Friend' }]);
+
+    const contacts = await getContacts();
+
+    expect(remoteRequestMock).not.toHaveBeenCalled();
+    expect(contacts).toEqual([
+      expect.objectContaining({ email: 'friend@example.com', name: 'Friend' }),
+    ]);
+  });
 });
 
 describe('contact-cache multi-address CardDAV support', () => {
-  beforeEach(() => {
-    vi.clearAllMocks();
-    localGetMock.mockImplementation((key) => (key === 'email' ? 'user@example.com' : null));
-    isOnlineMock.mockReturnValue(true);
-    metaGetMock.mockResolvedValue(null);
-    metaPutMock.mockResolvedValue(undefined);
-    remoteRequestMock.mockReset();
-    warnMock.mockReset();
-  });
+  beforeEach(resetState);
 
   it('indexes every unique email for a contact, including a vCard-only fallback address', async () => {
     remoteRequestMock.mockResolvedValueOnce({
@@ -212,35 +278,25 @@ describe('contact-cache multi-address CardDAV support', () => {
       ]),
     );
     expect(contacts).toHaveLength(3);
+    expect(h.rows.get(key([ACCOUNT, 'tino'])).emails).toEqual([
+      'tino@tinokremer.nl',
+      'info@tinokremer.nl',
+      'family@tinokremer.nl',
+    ]);
   });
 
   it('replaces stale secondary-address entries when one contact is updated', async () => {
-    metaGetMock.mockResolvedValue({
-      value: [
-        {
-          id: 'tino:tino@tinokremer.nl',
-          contactId: 'tino',
-          email: 'tino@tinokremer.nl',
-          name: 'Old Tino',
-        },
-        {
-          id: 'tino:old@tinokremer.nl',
-          contactId: 'tino',
-          email: 'old@tinokremer.nl',
-          name: 'Old Tino',
-        },
-        { id: 'other:other@example.com', contactId: 'other', email: 'other@example.com' },
+    await replaceCachedContacts(
+      [
+        tino(['tino@tinokremer.nl', 'old@tinokremer.nl'], 'Old Tino'),
+        { id: 'other', emails: [{ value: 'other@example.com' }] },
       ],
-      updatedAt: Date.now(),
-    });
+      ACCOUNT,
+    );
 
-    await upsertContactInCache({
-      id: 'tino',
-      name: 'Tino Kremer',
-      emails: [{ value: 'tino@tinokremer.nl' }, { value: 'info@tinokremer.nl' }],
-    });
+    await upsertContactInCache(tino(['tino@tinokremer.nl', 'info@tinokremer.nl']));
 
-    const cached = metaPutMock.mock.calls.at(-1)[0].value;
+    const cached = await getContacts();
     expect(cached).toEqual(
       expect.arrayContaining([
         expect.objectContaining({ email: 'tino@tinokremer.nl', name: 'Tino Kremer' }),
@@ -254,20 +310,11 @@ describe('contact-cache multi-address CardDAV support', () => {
   });
 
   it('replaces every address for each contact during a bulk refresh', async () => {
-    metaGetMock.mockResolvedValue({
-      value: [{ id: 'tino', email: 'old@tinokremer.nl', name: 'Old Tino' }],
-      updatedAt: Date.now(),
-    });
+    await replaceCachedContacts([tino(['old@tinokremer.nl'], 'Old Tino')], ACCOUNT);
 
-    await upsertMultipleContactsInCache([
-      {
-        id: 'tino',
-        name: 'Tino Kremer',
-        emails: [{ value: 'tino@tinokremer.nl' }, { value: 'info@tinokremer.nl' }],
-      },
-    ]);
+    await upsertMultipleContactsInCache([tino(['tino@tinokremer.nl', 'info@tinokremer.nl'])]);
 
-    const cached = metaPutMock.mock.calls.at(-1)[0].value;
+    const cached = await getContacts();
     expect(cached).toHaveLength(2);
     expect(cached.map((contact) => contact.email).sort()).toEqual([
       'info@tinokremer.nl',
@@ -277,46 +324,173 @@ describe('contact-cache multi-address CardDAV support', () => {
 });
 
 describe('contact-cache multi-address deletion', () => {
-  beforeEach(() => {
-    vi.clearAllMocks();
-    localGetMock.mockImplementation((key) => (key === 'email' ? 'user@example.com' : null));
-    metaPutMock.mockResolvedValue(undefined);
-  });
+  beforeEach(resetState);
 
   it('removes every cached address for the deleted CardDAV contact', async () => {
-    metaGetMock.mockResolvedValue({
-      value: [
-        {
-          id: 'tino:tino@tinokremer.nl',
-          contactId: 'tino',
-          email: 'tino@tinokremer.nl',
-        },
-        {
-          id: 'tino:info@tinokremer.nl',
-          contactId: 'tino',
-          email: 'info@tinokremer.nl',
-        },
-        {
-          id: 'other:other@example.com',
-          contactId: 'other',
-          email: 'other@example.com',
-        },
+    await replaceCachedContacts(
+      [
+        tino(['tino@tinokremer.nl', 'info@tinokremer.nl']),
+        { id: 'other', emails: [{ value: 'other@example.com' }] },
       ],
-      updatedAt: Date.now(),
-    });
+      ACCOUNT,
+    );
 
     await removeContactFromCache('tino');
 
-    expect(metaPutMock).toHaveBeenCalledWith(
-      expect.objectContaining({
-        key: 'contacts_v2_user@example.com',
-        value: [
-          expect.objectContaining({
-            contactId: 'other',
-            email: 'other@example.com',
-          }),
-        ],
-      }),
+    expect(await getContacts()).toEqual([
+      expect.objectContaining({ contactId: 'other', email: 'other@example.com' }),
+    ]);
+  });
+});
+
+describe('contact-cache recent addresses', () => {
+  beforeEach(resetState);
+
+  it('adds only addresses no contact already has, and gives way to a contact later', async () => {
+    await replaceCachedContacts([tino(['tino@tinokremer.nl'])], ACCOUNT);
+
+    await mergeRecentAddresses(['TINO@tinokremer.nl', 'new@example.com']);
+
+    expect([...h.rows.values()].filter((row) => row.recent).map((row) => row.id)).toEqual([
+      'recent:new@example.com',
+    ]);
+    expect(await readCachedContacts(ACCOUNT)).toHaveLength(1);
+
+    await replaceCachedContacts(
+      [tino(['tino@tinokremer.nl']), { id: 'n', emails: [{ value: 'new@example.com' }] }],
+      ACCOUNT,
+    );
+    expect(h.rows.has(key([ACCOUNT, 'recent:new@example.com']))).toBe(false);
+  });
+});
+
+describe('contact-cache queued writes', () => {
+  beforeEach(resetState);
+
+  it('keeps queued local writes across a full fetch', async () => {
+    await replaceCachedContacts([tino(['tino@tinokremer.nl']), makeRawContact(1)], ACCOUNT);
+    await queueContactWrite('contactUpdate', {
+      contactId: 'tino',
+      payload: { full_name: 'Tino Offline' },
+      contact: { full_name: 'Tino Offline', emails: [{ value: 'tino@tinokremer.nl' }] },
+    });
+    await queueContactWrite('contactDelete', { contactId: 'contact-1' });
+
+    const merged = await replaceCachedContacts(
+      [tino(['tino@tinokremer.nl']), makeRawContact(1)],
+      ACCOUNT,
+    );
+
+    expect(merged.map((contact) => contact.full_name)).toEqual(['Tino Offline']);
+    expect((await readCachedContacts(ACCOUNT)).map((contact) => contact.id)).toEqual(['tino']);
+    expect(h.queued).toEqual([
+      {
+        type: 'contactUpdate',
+        payload: expect.objectContaining({ contactId: 'tino', name: 'Tino Offline', seq: 1 }),
+      },
+      { type: 'contactDelete', payload: expect.objectContaining({ contactId: 'contact-1' }) },
+    ]);
+  });
+
+  it('replays an offline create and sends later edits to the server id', async () => {
+    remoteRequestMock.mockImplementation(async (action, body) => {
+      if (action === 'ContactsCreate') return { id: 'srv-1', ...body };
+      return { ...body };
+    });
+    const body = { full_name: 'Ada', emails: [{ value: 'ada@example.com' }] };
+    await queueContactWrite('contactCreate', {
+      contactId: 'temp-1',
+      payload: body,
+      contact: { ...body, id: 'temp-1' },
+    });
+    await queueContactWrite('contactUpdate', {
+      contactId: 'temp-1',
+      payload: { ...body, full_name: 'Ada Lovelace' },
+      contact: { ...body, full_name: 'Ada Lovelace', id: 'temp-1' },
+    });
+
+    await replayQueued();
+
+    expect(remoteRequestMock.mock.calls.map(([action]) => action)).toEqual([
+      'ContactsCreate',
+      'ContactsUpdate',
+    ]);
+    expect(remoteRequestMock.mock.calls[1][2].pathOverride).toBe('/v1/contacts/srv-1');
+    expect(h.rows.has(key([ACCOUNT, 'temp-1']))).toBe(false);
+    expect(h.rows.get(key([ACCOUNT, 'srv-1']))).toMatchObject({
+      tempId: 'temp-1',
+      pending: null,
+      contact: { full_name: 'Ada Lovelace' },
+    });
+  });
+
+  it('treats a delete of a contact already gone as done', async () => {
+    await replaceCachedContacts([makeRawContact(1)], ACCOUNT);
+    await queueContactWrite('contactDelete', { contactId: 'contact-1' });
+    remoteRequestMock.mockRejectedValue(Object.assign(new Error('Not found'), { status: 404 }));
+
+    await replayQueued();
+
+    expect(h.rows.size).toBe(0);
+  });
+
+  it('fails an update to a contact deleted elsewhere for good, then restores the cache', async () => {
+    await replaceCachedContacts([makeRawContact(1)], ACCOUNT);
+    await queueContactWrite('contactUpdate', {
+      contactId: 'contact-1',
+      payload: { full_name: 'Renamed' },
+      contact: { full_name: 'Renamed' },
+    });
+    remoteRequestMock.mockRejectedValue(Object.assign(new Error('Not found'), { status: 404 }));
+    const [{ type, payload }] = h.queued.splice(0);
+
+    const err = await replayContactWrite(type, payload).catch((e) => e);
+    expect(err).toMatchObject({ permanent: true, code: 'CONTACT_DELETED' });
+
+    const message = await revertContactMutation({ type, payload, lastError: err.message });
+    expect(message).toBe(
+      '"Renamed" was deleted on another device, so your offline change was not saved.',
     );
+    expect(h.rows.size).toBe(0);
+  });
+});
+
+describe('applyContactRealtimeChange', () => {
+  beforeEach(resetState);
+
+  it('fetches updated contacts, drops deleted ones and leaves pending rows alone', async () => {
+    await replaceCachedContacts([makeRawContact(1), makeRawContact(2)], ACCOUNT);
+    await queueContactWrite('contactUpdate', {
+      contactId: 'contact-2',
+      contact: { ...makeRawContact(2), full_name: 'Local' },
+    });
+    remoteRequestMock.mockImplementation(async (action, params, options) => ({
+      ...makeRawContact(options.pathOverride.endsWith('contact-1') ? 1 : 2),
+      full_name: 'Remote',
+    }));
+
+    expect(
+      await applyContactRealtimeChange(ACCOUNT, 'contactUpdated', { contactId: 'contact-1' }),
+    ).toBe(true);
+    await applyContactRealtimeChange(ACCOUNT, 'contactUpdated', { contactId: 'contact-2' });
+    expect((await readCachedContacts(ACCOUNT)).map((contact) => contact.full_name)).toEqual([
+      'Local',
+      'Remote',
+    ]);
+
+    await applyContactRealtimeChange(ACCOUNT, 'contactDeleted', { contactId: 'contact-1' });
+    expect((await readCachedContacts(ACCOUNT)).map((contact) => contact.id)).toEqual(['contact-2']);
+    expect(await applyContactRealtimeChange(ACCOUNT, 'contactUpdated', {})).toBe(false);
+  });
+
+  it('uses the card carried by a contactCreated event without a fetch', async () => {
+    const card = { ...makeRawContact(3), content: 'BEGIN:VCARD\r\nEND:VCARD' };
+
+    await applyContactRealtimeChange(ACCOUNT, 'contactCreated', { contactId: 'contact-3', card });
+
+    expect(remoteRequestMock).not.toHaveBeenCalled();
+    expect(h.rows.get(key([ACCOUNT, 'contact-3'])).contact).toMatchObject({
+      full_name: 'Contact 0003',
+    });
   });
 });
@@ -0,0 +1,118 @@
+// @vitest-environment node
+/**
+ * external-fetch tests: third-party requests go through the same-origin
+ * /external proxy in the browser and the HTTP plugin on Tauri, never straight
+ * from the webview, and the worker side of the proxy forwards only what WKD,
+ * calendar feeds and one-click unsubscribe need.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({ tauri: false, tauriFetch: vi.fn() }));
+
+vi.mock('../../src/utils/platform.js', () => ({
+  get isTauri() {
+    return h.tauri;
+  },
+}));
+vi.mock('@tauri-apps/plugin-http', () => ({ fetch: h.tauriFetch }));
+
+import { externalFetch, isPrivateHost } from '../../src/utils/external-fetch';
+import { handleExternalRequest } from '../../worker/src/external.js';
+
+const webFetch = vi.fn(async () => new Response('ok'));
+
+beforeEach(() => {
+  h.tauri = false;
+  h.tauriFetch.mockReset().mockResolvedValue(new Response('ok'));
+  webFetch.mockClear();
+  vi.stubGlobal('fetch', webFetch);
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe('externalFetch', () => {
+  it('asks the same-origin proxy in the browser, without credentials', async () => {
+    await externalFetch('https://example.org/feed.ics', { headers: { Accept: 'text/calendar' } });
+    expect(webFetch).toHaveBeenCalledWith(
+      '/external?url=https%3A%2F%2Fexample.org%2Ffeed.ics',
+      expect.objectContaining({ method: 'GET', credentials: 'omit' }),
+    );
+  });
+
+  it('uses the HTTP plugin on Tauri', async () => {
+    h.tauri = true;
+    await externalFetch('https://list.example.org/u/1', {
+      method: 'POST',
+      body: 'List-Unsubscribe=One-Click',
+    });
+    expect(webFetch).not.toHaveBeenCalled();
+    expect(h.tauriFetch).toHaveBeenCalledWith(
+      'https://list.example.org/u/1',
+      expect.objectContaining({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      }),
+    );
+  });
+
+  it('refuses private hosts and non-http URLs before sending anything', async () => {
+    await expect(externalFetch('http://192.168.1.1/')).rejects.toThrow(TypeError);
+    await expect(externalFetch('file:///etc/passwd')).rejects.toThrow(TypeError);
+    expect(webFetch).not.toHaveBeenCalled();
+    expect(isPrivateHost('172.20.0.1')).toBe(true);
+    expect(isPrivateHost('172.32.0.1')).toBe(false);
+    expect(isPrivateHost('openpgpkey.example.org')).toBe(false);
+  });
+});
+
+describe('worker /external route', () => {
+  const APP = 'https://mail.example.net';
+  const proxied = (url: string, init: Parameters<typeof fetch>[1] = {}, site = 'same-origin') =>
+    new Request(`${APP}/external?url=${encodeURIComponent(url)}`, {
+      ...init,
+      headers: { 'Sec-Fetch-Site': site, 'Sec-Fetch-Dest': 'empty', ...init.headers },
+    });
+
+  it('forwards a feed request with its validators and hands back an inert body', async () => {
+    webFetch.mockResolvedValueOnce(
+      new Response('<script>alert(1)</script>', {
+        headers: { 'Content-Type': 'text/html', ETag: '"v2"' },
+      }),
+    );
+    const res = await handleExternalRequest(
+      proxied('https://example.org/feed.ics', {
+        headers: { 'If-None-Match': '"v1"', Cookie: 'session=1' },
+      }),
+    );
+    const [url, init] = webFetch.mock.calls[0] as unknown as [string, { headers: unknown }];
+    expect(url).toBe('https://example.org/feed.ics');
+    expect(init.headers).toEqual({ 'if-none-match': '"v1"' });
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe('application/octet-stream');
+    expect(res.headers.get('etag')).toBe('"v2"');
+  });
+
+  it('only posts the one-click unsubscribe body, to https', async () => {
+    const post = (url: string, body: string) =>
+      handleExternalRequest(proxied(url, { method: 'POST', body }));
+    expect((await post('https://list.example.org/u', 'a=b')).status).toBe(400);
+    expect((await post('http://list.example.org/u', 'List-Unsubscribe=One-Click')).status).toBe(
+      400,
+    );
+    expect(webFetch).not.toHaveBeenCalled();
+    expect((await post('https://list.example.org/u', 'List-Unsubscribe=One-Click')).status).toBe(
+      200,
+    );
+  });
+
+  it('refuses other sites, navigations and private hosts', async () => {
+    expect(
+      (await handleExternalRequest(proxied('https://a.example', {}, 'cross-site'))).status,
+    ).toBe(403);
+    const navigation = new Request(`${APP}/external?url=https%3A%2F%2Fa.example`, {
+      headers: { 'Sec-Fetch-Site': 'same-origin', 'Sec-Fetch-Dest': 'document' },
+    });
+    expect((await handleExternalRequest(navigation)).status).toBe(403);
+    expect((await handleExternalRequest(proxied('http://127.0.0.1:8080/'))).status).toBe(403);
+    expect(webFetch).not.toHaveBeenCalled();
+  });
+});
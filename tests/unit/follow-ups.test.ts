@@ -0,0 +1,256 @@
+/**
+ * follow-ups tests: what counts as a reply, settling follow-ups from synced
+ * mail, and the deadline: the INBOX scan before nudging, listing the Sent
+ * copy in INBOX without touching it, notifying once, and closing the
+ * follow-up once the copy has been opened.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+const h = vi.hoisted(() => ({
+  outbox: new Map<string, Record<string, unknown>>(),
+  messages: new Map<string, Record<string, unknown>>(),
+  queued: [] as { type: string; payload: Record<string, unknown> }[],
+  notify: vi.fn(),
+}));
+
+const key = (k: unknown) => JSON.stringify(k);
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    outbox: {
+      update: vi.fn(async (k: unknown, changes: Record<string, unknown>) => {
+        const row = h.outbox.get(key(k));
+        if (row) Object.assign(row, changes);
+      }),
+      where: () => ({
+        equals: (account: string) => ({
+          toArray: async () => [...h.outbox.values()].filter((row) => row.account === account),
+        }),
+      }),
+    },
+    messages: {
+      where: (index: string) => ({
+        equals: (k: string[]) => ({
+          toArray: async () =>
+            [...h.messages.values()].filter(
+              (row) => index === '[account+folder]' && row.folder === k[1],
+            ),
+          modify: vi.fn(async (changes: Record<string, unknown>) => {
+            const row = h.messages.get(key(k));
+            if (row) Object.assign(row, changes);
+          }),
+        }),
+      }),
+    },
+    folders: {
+      where: () => ({ equals: () => ({ toArray: async () => [] }) }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/account-scope', () => ({
+  activeAccount: () => 'me@example.com',
+  isActiveAccount: (account: string) => account === 'me@example.com',
+}));
+
+vi.mock('../../src/utils/sent-folder.js', () => ({ resolveSentFolder: () => 'Sent' }));
+
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: vi.fn(async (type: string, payload: Record<string, unknown>) => {
+    h.queued.push({ type, payload });
+  }),
+}));
+
+vi.mock('../../src/utils/sync-worker-client.js', () => ({ onSyncProgress: vi.fn() }));
+
+vi.mock('../../src/utils/notification-manager.js', () => ({ notifyFollowUpDue: h.notify }));
+
+vi.mock('../../src/stores/messageStore', async () => {
+  const { writable } = await import('svelte/store');
+  return {
+    resurfacedMessages: writable([]),
+    selectedMessage: writable(null),
+    isResurfaced: (m: { id?: string } | null, list: { id?: string }[]) =>
+      Boolean(m && list.some((r) => r.id === m.id)),
+  };
+});
+
+import {
+  dismissResurfaced,
+  followUpDeadline,
+  isFollowUpReply,
+  resolveFollowUps,
+  scheduleFollowUpChecks,
+  withFollowUpMessageId,
+  type FollowUp,
+} from '../../src/utils/follow-ups';
+import { getConversationId } from '../../src/utils/threading';
+import { resurfacedMessages } from '../../src/stores/messageStore';
+
+const ACCOUNT = 'me@example.com';
+const OURS = '<ours@example.com>';
+const DAY = 24 * 60 * 60 * 1000;
+
+const followUpFor = (overrides: Partial<FollowUp> = {}): FollowUp => ({
+  messageId: OURS,
+  conversationId: getConversationId({ message_id: OURS, in_reply_to: '<theirs@b.com>' }),
+  sentAt: Date.now(),
+  remindAt: followUpDeadline(3),
+  status: 'waiting',
+  ...overrides,
+});
+
+const track = (id: string, overrides: Partial<FollowUp> = {}) => {
+  const row = {
+    account: ACCOUNT,
+    id,
+    status: 'sent',
+    emailData: { from: 'Me <me@example.com>', to: ['bob@b.com'], subject: 'Proposal' },
+    followUp: followUpFor(overrides),
+  };
+  h.outbox.set(key([ACCOUNT, id]), row);
+  return row;
+};
+
+const message = (id: string, fields: Record<string, unknown>) => {
+  const row = { account: ACCOUNT, id, flags: [], is_unread: true, ...fields };
+  h.messages.set(key([ACCOUNT, id]), row);
+  return row;
+};
+
+const settle = async () => {
+  for (let i = 0; i < 30; i++) await Promise.resolve();
+};
+
+describe('withFollowUpMessageId', () => {
+  it('adds a Message-ID on the sender domain and keeps an existing one', () => {
+    const added = withFollowUpMessageId({ from: '"Me" <me@example.com>' });
+    expect(added.messageId).toMatch(/^<.+@example\.com>$/);
+    expect(withFollowUpMessageId({ from: 'me@example.com', messageId: OURS }).messageId).toBe(OURS);
+  });
+});
+
+describe('isFollowUpReply', () => {
+  it('matches In-Reply-To and References', () => {
+    const followUp = followUpFor();
+    expect(isFollowUpReply({ in_reply_to: OURS }, followUp)).toBe(true);
+    expect(isFollowUpReply({ references: `<theirs@b.com> ${OURS}` }, followUp)).toBe(true);
+    expect(isFollowUpReply({ in_reply_to: '<other@b.com>' }, followUp)).toBe(false);
+  });
+
+  it('counts later mail in the conversation, but not our own or earlier mail', () => {
+    const followUp = followUpFor({ sentAt: 1000 });
+    // Replied to the message we answered, which shares the conversation id.
+    const sibling = { references: '<theirs@b.com>', from: 'carol@b.com' };
+    expect(isFollowUpReply({ ...sibling, date: 2000 }, followUp)).toBe(true);
+    expect(isFollowUpReply({ ...sibling, date: 500 }, followUp)).toBe(false);
+    expect(
+      isFollowUpReply(
+        { in_reply_to: OURS, from: 'Me <ME@example.com>' },
+        followUp,
+        'me@example.com',
+      ),
+    ).toBe(false);
+  });
+});
+
+describe('follow-up deadlines', () => {
+  beforeEach(() => {
+    h.outbox.clear();
+    h.messages.clear();
+    h.queued.length = 0;
+    h.notify.mockClear();
+    resurfacedMessages.set([]);
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 2, 11, 10, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('settles a follow-up when synced mail replies to it', async () => {
+    track('o1');
+    expect(await resolveFollowUps(ACCOUNT, [{ id: 'r1', in_reply_to: OURS }])).toBe(1);
+    expect(h.outbox.get(key([ACCOUNT, 'o1']))?.followUp).toBeNull();
+    // Other accounts are left alone.
+    track('o2');
+    expect(await resolveFollowUps('other@example.com', [{ in_reply_to: OURS }])).toBe(0);
+  });
+
+  it('lists the Sent copy in INBOX without moving it, and notifies once', async () => {
+    track('o1');
+    message('s1', {
+      folder: 'Sent',
+      header_message_id: OURS,
+      flags: ['\\Seen'],
+      is_unread: false,
+      subject: 'Proposal',
+    });
+    await scheduleFollowUpChecks();
+
+    await vi.advanceTimersByTimeAsync(3 * DAY);
+    await settle();
+
+    // Nothing moves and no flags change, locally or on the server.
+    expect(h.queued).toEqual([]);
+    expect(h.messages.get(key([ACCOUNT, 's1']))).toMatchObject({
+      folder: 'Sent',
+      is_unread: false,
+      flags: ['\\Seen'],
+    });
+    expect(h.outbox.get(key([ACCOUNT, 'o1']))?.followUp).toMatchObject({
+      status: 'due',
+      resurfaced: true,
+    });
+    expect(get(resurfacedMessages).map((m) => m.id)).toEqual(['s1']);
+    expect(h.notify).toHaveBeenCalledTimes(1);
+    expect(h.notify).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'o1', subject: 'Proposal', account: ACCOUNT }),
+    );
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    await settle();
+    expect(h.notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes the follow-up once the resurfaced copy has been opened', async () => {
+    track('o1', { status: 'due', resurfaced: true });
+    const copy = message('s1', { folder: 'Sent', header_message_id: OURS, is_unread: false });
+    await scheduleFollowUpChecks();
+    expect(get(resurfacedMessages)).toHaveLength(1);
+
+    expect(await dismissResurfaced(ACCOUNT, copy)).toBe(true);
+    expect(h.outbox.get(key([ACCOUNT, 'o1']))?.followUp).toBeNull();
+    expect(get(resurfacedMessages)).toEqual([]);
+    expect(await dismissResurfaced(ACCOUNT, copy)).toBe(false);
+  });
+
+  it('does not nudge when INBOX already holds a reply', async () => {
+    track('o1', { remindAt: Date.now() - 1 });
+    message('r1', { folder: 'INBOX', in_reply_to: OURS, from: 'bob@b.com' });
+
+    await scheduleFollowUpChecks();
+    await vi.advanceTimersByTimeAsync(0);
+    await settle();
+
+    expect(h.notify).not.toHaveBeenCalled();
+    expect(h.queued).toEqual([]);
+    expect(h.outbox.get(key([ACCOUNT, 'o1']))?.followUp).toBeNull();
+  });
+
+  it('ignores follow-ups on mail that has not gone out yet', async () => {
+    const row = track('o1', { remindAt: Date.now() - 1 });
+    row.status = 'pending';
+
+    await scheduleFollowUpChecks();
+    document.dispatchEvent(new Event('visibilitychange'));
+    await settle();
+
+    expect(h.notify).not.toHaveBeenCalled();
+    expect(h.outbox.get(key([ACCOUNT, 'o1']))?.followUp).toMatchObject({ status: 'waiting' });
+  });
+});
@@ -0,0 +1,221 @@
+// @vitest-environment node
+/**
+ * free-busy tests: VFREEBUSY parsing, busy time from cached events, free
+ * slot search, and lookups against a local mock free/busy server.
+ */
+import { createServer, type Server } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({ events: [] as Record<string, unknown>[] }));
+
+vi.mock('../../src/utils/calendar-cache', () => ({
+  readCachedEvents: vi.fn(async () => h.events),
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+import {
+  busyFromEvents,
+  findFreeSlots,
+  freeBusyUrl,
+  lookupFreeBusy,
+  ownBusy,
+  parseFreeBusy,
+  setFreeBusyLookup,
+} from '../../src/utils/free-busy';
+
+const at = (iso: string) => new Date(iso).getTime();
+
+const vfreebusy = (attendee: string, periods: string[]) =>
+  [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'METHOD:REPLY',
+    'BEGIN:VFREEBUSY',
+    `ATTENDEE:mailto:${attendee}`,
+    'DTSTART:20260504T000000Z',
+    'DTEND:20260505T000000Z',
+    ...periods,
+    'END:VFREEBUSY',
+    'END:VCALENDAR',
+  ].join('\r\n');
+
+describe('parseFreeBusy', () => {
+  it('reads busy periods and skips free ones', () => {
+    const busy = parseFreeBusy(
+      vfreebusy('ann@example.com', [
+        'FREEBUSY:20260504T090000Z/20260504T100000Z',
+        'FREEBUSY;FBTYPE=BUSY-TENTATIVE:20260504T130000Z/PT30M',
+        'FREEBUSY;FBTYPE=FREE:20260504T150000Z/20260504T160000Z',
+      ]),
+    );
+    expect(busy).toEqual([
+      { start: at('2026-05-04T09:00:00Z'), end: at('2026-05-04T10:00:00Z'), type: 'BUSY' },
+      {
+        start: at('2026-05-04T13:00:00Z'),
+        end: at('2026-05-04T13:30:00Z'),
+        type: 'BUSY-TENTATIVE',
+      },
+    ]);
+  });
+
+  it('keeps only the asked attendee and tolerates junk', () => {
+    const ics = vfreebusy('bob@example.com', ['FREEBUSY:20260504T090000Z/20260504T100000Z']);
+    expect(parseFreeBusy(ics, 'Ann@Example.com')).toEqual([]);
+    expect(parseFreeBusy(ics, 'bob@example.com')).toHaveLength(1);
+    expect(parseFreeBusy('not a calendar')).toEqual([]);
+  });
+});
+
+describe('busyFromEvents and ownBusy', () => {
+  const event = (id: string, start: string, end: string, extra: Record<string, unknown> = {}) => ({
+    id,
+    start,
+    end,
+    ...extra,
+  });
+
+  it('leaves out tasks, all-day, transparent, cancelled and ignored events', () => {
+    const busy = busyFromEvents(
+      [
+        event('a', '2026-05-04T09:00:00Z', '2026-05-04T10:00:00Z'),
+        event('b', '2026-05-04T11:00:00Z', '2026-05-04T12:00:00Z', { status: 'TENTATIVE' }),
+        event('c', '2026-05-04T12:00:00Z', '2026-05-04T13:00:00Z', { componentType: 'VTODO' }),
+        event('d', '2026-05-04T00:00:00Z', '2026-05-05T00:00:00Z', { allDay: true }),
+        event('e', '2026-05-04T14:00:00Z', '2026-05-04T15:00:00Z', {
+          raw: { ical: 'BEGIN:VEVENT\r\nTRANSP:TRANSPARENT\r\nEND:VEVENT' },
+        }),
+        event('f', '2026-05-04T15:00:00Z', '2026-05-04T16:00:00Z', { status: 'CANCELLED' }),
+        event('g::2026-05-04', '2026-05-04T16:00:00Z', '2026-05-04T17:00:00Z'),
+        event('h', '2026-05-06T09:00:00Z', '2026-05-06T10:00:00Z'),
+      ],
+      at('2026-05-04T00:00:00Z'),
+      at('2026-05-05T00:00:00Z'),
+      'g',
+    );
+    expect(busy.map((b) => b.type)).toEqual(['BUSY', 'BUSY-TENTATIVE']);
+  });
+
+  it('reads our own busy time from the calendar cache', async () => {
+    h.events = [event('a', '2026-05-04T09:00:00Z', '2026-05-04T10:00:00Z')];
+    const busy = await ownBusy(
+      'me@example.com',
+      new Date('2026-05-04T00:00:00Z'),
+      new Date('2026-05-05T00:00:00Z'),
+    );
+    expect(busy).toEqual([
+      { start: at('2026-05-04T09:00:00Z'), end: at('2026-05-04T10:00:00Z'), type: 'BUSY' },
+    ]);
+  });
+});
+
+describe('findFreeSlots', () => {
+  // Local wall-clock times, since working hours are local.
+  const local = (day: number, hour: number, minute = 0) =>
+    new Date(2026, 4, day, hour, minute).getTime();
+
+  it('returns the next non-overlapping working-hour slots around busy time', () => {
+    const slots = findFreeSlots(
+      [
+        { start: local(4, 9), end: local(4, 10, 15), type: 'BUSY' },
+        { start: local(4, 11), end: local(4, 16, 30), type: 'BUSY-TENTATIVE' },
+      ],
+      { from: local(4, 8, 10), until: local(8, 0), durationMs: 30 * 60_000 },
+    );
+    expect(slots).toEqual([
+      { start: local(4, 10, 30), end: local(4, 11) },
+      { start: local(4, 16, 30), end: local(4, 17) },
+      { start: local(5, 9), end: local(5, 9, 30) },
+    ]);
+  });
+
+  it('skips weekends and stops at the end of the range', () => {
+    // 2026-05-08 is a Friday.
+    const slots = findFreeSlots([], {
+      from: local(8, 16, 45),
+      until: local(12, 0),
+      durationMs: 60 * 60_000,
+      limit: 2,
+    });
+    expect(slots).toEqual([
+      { start: local(11, 9), end: local(11, 10) },
+      { start: local(11, 10), end: local(11, 11) },
+    ]);
+    expect(
+      findFreeSlots([], { from: local(8, 16, 45), until: local(9, 0), durationMs: 3600_000 }),
+    ).toEqual([]);
+  });
+});
+
+describe('lookupFreeBusy', () => {
+  let server: Server;
+  let baseUrl = '';
+  const hits: string[] = [];
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      const url = new URL(req.url || '/', 'http://localhost');
+      hits.push(url.pathname + url.search);
+      const email = decodeURIComponent(url.pathname.split('/').pop() || '');
+      if (email === 'ann@example.com') {
+        res.writeHead(200, { 'Content-Type': 'text/calendar' });
+        res.end(vfreebusy(email, ['FREEBUSY:20260504T090000Z/20260504T100000Z']));
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    setFreeBusyLookup(null);
+    hits.length = 0;
+  });
+
+  const range = [new Date('2026-05-04T00:00:00Z'), new Date('2026-05-05T00:00:00Z')] as const;
+
+  it('fills a URL template or appends query parameters', () => {
+    const query = { email: 'Ann@Example.com', start: range[0], end: range[1] };
+    expect(freeBusyUrl('https://fb.test/{email}?from={start}&to={end}', query)).toBe(
+      'https://fb.test/ann%40example.com?from=20260504T000000Z&to=20260505T000000Z',
+    );
+    expect(freeBusyUrl('https://fb.test/fb?x=1', query)).toBe(
+      'https://fb.test/fb?x=1&email=ann%40example.com&start=20260504T000000Z&end=20260505T000000Z',
+    );
+  });
+
+  it('asks the configured endpoint and caches answers', async () => {
+    vi.stubEnv('VITE_FREEBUSY_URL', `${baseUrl}/freebusy/{email}?start={start}&end={end}`);
+
+    const first = await lookupFreeBusy(['Ann@example.com', 'zed@example.com'], ...range);
+    expect(first.get('ann@example.com')).toEqual([
+      { start: at('2026-05-04T09:00:00Z'), end: at('2026-05-04T10:00:00Z'), type: 'BUSY' },
+    ]);
+    expect(first.get('zed@example.com')).toBeNull();
+    expect(hits).toContain(
+      '/freebusy/ann%40example.com?start=20260504T000000Z&end=20260505T000000Z',
+    );
+
+    await lookupFreeBusy(['ann@example.com'], ...range);
+    expect(hits).toHaveLength(2);
+  });
+
+  it('reports unknown without an endpoint or when the lookup fails', async () => {
+    const result = await lookupFreeBusy(['ann@example.com'], ...range);
+    expect(result.get('ann@example.com')).toBeNull();
+
+    setFreeBusyLookup(async () => {
+      throw new Error('offline');
+    });
+    expect((await lookupFreeBusy(['ann@example.com'], ...range)).get('ann@example.com')).toBeNull();
+    expect(hits).toEqual([]);
+  });
+});
@@ -8,6 +8,11 @@ import {
   fetchAttachmentText,
   findMatchingCachedEvent,
   findConflictingEvents,
+  buildCounterIcs,
+  buildDeclineCounterIcs,
+  applyCounterToIcs,
+  buildRequestIcs,
+  inviteeEmails,
 } from '../../src/utils/ics-parser';
 
 const sampleIcs = [
@@ -409,6 +414,81 @@ describe('mergeReplyIntoIcs', () => {
   });
 });
 
+describe('counter proposals', () => {
+  const proposal = {
+    start: new Date('2026-05-21T09:00:00Z'),
+    end: new Date('2026-05-21T10:00:00Z'),
+    comment: 'Clashes with standup',
+  };
+  const storedIcs = normalizeIcsForCalendar(
+    sampleIcs.replace('DTSTAMP:', 'SEQUENCE:2\r\nDTSTAMP:'),
+  );
+
+  it('reads SEQUENCE and COMMENT', () => {
+    const invite = parseIcs(storedIcs)!;
+    expect(invite.sequence).toBe(2);
+    expect(invite.recurrenceId).toBe('');
+    expect(invite.comment).toBe('');
+  });
+
+  it('proposes the new time as METHOD:COUNTER from the attendee alone', () => {
+    const counter = buildCounterIcs(parseIcs(storedIcs)!, 'bob@example.com', proposal);
+    expect(counter).toMatch(/METHOD:COUNTER/);
+    expect(counter).toMatch(/DTSTART:20260521T090000Z/);
+    expect(counter).toMatch(/DTEND:20260521T100000Z/);
+    expect(counter.match(/^ATTENDEE.*$/gm)).toHaveLength(1);
+    expect(counter).toMatch(/mailto:bob@example.com/);
+    expect(counter).not.toMatch(/BEGIN:VALARM/);
+    const parsed = parseIcs(counter)!;
+    expect(parsed).toMatchObject({
+      method: 'COUNTER',
+      sequence: 2,
+      comment: 'Clashes with standup',
+    });
+    expect(
+      buildCounterIcs(parseIcs(storedIcs)!, 'bob@example.com', {
+        ...proposal,
+        end: new Date('2026-05-20T00:00:00Z'),
+      }),
+    ).toBe('');
+  });
+
+  it('proposes all-day times as dates with an exclusive end', () => {
+    const counter = buildCounterIcs(parseIcs(sampleIcs)!, 'bob@example.com', {
+      start: new Date(2026, 4, 22),
+      end: new Date(2026, 4, 22),
+      allDay: true,
+    });
+    expect(counter).toMatch(/DTSTART;VALUE=DATE:20260522/);
+    expect(counter).toMatch(/DTEND;VALUE=DATE:20260523/);
+  });
+
+  it('moves the stored event, bumps SEQUENCE and asks the others again', () => {
+    const counter = buildCounterIcs(parseIcs(storedIcs)!, 'bob@example.com', proposal);
+    const updated = applyCounterToIcs(storedIcs, counter);
+    const parsed = parseIcs(updated)!;
+    expect(parsed.sequence).toBe(3);
+    expect(parsed.startDate?.toISOString()).toBe('2026-05-21T09:00:00.000Z');
+    expect(parsed.endDate?.toISOString()).toBe('2026-05-21T10:00:00.000Z');
+    expect(parsed.description).toBe('Discuss roadmap');
+    const status = Object.fromEntries(parsed.attendees.map((a) => [a.email, a.partstat]));
+    expect(status).toEqual({ 'bob@example.com': 'ACCEPTED', 'carol@example.com': 'NEEDS-ACTION' });
+    expect(applyCounterToIcs(storedIcs, 'garbage')).toBe(storedIcs);
+  });
+
+  it('re-sends the stored copy as REQUEST and declines as DECLINECOUNTER', () => {
+    const request = buildRequestIcs(storedIcs);
+    expect(request).toMatch(/METHOD:REQUEST/);
+    expect(parseIcs(request)!.attendees).toHaveLength(2);
+    expect(inviteeEmails(storedIcs)).toEqual(['bob@example.com', 'carol@example.com']);
+
+    const counter = parseIcs(buildCounterIcs(parseIcs(storedIcs)!, 'bob@example.com', proposal))!;
+    const decline = parseIcs(buildDeclineCounterIcs(counter, 'Room is booked then'))!;
+    expect(decline).toMatchObject({ method: 'DECLINECOUNTER', comment: 'Room is booked then' });
+    expect(decline.attendees.map((a) => a.email)).toEqual(['bob@example.com']);
+  });
+});
+
 describe('findMatchingCachedEvent', () => {
   const invite = parseIcs(sampleIcs)!;
 
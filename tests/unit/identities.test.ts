@@ -0,0 +1,122 @@
+/**
+ * identities tests: normalizing the stored identities, matching an address
+ * to one, the From header, which signature applies, and swapping one
+ * signature for another in a composed body.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  findIdentity,
+  formatIdentityFrom,
+  identitySignature,
+  normalizeIdentities,
+} from '../../src/utils/identities';
+import {
+  applySignatureHtml,
+  applySignaturePlain,
+  replaceSignatureHtml,
+  replaceSignaturePlain,
+  signatureHtml,
+  signatureText,
+} from '../../src/utils/signature';
+
+const identities = normalizeIdentities([
+  {
+    id: 'sales',
+    name: 'Ann from Sales',
+    email: 'Sales@Example.com',
+    replyTo: 'team@example.com',
+    signatureText: 'Ann\nSales  \n',
+    sentFolder: 'Sent/Sales',
+    bcc: 'crm@example.com; sales@example.com, not an address',
+  },
+  { email: 'support@example.com', signatureHtml: '<p>Support</p>' },
+  { email: 'SALES@example.com', name: 'Duplicate' },
+  { email: 'nobody' },
+  null,
+]);
+
+describe('normalizeIdentities', () => {
+  it('keeps one identity per valid address with cleaned-up fields', () => {
+    expect(identities).toEqual([
+      {
+        id: 'sales',
+        name: 'Ann from Sales',
+        email: 'sales@example.com',
+        replyTo: 'team@example.com',
+        signatureHtml: '',
+        signatureText: 'Ann\nSales',
+        sentFolder: 'Sent/Sales',
+        bcc: ['crm@example.com'],
+      },
+      {
+        id: 'support@example.com',
+        name: '',
+        email: 'support@example.com',
+        replyTo: '',
+        signatureHtml: '<p>Support</p>',
+        signatureText: '',
+        sentFolder: '',
+        bcc: [],
+      },
+    ]);
+    expect(normalizeIdentities(null)).toEqual([]);
+  });
+
+  it('finds the identity for an address and formats its From header', () => {
+    expect(findIdentity(identities, 'Ann <SALES@example.com>')?.id).toBe('sales');
+    expect(findIdentity(identities, 'other@example.com')).toBeNull();
+    expect(findIdentity(identities, '')).toBeNull();
+    expect(formatIdentityFrom(identities[0])).toBe('"Ann from Sales" <sales@example.com>');
+    expect(formatIdentityFrom(identities[1], 'Jane "JD" Doe')).toBe(
+      '"Jane JD Doe" <support@example.com>',
+    );
+    expect(formatIdentityFrom(identities[1])).toBe('support@example.com');
+  });
+
+  it("prefers the identity's signature and falls back to the global one", () => {
+    const global = { enabled: true, text: 'Jane' };
+    expect(identitySignature(identities[1], global)).toEqual({ text: '', html: '<p>Support</p>' });
+    expect(identitySignature(normalizeIdentities([{ email: 'a@example.com' }])[0], global)).toEqual(
+      { text: 'Jane', html: '' },
+    );
+    expect(identitySignature(null, { enabled: false, text: 'Jane' })).toBeNull();
+  });
+});
+
+describe('identity signatures', () => {
+  it('sanitizes an HTML signature and marks each of its blocks', () => {
+    const html = signatureHtml(
+      'ignored',
+      '<div><strong>Ann</strong><br>Sales<script>alert(1)</script></div><p onclick="x()">Call us</p>',
+    );
+    expect(html).toBe(
+      '<p class="fe-signature" data-fe-signature="true">-- </p>' +
+        '<p data-fe-signature="true"><strong>Ann</strong><br>Sales</p>' +
+        '<p data-fe-signature="true">Call us</p>',
+    );
+    expect(signatureText('', '<p><strong>Ann</strong><br>Sales</p><p>Call us</p>')).toBe(
+      'Ann\nSales\nCall us',
+    );
+    expect(signatureText('Ann', '<p>ignored</p>')).toBe('Ann');
+  });
+
+  it('swaps the signature in rich text and leaves a deleted one deleted', () => {
+    const body = applySignatureHtml('Ann', '<blockquote>quoted</blockquote>');
+    const swapped = replaceSignatureHtml(body, '', '<p>Support</p>');
+    expect(swapped).toBe(
+      '<p><br></p><p class="fe-signature" data-fe-signature="true">-- </p>' +
+        '<p data-fe-signature="true">Support</p><p><br></p><blockquote>quoted</blockquote>',
+    );
+    expect(replaceSignatureHtml(swapped!, '', '')).toBe(
+      '<p><br></p><p><br></p><blockquote>quoted</blockquote>',
+    );
+    expect(replaceSignatureHtml('<p>Hello</p>', 'Ann')).toBeNull();
+  });
+
+  it('swaps a plain-text signature only while it is as inserted', () => {
+    const body = applySignaturePlain('Ann', '> quoted');
+    expect(replaceSignaturePlain(body, 'Ann', 'Support')).toBe('\n\n-- \nSupport\n\n> quoted');
+    expect(replaceSignaturePlain(body, 'Ann', '')).toBe('\n\n> quoted');
+    expect(replaceSignaturePlain(body.replace('Ann', 'Ann B.'), 'Ann', 'Support')).toBeNull();
+  });
+});
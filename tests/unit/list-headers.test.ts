@@ -0,0 +1,84 @@
+/**
+ * list-headers tests: reading List-* headers from raw lines, raw header text
+ * and mailparser's folded `list` object, and parsing List-Id and
+ * List-Unsubscribe / List-Unsubscribe-Post.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  listFieldsFromHeaders,
+  mailparserListHeader,
+  parseListId,
+  parseListUnsubscribe,
+  readListHeaders,
+} from '../../src/utils/list-headers';
+
+describe('parseListId', () => {
+  it('reads the identifier and description', () => {
+    expect(parseListId('"Dev Team" <Dev.Lists.Example>')).toEqual({
+      id: 'dev.lists.example',
+      name: 'Dev Team',
+    });
+    expect(parseListId('<dev.lists.example>')).toEqual({ id: 'dev.lists.example', name: '' });
+    expect(parseListId('dev.lists.example')).toEqual({ id: 'dev.lists.example', name: '' });
+    expect(parseListId('')).toBeNull();
+    expect(parseListId('not an id')).toBeNull();
+  });
+});
+
+describe('parseListUnsubscribe', () => {
+  it('offers one-click only for https with the POST header', () => {
+    const value = '<mailto:leave@news.example?subject=stop>, <https://news.example/u/1>';
+    expect(parseListUnsubscribe(value, 'List-Unsubscribe=One-Click')).toEqual({
+      url: 'https://news.example/u/1',
+      mailto: 'mailto:leave@news.example?subject=stop',
+      one_click: true,
+    });
+    expect(parseListUnsubscribe(value)?.one_click).toBe(false);
+    expect(
+      parseListUnsubscribe('<http://news.example/u/1>', 'List-Unsubscribe=One-Click')?.one_click,
+    ).toBe(false);
+    expect(parseListUnsubscribe('<ftp://news.example/>')).toBeNull();
+    expect(parseListUnsubscribe('')).toBeNull();
+  });
+});
+
+describe('readListHeaders', () => {
+  it('prefers raw header lines over parsed headers', () => {
+    expect(
+      readListHeaders({
+        headerLines: [
+          { key: 'list-id', line: 'List-Id: Dev <dev.lists.example>' },
+          { key: 'subject', line: 'Subject: hi' },
+        ],
+        nodemailer: { headers: { list: { id: { id: 'other.example' } } } },
+      }),
+    ).toEqual({ 'list-id': 'Dev <dev.lists.example>' });
+  });
+
+  it('reads a raw header block and unfolds continuation lines', () => {
+    const headers = readListHeaders({
+      headers:
+        'Subject: hi\r\nList-Unsubscribe: <mailto:leave@news.example>,\r\n <https://news.example/u>\r\nList-Unsubscribe-Post: List-Unsubscribe=One-Click\r\n',
+    });
+    expect(listFieldsFromHeaders(headers)).toEqual({
+      list_unsubscribe: {
+        url: 'https://news.example/u',
+        mailto: 'mailto:leave@news.example',
+        one_click: true,
+      },
+    });
+  });
+
+  it("turns mailparser's list object back into header text", () => {
+    expect(mailparserListHeader('id', { id: 'dev.lists.example', name: 'Dev' })).toBe(
+      'Dev <dev.lists.example>',
+    );
+    expect(
+      mailparserListHeader('unsubscribe', [{ mail: 'leave@news.example' }, { url: 'https://u' }]),
+    ).toBe('<mailto:leave@news.example>, <https://u>');
+    expect(mailparserListHeader('unsubscribe-post', { name: 'List-Unsubscribe=One-Click' })).toBe(
+      'List-Unsubscribe=One-Click',
+    );
+    expect(readListHeaders(null)).toEqual({});
+  });
+});
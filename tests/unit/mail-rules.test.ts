@@ -0,0 +1,223 @@
+/**
+ * mail-rules tests: normalizing stored rules, planning the combined effect of
+ * the rules a message matches, and applying them — local record changes on
+ * every sighting, queued server actions only once per message, and nothing
+ * for accounts that are not on screen.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  rules: [] as unknown[],
+  meta: new Map<string, { key: string; value: unknown }>(),
+  modified: [] as { key: unknown; changes: Record<string, unknown> }[],
+  queued: [] as { type: string; payload: Record<string, unknown> }[],
+  active: 'me@example.com',
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, row);
+      }),
+    },
+    messages: {
+      where: () => ({
+        equals: (key: unknown) => ({
+          modify: vi.fn(async (changes: Record<string, unknown>) => {
+            h.modified.push({ key, changes });
+          }),
+        }),
+      }),
+    },
+    messageBodies: { get: vi.fn(async () => null), put: vi.fn() },
+  },
+}));
+
+vi.mock('../../src/utils/storage', () => ({
+  Local: { get: (key: string) => (key === 'email' ? h.active : null) },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: vi.fn(async (type: string, payload: Record<string, unknown>) => {
+    h.queued.push({ type, payload });
+  }),
+}));
+
+vi.mock('../../src/utils/sync-worker-client.js', () => ({ onSyncProgress: vi.fn() }));
+
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (id: string) => (id === 'mail_rules' ? h.rules : undefined),
+}));
+
+vi.mock('../../src/stores/mailboxStore', () => ({
+  mailboxStore: {
+    state: {
+      selectedFolder: { subscribe: (run: (v: string) => void) => (run('INBOX'), () => {}) },
+      searchActive: { subscribe: (run: (v: boolean) => void) => (run(false), () => {}) },
+    },
+    actions: {
+      invalidateFolderInMemCache: vi.fn(),
+      loadMessages: vi.fn(),
+      updateFolderUnreadCounts: vi.fn(),
+    },
+  },
+}));
+
+vi.mock('../../src/stores/searchStore', () => ({
+  searchStore: { actions: { indexMessages: vi.fn(async () => {}) } },
+}));
+
+import {
+  applyMailRules,
+  localRuleChanges,
+  normalizeMailRules,
+  planMailRules,
+} from '../../src/utils/mail-rules';
+
+const ACCOUNT = 'me@example.com';
+
+const message = (overrides: Record<string, unknown> = {}) => ({
+  id: 'm1',
+  account: ACCOUNT,
+  folder: 'INBOX',
+  from: 'Billing <billing@example.com>',
+  subject: 'Your invoice',
+  flags: [],
+  is_unread: true,
+  is_starred: false,
+  has_attachment: true,
+  labels: [],
+  ...overrides,
+});
+
+describe('normalizeMailRules', () => {
+  it('drops rules without a query or usable action', () => {
+    const rules = normalizeMailRules([
+      { name: 'ok', query: 'from:billing', actions: [{ type: 'label', label: ' Receipts ' }] },
+      { query: '', actions: [{ type: 'star' }] },
+      { query: 'from:x', actions: [{ type: 'forward', to: 'not-an-address' }] },
+      { query: 'from:y', actions: [{ type: 'delete' }] },
+    ]);
+    expect(rules).toHaveLength(1);
+    expect(rules[0]).toMatchObject({
+      name: 'ok',
+      enabled: true,
+      actions: [{ type: 'label', label: 'receipts' }],
+    });
+    expect(normalizeMailRules('nope')).toEqual([]);
+  });
+});
+
+describe('planMailRules', () => {
+  const rules = normalizeMailRules([
+    {
+      name: 'Receipts',
+      query: 'from:billing has:attachment',
+      actions: [{ type: 'move', folder: 'Receipts' }, { type: 'markRead' }],
+    },
+    { name: 'Paused', enabled: false, query: 'from:billing', actions: [{ type: 'star' }] },
+    {
+      name: 'Stop here',
+      query: 'subject:invoice',
+      actions: [
+        { type: 'label', label: 'finance' },
+        { type: 'move', folder: 'Later' },
+      ],
+      stop: true,
+    },
+    { name: 'Never reached', query: 'subject:invoice', actions: [{ type: 'star' }] },
+  ]);
+
+  it('combines matching rules in order and honours stop', () => {
+    expect(planMailRules(rules, message())).toEqual({
+      rules: ['Receipts', 'Stop here'],
+      markRead: true,
+      star: false,
+      labels: ['finance'],
+      moveTo: 'Receipts',
+      forwards: [],
+    });
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(planMailRules(rules, message({ from: 'a@b.c', subject: 'Hi' }))).toBeNull();
+  });
+
+  it('compares size: against the reported message size', () => {
+    const big = normalizeMailRules([{ query: 'size:>1MB', actions: [{ type: 'star' }] }]);
+    expect(planMailRules(big, message({ size: 2 * 1024 * 1024 }))?.star).toBe(true);
+    expect(planMailRules(big, message({ size: 1024 }))).toBeNull();
+  });
+});
+
+describe('localRuleChanges', () => {
+  it('adds flags and labels without duplicating existing ones', () => {
+    const plan = {
+      rules: ['r'],
+      markRead: true,
+      star: true,
+      labels: ['work'],
+      moveTo: 'INBOX',
+      forwards: [],
+    };
+    expect(localRuleChanges(message({ labels: ['Work'] }), plan)).toEqual({
+      is_unread: false,
+      is_unread_index: 0,
+      is_starred: true,
+      is_flagged: true,
+      flags: ['\\Seen', '\\Flagged'],
+    });
+  });
+});
+
+describe('applyMailRules', () => {
+  beforeEach(() => {
+    h.meta.clear();
+    h.modified.length = 0;
+    h.queued.length = 0;
+    h.active = ACCOUNT;
+    h.rules = [
+      {
+        name: 'Receipts',
+        query: 'from:billing',
+        actions: [
+          { type: 'markRead' },
+          { type: 'star' },
+          { type: 'forward', to: 'books@example.com' },
+          { type: 'move', folder: 'Receipts' },
+        ],
+      },
+    ];
+  });
+
+  it('files the message locally and queues each action once', async () => {
+    await applyMailRules(ACCOUNT, [message({ flags: ['$Label1'] })]);
+
+    expect(h.modified).toEqual([
+      {
+        key: [ACCOUNT, 'm1'],
+        changes: expect.objectContaining({ is_unread: false, folder: 'Receipts' }),
+      },
+    ]);
+    expect(h.queued.map((q) => q.type)).toEqual(['forward', 'toggleRead', 'toggleStar', 'move']);
+    // Each flag PUT replaces the whole set, so the star must carry \Seen.
+    expect(h.queued[2].payload.flags).toEqual(['$Label1', '\\Seen']);
+    expect(h.queued[3].payload).toMatchObject({ targetFolder: 'Receipts', sourceFolder: 'INBOX' });
+
+    // The sync reporting the same message re-files it but queues nothing.
+    await applyMailRules(ACCOUNT, [message()]);
+    expect(h.modified).toHaveLength(2);
+    expect(h.queued).toHaveLength(4);
+  });
+
+  it('only filters INBOX and only for the account on screen', async () => {
+    await applyMailRules(ACCOUNT, [message({ folder: 'Archive' })]);
+    await applyMailRules('other@example.com', [message()]);
+    expect(h.modified).toEqual([]);
+    expect(h.queued).toEqual([]);
+  });
+});
@@ -26,6 +26,7 @@ const hoisted = vi.hoisted(() => {
     resetForAccount: vi.fn(),
     clearFolderMessageCache: vi.fn(),
     applySettings: vi.fn(),
+    settingValues: new Map<string, unknown>(),
     createInboxUpdater: vi.fn(() => ({
       start: vi.fn(),
       destroy: vi.fn(),
@@ -238,6 +239,7 @@ vi.mock('../../src/stores/settingsStore', () => {
     fetchAccountData: vi.fn().mockResolvedValue({}),
     effectiveLayoutMode: stubReadable,
     setSettingValue: vi.fn().mockResolvedValue(undefined),
+    getEffectiveSettingValue: (id: string) => hoisted.settingValues.get(id),
   };
 });
 
@@ -362,6 +364,17 @@ describe('computeReplyTargets', () => {
     expect(out.cc).toEqual(['eve@example.com']);
   });
 
+  it('reply-all leaves out send-as identities as our own addresses', () => {
+    hoisted.settingValues.set('identities', [{ email: 'Sales@Example.com', name: 'Sales' }]);
+    const msg = {
+      from: ['alice@example.com'],
+      to: ['sales@example.com', 'dave@example.com'],
+    };
+    const out = computeReplyTargets(msg, { replyAll: true });
+    hoisted.settingValues.clear();
+    expect(out.to).toEqual(['alice@example.com', 'dave@example.com']);
+  });
+
   it('honors reply-to over from when present', () => {
     const msg = {
       from: ['noreply@example.com'],
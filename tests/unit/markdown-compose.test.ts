@@ -0,0 +1,68 @@
+/**
+ * markdown-compose tests: rendering a Markdown body for the text/html part,
+ * with inline-styled code highlighting, sanitized raw HTML, and the
+ * signature kept line for line.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  fenceGrammar,
+  highlightCodeInline,
+  renderMarkdownEmail,
+} from '../../src/utils/markdown-compose';
+
+describe('fenceGrammar', () => {
+  it('maps extensions and language names, and nothing for unknown ones', () => {
+    expect(fenceGrammar('ts')).toBe('clike');
+    expect(fenceGrammar('Python')).toBe('hash');
+    expect(fenceGrammar('postgresql')).toBe('sql');
+    expect(fenceGrammar('json {title="x"}')).toBe('json');
+    expect(fenceGrammar('text')).toBeNull();
+    expect(fenceGrammar('')).toBeNull();
+  });
+});
+
+describe('renderMarkdownEmail', () => {
+  it('renders GFM with line breaks', () => {
+    const html = renderMarkdownEmail('# Notes\n\nHello **team**\nsecond line\n\n- one\n- two');
+    expect(html).toContain('<h1>Notes</h1>');
+    expect(html).toContain('Hello <strong>team</strong><br>second line');
+    expect(html).toContain('<li>one</li>');
+  });
+
+  it('highlights fenced code with inline styles only', () => {
+    const html = renderMarkdownEmail('```js\nconst a = "<b>"; // note\n```');
+    expect(html).toMatch(/<pre style="[^"]*background-color: #f6f8fa/);
+    expect(html).toContain('<span style="color: #cf222e;">const</span>');
+    expect(html).toContain('&lt;b&gt;');
+    expect(html).not.toContain('class=');
+    expect(highlightCodeInline('x = 1', 'clike')).toContain(
+      '<span style="color: #0550ae;">1</span>',
+    );
+  });
+
+  it('escapes fences without a known language and styles inline code', () => {
+    const html = renderMarkdownEmail('```\n<div>\n```\n\nRun `npm test` now');
+    expect(html).toContain('<code>&lt;div&gt;</code>');
+    expect(html).toMatch(/<code style="[^"]*">npm test<\/code>/);
+  });
+
+  it('sanitizes raw HTML', () => {
+    const html = renderMarkdownEmail('Hi <script>alert(1)</script><img src=x onerror="alert(1)">');
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('onerror');
+  });
+
+  it('leaves links as written, without the reader markup', () => {
+    const html = renderMarkdownEmail('See [https://bank.example](https://other.example/login)');
+    expect(html).toContain('<a href="https://other.example/login">https://bank.example</a>');
+    expect(html).not.toContain('data-fe-suspicious-link');
+    expect(html).not.toContain('target=');
+  });
+
+  it('keeps the signature as written', () => {
+    const html = renderMarkdownEmail('Thanks\n\n-- \n*Ana* Smith\n# not a heading');
+    expect(html).toContain('<p>Thanks</p>');
+    expect(html).toContain('-- <br>*Ana* Smith<br># not a heading</div>');
+    expect(renderMarkdownEmail('  \n')).toBe('');
+  });
+});
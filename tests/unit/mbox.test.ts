@@ -0,0 +1,310 @@
+// @vitest-environment node
+/**
+ * mbox tests: mboxrd formatting and parsing round-trip, .eml handling,
+ * Message-ID dedupe on import, and the export/import runners (progress,
+ * skipped fetches, cancellation, streaming to a picked file).
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+const h = vi.hoisted(() => ({
+  requests: [] as { action: string; params: Record<string, unknown>; path: string }[],
+  raws: new Map<string, string>(),
+  listed: [] as Record<string, unknown>[],
+  cached: [] as Record<string, unknown>[],
+  downloads: [] as { content: Blob; filename: string }[],
+  onRaw: null as null | (() => void),
+}));
+
+vi.mock('../../src/utils/remote.js', () => ({
+  Remote: {
+    request: vi.fn(
+      async (action: string, params: Record<string, unknown>, opts: { pathOverride: string }) => {
+        h.requests.push({ action, params, path: opts.pathOverride });
+        if (action === 'MessageList') return params.page === 1 ? h.listed : [];
+        if (action === 'Message') {
+          h.onRaw?.();
+          const id = decodeURIComponent(opts.pathOverride.split('/')[3].split('?')[0]);
+          return h.raws.get(id) ?? null;
+        }
+        return { id: 'new' };
+      },
+    ),
+  },
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    messages: {
+      where: () => ({ equals: () => ({ toArray: async () => h.cached }) }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+vi.mock('../../src/utils/account-scope', () => ({ activeAccount: () => 'me@example.com' }));
+vi.mock('../../src/utils/network-status', () => ({ isOnline: () => true }));
+
+vi.mock('../../src/utils/download', () => ({
+  downloadFile: vi.fn((content: Blob, filename: string) => {
+    h.downloads.push({ content, filename });
+    return true;
+  }),
+}));
+
+vi.mock('../../src/stores/searchStore', () => ({
+  searchStore: {
+    actions: {
+      findMessages: vi.fn(async () => [{ id: 'a', folder: 'INBOX' }]),
+      search: vi.fn(),
+    },
+  },
+}));
+
+vi.mock('../../src/stores/mailboxStore', () => ({
+  mailboxStore: {
+    actions: {
+      invalidateFolderInMemCache: vi.fn(),
+      loadMessages: vi.fn(),
+      updateFolderUnreadCounts: vi.fn(),
+    },
+  },
+}));
+
+import {
+  cancelMboxTransfer,
+  decodeMailBytes,
+  exportMbox,
+  formatMboxEntry,
+  importMboxFiles,
+  mboxTransfer,
+  parseMbox,
+  planMboxImport,
+  splitImportFile,
+} from '../../src/utils/mbox';
+
+const message = (id: string, body = 'Hello') =>
+  [
+    'Return-Path: <bounce@example.com>',
+    'From: Alice <alice@example.com>',
+    'Date: Wed, 11 Mar 2026 10:20:30 +0000',
+    `Message-ID: <${id}@example.com>`,
+    'Subject: Hi',
+    '',
+    body,
+  ].join('\r\n');
+
+describe('mboxrd format', () => {
+  it('writes the separator and quotes From lines', () => {
+    const entry = formatMboxEntry(message('a', 'From here on\n>From quoted\nbye'));
+    expect(entry.split('\n')[0]).toBe('From bounce@example.com Wed Mar 11 10:20:30 2026');
+    expect(entry).toContain('\n>From here on\n>>From quoted\nbye\n\n');
+    expect(entry).not.toContain('\r');
+  });
+
+  it('round-trips through parseMbox', () => {
+    const raws = [message('a', 'From the top\r\n>From quoted'), message('b', 'Second')];
+    const file = raws.map((raw) => formatMboxEntry(raw)).join('');
+    expect(parseMbox(file)).toEqual(raws);
+  });
+
+  it('only splits on From lines after a blank line', () => {
+    const file = 'From a@b Thu Jan  1 00:00:00 2026\nSubject: x\n\nline\nFrom inside\n';
+    expect(parseMbox(file)).toEqual(['Subject: x\r\n\r\nline\r\nFrom inside']);
+  });
+
+  it('treats .eml files as one message', () => {
+    expect(splitImportFile('one.eml', 'Subject: x\n\nFrom me')).toEqual([
+      'Subject: x\r\n\r\nFrom me',
+    ]);
+    expect(splitImportFile('empty.mbox', '')).toEqual([]);
+  });
+});
+
+describe('planMboxImport', () => {
+  it('drops Message-IDs already in the folder or repeated in the import', () => {
+    const raws = [message('a'), message('b'), message('a'), 'Subject: no id\r\n\r\nx'];
+    const { uploads, duplicates } = planMboxImport(raws, 'Archive', [
+      { id: 'local-1', header_message_id: '<b@example.com>' },
+    ]);
+    expect(uploads).toEqual([raws[0], raws[3]]);
+    expect(duplicates).toBe(2);
+  });
+});
+
+describe('transfers', () => {
+  beforeEach(() => {
+    h.requests.length = 0;
+    h.raws.clear();
+    h.listed = [];
+    h.cached = [];
+    h.downloads.length = 0;
+    h.onRaw = null;
+  });
+
+  it('exports a folder, skipping messages whose source is missing', async () => {
+    h.listed = [{ id: 'a' }, { id: 'b' }];
+    h.raws.set('a', message('a'));
+
+    const result = await exportMbox({ folder: 'Work/Legal' });
+
+    expect(result).toEqual({ exported: 1, failed: 1, cancelled: false });
+    expect(h.downloads).toHaveLength(1);
+    expect(h.downloads[0].filename).toBe('Work_Legal.mbox');
+    expect(await h.downloads[0].content.text()).toBe(formatMboxEntry(message('a')));
+    expect(get(mboxTransfer).active).toBe(false);
+  });
+
+  it('downloads nothing when cancelled', async () => {
+    h.raws.set('a', message('a'));
+    h.raws.set('b', message('b'));
+    h.onRaw = () => cancelMboxTransfer();
+
+    const result = await exportMbox({
+      messages: [
+        { id: 'a', folder: 'INBOX' },
+        { id: 'b', folder: 'INBOX' },
+      ],
+    });
+
+    expect(result).toEqual({ exported: 1, failed: 0, cancelled: true });
+    expect(h.downloads).toEqual([]);
+  });
+
+  it('exports a saved search without touching the visible search', async () => {
+    const { searchStore } = await import('../../src/stores/searchStore');
+    h.raws.set('a', message('a'));
+
+    const result = await exportMbox({ query: 'from:alice', name: 'Alice' });
+
+    expect(result).toEqual({ exported: 1, failed: 0, cancelled: false });
+    expect(h.downloads[0].filename).toBe('Alice.mbox');
+    expect(searchStore.actions.findMessages).toHaveBeenCalledWith('from:alice', {
+      crossFolder: true,
+      limit: 5000,
+    });
+    expect(searchStore.actions.search).not.toHaveBeenCalled();
+  });
+
+  describe('with the File System Access API', () => {
+    const file = { writes: [] as string[], closed: false, aborted: false };
+    const picker = vi.fn(async () => ({
+      createWritable: async () => ({
+        write: async (data: string) => {
+          file.writes.push(data);
+        },
+        close: async () => {
+          file.closed = true;
+        },
+        abort: async () => {
+          file.aborted = true;
+        },
+      }),
+    }));
+
+    beforeEach(() => {
+      Object.assign(file, { writes: [], closed: false, aborted: false });
+      picker.mockClear();
+      vi.stubGlobal('showSaveFilePicker', picker);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('writes each message to the picked file as it is fetched', async () => {
+      h.raws.set('a', message('a'));
+      h.raws.set('b', message('b'));
+      // Each entry is on disk before the next message is fetched.
+      h.onRaw = () => expect(file.writes.length).toBe(h.requests.length - 1);
+
+      const result = await exportMbox({
+        messages: [
+          { id: 'a', folder: 'INBOX' },
+          { id: 'b', folder: 'INBOX' },
+        ],
+      });
+      expect(result).toEqual({ exported: 2, failed: 0, cancelled: false });
+      expect(file.writes).toEqual([formatMboxEntry(message('a')), formatMboxEntry(message('b'))]);
+      expect(file.closed).toBe(true);
+      expect(h.downloads).toEqual([]);
+    });
+
+    it('leaves no file when cancelled or when the picker is dismissed', async () => {
+      h.raws.set('a', message('a'));
+      h.raws.set('b', message('b'));
+      h.onRaw = () => cancelMboxTransfer();
+      const messages = [
+        { id: 'a', folder: 'INBOX' },
+        { id: 'b', folder: 'INBOX' },
+      ];
+
+      expect(await exportMbox({ messages })).toMatchObject({ cancelled: true });
+      expect(file).toMatchObject({ closed: false, aborted: true });
+
+      h.requests.length = 0;
+      picker.mockRejectedValueOnce(new DOMException('dismissed', 'AbortError'));
+      expect(await exportMbox({ messages })).toEqual({
+        exported: 0,
+        failed: 0,
+        cancelled: true,
+      });
+      expect(h.requests).toEqual([]);
+    });
+  });
+
+  it('imports new messages into the folder and skips known ones', async () => {
+    h.cached = [{ message_id: 'a@example.com' }];
+    h.listed = [{ id: 'srv', header_message_id: '<b@example.com>' }];
+    const file = new File(
+      [[message('a'), message('b'), message('c')].map((raw) => formatMboxEntry(raw)).join('')],
+      'backup.mbox',
+    );
+
+    const result = await importMboxFiles([file], 'Archive');
+
+    expect(result).toEqual({ imported: 1, duplicates: 2, failed: 0, cancelled: false });
+    const uploads = h.requests.filter((r) => r.action === 'MessageCreate');
+    expect(uploads).toHaveLength(1);
+    expect(uploads[0].params).toMatchObject({ folder: 'Archive', raw: message('c') });
+  });
+
+  it('reads UTF-8 as UTF-8 and falls back to ISO-8859-1 per line', () => {
+    const utf8 = new TextEncoder().encode('Subject: café\n\nnaïve');
+    expect(decodeMailBytes(utf8)).toBe('Subject: café\n\nnaïve');
+    // A latin1 "é" line next to a UTF-8 "é" line, plus a byte windows-1252 remaps.
+    const mixed = new Uint8Array([0x63, 0xe9, 0x80, 0x0a, 0x63, 0xc3, 0xa9]);
+    expect(decodeMailBytes(mixed)).toBe('c\u00e9\u0080\ncé');
+  });
+
+  it('re-imports exported 8-bit mail with the same bytes', async () => {
+    const original = message('d', 'Grüße, café ☕\r\n>From Zürich');
+    h.raws.set('d', original);
+    const written: string[] = [];
+    vi.stubGlobal(
+      'showSaveFilePicker',
+      vi.fn(async () => ({
+        createWritable: async () => ({
+          write: async (data: string) => {
+            written.push(data);
+          },
+          close: async () => {},
+          abort: async () => {},
+        }),
+      })),
+    );
+    try {
+      await exportMbox({ messages: [{ id: 'd', folder: 'INBOX' }] });
+    } finally {
+      vi.unstubAllGlobals();
+    }
+
+    // FileSystemWritableFileStream writes strings as UTF-8.
+    const file = new File([new TextEncoder().encode(written.join(''))], 'export.mbox');
+    expect(await importMboxFiles([file], 'Archive')).toMatchObject({ imported: 1 });
+    const upload = h.requests.find((r) => r.action === 'MessageCreate');
+    // JSON carries the string; the server stores it UTF-8 encoded.
+    const uploaded = new TextEncoder().encode(JSON.parse(JSON.stringify(upload?.params.raw)));
+    expect(Array.from(uploaded)).toEqual(Array.from(new TextEncoder().encode(original)));
+  });
+});
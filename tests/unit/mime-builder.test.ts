@@ -0,0 +1,76 @@
+/**
+ * mime-builder tests. The builder produces the exact bytes a PGP signature
+ * covers, so the shape matters: CRLF line endings, 7-bit output, and the
+ * multipart nesting (alternative inside mixed) other clients expect.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  CRLF,
+  base64Utf8,
+  buildBodyEntity,
+  buildHeaderBlock,
+  encodeHeaderWord,
+  formatAddress,
+  formatMailDate,
+  generateMessageId,
+  wrapBase64,
+} from '../../src/utils/mime-builder';
+
+const decode = (b64: string) =>
+  new TextDecoder().decode(Uint8Array.from(atob(b64.replace(/\s+/g, '')), (c) => c.charCodeAt(0)));
+
+describe('mime-builder', () => {
+  it('base64-encodes UTF-8 and folds at 76 columns', () => {
+    const encoded = base64Utf8('héllo wörld');
+    expect(decode(encoded)).toBe('héllo wörld');
+    const wrapped = wrapBase64('A'.repeat(200));
+    expect(wrapped.split(CRLF).map((l) => l.length)).toEqual([76, 76, 48]);
+  });
+
+  it('leaves ASCII headers alone and encodes the rest as RFC 2047 words', () => {
+    expect(encodeHeaderWord('Quarterly report')).toBe('Quarterly report');
+    const word = encodeHeaderWord('Grüße');
+    expect(word).toMatch(/^=\?UTF-8\?B\?.+\?=$/);
+    expect(decode(word.slice(10, -2))).toBe('Grüße');
+  });
+
+  it('encodes only the display name of an address', () => {
+    expect(formatAddress('Jane Doe <jane@example.com>')).toBe('"Jane Doe" <jane@example.com>');
+    expect(formatAddress('"Zoë" <zoe@example.com>')).toMatch(
+      /^=\?UTF-8\?B\?.+\?= <zoe@example\.com>$/,
+    );
+    expect(formatAddress('bob@example.com')).toBe('bob@example.com');
+  });
+
+  it('drops empty headers', () => {
+    expect(
+      buildHeaderBlock([
+        ['From', 'a@example.com'],
+        ['Cc', ''],
+        ['Subject', 'Hi'],
+      ]),
+    ).toBe(`From: a@example.com${CRLF}Subject: Hi`);
+  });
+
+  it('builds multipart/alternative for text + html and wraps attachments in mixed', () => {
+    const entity = buildBodyEntity({
+      text: 'Hello',
+      html: '<p>Hello</p>',
+      attachments: [{ filename: 'a.txt', contentType: 'text/plain', content: btoa('file') }],
+    });
+    expect(entity.startsWith('Content-Type: multipart/mixed;')).toBe(true);
+    expect(entity).toContain('Content-Type: multipart/alternative;');
+    expect(entity).toContain('Content-Disposition: attachment; filename="a.txt"');
+    expect(entity).not.toMatch(/[^\r]\n/);
+  });
+
+  it('uses a single text part when there is nothing else', () => {
+    const entity = buildBodyEntity({ text: 'Only text' });
+    expect(entity.split(CRLF)[0]).toBe('Content-Type: text/plain; charset=utf-8');
+  });
+
+  it('formats dates with a numeric zone and message ids on the sender domain', () => {
+    expect(formatMailDate(Date.UTC(2026, 0, 2, 3, 4, 5))).toBe('Fri, 02 Jan 2026 03:04:05 +0000');
+    expect(generateMessageId('"Me" <me@example.org>')).toMatch(/^<.+@example\.org>$/);
+  });
+});
@@ -2,15 +2,25 @@ import { beforeEach, describe, expect, it, vi, afterEach } from 'vitest';
 import { get } from 'svelte/store';
 
 // --- hoisted mocks ----------------------------------------------------------
-const { metaGetMock, metaPutMock, localGetMock, remoteRequestMock, isOnlineMock, warnMock } =
-  vi.hoisted(() => ({
-    metaGetMock: vi.fn(),
-    metaPutMock: vi.fn(),
-    localGetMock: vi.fn(),
-    remoteRequestMock: vi.fn(),
-    isOnlineMock: vi.fn(),
-    warnMock: vi.fn(),
-  }));
+const {
+  metaGetMock,
+  metaPutMock,
+  localGetMock,
+  remoteRequestMock,
+  isOnlineMock,
+  warnMock,
+  replayCalendarMock,
+  replayContactMock,
+} = vi.hoisted(() => ({
+  metaGetMock: vi.fn(),
+  metaPutMock: vi.fn(),
+  localGetMock: vi.fn(),
+  remoteRequestMock: vi.fn(),
+  isOnlineMock: vi.fn(),
+  warnMock: vi.fn(),
+  replayCalendarMock: vi.fn(),
+  replayContactMock: vi.fn(),
+}));
 
 vi.mock('../../src/utils/db', () => ({
   db: {
@@ -52,6 +62,14 @@ vi.mock('../../src/utils/platform.js', () => ({
   swReadyWithTimeout: vi.fn().mockResolvedValue(null),
 }));
 
+vi.mock('../../src/utils/calendar-cache.ts', () => ({
+  replayCalendarEventWrite: (...args: unknown[]) => replayCalendarMock(...args),
+}));
+
+vi.mock('../../src/utils/contact-cache.js', () => ({
+  replayContactWrite: (...args: unknown[]) => replayContactMock(...args),
+}));
+
 // In-memory store mirroring the meta-table key/value shape.
 const metaStore = new Map<string, { key: string; value: unknown; updatedAt: number }>();
 
@@ -379,6 +397,116 @@ describe('mutation-queue', () => {
     }
   });
 
+  it('forwards the raw original as a message/rfc822 attachment', async () => {
+    remoteRequestMock.mockImplementation(async (action: string) =>
+      action === 'Message' ? 'Subject: Invoice\r\n\r\nbody' : {},
+    );
+    await queueModule.queueMutation('forward', {
+      messageId: 'm5',
+      folder: 'INBOX',
+      subject: 'Invoice',
+      to: 'books@example.com',
+      from: 'user@example.com',
+      ruleName: 'Receipts',
+    });
+    await drainMicrotasks();
+
+    expect(remoteRequestMock).toHaveBeenCalledTimes(2);
+    const [, , fetchOpts] = remoteRequestMock.mock.calls[0];
+    expect(fetchOpts.pathOverride).toBe('/v1/messages/m5?folder=INBOX&raw=true');
+    const [action, body] = remoteRequestMock.mock.calls[1];
+    expect(action).toBe('Emails');
+    expect(body).toMatchObject({
+      from: 'user@example.com',
+      to: ['books@example.com'],
+      subject: 'Fwd: Invoice',
+      attachments: [{ contentType: 'message/rfc822', content: 'Subject: Invoice\r\n\r\nbody' }],
+    });
+    expect(metaStore.get('mutation_queue_user@example.com')?.value).toEqual([]);
+  });
+
+  it('applies toggleRead from the pre-toggle state, like toggleStar', async () => {
+    await queueModule.queueMutation('toggleRead', {
+      messageId: 'm1',
+      isUnread: true,
+      flags: ['\\Flagged'],
+      folder: 'INBOX',
+    });
+    await queueModule.queueMutation('toggleRead', {
+      messageId: 'm2',
+      isUnread: false,
+      flags: ['\\Seen', '\\Flagged'],
+      folder: 'INBOX',
+    });
+    await drainMicrotasks();
+
+    expect(remoteRequestMock.mock.calls.map(([, body]) => body.flags)).toEqual([
+      ['\\Flagged', '\\Seen'],
+      ['\\Flagged'],
+    ]);
+  });
+
+  it('treats a client error on createFolder as an existing folder', async () => {
+    remoteRequestMock.mockRejectedValueOnce(Object.assign(new Error('exists'), { status: 400 }));
+    await queueModule.queueMutation('createFolder', { path: 'Snoozed' });
+    await drainMicrotasks();
+
+    const [action, body, opts] = remoteRequestMock.mock.calls[0];
+    expect(action).toBe('FolderCreate');
+    expect(body).toEqual({ path: 'Snoozed' });
+    expect(opts).toMatchObject({ method: 'POST', pathOverride: '/v1/folders' });
+    expect(metaStore.get('mutation_queue_user@example.com')?.value).toEqual([]);
+  });
+
+  it('fails a mutation at once on a permanent error, such as a calendar conflict', async () => {
+    replayCalendarMock.mockRejectedValueOnce(
+      Object.assign(new Error('changed on another device'), {
+        permanent: true,
+        code: 'CALENDAR_CONFLICT',
+      }),
+    );
+    const revertListener = vi.fn();
+    window.addEventListener(
+      'mailbox-mutation-permanently-failed',
+      revertListener as unknown as (ev: Event) => void,
+    );
+
+    await queueModule.queueMutation('calendarEventUpdate', { eventId: 'e1', calendarId: 'cal' });
+    await drainMicrotasks();
+
+    expect(replayCalendarMock).toHaveBeenCalledWith('calendarEventUpdate', {
+      eventId: 'e1',
+      calendarId: 'cal',
+      account: 'user@example.com',
+    });
+    expect(revertListener).toHaveBeenCalledTimes(1);
+    expect((revertListener.mock.calls[0][0] as CustomEvent).detail).toMatchObject({
+      lastError: 'changed on another device',
+      lastErrorCode: 'CALENDAR_CONFLICT',
+    });
+    expect(metaStore.get('mutation_queue_user@example.com')?.value).toEqual([]);
+
+    window.removeEventListener(
+      'mailbox-mutation-permanently-failed',
+      revertListener as unknown as (ev: Event) => void,
+    );
+  });
+
+  it('hands queued contact writes to the contact cache', async () => {
+    replayContactMock.mockResolvedValueOnce(undefined);
+
+    await queueModule.queueMutation('contactCreate', { contactId: 'temp-1', seq: 1 });
+    await drainMicrotasks();
+
+    expect(replayContactMock).toHaveBeenCalledWith('contactCreate', {
+      contactId: 'temp-1',
+      seq: 1,
+      account: 'user@example.com',
+    });
+    expect(remoteRequestMock).not.toHaveBeenCalled();
+    expect(metaStore.get('mutation_queue_user@example.com')?.value).toEqual([]);
+  });
+
   it('clearCompletedMutations prunes completed entries but keeps pending ones', async () => {
     isOnlineMock.mockReturnValue(false);
     await queueModule.queueMutation('toggleRead', {
@@ -0,0 +1,165 @@
+/**
+ * notification-actions tests: the triage buttons on new-mail notifications
+ * queue moves, read flags and replies for the notification's account.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  rows: new Map<string, Record<string, unknown>>(),
+  modified: [] as Record<string, unknown>[],
+  meta: new Map<string, unknown>(),
+  queueMutation: vi.fn(async () => ({})),
+  queueEmail: vi.fn(async () => ({})),
+  navigate: vi.fn(),
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      put: async ({ key, value }: { key: string; value: unknown }) => {
+        h.meta.set(key, value);
+      },
+    },
+    messages: {
+      get: async ([account, id]: [string, string]) => h.rows.get(`${account}:${id}`) || null,
+      where: () => ({
+        equals: () => ({
+          modify: async (changes: Record<string, unknown>) => {
+            h.modified.push(changes);
+          },
+        }),
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: h.queueMutation,
+  mutationCredentials: () => ({ apiBase: 'https://api.test', authHeader: 'Basic x' }),
+}));
+vi.mock('../../src/utils/outbox-service.js', () => ({ queueEmail: h.queueEmail }));
+vi.mock('../../src/utils/notification-bridge.js', () => ({ navigateToNotification: h.navigate }));
+vi.mock('../../src/utils/unified-mailbox', () => ({
+  specialFolderForAccount: async (_account: string, kind: string) =>
+    kind === 'archive' ? 'Archive' : 'Trash',
+}));
+vi.mock('../../src/stores/mailboxActions', () => ({ replyTo: vi.fn() }));
+vi.mock('../../src/stores/mailboxStore', () => ({ mailboxStore: { actions: {} } }));
+vi.mock('../../src/utils/account-scope', () => ({
+  activeAccount: () => 'me@example.com',
+  isActiveAccount: (account: string) => account === 'me@example.com',
+}));
+
+import {
+  buildQuickReply,
+  runNotificationAction,
+  storeNotificationActionAccount,
+} from '../../src/utils/notification-actions';
+
+const data = {
+  account: 'other@example.com',
+  id: '42',
+  folder: 'INBOX',
+  from: 'ana@example.com',
+  subject: 'Lunch?',
+  messageId: '<m42@example.com>',
+};
+
+describe('runNotificationAction', () => {
+  beforeEach(() => {
+    h.rows.clear();
+    h.modified = [];
+    vi.clearAllMocks();
+  });
+
+  it('archives and deletes by moving under the notified account', async () => {
+    await runNotificationAction('archive', data);
+    await runNotificationAction('delete', data);
+    expect(h.queueMutation.mock.calls).toEqual([
+      [
+        'move',
+        expect.objectContaining({
+          messageId: '42',
+          targetFolder: 'Archive',
+          sourceFolder: 'INBOX',
+          account: 'other@example.com',
+        }),
+      ],
+      ['move', expect.objectContaining({ targetFolder: 'Trash', account: 'other@example.com' })],
+    ]);
+  });
+
+  it('marks read with the cached flags and skips messages already read', async () => {
+    h.rows.set('other@example.com:42', { id: '42', folder: 'INBOX', flags: ['\\Flagged'] });
+    await runNotificationAction('markRead', data);
+    expect(h.queueMutation).toHaveBeenCalledWith(
+      'toggleRead',
+      expect.objectContaining({ isUnread: true, flags: ['\\Flagged'], folder: 'INBOX' }),
+    );
+    expect(h.modified[0]).toMatchObject({ is_unread: false, flags: ['\\Flagged', '\\Seen'] });
+
+    h.queueMutation.mockClear();
+    h.rows.set('other@example.com:42', { id: '42', folder: 'INBOX', flags: ['\\Seen'] });
+    await runNotificationAction('markRead', data);
+    expect(h.queueMutation).not.toHaveBeenCalled();
+  });
+
+  it('sends an inline reply through the outbox and marks the message read', async () => {
+    await runNotificationAction('reply', data, { reply: '  Sure, noon.  ' });
+    expect(h.queueEmail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        from: 'other@example.com',
+        to: ['ana@example.com'],
+        subject: 'Re: Lunch?',
+        text: 'Sure, noon.',
+        inReplyTo: '<m42@example.com>',
+      }),
+      { account: 'other@example.com' },
+    );
+    expect(h.queueMutation).toHaveBeenCalledWith('toggleRead', expect.anything());
+    expect(h.navigate).not.toHaveBeenCalled();
+  });
+
+  it('opens the message when Reply comes without text', async () => {
+    await runNotificationAction('reply', data);
+    expect(h.queueEmail).not.toHaveBeenCalled();
+    expect(h.navigate).toHaveBeenCalledWith(data);
+  });
+});
+
+describe('buildQuickReply', () => {
+  it('prefers Reply-To and extends References', () => {
+    const payload = buildQuickReply(
+      'me@example.com',
+      {
+        id: '7',
+        folder: 'Work',
+        from: 'Ana <ana@example.com>',
+        reply_to: 'team@example.com',
+        subject: 'RE: Plan',
+        header_message_id: '<b@x>',
+        references: '<a@x>',
+      },
+      'Yes',
+    );
+    expect(payload).toMatchObject({
+      to: ['team@example.com'],
+      subject: 'RE: Plan',
+      references: '<a@x> <b@x>',
+      _replyToMessageId: '7',
+      _replyToMessageFolder: 'Work',
+    });
+  });
+});
+
+describe('storeNotificationActionAccount', () => {
+  it('keeps folders and credentials in meta for the service worker, by account', async () => {
+    await storeNotificationActionAccount('me@example.com');
+    expect(h.meta.get('notification_actions_me@example.com')).toEqual({
+      apiBase: 'https://api.test',
+      authHeader: 'Basic x',
+      archiveFolder: 'Archive',
+      trashFolder: 'Trash',
+    });
+  });
+});
@@ -15,6 +15,12 @@ vi.mock('@tauri-apps/plugin-notification', () => ({
   registerActionTypes: vi.fn(async () => {}),
 }));
 
+const runNotificationActionMock = vi.fn(async () => {});
+
+vi.mock('../../src/utils/notification-actions', () => ({
+  runNotificationAction: runNotificationActionMock,
+}));
+
 vi.mock('@tauri-apps/api/window', () => ({
   getCurrentWindow: () => ({
     onFocusChanged: onFocusChangedMock,
@@ -70,4 +76,24 @@ describe('notification-bridge click routing', () => {
 
     await expect(received).resolves.toBe('#inbox/42');
   });
+
+  it('runs new-mail actions with the inline reply instead of navigating', async () => {
+    const { initTauriNotificationClickHandler } =
+      await import('../../src/utils/notification-bridge.js');
+
+    await initTauriNotificationClickHandler();
+    await actionHandler({
+      actionId: 'reply',
+      inputValue: 'On my way',
+      notification: { extra: { id: '42', account: 'me@example.com', path: '#inbox/42' } },
+    });
+    await vi.waitFor(() => expect(runNotificationActionMock).toHaveBeenCalled());
+
+    expect(runNotificationActionMock).toHaveBeenCalledWith(
+      'reply',
+      { id: '42', account: 'me@example.com', path: '#inbox/42' },
+      { reply: 'On my way' },
+    );
+    expect(window.location.hash).toBe('');
+  });
 });
@@ -0,0 +1,132 @@
+/**
+ * notification-policy tests: normalizing the stored rules, quiet hours that
+ * run past midnight, and the order VIPs, folder and label switches, the
+ * To:-only mode and quiet hours are applied in.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({ policy: null as unknown }));
+
+vi.mock('../../src/utils/storage', () => ({
+  Local: { get: (key: string) => (key === 'email' ? 'me@example.com' : null) },
+}));
+
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (id: string) => {
+    if (id === 'notification_policy') return h.policy;
+    if (id === 'identities') return [{ email: 'sales@example.com' }];
+    return undefined;
+  },
+}));
+
+import {
+  evaluateNotificationPolicy,
+  isQuietHours,
+  normalizeNotificationPolicy,
+  notificationDecision,
+  notifiedLabels,
+} from '../../src/utils/notification-policy';
+
+// 2026-10-16 is a Friday.
+const at = (day: number, time: string) => new Date(`2026-10-${day}T${time}:00`);
+
+const quiet = (days: number[] = []) =>
+  normalizeNotificationPolicy({
+    quietHours: { enabled: true, start: '22:00', end: '07:00', days },
+  });
+
+beforeEach(() => {
+  h.policy = null;
+});
+
+describe('normalizeNotificationPolicy', () => {
+  it('keeps usable rules and drops the rest', () => {
+    const policy = normalizeNotificationPolicy({
+      vipSenders: ['Boss@Example.com', 'partner.org', '@Team.example', 'nope', 'boss@example.com'],
+      folders: { Newsletters: false, INBOX: true, Junk: 'off' },
+      labels: { Receipts: false },
+      onlyWhenInTo: 'yes',
+      quietHours: { enabled: true, start: '25:00', end: '06:30', days: [5, '6', 9] },
+    });
+    expect(policy.vipSenders).toEqual(['boss@example.com', '@partner.org', '@team.example']);
+    expect(policy.folders).toEqual({ Newsletters: false, INBOX: true });
+    expect(policy.labels).toEqual({ receipts: false });
+    expect(policy.onlyWhenInTo).toBe(false);
+    expect(policy.quietHours).toEqual({
+      enabled: true,
+      start: '22:00',
+      end: '06:30',
+      days: [5, 6],
+    });
+    expect(normalizeNotificationPolicy(null).quietHours.enabled).toBe(false);
+  });
+});
+
+describe('isQuietHours', () => {
+  it('covers a window past midnight, counted on the day it starts', () => {
+    expect(isQuietHours(quiet(), at(16, '23:30'))).toBe(true);
+    expect(isQuietHours(quiet(), at(17, '06:59'))).toBe(true);
+    expect(isQuietHours(quiet(), at(17, '07:00'))).toBe(false);
+    // Friday nights only: Saturday morning is quiet, Saturday night is not.
+    expect(isQuietHours(quiet([5]), at(17, '03:00'))).toBe(true);
+    expect(isQuietHours(quiet([5]), at(17, '23:00'))).toBe(false);
+    expect(isQuietHours(normalizeNotificationPolicy({}), at(16, '23:30'))).toBe(false);
+  });
+});
+
+describe('evaluateNotificationPolicy', () => {
+  const policy = normalizeNotificationPolicy({
+    vipSenders: ['@vip.example'],
+    folders: { Newsletters: false },
+    labels: { receipts: false },
+    onlyWhenInTo: true,
+    quietHours: { enabled: true, start: '22:00', end: '07:00' },
+  });
+  const own = { ownAddresses: ['me@example.com'], now: at(16, '12:00') };
+
+  it('mutes switched-off folders and labels and mail not addressed to us', () => {
+    const to = 'Me <me@example.com>';
+    expect(
+      evaluateNotificationPolicy(policy, { from: 'a@x.com', to, folder: 'Newsletters' }, own),
+    ).toEqual({ notify: false, silent: false, reason: 'folder' });
+    expect(
+      evaluateNotificationPolicy(policy, { from: 'a@x.com', to, labels: ['Receipts'] }, own).reason,
+    ).toBe('label');
+    expect(
+      evaluateNotificationPolicy(policy, { from: 'a@x.com', to: 'list@lists.example' }, own).reason,
+    ).toBe('not-in-to');
+    // No recipients in the payload: nothing to check, so it notifies.
+    expect(evaluateNotificationPolicy(policy, { from: 'a@x.com' }, own).notify).toBe(true);
+  });
+
+  it('lets VIPs through every rule and silences everyone else in quiet hours', () => {
+    const night = { ...own, now: at(16, '23:00') };
+    expect(
+      evaluateNotificationPolicy(
+        policy,
+        { from: 'Ceo <ceo@vip.example>', to: 'list@lists.example', folder: 'Newsletters' },
+        night,
+      ),
+    ).toEqual({ notify: true, silent: false, reason: 'vip' });
+    expect(
+      evaluateNotificationPolicy(policy, { from: 'a@x.com', to: 'me@example.com' }, night),
+    ).toEqual({ notify: true, silent: true, reason: 'quiet-hours' });
+  });
+});
+
+describe('notifiedLabels', () => {
+  it('reads labels in any shape plus keyword flags', () => {
+    expect(
+      notifiedLabels({ labels: ['Work', { keyword: 'travel' }], flags: ['\\Seen', '$Receipts'] }),
+    ).toEqual(['Work', 'travel', '$Receipts']);
+    expect(notifiedLabels({ keywords: 'a,b' })).toEqual(['a', 'b']);
+  });
+});
+
+describe('account policy', () => {
+  it('counts identities as our addresses', () => {
+    h.policy = { onlyWhenInTo: true };
+    expect(notificationDecision('me@example.com', { to: 'sales@example.com' }).notify).toBe(true);
+    expect(notificationDecision('me@example.com', { to: 'other@example.com' }).notify).toBe(false);
+  });
+});
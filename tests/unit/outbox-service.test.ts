@@ -63,6 +63,9 @@ import {
   getPendingOutbox,
   processOutbox,
   getOutboxItem,
+  withReadReceiptRequest,
+  trackFollowUp,
+  clearSentItems,
 } from '../../src/utils/outbox-service.js';
 
 const email = { to: ['x@y.com'], subject: 'Hi', html: '<p>hello</p>' };
@@ -92,6 +95,26 @@ describe('queueEmail', () => {
     expect(h.outbox.size).toBe(1);
   });
 
+  it('keeps the cleartext draft of a protected email only until it starts sending', async () => {
+    vi.useFakeTimers();
+    const protectedEmail = { to: ['x@y.com'], raw: '-----BEGIN PGP MESSAGE-----' };
+    const rec = await queueEmail(protectedEmail, {
+      skipProcess: true,
+      sendAt: Date.now() + 5_000,
+      undoDraft: email,
+    });
+    expect((await getOutboxItem(rec.id))?.undoDraft).toEqual(email);
+
+    vi.setSystemTime(Date.now() + 5_000);
+    const p = processOutbox();
+    await vi.runAllTimersAsync();
+    await p;
+    const [, init] = h.remoteRequest.mock.calls[0] as [string, Record<string, unknown>];
+    expect(init).not.toHaveProperty('html');
+    expect(init).not.toHaveProperty('undoDraft');
+    expect((await getOutboxItem(rec.id))?.undoDraft).toBeUndefined();
+  });
+
   it('marks a future-dated email as scheduled', async () => {
     const sendAt = Date.now() + 60_000;
     const rec = await queueEmail(email, { skipProcess: true, sendAt });
@@ -494,3 +517,46 @@ describe('cancelScheduledEmail', () => {
     expect(h.outbox.has('a')).toBe(false);
   });
 });
+
+describe('withReadReceiptRequest', () => {
+  it('asks for receipts to go back to the sender, keeping other headers', () => {
+    const payload = withReadReceiptRequest({
+      from: 'Me <me@test.com>',
+      to: ['a@test.com'],
+      headers: { 'X-Priority': '1' },
+    });
+    expect(payload.headers).toEqual({
+      'X-Priority': '1',
+      'Disposition-Notification-To': 'Me <me@test.com>',
+    });
+  });
+});
+
+describe('follow-up reminders', () => {
+  const tracked = { ...email, from: 'me@test.com', messageId: '<m1@test.com>' };
+
+  it('stores a waiting follow-up on the queued row, timed from the send', async () => {
+    const sendAt = Date.now() + 60_000;
+    const rec = await queueEmail(tracked, { skipProcess: true, sendAt, followUpAt: sendAt + 1000 });
+    expect(rec.followUp).toMatchObject({
+      messageId: '<m1@test.com>',
+      sentAt: sendAt,
+      remindAt: sendAt + 1000,
+      status: 'waiting',
+    });
+    // Nothing to match replies against without a Message-ID.
+    const plain = await queueEmail(email, { skipProcess: true, followUpAt: sendAt });
+    expect(plain.followUp).toBeNull();
+  });
+
+  it('records direct sends as sent rows that outlive clearSentItems', async () => {
+    const row = await trackFollowUp({ ...tracked, html: '<p>big</p>' }, Date.now() + 1000);
+    expect(row).toMatchObject({ status: 'sent', account: 'me@test.com' });
+    expect(row?.emailData).not.toHaveProperty('html');
+    h.outbox.set('done', { account: 'me@test.com', id: 'done', status: 'sent' });
+
+    await clearSentItems();
+
+    expect([...h.outbox.keys()]).toEqual([row?.id]);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * pdf-preview tests: pdf.js is loaded with its same-origin worker and eval
+ * off, and pages are painted at the requested width, sharp on HiDPI.
+ */
+import { describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  getDocument: vi.fn(),
+  render: vi.fn(() => ({ promise: Promise.resolve() })),
+  cleanup: vi.fn(),
+  workerOptions: { workerSrc: '' },
+}));
+
+vi.mock('pdfjs-dist/legacy/build/pdf.mjs', () => ({
+  GlobalWorkerOptions: h.workerOptions,
+  getDocument: h.getDocument,
+}));
+vi.mock('pdfjs-dist/legacy/build/pdf.worker.min.mjs?url', () => ({
+  default: '/assets/pdf.worker.min.mjs',
+}));
+
+import { openPdf, renderPdfPage, type PDFDocumentProxy } from '../../src/utils/pdf-preview';
+
+describe('pdf-preview', () => {
+  it('opens documents with the bundled worker and eval off', async () => {
+    const doc = { numPages: 2 };
+    h.getDocument.mockReturnValue({ promise: Promise.resolve(doc) });
+    const bytes = new Uint8Array([0x25, 0x50, 0x44, 0x46]);
+
+    expect(await openPdf(bytes)).toBe(doc);
+    expect(h.workerOptions.workerSrc).toBe('/assets/pdf.worker.min.mjs');
+    expect(h.getDocument).toHaveBeenCalledWith(
+      expect.objectContaining({ data: bytes, isEvalSupported: false }),
+    );
+  });
+
+  it('paints a page at the given width, at device resolution', async () => {
+    const page = {
+      getViewport: ({ scale }: { scale: number }) => ({ width: 600 * scale, height: 800 * scale }),
+      render: h.render,
+      cleanup: h.cleanup,
+    };
+    const doc = { getPage: vi.fn(async () => page) } as unknown as PDFDocumentProxy;
+    const canvas = document.createElement('canvas');
+    vi.spyOn(canvas, 'getContext').mockReturnValue({} as CanvasRenderingContext2D);
+
+    await renderPdfPage(doc, 1, canvas, 300, 2);
+    expect([canvas.width, canvas.height, canvas.style.width]).toEqual([600, 800, '300px']);
+    expect(h.render).toHaveBeenCalled();
+    expect(h.cleanup).toHaveBeenCalled();
+  });
+});
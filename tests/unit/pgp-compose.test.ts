@@ -0,0 +1,198 @@
+// @vitest-environment node
+/**
+ * pgp-compose tests. Round-trips real keys through openpgp: a signed message
+ * must verify over the exact entity we emit, an encrypted one must decrypt
+ * with the recipient's key (and our own, for the Sent copy), and a missing
+ * recipient key must stop the send rather than fall back to cleartext. The
+ * recipient key ring is mocked; recipient-keys.test.ts covers it.
+ *
+ * Runs in the node environment: jsdom swaps in its own typed-array globals,
+ * which openpgp rejects as "not a Uint8Array".
+ */
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import * as openpgp from 'openpgp';
+
+const h = vi.hoisted(() => ({
+  store: new Map<string, string>(),
+  ring: new Map<string, { email: string; publicKey: string }>(),
+}));
+
+vi.mock('../../src/utils/storage.js', () => ({
+  Local: { get: vi.fn((key: string) => h.store.get(key) ?? null) },
+}));
+
+vi.mock('../../src/utils/recipient-keys', () => ({
+  discoverRecipientKeys: vi.fn(async (_account: string, emails: string[]) => {
+    const found = new Map();
+    emails.forEach((email) => {
+      if (h.ring.has(email)) found.set(email, h.ring.get(email));
+    });
+    return found;
+  }),
+}));
+
+import {
+  PgpComposeError,
+  protectOutgoingPayload,
+  collectRecipientEmails,
+  findEncryptableRecipients,
+  withAutocryptHeader,
+} from '../../src/utils/pgp-compose';
+import { findRawHeaders, parseAutocryptHeader } from '../../src/utils/pgp-keyring';
+
+const ACCOUNT = 'me@example.com';
+let own: { privateKey: string; publicKey: string };
+let friend: { privateKey: string; publicKey: string };
+
+const basePayload = () => ({
+  from: '"Me" <me@example.com>',
+  to: ['me@example.com'],
+  subject: 'Quarterly numbers',
+  html: '<p>Secret</p>',
+  text: 'Secret',
+  save_sent: true,
+});
+
+// Body of the top-level part with the given Content-Type line.
+const partBody = (raw: string, contentType: string) => {
+  const boundary = raw.match(/boundary="([^"]+)"/)![1];
+  const start = raw.indexOf(contentType);
+  const bodyStart = raw.indexOf('\r\n\r\n', start) + 4;
+  return raw.slice(bodyStart, raw.indexOf(`\r\n--${boundary}`, bodyStart));
+};
+
+describe('pgp-compose', () => {
+  beforeAll(async () => {
+    own = (await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519Legacy',
+      userIDs: [{ name: 'Me', email: ACCOUNT }],
+      format: 'armored',
+    })) as unknown as { privateKey: string; publicKey: string };
+    friend = (await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519Legacy',
+      userIDs: [{ name: 'Friend', email: 'friend@example.org' }],
+      format: 'armored',
+    })) as unknown as { privateKey: string; publicKey: string };
+  });
+
+  beforeEach(() => {
+    h.ring.clear();
+    h.store.clear();
+    h.store.set('email', ACCOUNT);
+    h.store.set(`pgp_keys_${ACCOUNT}`, JSON.stringify([{ name: 'main', value: own.privateKey }]));
+  });
+
+  it('returns the payload untouched when nothing is requested', async () => {
+    const payload = basePayload();
+    expect(await protectOutgoingPayload(payload)).toBe(payload);
+  });
+
+  it('collects unique recipient addresses across to/cc/bcc', () => {
+    expect(
+      collectRecipientEmails({ to: ['A <a@x.com>'], cc: ['a@x.com'], bcc: ['b@x.com'] }),
+    ).toEqual(['a@x.com', 'b@x.com']);
+  });
+
+  it('signs a detached multipart/signed message that verifies over the entity', async () => {
+    const result = await protectOutgoingPayload(basePayload(), { sign: true });
+    expect(result.html).toBeUndefined();
+    expect(result.text).toBeUndefined();
+    expect(result.subject).toBe('Quarterly numbers');
+    const raw = result.raw as string;
+    expect(raw).toMatch(/Content-Type: multipart\/signed; boundary="[^"]+"; micalg="pgp-sha\d+"/);
+    expect(raw).toContain('Subject: Quarterly numbers');
+
+    const boundary = raw.match(/boundary="([^"]+)"/)![1];
+    const first = raw.indexOf(`--${boundary}\r\n`) + boundary.length + 4;
+    const second = raw.indexOf(`\r\n--${boundary}\r\n`, first);
+    const entity = raw.slice(first, second);
+    const armoredSignature = partBody(raw, 'Content-Type: application/pgp-signature');
+
+    const verification = await openpgp.verify({
+      message: await openpgp.createMessage({ binary: new TextEncoder().encode(entity) }),
+      signature: await openpgp.readSignature({ armoredSignature }),
+      verificationKeys: await openpgp.readKey({ armoredKey: own.publicKey }),
+    });
+    await expect(verification.signatures[0].verified).resolves.toBe(true);
+  });
+
+  it('encrypts to the recipients and hides the subject', async () => {
+    const result = await protectOutgoingPayload(basePayload(), { encrypt: true, sign: true });
+    const raw = result.raw as string;
+    expect(raw).toContain('Content-Type: multipart/encrypted;');
+    expect(raw).toContain('Subject: ...');
+    expect(raw).not.toContain('Secret');
+
+    const armoredMessage = partBody(raw, 'Content-Type: application/octet-stream');
+    const { data, signatures } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage }),
+      decryptionKeys: await openpgp.readPrivateKey({ armoredKey: own.privateKey }),
+      verificationKeys: await openpgp.readKey({ armoredKey: own.publicKey }),
+    });
+    expect(String(data)).toContain('Subject: Quarterly numbers');
+    expect(String(data)).toContain('protected-headers="v1"');
+    await expect(signatures[0].verified).resolves.toBe(true);
+  });
+
+  it('refuses to encrypt when a recipient has no known key', async () => {
+    const payload = { ...basePayload(), to: ['stranger@example.net'] };
+    await expect(protectOutgoingPayload(payload, { encrypt: true })).rejects.toMatchObject({
+      name: 'PgpComposeError',
+      code: 'missing_recipient_keys',
+      addresses: ['stranger@example.net'],
+    });
+  });
+
+  it('encrypts to a recipient from the key ring', async () => {
+    h.ring.set('friend@example.org', { email: 'friend@example.org', publicKey: friend.publicKey });
+    const payload = { ...basePayload(), to: ['Friend <friend@example.org>'] };
+    const result = await protectOutgoingPayload(payload, { encrypt: true });
+    const armoredMessage = partBody(result.raw as string, 'Content-Type: application/octet-stream');
+    const { data } = await openpgp.decrypt({
+      message: await openpgp.readMessage({ armoredMessage }),
+      decryptionKeys: await openpgp.readPrivateKey({ armoredKey: friend.privateKey }),
+    });
+    expect(String(data)).toContain('Subject: Quarterly numbers');
+  });
+
+  it('marks own addresses and key ring entries as encryptable', async () => {
+    h.ring.set('friend@example.org', { email: 'friend@example.org', publicKey: friend.publicKey });
+    const found = await findEncryptableRecipients([
+      'Me <me@example.com>',
+      'friend@example.org',
+      'stranger@example.net',
+    ]);
+    expect([...found].sort()).toEqual(['friend@example.org', 'me@example.com']);
+  });
+
+  it('carries our Autocrypt header on protected and plain mail', async () => {
+    const signed = await protectOutgoingPayload(basePayload(), { sign: true });
+    const [value] = findRawHeaders(signed.raw as string, 'Autocrypt');
+    const header = parseAutocryptHeader(value);
+    expect(header?.addr).toBe(ACCOUNT);
+    const key = await openpgp.readKey({
+      binaryKey: Uint8Array.from(atob(header!.keydata), (c) => c.charCodeAt(0)),
+    });
+    expect(key.getFingerprint()).toBe(
+      (await openpgp.readKey({ armoredKey: own.publicKey })).getFingerprint(),
+    );
+    expect((signed.raw as string).split('\r\n').every((line) => line.length <= 998)).toBe(true);
+
+    const plain = await withAutocryptHeader(basePayload());
+    expect((plain.headers as Record<string, string>).Autocrypt).toMatch(/^addr=me@example\.com; /);
+  });
+
+  it('skips the Autocrypt header when no key matches the From address', async () => {
+    const payload = { ...basePayload(), from: 'alias@example.com' };
+    expect(await withAutocryptHeader(payload)).toBe(payload);
+  });
+
+  it('reports a missing key setup', async () => {
+    h.store.delete(`pgp_keys_${ACCOUNT}`);
+    await expect(protectOutgoingPayload(basePayload(), { sign: true })).rejects.toBeInstanceOf(
+      PgpComposeError,
+    );
+  });
+});
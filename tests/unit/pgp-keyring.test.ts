@@ -0,0 +1,176 @@
+// @vitest-environment node
+/**
+ * pgp-keyring tests: Autocrypt header parsing and formatting, the merge rule
+ * that decides which key wins for an address, key → record conversion (a key
+ * arriving in mail must only be filed under the sender), and WKD URL
+ * construction against the draft's published test vector.
+ */
+import { beforeAll, describe, expect, it } from 'vitest';
+import * as openpgp from 'openpgp';
+import {
+  evidenceTime,
+  findRawHeaders,
+  formatAutocryptHeader,
+  isPublicKeyAttachment,
+  parseAutocryptHeader,
+  recordsFromKey,
+  shouldReplaceRecord,
+  wkdUrls,
+  type RecipientKeyRecord,
+} from '../../src/utils/pgp-keyring';
+
+const record = (overrides: Partial<RecipientKeyRecord> = {}): RecipientKeyRecord => ({
+  account: 'me@example.com',
+  email: 'alice@example.org',
+  fingerprint: 'AAAA',
+  publicKey: '-----BEGIN PGP PUBLIC KEY BLOCK-----',
+  source: 'autocrypt',
+  seenAt: 1000,
+  updatedAt: 1000,
+  ...overrides,
+});
+
+describe('Autocrypt headers', () => {
+  it('reads unfolded top-level headers only', () => {
+    const raw = [
+      'From: alice@example.org',
+      'Autocrypt: addr=alice@example.org; keydata=',
+      ' AAAA',
+      '\tBBBB',
+      'Content-Type: multipart/mixed; boundary="b"',
+      '',
+      '--b',
+      'Autocrypt: addr=mallory@example.org; keydata=CCCC',
+    ].join('\r\n');
+    expect(findRawHeaders(raw, 'autocrypt')).toEqual([
+      'addr=alice@example.org; keydata= AAAA BBBB',
+    ]);
+  });
+
+  it('parses attributes and strips whitespace from keydata', () => {
+    expect(
+      parseAutocryptHeader('addr=Alice@Example.org; prefer-encrypt=mutual; keydata= AA BB'),
+    ).toEqual({ addr: 'alice@example.org', preferEncrypt: 'mutual', keydata: 'AABB' });
+  });
+
+  it('rejects headers with missing or unknown critical attributes', () => {
+    expect(parseAutocryptHeader('addr=alice@example.org')).toBeNull();
+    expect(parseAutocryptHeader('addr=alice@example.org; keydata=AA; foo=1')).toBeNull();
+    expect(parseAutocryptHeader('addr=alice@example.org; keydata=AA; _foo=1')).not.toBeNull();
+  });
+
+  it('formats keydata in foldable chunks that parse back', () => {
+    const keydata = 'A'.repeat(200);
+    const value = formatAutocryptHeader({ addr: 'me@example.com', keydata });
+    expect(value.split(' ').every((chunk) => chunk.length <= 80)).toBe(true);
+    expect(parseAutocryptHeader(value)?.keydata).toBe(keydata);
+  });
+});
+
+describe('shouldReplaceRecord', () => {
+  it('stores the first key for an address', () => {
+    expect(shouldReplaceRecord(undefined, record())).toBe(true);
+  });
+
+  it('refreshes the same key but never with older evidence', () => {
+    expect(shouldReplaceRecord(record(), record({ seenAt: 1000 }))).toBe(true);
+    expect(shouldReplaceRecord(record(), record({ seenAt: 500 }))).toBe(false);
+  });
+
+  it('switches to a different key only on newer evidence', () => {
+    expect(shouldReplaceRecord(record(), record({ fingerprint: 'BBBB', seenAt: 1000 }))).toBe(
+      false,
+    );
+    expect(shouldReplaceRecord(record(), record({ fingerprint: 'BBBB', seenAt: 2000 }))).toBe(true);
+  });
+});
+
+describe('evidenceTime', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  it('dates evidence from the message, but never later than now', () => {
+    expect(evidenceTime('Mon, 12 Oct 2026 09:00:00 +0000', now)).toBe(
+      Date.parse('2026-10-12T09:00:00Z'),
+    );
+    expect(evidenceTime('Fri, 1 Jan 2100 00:00:00 +0000', now)).toBe(now);
+    expect(evidenceTime('', now)).toBe(now);
+    expect(evidenceTime('not a date', now)).toBe(now);
+  });
+
+  it('keeps a forged future Date from pinning a key against later ones', () => {
+    const forged = record({ fingerprint: 'EVIL', seenAt: evidenceTime('2100-01-01', now) });
+    const genuine = record({ fingerprint: 'GOOD', seenAt: now + 60_000 });
+    expect(shouldReplaceRecord(forged, genuine)).toBe(true);
+  });
+});
+
+describe('recordsFromKey', () => {
+  let key: openpgp.PublicKey;
+
+  beforeAll(async () => {
+    const { publicKey } = await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519Legacy',
+      userIDs: [{ email: 'alice@example.org' }, { email: 'boss@example.org' }],
+      format: 'armored',
+    });
+    key = await openpgp.readKey({ armoredKey: publicKey });
+  });
+
+  it('files a key under each of its user IDs', () => {
+    const records = recordsFromKey(key, { account: 'me', source: 'wkd', seenAt: 1 });
+    expect(records.map((r) => r.email).sort()).toEqual(['alice@example.org', 'boss@example.org']);
+    expect(records[0].fingerprint).toBe(key.getFingerprint().toUpperCase());
+  });
+
+  it('limits a mailed key to the sender', () => {
+    const records = recordsFromKey(key, {
+      account: 'me',
+      source: 'attachment',
+      seenAt: 1,
+      onlyEmail: 'Alice <alice@example.org>',
+    });
+    expect(records.map((r) => r.email)).toEqual(['alice@example.org']);
+  });
+
+  it('binds an Autocrypt key to the header address', () => {
+    const records = recordsFromKey(key, {
+      account: 'me',
+      source: 'autocrypt',
+      seenAt: 1,
+      forEmail: 'alias@example.org',
+      preferEncrypt: 'mutual',
+    });
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ email: 'alias@example.org', preferEncrypt: 'mutual' });
+  });
+});
+
+describe('key attachments', () => {
+  it('recognizes key files but not PGP/MIME payloads', () => {
+    expect(isPublicKeyAttachment({ filename: 'alice.asc' })).toBe(true);
+    expect(isPublicKeyAttachment({ filename: 'key', contentType: 'application/pgp-keys' })).toBe(
+      true,
+    );
+    expect(isPublicKeyAttachment({ filename: 'signature.asc' })).toBe(false);
+    expect(isPublicKeyAttachment({ filename: 'report.pdf' })).toBe(false);
+  });
+});
+
+describe('wkdUrls', () => {
+  it('hashes the lower-cased local part (draft-koch-openpgp-webkey-service)', async () => {
+    const [advanced, direct] = await wkdUrls('Joe.Doe@Example.ORG');
+    expect(advanced).toBe(
+      'https://openpgpkey.example.org/.well-known/openpgpkey/example.org/hu/iy9q119eutrkn8s1mk4r39qejnbu3n5q?l=joe.doe',
+    );
+    expect(direct).toBe(
+      'https://example.org/.well-known/openpgpkey/hu/iy9q119eutrkn8s1mk4r39qejnbu3n5q?l=joe.doe',
+    );
+  });
+
+  it('sends every lookup to the override server when one is set', async () => {
+    expect(await wkdUrls('joe.doe@example.org', { baseUrl: 'http://localhost:8080/' })).toEqual([
+      'http://localhost:8080/.well-known/openpgpkey/example.org/hu/iy9q119eutrkn8s1mk4r39qejnbu3n5q?l=joe.doe',
+    ]);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * phishing tests: flagging links whose text names another host, homograph
+ * domains, display names claiming a brand or address, first-time senders
+ * imitating a contact, and the combined assessment for a message.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  assessMessage,
+  countSuspiciousLinks,
+  displayNameWarning,
+  impersonationWarning,
+  isHomographDomain,
+  markSuspiciousLink,
+  suspiciousLink,
+} from '../../src/utils/phishing';
+
+const contacts = [
+  { email: 'ann@example.com', name: 'Ann Lee' },
+  { email: 'billing@vendor.test', name: 'Vendor Billing' },
+];
+
+describe('suspiciousLink', () => {
+  it('flags link text naming another host than the href', () => {
+    expect(suspiciousLink('www.paypal.com', 'https://paypal.evil.test/login')).toEqual({
+      shown: 'www.paypal.com',
+      actual: 'paypal.evil.test',
+    });
+    expect(suspiciousLink('https://bank.test/account', 'http://203.0.113.9/')).toEqual({
+      shown: 'bank.test',
+      actual: '203.0.113.9',
+    });
+  });
+
+  it('accepts the same site, plain text and non-web links', () => {
+    expect(suspiciousLink('example.com', 'https://www.example.com/a')).toBeNull();
+    expect(suspiciousLink('example.com', 'https://mail.example.com/')).toBeNull();
+    expect(suspiciousLink('Sign in', 'https://example.com/')).toBeNull();
+    expect(suspiciousLink('example.com', 'mailto:ann@other.test')).toBeNull();
+    expect(suspiciousLink('example.com', 'not a url')).toBeNull();
+  });
+
+  it('flags homograph hosts whatever the text says', () => {
+    expect(suspiciousLink('Sign in', 'https://xn--pypal-4ve.com/')).toEqual({
+      shown: null,
+      actual: 'xn--pypal-4ve.com',
+    });
+  });
+
+  it('marks a flagged link with its real host', () => {
+    const link = document.createElement('a');
+    link.setAttribute('href', 'https://evil.test/');
+    link.textContent = 'bank.test';
+    expect(markSuspiciousLink(link)).toBe(true);
+    expect(link.getAttribute('data-fe-suspicious-link')).toBe('evil.test');
+    expect(link.getAttribute('title')).toBe('Goes to evil.test');
+    expect(countSuspiciousLinks(`<p>${link.outerHTML}${link.outerHTML}</p>`)).toBe(2);
+
+    const safe = document.createElement('a');
+    safe.setAttribute('href', 'https://bank.test/');
+    safe.textContent = 'bank.test';
+    expect(markSuspiciousLink(safe)).toBe(false);
+    expect(safe.hasAttribute('data-fe-suspicious-link')).toBe(false);
+  });
+});
+
+describe('sender checks', () => {
+  it('detects punycode and mixed-script domains', () => {
+    expect(isHomographDomain('xn--pypal-4ve.com')).toBe(true);
+    expect(isHomographDomain('pаypal.com')).toBe(true);
+    expect(isHomographDomain('пример.test')).toBe(false);
+    expect(isHomographDomain('paypal.com')).toBe(false);
+  });
+
+  it('warns about display names claiming a brand or another address', () => {
+    expect(displayNameWarning('PayPal Support', 'alerts@secure-login.test')?.kind).toBe(
+      'display-name',
+    );
+    expect(displayNameWarning('PayPal', 'service@mail.paypal.com')).toBeNull();
+    expect(displayNameWarning('ceo@example.com', 'ceo@example.test')?.message).toContain(
+      'ceo@example.com',
+    );
+    expect(displayNameWarning('ceo@example.com', 'ceo@mail.example.com')).toBeNull();
+    expect(displayNameWarning('Ann Lee', 'ann@example.com')).toBeNull();
+  });
+
+  it('warns about unknown senders imitating a contact', () => {
+    expect(impersonationWarning('', 'ann@examp1e.com', contacts)?.message).toContain(
+      'ann@example.com',
+    );
+    expect(impersonationWarning('', 'billing@vendors.test', contacts)?.kind).toBe('impersonation');
+    expect(impersonationWarning('Ann  Lee', 'ann.lee@free.test', contacts)?.message).toContain(
+      'Ann Lee <ann@example.com>',
+    );
+    expect(impersonationWarning('Ann Lee', 'ANN@example.com', contacts)).toBeNull();
+    expect(impersonationWarning('Someone', 'someone@free.test', contacts)).toBeNull();
+  });
+});
+
+describe('assessMessage', () => {
+  it('combines every warning for a message', () => {
+    const warnings = assessMessage({
+      from: '"Ann Lee" <ann@xn--exmple-cua.com>',
+      html: '<a href="https://evil.test/" data-fe-suspicious-link="evil.test">bank.test</a>',
+      contacts,
+      securityInfo: { dmarc: 'fail' },
+    });
+    expect(warnings.map((warning) => warning.kind)).toEqual([
+      'authentication',
+      'homograph',
+      'impersonation',
+      'links',
+    ]);
+    expect(warnings[3].message).toBe(
+      '1 link in this message goes somewhere other than it says. Hover over a link to see where it really goes.',
+    );
+  });
+
+  it('has nothing to say about an ordinary message', () => {
+    expect(
+      assessMessage({
+        from: 'Ann Lee <ann@example.com>',
+        html: '<a href="https://example.com/">example.com</a>',
+        contacts,
+        securityInfo: { dmarc: 'pass' },
+      }),
+    ).toEqual([]);
+    expect(assessMessage({ from: 'newsletter@shop.test' })).toEqual([]);
+  });
+});
@@ -1,3 +1,9 @@
+const h = vi.hoisted(() => ({ policy: null }));
+
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (id) => (id === 'notification_policy' ? h.policy : undefined),
+}));
+
 vi.mock('../../src/utils/platform.js', () => ({
   isTauriMobile: false,
 }));
@@ -44,4 +50,19 @@ describe('push notification payload routing', () => {
       }),
     ).toEqual({ action: 'navigate', path: '#notes' });
   });
+
+  it('applies the account notification rules to new mail', () => {
+    h.policy = { folders: { Newsletters: false } };
+    expect(
+      handlePushPayload({ type: 'new-message', data: { uid: '7', mailbox: 'Newsletters' } }),
+    ).toEqual({ action: 'navigate', path: '#Newsletters/7', notify: false });
+    h.policy = { vipSenders: ['boss@example.com'], folders: { Newsletters: false } };
+    expect(
+      handlePushPayload({
+        type: 'new-message',
+        data: { uid: '7', mailbox: 'Newsletters', sender: 'boss@example.com' },
+      }),
+    ).toEqual({ action: 'navigate', path: '#Newsletters/7' });
+    h.policy = null;
+  });
 });
@@ -0,0 +1,208 @@
+/**
+ * read-receipts tests: which messages may get a receipt, what each policy
+ * does, the multipart/report that is sent, and answering each message once.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+const h = vi.hoisted(() => ({
+  meta: new Map<string, { key: string; value: unknown }>(),
+  flags: [] as string[],
+  updates: [] as Record<string, unknown>[],
+  sent: [] as Record<string, unknown>[],
+  policy: 'ask' as unknown,
+  active: 'me@example.com',
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, row);
+      }),
+    },
+    messages: {
+      where: () => ({
+        equals: () => ({
+          toArray: async () => [{ flags: h.flags }],
+          modify: async (changes: { flags: string[] }) => {
+            h.flags = changes.flags;
+          },
+        }),
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/storage', () => ({
+  Local: { get: (key: string) => (key === 'email' ? h.active : null) },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/remote', () => ({
+  Remote: {
+    request: vi.fn(async (_action: string, params: Record<string, unknown>) => {
+      h.updates.push(params);
+      return {};
+    }),
+  },
+}));
+
+vi.mock('../../src/utils/outbox-service.js', () => ({
+  queueEmail: vi.fn(async (email: Record<string, unknown>) => {
+    h.sent.push(email);
+    return { id: `outbox_${h.sent.length}` };
+  }),
+}));
+
+vi.mock('../../src/utils/sync-worker-client.js', () => ({ onSyncProgress: vi.fn() }));
+
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (id: string) => {
+    if (id === 'read_receipt_policy') return h.policy;
+    if (id === 'identities') return [{ email: 'sales@example.com' }];
+    return undefined;
+  },
+}));
+
+import {
+  buildReadReceipt,
+  offerReadReceipt,
+  pendingReadReceipt,
+  readReceiptAction,
+  readReceiptRequest,
+} from '../../src/utils/read-receipts';
+
+const ME = 'me@example.com';
+
+const message = (overrides: Record<string, unknown> = {}) => ({
+  id: 'm1',
+  account: ME,
+  folder: 'INBOX',
+  from: 'Ada <ada@example.org>',
+  to: 'sales@example.com',
+  subject: 'Quote',
+  flags: [] as string[],
+  ...overrides,
+});
+
+const detail = (headers: Record<string, string>) => ({
+  nodemailer: {
+    headers: {
+      from: 'Ada <ada@example.org>',
+      'message-id': '<q1@example.org>',
+      subject: 'Quote',
+      'disposition-notification-to': 'Ada <ada@example.org>',
+      'return-path': '<ada@example.org>',
+      ...headers,
+    },
+  },
+});
+
+const headersOf = (headers: Record<string, string> = {}): Record<string, string> =>
+  detail(headers).nodemailer.headers;
+
+beforeEach(() => {
+  h.meta.clear();
+  h.flags = [];
+  h.updates = [];
+  h.sent = [];
+  h.policy = 'ask';
+  pendingReadReceipt.set(null);
+});
+
+describe('readReceiptRequest', () => {
+  it('reads who asked and which of our addresses received the message', () => {
+    const request = readReceiptRequest(message(), headersOf(), ME);
+    expect(request).toMatchObject({
+      messageId: 'm1',
+      headerMessageId: '<q1@example.org>',
+      notifyTo: ['ada@example.org'],
+      finalRecipient: 'sales@example.com',
+      needsConfirmation: false,
+    });
+  });
+
+  it('skips answered messages, spam, receipts and our own mail', () => {
+    expect(readReceiptRequest(message({ flags: ['$MDNSent'] }), headersOf(), ME)).toBeNull();
+    expect(readReceiptRequest(message({ folder: 'Junk' }), headersOf(), ME)).toBeNull();
+    expect(
+      readReceiptRequest(
+        message(),
+        headersOf({ 'content-type': 'multipart/report; report-type=disposition-notification' }),
+        ME,
+      ),
+    ).toBeNull();
+    expect(readReceiptRequest(message(), headersOf({ from: ME }), ME)).toBeNull();
+    expect(
+      readReceiptRequest(message(), headersOf({ 'disposition-notification-to': '' }), ME),
+    ).toBeNull();
+  });
+
+  it('needs confirmation unless the receipt goes back to the Return-Path', () => {
+    const elsewhere = readReceiptRequest(
+      message(),
+      headersOf({ 'return-path': '<bounces@mailer.example>' }),
+      ME,
+    );
+    expect(elsewhere?.needsConfirmation).toBe(true);
+    expect(readReceiptAction('always', elsewhere!)).toBe('ask');
+    const unknown = readReceiptRequest(message(), headersOf({ 'return-path': '' }), ME);
+    expect(unknown?.needsConfirmation).toBe(true);
+    expect(readReceiptAction('always', unknown!)).toBe('ask');
+    const plain = readReceiptRequest(message(), headersOf(), ME)!;
+    expect(readReceiptAction('always', plain)).toBe('send');
+    expect(readReceiptAction('ask', plain)).toBe('ask');
+    expect(readReceiptAction('never', plain)).toBe('ignore');
+  });
+});
+
+describe('buildReadReceipt', () => {
+  it('builds a multipart/report disposition notification', () => {
+    const request = readReceiptRequest(message(), headersOf(), ME)!;
+    const mdn = buildReadReceipt(request, { automatic: true, now: new Date(Date.UTC(2026, 0, 2)) });
+    expect(mdn).toMatchObject({
+      from: 'sales@example.com',
+      to: ['ada@example.org'],
+      subject: 'Read: Quote',
+      save_sent: false,
+    });
+    const raw = mdn.raw as string;
+    expect(raw).toContain('Content-Type: multipart/report; boundary=');
+    expect(raw).toContain('; report-type=disposition-notification');
+    expect(raw).toContain('Content-Type: message/disposition-notification');
+    expect(raw).toContain('Final-Recipient: rfc822;sales@example.com');
+    expect(raw).toContain('Original-Message-ID: <q1@example.org>');
+    expect(raw).toContain('Disposition: automatic-action/MDN-sent-automatically; displayed');
+    expect(raw).toContain('Auto-Submitted: auto-replied');
+    expect(raw).toContain('In-Reply-To: <q1@example.org>');
+  });
+});
+
+describe('offerReadReceipt', () => {
+  it('asks under the default policy', async () => {
+    await offerReadReceipt(message(), detail({}));
+    expect(get(pendingReadReceipt)?.headerMessageId).toBe('<q1@example.org>');
+    expect(h.sent).toHaveLength(0);
+  });
+
+  it('sends once under "always" and marks the message $MDNSent', async () => {
+    h.policy = 'always';
+    await offerReadReceipt(message(), detail({}));
+    await offerReadReceipt(message(), detail({}));
+    expect(h.sent).toHaveLength(1);
+    expect(h.flags).toEqual(['$MDNSent']);
+    expect(h.updates).toEqual([{ flags: ['$MDNSent'], folder: 'INBOX' }]);
+  });
+
+  it('does nothing under "never" or for another account', async () => {
+    h.policy = 'never';
+    await offerReadReceipt(message(), detail({}));
+    h.policy = 'always';
+    await offerReadReceipt(message({ account: 'other@example.com' }), detail({}));
+    expect(h.sent).toHaveLength(0);
+    expect(get(pendingReadReceipt)).toBeNull();
+  });
+});
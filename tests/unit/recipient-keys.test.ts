@@ -0,0 +1,123 @@
+// @vitest-environment node
+/**
+ * recipient-keys tests: the per-account store over a mocked recipientKeys
+ * table, key import from `.asc` text, and WKD discovery through a stand-in
+ * lookup (including the miss cache that keeps us from re-querying a domain
+ * on every keystroke).
+ */
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import * as openpgp from 'openpgp';
+
+const h = vi.hoisted(() => ({
+  rows: new Map<string, Record<string, unknown>>(),
+  externalFetch: vi.fn(),
+}));
+
+vi.mock('../../src/utils/db.js', () => {
+  const id = (key: [string, string]) => key.join('|');
+  return {
+    db: {
+      recipientKeys: {
+        get: vi.fn(async (key: [string, string]) => h.rows.get(id(key))),
+        bulkGet: vi.fn(async (keys: [string, string][]) => keys.map((key) => h.rows.get(id(key)))),
+        put: vi.fn(async (row: { account: string; email: string }) => {
+          h.rows.set(id([row.account, row.email]), row);
+        }),
+      },
+    },
+  };
+});
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+vi.mock('../../src/utils/external-fetch', () => ({ externalFetch: h.externalFetch }));
+
+import {
+  discoverRecipientKeys,
+  getRecipientKeyRecords,
+  importPublicKeys,
+  saveRecipientKeys,
+  setWkdLookup,
+} from '../../src/utils/recipient-keys';
+
+const ACCOUNT = 'me@example.com';
+let alice: { publicKey: string; binary: Uint8Array };
+
+describe('recipient-keys', () => {
+  beforeAll(async () => {
+    const { publicKey } = await openpgp.generateKey({
+      type: 'ecc',
+      curve: 'curve25519Legacy',
+      userIDs: [{ name: 'Alice', email: 'alice@example.org' }],
+      format: 'armored',
+    });
+    const key = await openpgp.readKey({ armoredKey: publicKey });
+    alice = { publicKey, binary: key.write() };
+  });
+
+  beforeEach(() => {
+    h.rows.clear();
+    h.externalFetch.mockReset();
+    setWkdLookup(null);
+  });
+
+  it('imports an armored key and reads it back per account', async () => {
+    const saved = await importPublicKeys(ACCOUNT, alice.publicKey);
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ email: 'alice@example.org', source: 'attachment' });
+
+    const found = await getRecipientKeyRecords(ACCOUNT, ['Alice <ALICE@example.org>', 'x@y.z']);
+    expect([...found.keys()]).toEqual(['alice@example.org']);
+    expect((await getRecipientKeyRecords('other@example.com', ['alice@example.org'])).size).toBe(0);
+  });
+
+  it('ignores text that is not a public key', async () => {
+    expect(await importPublicKeys(ACCOUNT, 'hello')).toEqual([]);
+  });
+
+  it('keeps a newer key when older evidence arrives', async () => {
+    const [current] = await importPublicKeys(ACCOUNT, alice.publicKey, { seenAt: 2000 });
+    const stale = { ...current, fingerprint: 'OLD', seenAt: 1000 };
+    expect(await saveRecipientKeys([stale])).toEqual([]);
+    expect(h.rows.get(`${ACCOUNT}|alice@example.org`)?.fingerprint).toBe(current.fingerprint);
+  });
+
+  it('only asks WKD when discovery is enabled', async () => {
+    const lookup = vi.fn(async () => alice.binary);
+    setWkdLookup(lookup);
+
+    expect((await discoverRecipientKeys(ACCOUNT, ['alice@example.org'])).size).toBe(0);
+    expect(lookup).not.toHaveBeenCalled();
+
+    const found = await discoverRecipientKeys(ACCOUNT, ['alice@example.org'], { wkd: true });
+    expect(found.get('alice@example.org')?.source).toBe('wkd');
+    expect(lookup).toHaveBeenCalledWith('alice@example.org');
+
+    // Now stored, so the next discovery is local.
+    await discoverRecipientKeys(ACCOUNT, ['alice@example.org'], { wkd: true });
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks the WKD host through externalFetch, which the CSP allows', async () => {
+    h.externalFetch.mockImplementation(async (url: string) =>
+      url.startsWith('https://openpgpkey.example.org/')
+        ? new Response(alice.binary)
+        : new Response(null, { status: 404 }),
+    );
+    const found = await discoverRecipientKeys(ACCOUNT, ['alice@example.org'], { wkd: true });
+    expect(found.get('alice@example.org')?.source).toBe('wkd');
+    expect(h.externalFetch).toHaveBeenCalledWith(
+      expect.stringMatching(/^https:\/\/openpgpkey\.example\.org\/\.well-known\/openpgpkey\//),
+      expect.anything(),
+    );
+  });
+
+  it('rejects a WKD key for a different address and caches the miss', async () => {
+    const lookup = vi.fn(async () => alice.binary);
+    setWkdLookup(lookup);
+
+    const first = await discoverRecipientKeys(ACCOUNT, ['bob@example.org'], { wkd: true });
+    expect(first.size).toBe(0);
+    await discoverRecipientKeys(ACCOUNT, ['bob@example.org'], { wkd: true });
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+});
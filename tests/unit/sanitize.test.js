@@ -156,6 +156,16 @@ describe('sanitizeHtml', () => {
       expect(result.blockedRemoteImageCount).toBe(1);
     });
   });
+
+  it('marks links whose text names another host', () => {
+    const result = sanitizeHtml(
+      '<a href="https://evil.test/login">bank.test</a> <a href="https://bank.test/">bank.test</a>',
+      { blockRemoteImages: false, blockTrackingPixels: false },
+    );
+    expect(result.suspiciousLinkCount).toBe(1);
+    expect(result.html).toContain('data-fe-suspicious-link="evil.test"');
+    expect(result.html).toContain('title="Goes to evil.test"');
+  });
 });
 
 describe('restoreBlockedImages', () => {
@@ -0,0 +1,87 @@
+/**
+ * search-autocomplete tests: finding the word under the caret, operator and
+ * value suggestions, and splicing a picked suggestion back into the query.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  applySearchCompletion,
+  completeSearchQuery,
+  describeUnknownClause,
+  wordAtCaret,
+} from '../../src/utils/search-autocomplete';
+
+const sources = {
+  contacts: [
+    { name: 'Ana Smith', email: 'ana@example.com' },
+    { name: 'Bob', email: 'bob@example.com' },
+  ],
+  folders: ['INBOX', 'Archive', 'Projects/Q3 Plans'],
+  labels: [{ label: 'Work', value: '$label1' }],
+  now: new Date(2024, 5, 15),
+};
+
+const labels = (query: string, caret = query.length) =>
+  completeSearchQuery(query, caret, sources).items.map((item) => item.label);
+
+describe('wordAtCaret', () => {
+  it('stops at spaces and parentheses but not inside quotes', () => {
+    expect(wordAtCaret('foo (from:ana', 13)).toEqual({ from: 5, to: 13 });
+    expect(wordAtCaret('in:"My Folder" x', 8)).toEqual({ from: 0, to: 14 });
+    expect(wordAtCaret('a b', 1)).toEqual({ from: 0, to: 1 });
+  });
+});
+
+describe('completeSearchQuery', () => {
+  it('suggests operators for a bare word and booleans in capitals', () => {
+    expect(labels('fr')).toEqual(['from:']);
+    expect(labels('-s')).toEqual(['subject:', 'size:', 'smaller:']);
+    expect(labels('O')).toContain('OR');
+    expect(labels('o')).not.toContain('OR');
+    expect(labels('')).toEqual([]);
+  });
+
+  it('completes contacts, folders, labels and flags', () => {
+    expect(labels('from:smi')).toEqual(['ana@example.com']);
+    expect(labels('in:arc')).toEqual(['Archive']);
+    expect(labels('label:wo')).toEqual(['Work']);
+    expect(labels('is:un')).toEqual(['unread']);
+    expect(labels('is:unread')).toEqual([]);
+  });
+
+  it('offers relative dates as ISO dates', () => {
+    const { items } = completeSearchQuery('after:week', 10, sources);
+    expect(items.map((item) => [item.label, item.insert])).toEqual([
+      ['1 week ago', 'after:2024-06-08'],
+      ['2 weeks ago', 'after:2024-06-01'],
+    ]);
+  });
+
+  it('completes the word under the caret, not the end of the query', () => {
+    const result = completeSearchQuery('to:bo subject:x', 5, sources);
+    expect(result).toMatchObject({ from: 0, to: 5 });
+    expect(result.items[0].insert).toBe('to:bob@example.com');
+  });
+});
+
+describe('applySearchCompletion', () => {
+  it('keeps the caret after an operator and spaces after a value', () => {
+    const op = completeSearchQuery('hello fr', 8, sources);
+    expect(applySearchCompletion('hello fr', op, op.items[0])).toEqual({
+      query: 'hello from:',
+      caret: 11,
+    });
+
+    const folder = completeSearchQuery('-in:proj x', 8, sources);
+    expect(applySearchCompletion('-in:proj x', folder, folder.items[0])).toEqual({
+      query: '-in:"Projects/Q3 Plans" x',
+      caret: 24,
+    });
+  });
+});
+
+describe('describeUnknownClause', () => {
+  it('explains dates and sizes', () => {
+    expect(describeUnknownClause({ token: 'before:soon', key: 'before' })).toContain('YYYY-MM-DD');
+    expect(describeUnknownClause({ token: 'larger:big', key: 'larger' })).toContain('larger:5mb');
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect } from 'vitest';
-import { parseSearchQuery, applySearchFilters } from '../../src/utils/search-query.js';
+import {
+  parseSearchQuery,
+  applySearchFilters,
+  matchesSearchAst,
+  findUnknownClauses,
+} from '../../src/utils/search-query.js';
 
 describe('search-query', () => {
   it('parses operators and builds filters', () => {
@@ -44,6 +49,16 @@ describe('search-query', () => {
     expect(results.map((m) => m.id)).toEqual([1, 3]);
   });
 
+  it('ANDs adjacent terms instead of dropping all but the last', () => {
+    const { ast } = parseSearchQuery('from:alice (subject:invoice OR subject:receipt) -is:read');
+    const base = { from: 'Alice <a@example.com>', subject: 'Invoice 42', is_unread: true };
+
+    expect(matchesSearchAst(base, ast)).toBe(true);
+    expect(matchesSearchAst({ ...base, from: 'Bob <b@example.com>' }, ast)).toBe(false);
+    expect(matchesSearchAst({ ...base, subject: 'Lunch' }, ast)).toBe(false);
+    expect(matchesSearchAst({ ...base, is_unread: false }, ast)).toBe(false);
+  });
+
   it('matches phrase text through AST when quoted', () => {
     const parsed = parseSearchQuery('("quarterly report")');
     const messages = [
@@ -54,4 +69,12 @@ describe('search-query', () => {
     const results = applySearchFilters(messages, parsed.filters);
     expect(results.map((m) => m.id)).toEqual([1]);
   });
+
+  it('reports clauses the parser turns into unknown', () => {
+    expect(findUnknownClauses('before:lastweek from:bob -size:big after:2024-01-01')).toEqual([
+      { token: 'before:lastweek', key: 'before' },
+      { token: '-size:big', key: 'size' },
+    ]);
+    expect(findUnknownClauses('')).toEqual([]);
+  });
 });
@@ -53,6 +53,17 @@ describe('buildSentCopyPayload', () => {
     expect(payload.has_attachment).toBe(true);
   });
 
+  it('files a raw PGP/MIME message as-is instead of rebuilding it from cleartext', () => {
+    const raw = 'From: me@example.com\r\nContent-Type: multipart/encrypted\r\n\r\n...';
+    const payload = buildSentCopyPayload(
+      { from: 'me@example.com', to: ['you@example.com'], subject: 'Hi', raw },
+      'me@example.com',
+      null,
+      'Sent',
+    );
+    expect(payload).toEqual({ raw, subject: 'Hi', folder: 'Sent', flags: ['\\Seen'] });
+  });
+
   it('defaults attachments to an empty array and has_attachment to false', () => {
     const payload = buildSentCopyPayload(baseEmail, 'me@example.com', null, 'Sent');
     expect(payload.attachments).toEqual([]);
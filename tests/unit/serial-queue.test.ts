@@ -0,0 +1,45 @@
+// @vitest-environment node
+/**
+ * serial-queue tests: jobs run one after another, a failure only rejects its
+ * own caller, and keyed queues only order jobs with the same key.
+ */
+import { describe, expect, it } from 'vitest';
+import { createKeyedSerialQueue, createSerialQueue } from '../../src/utils/serial-queue';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createSerialQueue', () => {
+  it('starts each job once the previous one has settled', async () => {
+    const serialize = createSerialQueue();
+    const log: string[] = [];
+    const job = (name: string, fail = false) =>
+      serialize(async () => {
+        log.push(`start ${name}`);
+        await tick();
+        log.push(`end ${name}`);
+        if (fail) throw new Error(name);
+        return name;
+      });
+
+    const results = await Promise.allSettled([job('a'), job('b', true), job('c')]);
+    expect(log).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    expect(results.map((r) => r.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+  });
+});
+
+describe('createKeyedSerialQueue', () => {
+  it('lets different keys run side by side', async () => {
+    const serialize = createKeyedSerialQueue();
+    const log: string[] = [];
+    const job = (key: string, name: string) =>
+      serialize(key, async () => {
+        log.push(`start ${name}`);
+        await tick();
+        log.push(`end ${name}`);
+      });
+
+    await Promise.all([job('a@x', 'a1'), job('b@x', 'b1'), job('a@x', 'a2')]);
+    expect(log.indexOf('start b1')).toBeLessThan(log.indexOf('end a1'));
+    expect(log.indexOf('start a2')).toBeGreaterThan(log.indexOf('end a1'));
+  });
+});
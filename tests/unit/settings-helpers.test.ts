@@ -203,6 +203,53 @@ describe('buildAccountUpdatePayload', () => {
     });
   });
 
+  it('passes mail rules through in both directions', () => {
+    const rules = [{ id: 'r1', query: 'from:alice', actions: [{ type: 'star' }] }];
+    expect(extractSettingsFromAccount({ settings: { mail_rules: rules } }).mail_rules).toEqual(
+      rules,
+    );
+    expect(extractSettingsFromAccount().mail_rules).toBeNull();
+    expect(buildAccountUpdatePayload({ mail_rules: rules })).toEqual({
+      settings: { mail_rules: rules },
+    });
+  });
+
+  it('passes the vacation responder through in both directions', () => {
+    const vacation = { enabled: true, start: '2026-07-01', externalMessage: 'Away' };
+    expect(
+      extractSettingsFromAccount({ settings: { vacation_responder: vacation } }).vacation_responder,
+    ).toEqual(vacation);
+    expect(extractSettingsFromAccount().vacation_responder).toBeNull();
+    expect(buildAccountUpdatePayload({ vacation_responder: vacation })).toEqual({
+      settings: { vacation_responder: vacation },
+    });
+  });
+
+  it('passes identities through in both directions', () => {
+    const identities = [{ id: 'sales', name: 'Sales', email: 'sales@example.com' }];
+    expect(extractSettingsFromAccount({ settings: { identities } }).identities).toEqual(identities);
+    expect(extractSettingsFromAccount().identities).toBeNull();
+    expect(buildAccountUpdatePayload({ identities })).toEqual({ settings: { identities } });
+  });
+
+  it('passes templates through in both directions', () => {
+    const templates = [{ id: 'thanks', name: 'Thanks', text: 'Thanks, {{first_name}}!' }];
+    expect(extractSettingsFromAccount({ settings: { templates } }).templates).toEqual(templates);
+    expect(extractSettingsFromAccount().templates).toBeNull();
+    expect(buildAccountUpdatePayload({ templates })).toEqual({ settings: { templates } });
+  });
+
+  it('passes the notification policy through in both directions', () => {
+    const policy = { vipSenders: ['boss@example.com'], folders: { Newsletters: false } };
+    expect(
+      extractSettingsFromAccount({ settings: { notification_policy: policy } }).notification_policy,
+    ).toEqual(policy);
+    expect(extractSettingsFromAccount().notification_policy).toBeNull();
+    expect(buildAccountUpdatePayload({ notification_policy: policy })).toEqual({
+      settings: { notification_policy: policy },
+    });
+  });
+
   it('serializes labels into a label_settings map', () => {
     expect(buildAccountUpdatePayload({ labels: asLabels([{ keyword: 'x', name: 'X' }]) })).toEqual({
       settings: {
@@ -0,0 +1,230 @@
+/**
+ * snooze tests: the quick-pick times, snoozing (folder creation, stored wake
+ * time, local move, queued move), and waking on a timer, on visibility
+ * catch-up, and not at all for messages filed elsewhere in the meantime.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { get } from 'svelte/store';
+
+const h = vi.hoisted(() => ({
+  snoozes: new Map<string, Record<string, unknown>>(),
+  messages: new Map<string, Record<string, unknown>>(),
+  folders: new Set<string>(),
+  queued: [] as { type: string; payload: Record<string, unknown> }[],
+  online: false,
+  createFolder: vi.fn(),
+}));
+
+const key = (k: unknown) => JSON.stringify(k);
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    snoozes: {
+      get: vi.fn(async (k: unknown) => h.snoozes.get(key(k)) ?? null),
+      put: vi.fn(async (row: Record<string, unknown>) => {
+        h.snoozes.set(key([row.account, row.id]), row);
+      }),
+      delete: vi.fn(async (k: unknown) => {
+        h.snoozes.delete(key(k));
+      }),
+      where: () => ({
+        equals: (account: string) => ({
+          toArray: async () => [...h.snoozes.values()].filter((row) => row.account === account),
+        }),
+      }),
+    },
+    messages: {
+      get: vi.fn(async (k: unknown) => h.messages.get(key(k)) ?? null),
+      where: () => ({
+        equals: (k: unknown) => ({
+          modify: vi.fn(async (changes: Record<string, unknown>) => {
+            const row = h.messages.get(key(k));
+            if (row) Object.assign(row, changes);
+          }),
+        }),
+      }),
+    },
+    messageBodies: { get: vi.fn(async () => null), put: vi.fn() },
+    folders: {
+      get: vi.fn(async ([account, path]: string[]) =>
+        h.folders.has(path) ? { account, path } : null,
+      ),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/account-scope', () => ({ activeAccount: () => 'me@example.com' }));
+
+vi.mock('../../src/utils/network-status', () => ({ isOnline: () => h.online }));
+
+vi.mock('../../src/utils/mutation-queue.js', () => ({
+  queueMutation: vi.fn(async (type: string, payload: Record<string, unknown>) => {
+    h.queued.push({ type, payload });
+  }),
+}));
+
+vi.mock('../../src/stores/mailboxStore', () => ({
+  mailboxStore: {
+    actions: {
+      createFolder: h.createFolder,
+      invalidateFolderInMemCache: vi.fn(),
+      loadMessages: vi.fn(),
+      updateFolderUnreadCounts: vi.fn(),
+    },
+  },
+}));
+
+import {
+  SNOOZE_FOLDER,
+  scheduleSnoozeWakeups,
+  snoozeMessages,
+  snoozePresets,
+  snoozedUntil,
+  unsnoozeMessages,
+} from '../../src/utils/snooze';
+
+const ACCOUNT = 'me@example.com';
+
+const stored = (id: string, overrides: Record<string, unknown> = {}) => {
+  const row = {
+    account: ACCOUNT,
+    id,
+    folder: 'INBOX',
+    subject: 'Quarterly report',
+    flags: ['\\Seen'],
+    is_unread: false,
+    ...overrides,
+  };
+  h.messages.set(key([ACCOUNT, id]), row);
+  return row;
+};
+
+const settle = async () => {
+  for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+
+describe('snoozePresets', () => {
+  it('offers later today, the weekend and next week only when they make sense', () => {
+    // Wednesday 10:20 local time.
+    const wednesday = snoozePresets(new Date(2026, 2, 11, 10, 20));
+    expect(wednesday.map((p) => [p.id, new Date(p.wakeAt).toString()])).toEqual([
+      ['laterToday', new Date(2026, 2, 11, 13).toString()],
+      ['tomorrow', new Date(2026, 2, 12, 9).toString()],
+      ['weekend', new Date(2026, 2, 14, 9).toString()],
+      ['nextWeek', new Date(2026, 2, 16, 9).toString()],
+    ]);
+
+    // Friday evening: too late for later today, already the weekend.
+    const friday = snoozePresets(new Date(2026, 2, 13, 19, 0));
+    expect(friday.map((p) => p.id)).toEqual(['tomorrow', 'nextWeek']);
+    expect(new Date(friday[1].wakeAt).getDate()).toBe(16);
+  });
+});
+
+describe('snooze and wake', () => {
+  beforeEach(() => {
+    h.snoozes.clear();
+    h.messages.clear();
+    h.folders.clear();
+    h.queued.length = 0;
+    h.online = false;
+    h.createFolder.mockReset();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 2, 11, 10, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('moves the message into Snoozed, creating the folder first', async () => {
+    const msg = stored('m1');
+    const wakeAt = Date.now() + 60 * 60 * 1000;
+
+    expect(await snoozeMessages([msg], wakeAt)).toBe(1);
+
+    expect(h.queued.map((q) => q.type)).toEqual(['createFolder', 'move']);
+    expect(h.queued[1].payload).toMatchObject({
+      messageId: 'm1',
+      targetFolder: SNOOZE_FOLDER,
+      sourceFolder: 'INBOX',
+    });
+    expect(h.messages.get(key([ACCOUNT, 'm1']))?.folder).toBe(SNOOZE_FOLDER);
+    expect(h.snoozes.get(key([ACCOUNT, 'm1']))).toMatchObject({ wakeAt, folder: 'INBOX' });
+    expect(get(snoozedUntil).get('m1')).toBe(wakeAt);
+  });
+
+  it('creates the folder directly when online and ignores past times', async () => {
+    h.online = true;
+    const msg = stored('m1');
+    expect(await snoozeMessages([msg], Date.now() - 1)).toBe(0);
+    expect(await snoozeMessages([msg], Date.now() + 1000)).toBe(1);
+    expect(h.createFolder).toHaveBeenCalledWith('', SNOOZE_FOLDER);
+    expect(h.queued.map((q) => q.type)).toEqual(['move']);
+  });
+
+  it('wakes into INBOX unread when the timer fires', async () => {
+    h.folders.add(SNOOZE_FOLDER);
+    const msg = stored('m1', { flags: ['\\Seen', '\\Flagged'] });
+    await snoozeMessages([msg], Date.now() + 5 * 60 * 1000);
+    h.queued.length = 0;
+
+    await vi.advanceTimersByTimeAsync(5 * 60 * 1000);
+    await settle();
+
+    expect(h.queued.map((q) => q.type)).toEqual(['move', 'toggleRead']);
+    expect(h.queued[0].payload).toMatchObject({
+      targetFolder: 'INBOX',
+      sourceFolder: SNOOZE_FOLDER,
+    });
+    // Pre-toggle state, as toggleRead mutations carry it.
+    expect(h.queued[1].payload).toMatchObject({
+      isUnread: false,
+      flags: ['\\Seen', '\\Flagged'],
+      folder: 'INBOX',
+    });
+    expect(h.messages.get(key([ACCOUNT, 'm1']))).toMatchObject({
+      folder: 'INBOX',
+      is_unread: true,
+      flags: ['\\Flagged'],
+    });
+    expect(h.snoozes.size).toBe(0);
+    expect(get(snoozedUntil).size).toBe(0);
+  });
+
+  it('catches up on wakeups missed while hidden', async () => {
+    stored('m2', { folder: SNOOZE_FOLDER, is_unread: true, flags: [] });
+    h.snoozes.set(key([ACCOUNT, 'm2']), {
+      account: ACCOUNT,
+      id: 'm2',
+      messageId: 'm2',
+      folder: 'INBOX',
+      wakeAt: Date.now() + 60_000,
+    });
+    await scheduleSnoozeWakeups();
+    // A suspended webview never runs the timer; time just jumps ahead.
+    vi.setSystemTime(Date.now() + 10 * 60_000);
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    await settle();
+
+    // Already unread, so only the move is queued.
+    expect(h.queued.map((q) => q.type)).toEqual(['move']);
+    expect(h.snoozes.size).toBe(0);
+  });
+
+  it('drops the snooze of a message that was filed elsewhere', async () => {
+    h.folders.add(SNOOZE_FOLDER);
+    const msg = stored('m3');
+    await snoozeMessages([msg], Date.now() + 60_000);
+    h.messages.get(key([ACCOUNT, 'm3']))!.folder = 'Projects';
+    h.queued.length = 0;
+
+    await unsnoozeMessages([{ ...msg, folder: 'Projects' }]);
+
+    expect(h.queued).toEqual([]);
+    expect(h.snoozes.size).toBe(0);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * subscriptions tests: the mailto: unsubscribe message, choosing one-click,
+ * mailto: or the web page, remembering lists left, grouping cached mail by
+ * list, and archiving a list's past mail.
+ */
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  meta: new Map<string, { key: string; value: unknown }>(),
+  messages: [] as Record<string, unknown>[],
+  sent: [] as Record<string, unknown>[],
+  opened: [] as string[],
+  moved: [] as { ids: unknown[]; target: string }[],
+  demo: false,
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, row);
+      }),
+    },
+    messages: {
+      where: () => ({
+        equals: (account: string) => ({
+          toArray: async () => h.messages.filter((msg) => msg.account === account),
+        }),
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/demo-mode', () => ({
+  isDemoMode: () => h.demo,
+  showDemoBlockedToast: vi.fn(),
+}));
+
+vi.mock('../../src/utils/outbox-service.js', () => ({
+  queueEmail: vi.fn(async (email: Record<string, unknown>) => {
+    h.sent.push(email);
+    return { id: `outbox_${h.sent.length}` };
+  }),
+}));
+
+vi.mock('../../src/utils/external-links.js', () => ({
+  openExternalUrl: vi.fn(async (url: string) => {
+    h.opened.push(url);
+  }),
+}));
+
+vi.mock('../../src/stores/mailboxStore', () => ({
+  mailboxStore: {
+    actions: {
+      getArchiveFolderPath: () => 'Archive',
+      bulkMoveMessages: vi.fn(async (messages: { id: unknown }[], target: string) => {
+        h.moved.push({ ids: messages.map((msg) => msg.id), target });
+        return { success: messages.length, failed: 0 };
+      }),
+    },
+  },
+}));
+
+import {
+  archiveListMail,
+  buildUnsubscribeEmail,
+  listSubscriptions,
+  unsubscribeFromList,
+} from '../../src/utils/subscriptions';
+
+const ACCOUNT = 'me@example.com';
+
+const oneClick = {
+  url: 'https://news.example/u/1',
+  mailto: 'mailto:leave@news.example?subject=stop',
+  one_click: true,
+};
+
+const fetchMock = vi.fn();
+
+// What index.html's CSP lets the page connect to.
+const connectSrc = (
+  readFileSync(path.join(process.cwd(), 'index.html'), 'utf8').match(/connect-src ([^;"]+)/)?.[1] ||
+  ''
+).split(/\s+/);
+const allowedByCsp = (url: string) => {
+  const target = new URL(url, 'https://mail.example.net');
+  if (target.origin === 'https://mail.example.net') return connectSrc.includes("'self'");
+  return connectSrc.includes(target.origin);
+};
+
+beforeEach(() => {
+  h.meta.clear();
+  h.messages = [];
+  h.sent = [];
+  h.opened = [];
+  h.moved = [];
+  h.demo = false;
+  fetchMock.mockReset();
+  fetchMock.mockResolvedValue(new Response(null, { status: 200 }));
+  vi.stubGlobal('fetch', fetchMock);
+});
+
+describe('buildUnsubscribeEmail', () => {
+  it('addresses the list with the subject and body it asks for', () => {
+    expect(buildUnsubscribeEmail(ACCOUNT, 'mailto:leave%2Bme@news.example?subject=stop')).toEqual({
+      from: ACCOUNT,
+      to: ['leave+me@news.example'],
+      subject: 'stop',
+      text: 'unsubscribe',
+    });
+    expect(buildUnsubscribeEmail(ACCOUNT, 'mailto:?subject=stop')).toBeNull();
+    expect(buildUnsubscribeEmail(ACCOUNT, 'https://news.example/')).toBeNull();
+  });
+});
+
+describe('unsubscribeFromList', () => {
+  it('posts the one-click request and remembers the list', async () => {
+    expect(await unsubscribeFromList(ACCOUNT, oneClick, 'news.example')).toBe('one-click');
+    expect(fetchMock).toHaveBeenCalledWith(
+      `/external?url=${encodeURIComponent('https://news.example/u/1')}`,
+      expect.objectContaining({ method: 'POST', body: 'List-Unsubscribe=One-Click' }),
+    );
+    expect(h.sent).toEqual([]);
+    h.messages = [{ id: '1', account: ACCOUNT, list_id: 'news.example', dateMs: 1 }];
+    const [sub] = await listSubscriptions(ACCOUNT);
+    expect(sub.unsubscribedAt).toEqual(expect.any(Number));
+  });
+
+  it('falls back to mail when the one-click request fails', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+    expect(await unsubscribeFromList(ACCOUNT, oneClick, 'news.example')).toBe('mailto');
+    expect(h.sent).toEqual([
+      { from: ACCOUNT, to: ['leave@news.example'], subject: 'stop', text: 'unsubscribe' },
+    ]);
+  });
+
+  it('only connects where the CSP allows, never to the list itself', async () => {
+    await unsubscribeFromList(ACCOUNT, oneClick, 'news.example');
+    expect(allowedByCsp(oneClick.url)).toBe(false);
+    const [url] = fetchMock.mock.calls[0];
+    expect(allowedByCsp(url)).toBe(true);
+  });
+
+  it('falls back to mail when the list refuses the one-click request', async () => {
+    fetchMock.mockResolvedValue(new Response(null, { status: 500 }));
+    expect(await unsubscribeFromList(ACCOUNT, oneClick, 'news.example')).toBe('mailto');
+    expect(h.sent).toHaveLength(1);
+  });
+
+  it('opens the page when that is all the list offers', async () => {
+    const linkOnly = { url: 'https://news.example/prefs', mailto: null, one_click: false };
+    expect(await unsubscribeFromList(ACCOUNT, linkOnly, 'news.example')).toBe('link');
+    expect(h.opened).toEqual(['https://news.example/prefs']);
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(h.meta.size).toBe(0);
+  });
+
+  it('refuses without a method or in demo mode', async () => {
+    await expect(unsubscribeFromList(ACCOUNT, null)).rejects.toThrow(/does not say/);
+    h.demo = true;
+    await expect(unsubscribeFromList(ACCOUNT, oneClick)).rejects.toThrow(/Demo mode/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('list subscriptions', () => {
+  beforeEach(() => {
+    h.messages = [
+      {
+        id: '1',
+        account: ACCOUNT,
+        folder: 'INBOX',
+        from: 'News <n@news.example>',
+        dateMs: 100,
+        list_id: 'news.example',
+      },
+      {
+        id: '2',
+        account: ACCOUNT,
+        folder: 'INBOX',
+        from: 'News <n@news.example>',
+        dateMs: 300,
+        list_id: 'news.example',
+        list_name: 'News',
+        list_unsubscribe: oneClick,
+      },
+      {
+        id: '3',
+        account: ACCOUNT,
+        folder: 'Archive',
+        from: 'News <n@news.example>',
+        dateMs: 50,
+        list_id: 'news.example',
+      },
+      {
+        id: '4',
+        account: ACCOUNT,
+        folder: 'Trash',
+        from: 'Dev <d@lists.example>',
+        dateMs: 200,
+        list_id: 'dev.lists.example',
+      },
+      { id: '5', account: ACCOUNT, folder: 'INBOX', from: 'Friend <f@example.com>', dateMs: 400 },
+      {
+        id: '6',
+        account: 'other@example.com',
+        folder: 'INBOX',
+        dateMs: 500,
+        list_id: 'news.example',
+      },
+    ];
+  });
+
+  it('groups cached mail by list, most recent first', async () => {
+    expect(await listSubscriptions(ACCOUNT)).toEqual([
+      {
+        id: 'news.example',
+        name: 'News',
+        from: 'News <n@news.example>',
+        count: 3,
+        lastSeen: 300,
+        unsubscribe: oneClick,
+        unsubscribedAt: null,
+      },
+      {
+        id: 'dev.lists.example',
+        name: '',
+        from: 'Dev <d@lists.example>',
+        count: 1,
+        lastSeen: 200,
+        unsubscribe: null,
+        unsubscribedAt: null,
+      },
+    ]);
+  });
+
+  it("archives a list's mail outside Archive, Trash and the like", async () => {
+    expect(await archiveListMail(ACCOUNT, ['news.example', 'dev.lists.example'])).toBe(2);
+    expect(h.moved).toEqual([{ ids: ['1', '2'], target: 'Archive' }]);
+    expect(await archiveListMail(ACCOUNT, ['unknown.example'])).toBe(0);
+  });
+});
@@ -86,6 +86,36 @@ describe('sync helpers', () => {
     expect(normalized.labels).toEqual(['project-x']);
   });
 
+  it('stores the list a message came from and how to leave it', () => {
+    const raw = {
+      id: 'msg-list',
+      folder: 'INBOX',
+      Subject: 'Weekly digest',
+      nodemailer: {
+        headers: {
+          list: {
+            id: { id: 'digest.news.example', name: 'Weekly Digest' },
+            unsubscribe: { url: 'https://news.example/u/1', mail: 'leave@news.example' },
+          },
+          'list-unsubscribe-post': 'List-Unsubscribe=One-Click',
+        },
+      },
+    };
+
+    const normalized = normalizeMessageForCache(raw, 'INBOX', 'acct');
+
+    expect(normalized.list_id).toBe('digest.news.example');
+    expect(normalized.list_name).toBe('Weekly Digest');
+    expect(normalized.list_unsubscribe).toEqual({
+      url: 'https://news.example/u/1',
+      mailto: 'mailto:leave@news.example',
+      one_click: true,
+    });
+    expect(normalizeMessageForCache({ id: 'plain' }, 'INBOX', 'acct')).not.toHaveProperty(
+      'list_id',
+    );
+  });
+
   it('detects metadata changes for flags and unread state', () => {
     const existing = {
       id: 1,
@@ -0,0 +1,43 @@
+/**
+ * syntax-highlight tests: the tokenizer shared by code previews and Markdown
+ * compose marks tokens per grammar and escapes everything it emits.
+ */
+import { describe, expect, it } from 'vitest';
+import { grammarForExtension, highlightCode } from '../../src/utils/syntax-highlight';
+
+describe('highlightCode', () => {
+  it('marks keywords, strings, numbers and comments and escapes the rest', () => {
+    const html = highlightCode('const a = "<b>"; // x < 2\nreturn 42;', 'clike');
+    expect(html).toContain('<span class="tok-keyword">const</span>');
+    expect(html).toContain('<span class="tok-string">&quot;&lt;b&gt;&quot;</span>');
+    expect(html).toContain('<span class="tok-comment">// x &lt; 2</span>');
+    expect(html).toContain('<span class="tok-number">42</span>');
+    expect(html).not.toMatch(/<b>/);
+  });
+
+  it('treats # as a comment only at a word boundary and SQL keywords in any case', () => {
+    expect(highlightCode('url = "a#b" # note', 'hash')).toContain(
+      '<span class="tok-comment"># note</span>',
+    );
+    expect(highlightCode('C# is', 'hash')).not.toContain('tok-comment');
+    expect(highlightCode('SELECT id from t', 'sql')).toContain(
+      '<span class="tok-keyword">SELECT</span>',
+    );
+  });
+
+  it('highlights markup tags but leaves apostrophes in prose alone', () => {
+    const html = highlightCode("<p>don't</p><!-- c -->", 'markup');
+    expect(html).toContain('<span class="tok-keyword">&lt;p</span>');
+    expect(html).toContain("don't");
+    expect(html).toContain('<span class="tok-comment">&lt;!-- c --&gt;</span>');
+    expect(html).not.toContain('tok-string');
+  });
+});
+
+describe('grammarForExtension', () => {
+  it('maps file extensions to grammars, in any case', () => {
+    expect(grammarForExtension('TS')).toBe('clike');
+    expect(grammarForExtension('py')).toBe('hash');
+    expect(grammarForExtension('exe')).toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+// @vitest-environment node
+/**
+ * task-reminders tests: several alarms on one item each fire once, a
+ * snoozed reminder comes back after a reload, and on Tauri desktop the
+ * schedule goes to the native ticker instead of webview timers.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  meta: new Map<string, { key: string; value: unknown }>(),
+  desktop: false,
+  notify: vi.fn(),
+  setNativeReminders: vi.fn(async () => {}),
+  listeners: new Map<string, (event: { payload?: unknown }) => void>(),
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, structuredClone(row));
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/notification-bridge.js', () => ({
+  notify: h.notify,
+  requestPermission: vi.fn(async () => 'granted'),
+  REMINDER_ACTIONS: [
+    { id: 'snooze5', title: 'Snooze 5 min' },
+    { id: 'snooze10', title: 'Snooze 10 min' },
+    { id: 'snooze60', title: 'Snooze 1 hour' },
+  ],
+}));
+
+vi.mock('../../src/utils/platform.js', () => ({
+  get isTauriDesktop() {
+    return h.desktop;
+  },
+}));
+
+vi.mock('../../src/utils/tauri-bridge.js', () => ({
+  setNativeReminders: h.setNativeReminders,
+  listen: vi.fn(async (name: string, handler: (event: { payload?: unknown }) => void) => {
+    h.listeners.set(name, handler);
+  }),
+}));
+
+type Reminders = typeof import('../../src/utils/task-reminders');
+
+// A fresh module instance is a reload: only db.meta carries over.
+const load = async (): Promise<Reminders> => {
+  vi.resetModules();
+  return import('../../src/utils/task-reminders');
+};
+
+const NOW = new Date('2026-10-19T09:00:00Z').getTime();
+
+const meeting = {
+  id: 'standup',
+  componentType: 'VEVENT',
+  title: 'Standup',
+  start: '2026-10-20T09:00:00Z',
+  reminders: [{ minutes: 1440 }, { minutes: 15 }, { minutes: 0, at: '2026-10-19T12:00:00Z' }],
+};
+
+const firedKeys = () => h.notify.mock.calls.map(([opts]) => opts.data.reminderKey);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  h.meta.clear();
+  h.desktop = false;
+  h.notify.mockClear();
+  h.setNativeReminders.mockClear();
+  h.listeners.clear();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('scheduling', () => {
+  it('fires each alarm on an item once, surviving a reload', async () => {
+    const reminders = await load();
+    await reminders.refreshTaskReminders([meeting]);
+
+    // One day before is due right now; the absolute alarm at noon.
+    await vi.advanceTimersByTimeAsync(3 * 60 * 60_000);
+    expect(firedKeys()).toEqual([
+      `standup:${Date.parse('2026-10-19T09:00:00Z')}`,
+      `standup:${Date.parse('2026-10-19T12:00:00Z')}`,
+    ]);
+
+    vi.setSystemTime(Date.parse('2026-10-20T08:44:00Z'));
+    const reloaded = await load();
+    await reloaded.refreshTaskReminders([meeting]);
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(h.notify).toHaveBeenCalledTimes(3);
+    expect(h.notify.mock.calls[2][0]).toMatchObject({
+      title: 'Standup',
+      category: 'calendar-reminder',
+      tag: 'cal-reminder:standup',
+    });
+
+    const again = await load();
+    await again.refreshTaskReminders([meeting]);
+    await vi.advanceTimersByTimeAsync(60 * 60_000);
+    expect(h.notify).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('snooze', () => {
+  it('maps notification actions to the offered lengths', async () => {
+    const { snoozeMinutesForAction } = await load();
+    expect(snoozeMinutesForAction('snooze5')).toBe(5);
+    expect(snoozeMinutesForAction('snooze60')).toBe(60);
+    expect(snoozeMinutesForAction('snooze7')).toBe(0);
+    expect(snoozeMinutesForAction('archive')).toBe(0);
+  });
+
+  it('shows a snoozed reminder again after a reload', async () => {
+    const reminders = await load();
+    await reminders.refreshTaskReminders([]);
+    await reminders.snoozeReminder(
+      { uid: 'standup', kind: 'VEVENT', title: 'Standup', body: 'Starts 9:00', reminderKey: 'k1' },
+      10,
+    );
+
+    const reloaded = await load();
+    await reloaded.refreshTaskReminders([]);
+    await vi.advanceTimersByTimeAsync(9 * 60_000);
+    expect(h.notify).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(h.notify).toHaveBeenCalledWith(
+      expect.objectContaining({ title: 'Standup', body: 'Starts 9:00' }),
+    );
+    expect(h.meta.get('calendar_reminder_snoozes')?.value).toEqual([]);
+  });
+});
+
+describe('Tauri desktop', () => {
+  it('hands the schedule to the native ticker', async () => {
+    h.desktop = true;
+    const reminders = await load();
+    await reminders.refreshTaskReminders([meeting]);
+
+    const [list] = h.setNativeReminders.mock.calls.at(-1) as unknown as [
+      { key: string; at: number; title: string }[],
+    ];
+    expect(list.map((r) => new Date(r.at).toISOString())).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-20T08:45:00.000Z',
+      '2026-10-19T12:00:00.000Z',
+    ]);
+    await vi.advanceTimersByTimeAsync(3 * 60 * 60_000);
+    expect(h.notify).not.toHaveBeenCalled();
+
+    // The ticker reports what it showed; that trigger is not handed over again.
+    h.listeners.get('calendar-reminder-fired')?.({ payload: list[0].key });
+    await reminders.refreshTaskReminders([meeting]);
+    const [next] = h.setNativeReminders.mock.calls.at(-1) as unknown as [{ key: string }[]];
+    expect(next.map((r) => r.key)).not.toContain(list[0].key);
+    expect(next).toHaveLength(2);
+  });
+
+  it('offers the snooze lengths in the app when the desktop ticker fires', async () => {
+    h.desktop = true;
+    const reminders = await load();
+    const show = vi.fn();
+    reminders.setReminderToasts({ show });
+    await reminders.refreshTaskReminders([meeting]);
+    const [list] = h.setNativeReminders.mock.calls.at(-1) as unknown as [{ key: string }[]];
+
+    h.listeners.get('calendar-reminder-fired')?.({ payload: list[0].key });
+    const [message, , options] = show.mock.calls[0] as [
+      string,
+      string,
+      { duration: number; actions: { label: string; callback: () => void }[] },
+    ];
+    expect(message).toContain('Standup');
+    expect(options.duration).toBe(0);
+    expect(options.actions.map((a) => a.label)).toEqual([
+      'Snooze 5 min',
+      'Snooze 10 min',
+      'Snooze 1 hour',
+    ]);
+
+    options.actions[1].callback();
+    await vi.advanceTimersByTimeAsync(0);
+    const [next] = h.setNativeReminders.mock.calls.at(-1) as unknown as [
+      { key: string; at: number }[],
+    ];
+    expect(next).toContainEqual(
+      expect.objectContaining({ key: `snooze:${list[0].key}`, at: NOW + 10 * 60_000 }),
+    );
+  });
+});
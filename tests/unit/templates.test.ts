@@ -0,0 +1,137 @@
+/**
+ * templates tests: normalizing the stored library, matching names for the
+ * slash menu, filling placeholders from the message being answered, and
+ * saving a composed body without its quote and signature.
+ */
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_TEMPLATE_ATTACHMENT_BYTES,
+  buildTemplateContext,
+  composedHtml,
+  composedText,
+  fillPlaceholders,
+  fillTemplate,
+  matchTemplates,
+  normalizeTemplates,
+  slashQuery,
+} from '../../src/utils/templates';
+
+const NOW = new Date(2026, 2, 5);
+
+describe('normalizeTemplates', () => {
+  it('keeps named templates with content and tidies their fields', () => {
+    const [template, ...rest] = normalizeTemplates([
+      { name: ' Thanks ', text: 'Thanks!\n\n', to: 'a@example.com; b@example.com', cc: null },
+      { name: 'Empty' },
+      { text: 'No name' },
+      'junk',
+    ]);
+    expect(rest).toEqual([]);
+    expect(template).toMatchObject({
+      id: 'template-thanks',
+      name: 'Thanks',
+      text: 'Thanks!',
+      to: ['a@example.com', 'b@example.com'],
+      cc: [],
+      attachments: [],
+    });
+  });
+
+  it('drops attachments past the size limit and repeated ids', () => {
+    const big = { name: 'big.pdf', content: 'x', size: MAX_TEMPLATE_ATTACHMENT_BYTES };
+    const small = { name: 'small.txt', content: 'aGk=', size: 2 };
+    const templates = normalizeTemplates([
+      { id: 't', name: 'Files', text: 'See attached', attachments: [small, big] },
+      { id: 't', name: 'Again', text: 'Duplicate' },
+    ]);
+    expect(templates).toHaveLength(1);
+    expect(templates[0].attachments.map((file) => file.name)).toEqual(['small.txt']);
+    expect(templates[0].attachments[0].contentType).toBe('application/octet-stream');
+  });
+});
+
+describe('slash menu', () => {
+  const templates = normalizeTemplates([
+    { name: 'Meeting follow up', text: 'a' },
+    { name: 'Thanks', text: 'b' },
+    { name: 'Follow up', text: 'c' },
+  ]);
+
+  it('finds the query after a slash at a word start only', () => {
+    expect(slashQuery('/')).toBe('');
+    expect(slashQuery('Hello /fol')).toBe('fol');
+    expect(slashQuery('see https://example.com/docs')).toBeNull();
+    expect(slashQuery('on 3/4')).toBeNull();
+    expect(slashQuery('/fol up')).toBeNull();
+  });
+
+  it('ranks names starting with the query before those containing it', () => {
+    expect(matchTemplates(templates, 'fol').map((t) => t.name)).toEqual([
+      'Follow up',
+      'Meeting follow up',
+    ]);
+    expect(matchTemplates(templates, 'meeting-f').map((t) => t.name)).toEqual([
+      'Meeting follow up',
+    ]);
+    expect(matchTemplates(templates, '')).toHaveLength(3);
+  });
+});
+
+describe('placeholders', () => {
+  it('takes names from the original sender, or the recipient of a new message', () => {
+    const context = buildTemplateContext({
+      originalFrom: '"Ada Lovelace" <ada@example.com>',
+      originalSubject: 'Re: Engines',
+      myName: 'Charles',
+      now: NOW,
+    });
+    expect(context).toMatchObject({
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      sender_name: 'Ada Lovelace',
+      sender_email: 'ada@example.com',
+      subject: 'Engines',
+      my_name: 'Charles',
+    });
+    expect(context.date).toBe(NOW.toLocaleDateString(undefined, { dateStyle: 'long' }));
+    expect(buildTemplateContext({ recipient: 'bob@example.com' })).toMatchObject({
+      first_name: '',
+      sender_email: 'bob@example.com',
+    });
+  });
+
+  it('fills known placeholders, uses fallbacks and leaves unknown ones', () => {
+    const context = { first_name: '', sender_name: '<Ann>' };
+    expect(fillPlaceholders('Hi {{first_name|there}}, {{ nope }}', context)).toBe(
+      'Hi there, {{ nope }}',
+    );
+    expect(fillPlaceholders('{{sender_name}}', context, { html: true })).toBe('&lt;Ann&gt;');
+  });
+
+  it('fills a whole template for either editor mode', () => {
+    const [template] = normalizeTemplates([
+      { name: 'Hi', subject: 'About {{subject}}', text: 'Hi {{first_name}},\n\nThanks.' },
+    ]);
+    const filled = fillTemplate(
+      template,
+      buildTemplateContext({
+        originalFrom: 'Ada Lovelace <ada@example.com>',
+        originalSubject: 'Engines',
+      }),
+    );
+    expect(filled.subject).toBe('About Engines');
+    expect(filled.text).toBe('Hi Ada,\n\nThanks.');
+    expect(filled.html).toBe('<p>Hi Ada,</p><p>Thanks.</p>');
+  });
+});
+
+describe('saving a composed message', () => {
+  it('leaves out the quote, attribution and signature', () => {
+    const html =
+      '<p>Sure, see you then.</p><p data-fe-signature="true">-- </p>' +
+      '<p class="fe-reply-attribution">On Monday Ada wrote:</p><blockquote><p>Lunch?</p></blockquote>';
+    expect(composedHtml(html)).toBe('<p>Sure, see you then.</p>');
+    expect(composedText('Sure.\n\nOn Monday Ada wrote:\n> Lunch?')).toBe('Sure.');
+    expect(composedText('Sure.\n-- \nCharles')).toBe('Sure.');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * unified-mailbox tests: unified folder keys, which messages a view shows,
+ * routing a message to its account, merging the accounts' cached mail, the
+ * other accounts' inbox refresh and their Archive/Trash folders.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  local: new Map<string, string>(),
+  accounts: [] as Record<string, unknown>[],
+  messages: [] as Record<string, unknown>[],
+  folders: [] as Record<string, unknown>[],
+  settings: {} as Record<string, unknown>,
+  registered: [] as { account: string; authHeader: string }[],
+  tasks: [] as Record<string, unknown>[],
+}));
+
+vi.mock('../../src/utils/storage.js', () => ({
+  Local: { get: (key: string) => h.local.get(key) ?? null },
+  Accounts: { getAll: () => h.accounts },
+}));
+
+vi.mock('../../src/utils/db.js', () => {
+  const rows = (account: string, folder?: string) =>
+    h.messages.filter((msg) => msg.account === account && (!folder || msg.folder === folder));
+  return {
+    db: {
+      messages: {
+        where: (index: string) => ({
+          equals: (account: string) => ({ toArray: async () => rows(account) }),
+          between: (lower: unknown[]) => {
+            let limit = Infinity;
+            const query = {
+              reverse: () => query,
+              limit: (count: number) => {
+                limit = count;
+                return query;
+              },
+              toArray: async () =>
+                index === '[account+folder+date]'
+                  ? rows(lower[0] as string, lower[1] as string)
+                      .sort((a, b) => (b.date as number) - (a.date as number))
+                      .slice(0, limit)
+                  : [],
+            };
+            return query;
+          },
+        }),
+      },
+      folders: {
+        where: () => ({
+          equals: (account: string) => ({
+            toArray: async () => h.folders.filter((folder) => folder.account === account),
+          }),
+        }),
+      },
+    },
+  };
+});
+
+vi.mock('../../src/utils/auth', () => ({
+  getAccountAuthHeader: (account: string) => {
+    const stored = h.accounts.find((entry) => entry.email === account);
+    return stored?.aliasAuth ? `Basic ${stored.aliasAuth}` : '';
+  },
+}));
+
+vi.mock('../../src/utils/sync-worker-client.js', () => ({
+  registerSyncWorkerAccount: vi.fn(async (account: string, authHeader: string) => {
+    h.registered.push({ account, authHeader });
+  }),
+  sendSyncTask: vi.fn(async (task: Record<string, unknown>) => {
+    h.tasks.push(task);
+    return {};
+  }),
+}));
+
+vi.mock('../../src/utils/sync-settings', () => ({ getSyncSettings: () => ({ pageSize: 20 }) }));
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (key: string, { account }: { account: string }) =>
+    h.settings[`${account}:${key}`],
+}));
+
+import {
+  accountRequestOptions,
+  isUnifiedFolder,
+  loadUnifiedMessages,
+  matchesUnifiedView,
+  messageAccount,
+  messageInFolderView,
+  refreshOtherInboxes,
+  signedInAccounts,
+  specialFolderForAccount,
+  unifiedFolderLabel,
+  unifiedViewOf,
+} from '../../src/utils/unified-mailbox';
+
+const ME = 'me@example.com';
+const WORK = 'work@example.org';
+
+beforeEach(() => {
+  h.local = new Map([['email', ME]]);
+  h.accounts = [
+    { email: ME, aliasAuth: 'me:secret' },
+    { email: WORK, aliasAuth: 'work:secret' },
+  ];
+  h.messages = [];
+  h.folders = [];
+  h.settings = {};
+  h.registered = [];
+  h.tasks = [];
+});
+
+describe('unified folder keys', () => {
+  it('names the unified views and leaves real folders alone', () => {
+    expect(unifiedViewOf('__unified__:starred')).toBe('starred');
+    expect(unifiedViewOf('INBOX')).toBeNull();
+    expect(isUnifiedFolder('__unified__:inbox')).toBe(true);
+    expect(unifiedFolderLabel('__unified__:unread')).toBe('All unread');
+    expect(unifiedFolderLabel('Archive')).toBe('');
+  });
+
+  it('keeps sent, drafts, trash and spam out of Starred and Unread', () => {
+    expect(matchesUnifiedView({ folder: 'Work', is_starred: true }, 'starred')).toBe(true);
+    expect(matchesUnifiedView({ folder: 'Lists', flags: ['\\Flagged'] }, 'starred')).toBe(true);
+    expect(matchesUnifiedView({ folder: 'Sent Items', is_starred: true }, 'starred')).toBe(false);
+    expect(matchesUnifiedView({ folder: 'INBOX/Trash', is_unread: true }, 'unread')).toBe(false);
+    expect(matchesUnifiedView({ folder: 'Drafts', is_unread: true }, 'unread')).toBe(false);
+    expect(messageInFolderView({ folder: 'inbox' }, '__unified__:inbox')).toBe(true);
+    expect(messageInFolderView({ folder: 'INBOX' }, 'Archive')).toBe(false);
+  });
+});
+
+describe('message accounts', () => {
+  it('lists the active account first without duplicates', () => {
+    h.accounts = [{ email: WORK }, { email: 'ME@example.com' }];
+    expect(signedInAccounts()).toEqual([ME, WORK]);
+  });
+
+  it('routes a message to its own signed-in account, else the active one', () => {
+    expect(messageAccount({ account: WORK })).toBe(WORK);
+    expect(messageAccount({ account: 'gone@example.net' })).toBe(ME);
+    expect(messageAccount({})).toBe(ME);
+    expect(accountRequestOptions(ME)).toEqual({});
+    expect(accountRequestOptions(WORK)).toEqual({ account: WORK });
+  });
+});
+
+describe('loadUnifiedMessages', () => {
+  it('merges the accounts newest first and tells whether more follow', async () => {
+    h.messages = [
+      { id: 'a1', account: ME, folder: 'INBOX', date: 100 },
+      { id: 'w1', account: WORK, folder: 'INBOX', date: 300 },
+      { id: 'a2', account: ME, folder: 'INBOX', date: 200 },
+      { id: 'w2', account: WORK, folder: 'Archive', date: 400 },
+    ];
+    const first = await loadUnifiedMessages('inbox', { limit: 2 });
+    expect(first.messages.map((msg) => msg.id)).toEqual(['w1', 'a2']);
+    expect(first.hasNextPage).toBe(true);
+    const second = await loadUnifiedMessages('inbox', { offset: 2, limit: 2 });
+    expect(second.messages.map((msg) => msg.id)).toEqual(['a1']);
+    expect(second.hasNextPage).toBe(false);
+  });
+
+  it('filters Unread from every account cache', async () => {
+    h.messages = [
+      { id: 'a1', account: ME, folder: 'Lists', date: 100, is_unread: true },
+      { id: 'w1', account: WORK, folder: 'INBOX', date: 300, is_unread: true },
+      { id: 'w2', account: WORK, folder: 'INBOX', date: 400, is_unread: false },
+      { id: 'w3', account: WORK, folder: 'Spam', date: 500, is_unread: true },
+    ];
+    const { messages } = await loadUnifiedMessages('unread');
+    expect(messages.map((msg) => msg.id)).toEqual(['w1', 'a1']);
+  });
+});
+
+describe('refreshOtherInboxes', () => {
+  it('fetches the other accounts under their own credentials, at most once a minute', async () => {
+    h.accounts.push({ email: 'nokey@example.net' });
+    expect(await refreshOtherInboxes({ force: true })).toEqual([WORK]);
+    expect(h.registered).toEqual([{ account: WORK, authHeader: 'Basic work:secret' }]);
+    expect(h.tasks).toEqual([
+      { type: 'metadata', folder: 'INBOX', account: WORK, pageSize: 20, maxMessages: 20 },
+    ]);
+
+    expect(await refreshOtherInboxes()).toEqual([]);
+    expect(h.tasks).toHaveLength(1);
+  });
+});
+
+describe('specialFolderForAccount', () => {
+  it('prefers the setting, then the special-use folder, then the usual name', async () => {
+    h.settings[`${WORK}:archive_folder`] = 'Saved';
+    expect(await specialFolderForAccount(WORK, 'archive')).toBe('Saved');
+
+    h.folders = [
+      { account: WORK, path: 'Deleted Items', specialUse: '\\Trash' },
+      { account: ME, path: 'Trash' },
+    ];
+    expect(await specialFolderForAccount(WORK, 'trash')).toBe('Deleted Items');
+    expect(await specialFolderForAccount(ME, 'trash')).toBe('Trash');
+    expect(await specialFolderForAccount(ME, 'archive')).toBe('Archive');
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * vacation-responder tests: normalizing the stored setting, the days-away
+ * window, internal vs external senders, list and automated mail, and the
+ * client-side fallback — one reply per sender per interval, none when the
+ * server sends them, and none for accounts that are not on screen.
+ */
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+const h = vi.hoisted(() => ({
+  config: null as unknown,
+  meta: new Map<string, { key: string; value: unknown }>(),
+  headers: {} as Record<string, unknown>,
+  fetched: [] as string[],
+  sent: [] as Record<string, unknown>[],
+  active: 'me@example.com',
+}));
+
+vi.mock('../../src/utils/db.js', () => ({
+  db: {
+    meta: {
+      get: vi.fn(async (key: string) => h.meta.get(key)),
+      put: vi.fn(async (row: { key: string; value: unknown }) => {
+        h.meta.set(row.key, row);
+      }),
+    },
+  },
+}));
+
+vi.mock('../../src/utils/storage', () => ({
+  Local: { get: (key: string) => (key === 'email' ? h.active : null) },
+}));
+
+vi.mock('../../src/utils/logger', () => ({ warn: vi.fn() }));
+
+vi.mock('../../src/utils/remote', () => ({
+  Remote: {
+    request: vi.fn(async (_action: string, _params: unknown, options: { pathOverride: string }) => {
+      h.fetched.push(options.pathOverride);
+      return { nodemailer: { headers: h.headers } };
+    }),
+  },
+}));
+
+vi.mock('../../src/utils/outbox-service.js', () => ({
+  queueEmail: vi.fn(async (email: Record<string, unknown>) => {
+    h.sent.push(email);
+    return { id: `outbox_${h.sent.length}` };
+  }),
+}));
+
+vi.mock('../../src/utils/sync-worker-client.js', () => ({ onSyncProgress: vi.fn() }));
+
+vi.mock('../../src/stores/settingsStore', () => ({
+  getEffectiveSettingValue: (id: string) => (id === 'vacation_responder' ? h.config : undefined),
+}));
+
+import {
+  applyVacationResponder,
+  buildVacationReply,
+  isListOrAutomatedMail,
+  isVacationActive,
+  messageHeaders,
+  normalizeVacationResponder,
+  planVacationReply,
+} from '../../src/utils/vacation-responder';
+
+const ACCOUNT = 'me@example.com';
+
+const vacation = (overrides: Record<string, unknown> = {}) =>
+  normalizeVacationResponder({
+    enabled: true,
+    internalMessage: 'Back Monday.',
+    externalMessage: 'I am away.',
+    ...overrides,
+  });
+
+const message = (id: string, from: string, overrides: Record<string, unknown> = {}) => ({
+  id,
+  folder: 'INBOX',
+  from,
+  subject: 'Quarterly numbers',
+  header_message_id: `<${id}@mail.test>`,
+  date: Date.now(),
+  ...overrides,
+});
+
+describe('configuration', () => {
+  it('normalizes stored values and falls back to switched-off defaults', () => {
+    expect(
+      normalizeVacationResponder({
+        enabled: true,
+        start: '2026-07-01',
+        end: 'next week',
+        intervalDays: '3',
+        internalDomains: ['@Example.org', 'not a domain', 'example.org'],
+      }),
+    ).toMatchObject({
+      enabled: true,
+      start: '2026-07-01',
+      end: '',
+      intervalDays: 3,
+      internalDomains: ['example.org'],
+      serverSide: false,
+    });
+    expect(normalizeVacationResponder(null)).toMatchObject({ enabled: false, intervalDays: 7 });
+  });
+
+  it('is active from the first through the last local day away', () => {
+    const config = vacation({ start: '2026-07-01', end: '2026-07-03' });
+    expect(isVacationActive(config, new Date(2026, 5, 30, 23, 59).getTime())).toBe(false);
+    expect(isVacationActive(config, new Date(2026, 6, 1).getTime())).toBe(true);
+    expect(isVacationActive(config, new Date(2026, 6, 3, 23, 59).getTime())).toBe(true);
+    expect(isVacationActive(config, new Date(2026, 6, 4).getTime())).toBe(false);
+    expect(isVacationActive({ ...config, enabled: false }, new Date(2026, 6, 2).getTime())).toBe(
+      false,
+    );
+  });
+});
+
+describe('planVacationReply', () => {
+  it('picks the internal or external reply by sender domain', () => {
+    const config = vacation({ internalDomains: ['example.org'] });
+    expect(planVacationReply(config, ACCOUNT, message('1', 'Ann <ann@example.com>'))).toEqual({
+      to: 'ann@example.com',
+      internal: true,
+      message: 'Back Monday.',
+    });
+    expect(planVacationReply(config, ACCOUNT, message('2', 'bo@example.org'))?.internal).toBe(true);
+    expect(planVacationReply(config, ACCOUNT, message('3', 'cy@other.test'))).toMatchObject({
+      internal: false,
+      message: 'I am away.',
+    });
+  });
+
+  it('skips our own mail, unanswerable senders, other folders and empty replies', () => {
+    const config = vacation({ externalMessage: '' });
+    expect(planVacationReply(config, ACCOUNT, message('1', ACCOUNT))).toBeNull();
+    expect(planVacationReply(config, ACCOUNT, message('2', 'no-reply@example.com'))).toBeNull();
+    expect(planVacationReply(config, ACCOUNT, message('3', 'dev-request@lists.test'))).toBeNull();
+    expect(planVacationReply(config, ACCOUNT, message('4', 'MAILER-DAEMON@mx.test'))).toBeNull();
+    expect(
+      planVacationReply(config, ACCOUNT, message('5', 'ann@example.com', { folder: 'Sent' })),
+    ).toBeNull();
+    expect(planVacationReply(config, ACCOUNT, message('6', 'cy@other.test'))).toBeNull();
+  });
+});
+
+describe('headers and the reply', () => {
+  it('recognizes list, bulk and automated mail', () => {
+    expect(isListOrAutomatedMail(messageHeaders({ nodemailer: { headers: {} } }))).toBe(false);
+    expect(
+      isListOrAutomatedMail(messageHeaders({ nodemailer: { headers: { list: { id: {} } } } })),
+    ).toBe(true);
+    expect(isListOrAutomatedMail({ precedence: 'bulk' })).toBe(true);
+    expect(isListOrAutomatedMail({ 'auto-submitted': 'auto-replied' })).toBe(true);
+    expect(isListOrAutomatedMail({ 'auto-submitted': 'no' })).toBe(false);
+    expect(
+      isListOrAutomatedMail(
+        messageHeaders({ headerLines: [{ key: 'list-id', line: 'List-Id: <dev.lists.test>' }] }),
+      ),
+    ).toBe(true);
+  });
+
+  it('threads the reply and marks it as sent automatically', () => {
+    const msg = message('1', 'cy@other.test', { references: '<0@mail.test>' });
+    const config = vacation();
+    const plan = planVacationReply(config, ACCOUNT, msg)!;
+    expect(buildVacationReply(config, ACCOUNT, msg, plan)).toEqual({
+      from: ACCOUNT,
+      to: ['cy@other.test'],
+      subject: 'Re: Quarterly numbers',
+      text: 'I am away.',
+      inReplyTo: '<1@mail.test>',
+      references: '<0@mail.test> <1@mail.test>',
+      headers: { 'Auto-Submitted': 'auto-replied' },
+      save_sent: false,
+    });
+    expect(buildVacationReply(vacation({ subject: 'Away' }), ACCOUNT, msg, plan).subject).toBe(
+      'Away',
+    );
+  });
+});
+
+describe('applyVacationResponder', () => {
+  beforeEach(() => {
+    h.config = vacation();
+    h.meta.clear();
+    h.headers = {};
+    h.fetched.length = 0;
+    h.sent.length = 0;
+    h.active = ACCOUNT;
+  });
+
+  it('replies once per sender within the interval', async () => {
+    await applyVacationResponder(ACCOUNT, [
+      message('1', 'cy@other.test'),
+      message('2', 'Cy <cy@other.test>'),
+    ]);
+    await applyVacationResponder(ACCOUNT, [message('3', 'cy@other.test')]);
+
+    expect(h.sent.map((email) => email.to)).toEqual([['cy@other.test']]);
+    expect(h.fetched).toEqual(['/v1/messages/1?folder=INBOX&raw=false']);
+    expect(h.meta.get(`vacation_replied_${ACCOUNT}`)?.value).toHaveProperty('cy@other.test');
+  });
+
+  it('answers a sender again once the interval has passed', async () => {
+    h.meta.set(`vacation_replied_${ACCOUNT}`, {
+      key: `vacation_replied_${ACCOUNT}`,
+      value: { 'cy@other.test': Date.now() - 8 * 24 * 60 * 60 * 1000 },
+    });
+    await applyVacationResponder(ACCOUNT, [message('1', 'cy@other.test')]);
+    expect(h.sent).toHaveLength(1);
+  });
+
+  it('does not answer list mail', async () => {
+    h.headers = { 'list-id': '<dev.lists.test>' };
+    await applyVacationResponder(ACCOUNT, [message('1', 'cy@other.test')]);
+    expect(h.sent).toEqual([]);
+    expect(h.meta.size).toBe(0);
+  });
+
+  it('leaves replies to a server that sends them, and skips other accounts', async () => {
+    h.config = vacation({ serverSide: true });
+    await applyVacationResponder(ACCOUNT, [message('1', 'cy@other.test')]);
+
+    h.config = vacation();
+    h.active = 'other@example.com';
+    await applyVacationResponder(ACCOUNT, [message('2', 'cy@other.test')]);
+
+    expect(h.fetched).toEqual([]);
+    expect(h.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * wake-timers tests: a check runs when a deadline passes, when the tab comes
+ * back, and when the active account changes, never for timers replaced in
+ * the meantime.
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { writable, type Writable } from 'svelte/store';
+
+const h = vi.hoisted(() => ({ account: null as unknown }));
+
+vi.mock('../../src/stores/mailboxActions', () => ({
+  get currentAccount() {
+    return h.account;
+  },
+}));
+
+import { createWakeTimers } from '../../src/utils/wake-timers';
+
+const NOW = new Date('2026-10-19T09:00:00Z').getTime();
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+  h.account = writable('me@example.com');
+});
+afterEach(() => vi.useRealTimers());
+
+describe('createWakeTimers', () => {
+  it('checks once per passed deadline, for the latest deadlines only', async () => {
+    const check = vi.fn(async () => {});
+    const timers = createWakeTimers(check);
+    timers.arm([
+      ['a', NOW + 60_000],
+      ['b', NOW + 120_000],
+    ]);
+    timers.arm([['b', NOW + 120_000]]);
+
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(check).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(60_000);
+    expect(check).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks when the tab becomes visible and on account switches', async () => {
+    const check = vi.fn(async () => {});
+    const timers = createWakeTimers(check);
+    timers.arm([]);
+    timers.followAccountSwitches();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(check).not.toHaveBeenCalled();
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    (h.account as Writable<string>).set('other@example.com');
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+});
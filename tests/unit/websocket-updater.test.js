@@ -29,6 +29,24 @@ vi.mock('../../src/utils/notification-manager', () => ({
   requestNotificationPermission: (...args) => mockRequestNotificationPermission(...args),
 }));
 
+// Mock mail rules
+const mockApplyMailRules = vi.fn(() => Promise.resolve());
+vi.mock('../../src/utils/mail-rules.ts', () => ({
+  applyMailRules: (...args) => mockApplyMailRules(...args),
+}));
+
+// Mock the calendar cache
+const mockApplyCalendarRealtimeChange = vi.fn(() => Promise.resolve(true));
+vi.mock('../../src/utils/calendar-cache.ts', () => ({
+  applyCalendarRealtimeChange: (...args) => mockApplyCalendarRealtimeChange(...args),
+}));
+
+// Mock the contact cache
+const mockApplyContactRealtimeChange = vi.fn(() => Promise.resolve(true));
+vi.mock('../../src/utils/contact-cache.js', () => ({
+  applyContactRealtimeChange: (...args) => mockApplyContactRealtimeChange(...args),
+}));
+
 // Mock demo-mode helper
 const mockIsDemoMode = vi.fn(() => false);
 vi.mock('../../src/utils/demo-mode.js', () => ({
@@ -445,6 +463,20 @@ describe('refreshFolder (core sync bug fix)', () => {
     expect(mockLoadMessages).toHaveBeenCalled();
   });
 
+  it('runs mail rules on the message a newMessage event carries', () => {
+    mockApplyMailRules.mockClear();
+    simulateWsEvent('newMessage', { mailbox: 'INBOX' });
+    expect(mockApplyMailRules).not.toHaveBeenCalled();
+
+    simulateWsEvent('newMessage', {
+      mailbox: 'INBOX',
+      message: { id: 'srv-9', subject: 'Invoice', from: [{ address: 'billing@example.com' }] },
+    });
+    expect(mockApplyMailRules).toHaveBeenCalledWith('user@example.com', [
+      expect.objectContaining({ id: 'srv-9', folder: 'INBOX', subject: 'Invoice' }),
+    ]);
+  });
+
   it('defaults to INBOX when newMessage has no mailbox field', () => {
     selectedFolderStore.set('INBOX');
     simulateWsEvent('newMessage', {});
@@ -544,10 +576,26 @@ describe('CalDAV/CardDAV event dispatch', () => {
     expect(eventsSpy).toHaveBeenCalled();
   });
 
-  it('dispatches fe:calendar-event-changed for calendarEventUpdated', () => {
+  it('dispatches fe:calendar-event-changed for calendarEventUpdated', async () => {
     window.addEventListener('fe:calendar-event-changed', eventsSpy);
     simulateWsEvent('calendarEventUpdated', { id: 'evt-1' });
-    expect(eventsSpy).toHaveBeenCalled();
+    await vi.waitFor(() => expect(eventsSpy).toHaveBeenCalled());
+  });
+
+  it('patches the calendar cache before dispatching the event change', async () => {
+    mockApplyCalendarRealtimeChange.mockClear();
+    window.addEventListener('fe:calendar-event-changed', eventsSpy);
+    simulateWsEvent('calendarEventDeleted', { id: 'evt-1' });
+    await vi.waitFor(() => expect(eventsSpy).toHaveBeenCalled());
+    expect(mockApplyCalendarRealtimeChange).toHaveBeenCalledWith(
+      'user@example.com',
+      'calendarEventDeleted',
+      { id: 'evt-1' },
+    );
+    expect(eventsSpy.mock.calls[0][0].detail).toMatchObject({
+      type: 'calendarEventDeleted',
+      cached: true,
+    });
   });
 
   it('dispatches fe:contacts-changed for addressBookCreated', () => {
@@ -556,10 +604,27 @@ describe('CalDAV/CardDAV event dispatch', () => {
     expect(eventsSpy).toHaveBeenCalled();
   });
 
-  it('dispatches fe:contact-changed for contactUpdated', () => {
+  it('dispatches fe:contact-changed for contactUpdated', async () => {
     window.addEventListener('fe:contact-changed', eventsSpy);
     simulateWsEvent('contactUpdated', { id: 'ct-1' });
-    expect(eventsSpy).toHaveBeenCalled();
+    await vi.waitFor(() => expect(eventsSpy).toHaveBeenCalled());
+  });
+
+  it('patches the contact cache before dispatching the contact change', async () => {
+    mockApplyContactRealtimeChange.mockClear();
+    window.addEventListener('fe:contact-changed', eventsSpy);
+    simulateWsEvent('contactDeleted', { contactId: 'ct-1' });
+    await vi.waitFor(() => expect(eventsSpy).toHaveBeenCalled());
+    expect(mockApplyContactRealtimeChange).toHaveBeenCalledWith(
+      'user@example.com',
+      'contactDeleted',
+      { contactId: 'ct-1' },
+    );
+    expect(eventsSpy.mock.calls[0][0].detail).toMatchObject({
+      contactId: 'ct-1',
+      type: 'contactDeleted',
+      cached: true,
+    });
   });
 
   it('freezes CustomEvent detail to prevent mutation', () => {
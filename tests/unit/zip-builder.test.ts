@@ -0,0 +1,64 @@
+/**
+ * zip-builder tests: header fields of a stored entry, reading an archive back
+ * through the Office preview's zip reader, and safe unique entry names.
+ */
+import { describe, expect, it } from 'vitest';
+import { createZip, uniqueZipName } from '../../src/utils/zip-builder';
+import { extractOfficePreview } from '../../src/utils/office-preview';
+
+// jsdom's Blob has no arrayBuffer(); FileReader reads it.
+const bytesOf = (blob: Blob) =>
+  new Promise<Uint8Array>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result as ArrayBuffer));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+describe('createZip', () => {
+  it('writes a stored entry with CRC, sizes, UTF-8 flag and DOS date', async () => {
+    const data = new TextEncoder().encode('hello');
+    const zip = await bytesOf(
+      createZip([{ name: 'ünï.txt', data, date: new Date(2026, 2, 11, 10, 30, 20) }]),
+    );
+    const view = new DataView(zip.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(6, true)).toBe(0x0800);
+    expect(view.getUint16(8, true)).toBe(0);
+    expect(view.getUint16(10, true)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(view.getUint16(12, true)).toBe((46 << 9) | (3 << 5) | 11);
+    expect(view.getUint32(14, true)).toBe(0x3610a686);
+    expect(view.getUint32(18, true)).toBe(5);
+    expect(view.getUint32(22, true)).toBe(5);
+
+    const end = new DataView(zip.buffer, zip.length - 22);
+    expect(end.getUint32(0, true)).toBe(0x06054b50);
+    expect(end.getUint16(10, true)).toBe(1);
+  });
+
+  it('produces an archive a zip reader can open', async () => {
+    const xml =
+      '<w:document xmlns:w="urn:w"><w:body><w:p><w:r><w:t>Packed</w:t></w:r></w:p></w:body></w:document>';
+    const zip = await bytesOf(
+      createZip([
+        { name: 'readme.txt', data: new TextEncoder().encode('x') },
+        { name: 'word/document.xml', data: new TextEncoder().encode(xml) },
+      ]),
+    );
+    expect(await extractOfficePreview(zip, 'docx')).toEqual({
+      kind: 'document',
+      paragraphs: ['Packed'],
+    });
+  });
+});
+
+describe('uniqueZipName', () => {
+  it('strips path characters and numbers repeats before the extension', () => {
+    const taken = new Set<string>();
+    expect(uniqueZipName('../etc/passwd', taken)).toBe('_etc_passwd');
+    expect(uniqueZipName('Report.pdf', taken)).toBe('Report.pdf');
+    expect(uniqueZipName('report.PDF', taken)).toBe('report (2).PDF');
+    expect(uniqueZipName('report.pdf', taken)).toBe('report (3).pdf');
+    expect(uniqueZipName('', taken)).toBe('attachment');
+  });
+});
@@ -6,6 +6,7 @@ import { createHash } from 'crypto';
 import { createRequire } from 'module';
 import path from 'path';
 import fs from 'fs';
+import { EXTERNAL_PATH, handleExternalRequest } from './worker/src/external.js';
 
 const require = createRequire(import.meta.url);
 const pkg = require('./package.json');
@@ -28,6 +29,7 @@ const WEB_EXTERNAL_TAURI_MODULES = [
   '@tauri-apps/plugin-os',
   '@tauri-apps/plugin-deep-link',
   '@tauri-apps/plugin-process',
+  '@tauri-apps/plugin-http',
   'tauri-plugin-remote-push-api',
 ];
 
@@ -157,12 +159,41 @@ function stubTauriModulesPlugin() {
         'export const platform = async () => "web";',
         'export const onOpenUrl = async () => () => {};',
         'export const exit = async () => {};',
+        'export const fetch = (...args) => globalThis.fetch(...args);',
         'export default {};',
       ].join('\n');
     },
   };
 }
 
+// Serves the CDN worker's /external proxy (WKD, calendar feeds, one-click
+// unsubscribe) from the dev server, so `pnpm dev` behaves like production.
+function externalFetchDevProxyPlugin() {
+  return {
+    name: 'external-fetch-dev-proxy',
+    configureServer(server) {
+      server.middlewares.use(EXTERNAL_PATH, async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const headers = new Headers();
+        for (const [name, value] of Object.entries(req.headers)) {
+          if (value !== undefined) headers.set(name, [].concat(value).join(', '));
+        }
+        const response = await handleExternalRequest(
+          new Request(new URL(req.originalUrl, `http://${req.headers.host}`), {
+            method: req.method,
+            headers,
+            body: chunks.length ? Buffer.concat(chunks) : undefined,
+          }),
+        );
+        res.statusCode = response.status;
+        response.headers.forEach((value, name) => res.setHeader(name, value));
+        res.end(Buffer.from(await response.arrayBuffer()));
+      });
+    },
+  };
+}
+
 function rejectStaticTauriWebImportsPlugin() {
   return {
     name: 'reject-static-tauri-web-imports',
@@ -306,6 +337,7 @@ export default defineConfig({
     libsodiumResolverPlugin(),
     stubTauriModulesPlugin(),
     rejectStaticTauriWebImportsPlugin(),
+    externalFetchDevProxyPlugin(),
     // Tauri injects IPC bootstrap scripts into the webview and adds the
     // correct nonces/hashes to the CSP configured in tauri.conf.json.
     // However, it does NOT modify CSP <meta> tags in the HTML.  If both
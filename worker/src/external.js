@@ -0,0 +1,156 @@
+/**
+ * Same-origin proxy for the few third-party requests the webmail makes
+ *
+ * The SPA's CSP only lets it connect to its own origin and the API, and the
+ * hosts below rarely send CORS headers anyway, so the browser build asks this
+ * route instead (src/utils/external-fetch.ts):
+ *
+ * - Web Key Directory lookups (GET openpgpkey.<domain>/.well-known/...)
+ * - subscribed calendar feeds (GET, with If-None-Match / If-Modified-Since)
+ * - RFC 8058 one-click unsubscribe (POST List-Unsubscribe=One-Click)
+ *
+ * Nothing else is forwarded: no cookies or credentials, no other methods or
+ * bodies, no private or loopback hosts, and responses are capped in size and
+ * handed back as inert downloads so they can never render on this origin.
+ */
+
+export const EXTERNAL_PATH = '/external';
+
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024;
+const TIMEOUT_MS = 15_000;
+const ONE_CLICK_BODY = 'List-Unsubscribe=One-Click';
+
+// Request headers passed upstream, and response headers passed back.
+const FORWARD_REQUEST_HEADERS = ['accept', 'if-none-match', 'if-modified-since'];
+const FORWARD_RESPONSE_HEADERS = ['etag', 'last-modified'];
+
+// Check if a hostname is loopback, link-local, private, or an IP literal we
+// do not want to be pointed at
+const isPrivateHost = (hostname) => {
+  const host = hostname.toLowerCase();
+  if (host === 'localhost' || /\.(localhost|local|internal|home\.arpa)$/.test(host)) return true;
+  // IPv6 literals are never a WKD domain or a list server in practice
+  if (host.startsWith('[')) return true;
+  const octets = host.split('.');
+  if (octets.length !== 4 || !octets.every((part) => /^\d{1,3}$/.test(part))) return false;
+  const [a, b] = octets.map(Number);
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224
+  );
+};
+
+const deny = (status, message) =>
+  new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+
+// Only fetch()/XHR calls from the app's own pages, never a navigation or a
+// request from another site
+const isAppRequest = (request, origin) => {
+  if (request.headers.get('Sec-Fetch-Site') !== 'same-origin') return false;
+  if (request.headers.get('Sec-Fetch-Dest') !== 'empty') return false;
+  const requestOrigin = request.headers.get('Origin');
+  return !requestOrigin || requestOrigin === origin;
+};
+
+/**
+ * Read at most MAX_RESPONSE_BYTES of the upstream body, or null when it is
+ * larger than that
+ */
+async function readCapped(response) {
+  const declared = Number(response.headers.get('Content-Length'));
+  if (declared > MAX_RESPONSE_BYTES) return null;
+  if (!response.body) return new Uint8Array(0);
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_RESPONSE_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  const body = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return body;
+}
+
+/**
+ * Handle a request to EXTERNAL_PATH. `?url=` names the target.
+ */
+export async function handleExternalRequest(request) {
+  const url = new URL(request.url);
+  if (!isAppRequest(request, url.origin)) return deny(403, 'Forbidden');
+
+  let target;
+  try {
+    target = new URL(url.searchParams.get('url') || '');
+  } catch {
+    return deny(400, 'Missing or invalid url');
+  }
+  if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+    return deny(400, 'Only http(s) URLs can be fetched');
+  }
+  if (target.username || target.password || isPrivateHost(target.hostname)) {
+    return deny(403, 'Host not allowed');
+  }
+
+  const init = { method: request.method, headers: {}, redirect: 'follow' };
+  if (request.method === 'POST') {
+    // RFC 8058 one-click unsubscribe is the only POST we make, always to https
+    const body = await request.text();
+    if (target.protocol !== 'https:' || body !== ONE_CLICK_BODY) {
+      return deny(400, 'Only one-click unsubscribe requests can be posted');
+    }
+    init.body = body;
+    init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  } else if (request.method !== 'GET') {
+    return deny(405, 'Method not allowed');
+  }
+  for (const name of FORWARD_REQUEST_HEADERS) {
+    const value = request.headers.get(name);
+    if (value) init.headers[name] = value;
+  }
+
+  let upstream;
+  try {
+    upstream = await fetch(target.toString(), { ...init, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch {
+    return deny(502, 'Upstream unreachable');
+  }
+
+  const hasBody = ![204, 205, 304].includes(upstream.status);
+  const body = hasBody ? await readCapped(upstream) : null;
+  if (hasBody && body === null) return deny(502, 'Upstream response too large');
+
+  const headers = new Headers({
+    // Whatever the upstream sent, it must never be rendered on this origin
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': 'attachment',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'no-store',
+  });
+  for (const name of FORWARD_RESPONSE_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) headers.set(name, value);
+  }
+  return new Response(body, { status: upstream.status, headers });
+}
@@ -4,10 +4,14 @@
  * Handles:
  * 1. SPA routing - returns index.html for navigation requests
  * 2. Cache headers - proper caching for different asset types
+ * 3. /external - the app's proxy for WKD, calendar feeds and one-click
+ *    unsubscribe (see external.js)
  *
  * This logic is portable to other edge providers (Vercel, Netlify, CloudFront)
  */
 
+import { EXTERNAL_PATH, handleExternalRequest } from './external.js';
+
 // SPA routes that should serve index.html
 const SPA_ROUTES = ['/', '/mailbox', '/calendar', '/contacts', '/login'];
 
@@ -76,6 +80,10 @@ export default {
       path = path.slice(0, -1);
     }
 
+    if (path === EXTERNAL_PATH) {
+      return handleExternalRequest(request);
+    }
+
     // Determine if we should serve index.html (SPA fallback)
     const isNavigation = request.headers.get('Accept')?.includes('text/html');
     const shouldServeSpa = isNavigation && isSpaRoute(path) && !isFileRequest(path);